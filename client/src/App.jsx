@@ -1,9 +1,34 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import ImageUpload from './components/ImageUpload';
 import VideoPlayer from './components/VideoPlayer';
+import ProgressEvents from './components/ProgressEvents';
+import Gallery from './components/Gallery';
+import BatchPanel from './components/BatchPanel';
+import CharacterLibrary from './components/CharacterLibrary';
+import SceneTakes from './components/SceneTakes';
+import DialogueEditor from './components/DialogueEditor';
+import CastEditor from './components/CastEditor';
+import TemplatePicker from './components/TemplatePicker';
+import LoginForm from './components/LoginForm';
+import CreditsWidget from './components/CreditsWidget';
+import { toApiError, ERROR_GUIDANCE } from './errors';
+import { API_BASE, apiRequest, postJson, watchJob } from './api';
+import { createTurn, toScript } from './dialogue';
+import { createPerson, resizeCast, speakerId, toCast } from './cast';
+import { DEFAULT_VIDEO_TEMPLATE } from './templates';
+import { SCENE_ASPECT } from './imageEdit';
 import './index.css';
 
-const API_BASE = '/api';
+const ACTIVE_JOB_KEY = 'duocast.activeJobId';
+const CANCEL_ON_LEAVE_KEY = 'duocast.cancelOnLeave'; // '1' when closing the tab should stop the generation
+const MAX_PROGRESS_EVENTS = 50;
+
+const JOB_STATUS_MESSAGES = {
+  queued: 'Video job queued with Veo 3.1...',
+  generating: 'Veo 3.1 is generating your video...',
+};
+
+const CANDIDATE_OPTIONS = [1, 2, 3, 4];
 
 const DURATION_OPTIONS = [
   { value: 4, label: '4s' },
@@ -11,112 +36,348 @@ const DURATION_OPTIONS = [
   { value: 8, label: '8s' },
 ];
 
-const EXAMPLE_SCENARIOS = [
-  'Two colleagues sitting in a modern office meeting room during a product discussion. Professional lighting, glass walls.',
-  'Two friends at a cozy coffee shop, sitting across from each other at a small table. Warm ambient lighting, latte art visible.',
-  'Two people standing in a park on a sunny afternoon, having a casual conversation. Trees and greenery in the background.',
-];
-
 export default function App() {
-  const [portraitA, setPortraitA] = useState(null);
-  const [portraitB, setPortraitB] = useState(null);
+  const [account, setAccount] = useState(null); // { authEnabled, user } once known
+  const [view, setView] = useState('create'); // create | gallery | batch | characters
+  const [sceneSource, setSceneSource] = useState('generate'); // generate | upload
+  const [people, setPeople] = useState(() => resizeCast([], 2)); // [{ id, name, position, depth, portrait, character }]
+  const [characters, setCharacters] = useState([]); // the saved character library
+  const [sceneUpload, setSceneUpload] = useState(null);
   const [scenario, setScenario] = useState('');
   const [videoPrompt, setVideoPrompt] = useState('');
+  const [promptMode, setPromptMode] = useState('free'); // free | dialogue
+  const [dialogue, setDialogue] = useState(() => [createTurn('A'), createTurn('B')]);
   const [duration, setDuration] = useState(8);
+  const [longForm, setLongForm] = useState(false); // scripted dialogue split across several stitched clips
+  const [candidateCount, setCandidateCount] = useState(1);
+  const [cancelOnLeave, setCancelOnLeave] = useState(() => localStorage.getItem(CANCEL_ON_LEAVE_KEY) === '1');
 
-  // Pipeline state
-  const [status, setStatus] = useState('idle'); // idle | generating-scene | generating-video | done | error
+  // Pipeline state — resume tracking a video job left running before a page refresh
+  const [status, setStatus] = useState(() => localStorage.getItem(ACTIVE_JOB_KEY) ? 'generating-video' : 'idle'); // idle | generating-scene | awaiting-approval | generating-video | done | error
   const [sceneImageUrl, setSceneImageUrl] = useState(null);
+  const [sceneCandidates, setSceneCandidates] = useState([]);
+  const [historyId, setHistoryId] = useState(null);
+  const [conversationJobId, setConversationJobId] = useState(null);
+  const [activeJobId, setActiveJobId] = useState(null); // job being watched, so it can be cancelled
   const [videoUrl, setVideoUrl] = useState(null);
   const [error, setError] = useState(null);
   const [statusMessage, setStatusMessage] = useState('');
+  const [progressEvents, setProgressEvents] = useState([]);
+  const [elapsedMs, setElapsedMs] = useState(0);
 
-  // Credits state
+  // Credits state, and the server's warnings about what the current generation leaves
   const [credits, setCredits] = useState({ startingCredits: 20000000, creditsUsed: 0, creditsRemaining: 20000000 });
+  const [creditWarnings, setCreditWarnings] = useState([]);
+
+  // Nothing but the sign-in form until the server knows who we are (when it has accounts at all)
+  const signedIn = Boolean(account && (!account.authEnabled || account.user));
+  const userId = account?.user?.id;
 
   useEffect(() => {
+    apiRequest('/auth/me')
+      .then(setAccount)
+      .catch(() => setAccount({ authEnabled: false, user: null }));
+  }, []);
+
+  // Balance and usage chart come from the credit ledger; reloaded after every charge
+  const refreshCredits = useCallback(() => {
     fetch(`${API_BASE}/credits`)
       .then(res => res.json())
       .then(data => setCredits(data))
       .catch(() => { });
   }, []);
 
-  const canGenerate = portraitA && portraitB && scenario.trim() && status === 'idle';
+  useEffect(() => {
+    if (signedIn) refreshCredits();
+  }, [signedIn, userId, refreshCredits]);
+
+  const refreshCharacters = useCallback(() => {
+    apiRequest('/characters')
+      .then(data => setCharacters(data.items))
+      .catch(() => { });
+  }, []);
 
-  const handleGenerate = async () => {
-    setStatus('generating-scene');
-    setError(null);
-    setSceneImageUrl(null);
-    setVideoUrl(null);
-    setStatusMessage('Composing scene with NanoBanana Pro Edit...');
+  useEffect(() => {
+    if (signedIn) refreshCharacters();
+  }, [signedIn, userId, refreshCharacters]);
+
+  const handleProgress = useCallback((event) => {
+    if (event.jobElapsedMs != null) setElapsedMs(event.jobElapsedMs);
+    if (event.type === 'heartbeat') return;
+
+    setProgressEvents(events => [...events, event].slice(-MAX_PROGRESS_EVENTS));
+    if (event.type === 'queue') {
+      setStatusMessage(`The server is busy — your job is number ${event.position} in the queue...`);
+    } else if (event.type === 'segment' && event.status === 'submitting') {
+      setStatusMessage(`Veo 3.1 is generating clip ${event.segment + 1} of ${event.of}...`);
+    } else if (event.type === 'stitching') {
+      setStatusMessage(`Stitching ${event.segments} clips into one video...`);
+    } else if (event.type === 'status' && event.segment == null && JOB_STATUS_MESSAGES[event.status]) {
+      setStatusMessage(JOB_STATUS_MESSAGES[event.status]);
+    }
+  }, []);
 
+  const trackVideoJob = useCallback(async (jobId) => {
+    setActiveJobId(jobId);
     try {
-      // Step 1: Generate scene image
-      const formData = new FormData();
-      formData.append('portraitA', portraitA.file);
-      formData.append('portraitB', portraitB.file);
-      formData.append('scenario', scenario);
+      // Read from storage so that changing the choice does not restart the resume effect below
+      const job = await watchJob(jobId, handleProgress, { cancelOnDisconnect: localStorage.getItem(CANCEL_ON_LEAVE_KEY) === '1' });
+
+      setVideoUrl(job.videoUrl);
+      refreshCredits();
+      setStatus('done');
+      setStatusMessage('Video ready!');
+    } finally {
+      localStorage.removeItem(ACTIVE_JOB_KEY);
+      setActiveJobId(null);
+    }
+  }, [handleProgress, refreshCredits]);
 
-      const sceneRes = await fetch(`${API_BASE}/generate-scene`, {
-        method: 'POST',
-        body: formData,
-      });
+  useEffect(() => {
+    const jobId = localStorage.getItem(ACTIVE_JOB_KEY);
+    if (!jobId || !signedIn) return;
 
-      const sceneData = await sceneRes.json();
+    trackVideoJob(jobId).catch((err) => {
+      setStatus('error');
+      setError(toApiError(err));
+      setStatusMessage('');
+    });
+  }, [trackVideoJob, signedIn]);
 
-      if (!sceneRes.ok || !sceneData.success) {
-        throw new Error(sceneData.error || 'Scene generation failed');
-      }
+  const cast = toCast(people);
 
-      setSceneImageUrl(sceneData.imageUrl);
-      if (sceneData.creditsRemaining != null) {
-        setCredits(c => ({ ...c, creditsUsed: sceneData.creditsUsed || c.creditsUsed, creditsRemaining: sceneData.creditsRemaining }));
-      }
-      setStatusMessage('Scene generated! Now creating video with Veo 3.1...');
+  // Lines of people who left the cast go to Person A, so the script stays valid
+  const handlePeopleChange = (next) => {
+    setPeople(next);
+    const ids = next.map((_, i) => speakerId(i));
+    setDialogue(turns => turns.map(turn => ids.includes(turn.speaker) ? turn : { ...turn, speaker: 'A' }));
+  };
+  const script = promptMode === 'dialogue' ? toScript(dialogue) : null;
+  const isLong = Boolean(script) && longForm;
+
+  const canGenerate = status === 'idle' && (!script || script.length > 0) && (sceneSource === 'upload'
+    ? sceneUpload
+    : people.every(person => person.portrait || person.character) && scenario.trim());
+
+  // Step 1 of the pipeline: compose a scene from the portraits, or take the user's own.
+  // The server answers an identical request with the scene it already made, unless `force` is set
+  const prepareScene = async (force) => {
+    if (sceneSource === 'upload') {
+      setStatusMessage('Uploading your scene...');
+      const formData = new FormData();
+      formData.append('scene', sceneUpload.file);
+      if (scenario.trim()) formData.append('scenario', scenario);
+      formData.append('people', JSON.stringify(cast));
 
-      // Step 2: Generate video
-      setStatus('generating-video');
+      const scene = await apiRequest('/upload-scene', { method: 'POST', body: formData }, 'Scene upload failed');
+      return { imageUrls: [scene.sceneImageUrl], historyId: scene.historyId };
+    }
 
-      const finalVideoPrompt = videoPrompt.trim() ||
-        `Two people having a natural conversation in the scene. They show natural expressions, subtle head movements, and realistic body language while speaking. Generate synchronized conversational audio with natural dialogue. ${scenario}`;
+    setStatusMessage('Composing scene with NanoBanana Pro Edit...');
+    const formData = new FormData();
+    // Library characters are sent by ID in the cast; the server has their portraits
+    people.filter(person => !person.character).forEach(person => formData.append('portraits', person.portrait.file));
+    formData.append('people', JSON.stringify(cast));
+    formData.append('scenario', scenario);
+    formData.append('candidates', candidateCount);
+    if (force) formData.append('force', 'true');
+
+    const sceneData = await apiRequest('/generate-scene', { method: 'POST', body: formData }, 'Scene generation failed');
+    setCreditWarnings(sceneData.warnings || []);
+    setActiveJobId(sceneData.jobId);
+    const sceneJob = await watchJob(sceneData.jobId, handleProgress, { cancelOnDisconnect: cancelOnLeave }).finally(() => setActiveJobId(null));
+
+    refreshCredits();
+    return { imageUrls: sceneJob.imageUrls, historyId: sceneData.historyId };
+  };
 
-      const videoRes = await fetch(`${API_BASE}/generate-video`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          sceneImageUrl: sceneData.imageUrl,
-          videoPrompt: finalVideoPrompt,
-          duration,
-        }),
-      });
+  const failPipeline = (err) => {
+    const apiError = toApiError(err);
+    setStatus('error');
+    setError(apiError);
+    setStatusMessage('');
+    if (apiError.code === 'UNAUTHORIZED') setAccount(a => ({ ...a, user: null }));
+  };
 
-      const videoData = await videoRes.json();
+  // Step 2 of the pipeline: animate the chosen scene with Veo
+  const startVideo = async (sceneUrl, runId) => {
+    setStatus('generating-video');
+    setStatusMessage('Creating video with Veo 3.1...');
+
+    // With a script, the free-text prompt is only extra direction for the server-built prompt
+    const videoData = isLong
+      ? await postJson('/generate-conversation', {
+        sceneImageUrl: sceneUrl,
+        dialogue: script,
+        videoPrompt: videoPrompt.trim(),
+        cast,
+        historyId: runId,
+      }, 'Video generation failed')
+      : await postJson('/generate-video', {
+        sceneImageUrl: sceneUrl,
+        // Without a prompt of their own, the server fills in the default template from the scene's run
+        ...(script
+          ? { dialogue: script, videoPrompt: videoPrompt.trim(), cast }
+          : videoPrompt.trim() ? { videoPrompt: videoPrompt.trim() } : { templateId: DEFAULT_VIDEO_TEMPLATE }),
+        duration,
+        historyId: runId,
+      }, 'Video generation failed');
+    setConversationJobId(isLong ? videoData.jobId : null);
+    setCreditWarnings(videoData.warnings || []);
+
+    // The server answers immediately with a job ID; remember it so a refresh can resume
+    localStorage.setItem(ACTIVE_JOB_KEY, videoData.jobId);
+    setStatusMessage(JOB_STATUS_MESSAGES.queued);
+    await trackVideoJob(videoData.jobId);
+  };
 
-      if (!videoRes.ok || !videoData.success) {
-        throw new Error(videoData.error || 'Video generation failed');
-      }
+  const handleGenerate = async ({ force = false } = {}) => {
+    setStatus('generating-scene');
+    setError(null);
+    setCreditWarnings([]);
+    setSceneImageUrl(null);
+    setSceneCandidates([]);
+    setHistoryId(null);
+    setVideoUrl(null);
+    setProgressEvents([]);
+    setElapsedMs(0);
 
-      setVideoUrl(videoData.videoUrl);
-      if (videoData.creditsRemaining != null) {
-        setCredits(c => ({ ...c, creditsUsed: videoData.creditsUsed || c.creditsUsed, creditsRemaining: videoData.creditsRemaining }));
+    try {
+      // Step 1: Generate (or upload) the scene image
+      const scene = await prepareScene(force);
+      setSceneImageUrl(scene.imageUrls[0]);
+      setHistoryId(scene.historyId);
+
+      if (sceneSource === 'generate') {
+        // Pause until the user approves a composition — no video credits spent yet
+        setSceneCandidates(scene.imageUrls);
+        setStatus('awaiting-approval');
+        setStatusMessage('Scene ready! Pick the best composition, regenerate, or abort.');
+        return;
       }
-      setStatus('done');
-      setStatusMessage('Video ready!');
+
+      await startVideo(scene.imageUrls[0], scene.historyId);
+    } catch (err) {
+      failPipeline(err);
+    }
+  };
+
+  const handleApprove = async () => {
+    setSceneCandidates([]);
+    try {
+      await startVideo(sceneImageUrl, historyId);
     } catch (err) {
+      failPipeline(err);
+    }
+  };
+
+  // Re-run the video step of a past run from the gallery, tracked like a fresh generation
+  const handleRerun = async (run) => {
+    const data = await apiRequest(`/history/${run.id}/rerun`, { method: 'POST' }, 'Could not re-run this generation');
+
+    setView('create');
+    setScenario(run.scenario || '');
+    // Uploaded portraits are not kept in the history; restore the names, placements and library characters
+    setPeople(run.cast
+      ? run.cast.map(({ characterId, ...person }) => ({
+        ...createPerson(),
+        ...person,
+        character: characters.find(character => character.id === characterId) || null,
+      }))
+      : resizeCast([], 2));
+    if (run.dialogue) {
+      setPromptMode('dialogue');
+      setDialogue(run.dialogue.map(turn => ({ ...createTurn(turn.speaker), ...turn })));
+      setVideoPrompt(run.videoDirection || '');
+    } else {
+      setPromptMode('free');
+      setVideoPrompt(run.videoPrompt || '');
+    }
+    setLongForm(Boolean(run.segments));
+    if (!run.segments) setDuration(run.duration || 8);
+    setSceneImageUrl(run.sceneImageUrl);
+    setHistoryId(data.historyId);
+    setConversationJobId(run.segments ? data.jobId : null);
+    setCreditWarnings(data.warnings || []);
+    setVideoUrl(null);
+    setError(null);
+    setProgressEvents([]);
+    setElapsedMs(0);
+    setStatus('generating-video');
+    setStatusMessage(JOB_STATUS_MESSAGES.queued);
+    localStorage.setItem(ACTIVE_JOB_KEY, data.jobId);
+
+    trackVideoJob(data.jobId).catch((err) => {
       setStatus('error');
-      setError(err.message);
+      setError(toApiError(err));
       setStatusMessage('');
+    });
+  };
+
+  // Resume a failed long conversation from the clip that failed; finished clips are kept
+  const handleRetryConversation = async () => {
+    try {
+      const retried = await postJson(`/jobs/${conversationJobId}/retry`, {}, 'Could not retry this conversation');
+      setCreditWarnings(retried.warnings || []);
+      setError(null);
+      setStatus('generating-video');
+      setStatusMessage(JOB_STATUS_MESSAGES.queued);
+      localStorage.setItem(ACTIVE_JOB_KEY, conversationJobId);
+      await trackVideoJob(conversationJobId);
+    } catch (err) {
+      failPipeline(err);
     }
   };
 
+  const isGenerating = status === 'generating-scene' || status === 'generating-video';
+
+  // Stop the job being watched; the watcher then fails with JOB_CANCELLED
+  const handleCancel = async () => {
+    try {
+      await postJson(`/jobs/${activeJobId}/cancel`, {}, 'Could not cancel this generation');
+    } catch (err) {
+      failPipeline(err);
+    }
+  };
+
+  // Applies to the generations started from now on
+  const toggleCancelOnLeave = () => {
+    setCancelOnLeave(on => {
+      localStorage.setItem(CANCEL_ON_LEAVE_KEY, on ? '0' : '1');
+      return !on;
+    });
+  };
+
+  const handleLogout = async () => {
+    await apiRequest('/auth/logout', { method: 'POST' }).catch(() => { });
+    setAccount(a => ({ ...a, user: null }));
+  };
+
   const handleReset = () => {
     setStatus('idle');
     setSceneImageUrl(null);
+    setSceneCandidates([]);
+    setHistoryId(null);
+    setConversationJobId(null);
     setVideoUrl(null);
     setError(null);
+    setCreditWarnings([]);
     setStatusMessage('');
+    setProgressEvents([]);
+    setElapsedMs(0);
   };
 
+  if (account?.authEnabled && !account.user) {
+    return (
+      <div className="app">
+        <header className="header">
+          <h1 className="header__title">DuoCast AI</h1>
+        </header>
+        <LoginForm onLogin={(user) => setAccount(a => ({ ...a, user }))} />
+      </div>
+    );
+  }
+
   return (
     <div className="app">
       {/* Header */}
@@ -126,47 +387,89 @@ export default function App() {
         </div>
         <h1 className="header__title">DuoCast AI</h1>
         <p className="header__subtitle">
-          Transform two portraits into a realistic conversational video with AI-generated audio
+          Transform portraits of two to four people into a realistic conversational video with AI-generated audio
         </p>
-        <div className="credits-widget">
-          <div className="credits-widget__label">Credits Remaining</div>
-          <div className="credits-widget__value">
-            {(credits.creditsRemaining).toLocaleString()}
-            <span className="credits-widget__total"> / {(credits.startingCredits).toLocaleString()}</span>
+        {account?.user && (
+          <div className="account-chip">
+            👤 {account.user.name}{account.user.role === 'admin' && ' (admin)'}
+            <button className="gallery-btn" onClick={handleLogout}>Sign out</button>
           </div>
-          <div className="credits-widget__bar">
-            <div
-              className="credits-widget__bar-fill"
-              style={{ width: `${(credits.creditsRemaining / credits.startingCredits) * 100}%` }}
-            />
-          </div>
-        </div>
+        )}
+        <CreditsWidget credits={credits} />
+        <nav className="view-tabs">
+          <button className={`view-tab ${view === 'create' ? 'active' : ''}`} onClick={() => setView('create')}>
+            🎬 Create
+          </button>
+          <button className={`view-tab ${view === 'gallery' ? 'active' : ''}`} onClick={() => setView('gallery')}>
+            🗂️ Gallery
+          </button>
+          <button className={`view-tab ${view === 'batch' ? 'active' : ''}`} onClick={() => setView('batch')}>
+            📋 Batch
+          </button>
+          <button className={`view-tab ${view === 'characters' ? 'active' : ''}`} onClick={() => setView('characters')}>
+            🧑 Characters
+          </button>
+        </nav>
       </header>
 
-      <div className="pipeline">
-        {/* Step 1: Upload Portraits */}
+      {view === 'gallery' && (
+        <Gallery onRerun={isGenerating ? null : handleRerun} />
+      )}
+
+      {view === 'batch' && (
+        <BatchPanel onCreditsChange={refreshCredits} />
+      )}
+
+      {view === 'characters' && (
+        <CharacterLibrary characters={characters} onChange={refreshCharacters} />
+      )}
+
+      <div className="pipeline" hidden={view !== 'create'}>
+        {/* Step 1: Upload Portraits (or a ready-made scene) */}
         <section className="card">
           <div className="card__header">
             <div className="card__step">1</div>
             <div>
-              <div className="card__title">Upload Portraits</div>
-              <div className="card__description">Two portrait images of the people in the conversation</div>
+              <div className="card__title">{sceneSource === 'upload' ? 'Upload Your Scene' : 'Upload Portraits'}</div>
+              <div className="card__description">
+                {sceneSource === 'upload'
+                  ? 'A pre-composed image of everyone in it — NanoBanana is skipped'
+                  : 'A portrait of each of the 2–4 people in the conversation, with their names and places'}
+              </div>
             </div>
           </div>
-          <div className="upload-grid">
-            <ImageUpload
-              label="Person A"
-              sublabel="Left side of scene"
-              image={portraitA}
-              onImageChange={setPortraitA}
-            />
+          <div className="duration-select scene-source">
+            <button
+              className={`duration-option ${sceneSource === 'generate' ? 'active' : ''}`}
+              disabled={status !== 'idle'}
+              onClick={() => setSceneSource('generate')}
+            >
+              Compose from portraits
+            </button>
+            <button
+              className={`duration-option ${sceneSource === 'upload' ? 'active' : ''}`}
+              disabled={status !== 'idle'}
+              onClick={() => setSceneSource('upload')}
+            >
+              Use my own scene
+            </button>
+          </div>
+          {sceneSource === 'upload' && (
             <ImageUpload
-              label="Person B"
-              sublabel="Right side of scene"
-              image={portraitB}
-              onImageChange={setPortraitB}
+              label="Scene"
+              sublabel="Everyone in one 16:9 image"
+              image={sceneUpload}
+              onImageChange={setSceneUpload}
+              aspect={SCENE_ASPECT}
             />
-          </div>
+          )}
+          <CastEditor
+            people={people}
+            onChange={handlePeopleChange}
+            withPortraits={sceneSource === 'generate'}
+            characters={characters}
+            disabled={status !== 'idle'}
+          />
         </section>
 
         {/* Step 2: Describe Scene */}
@@ -180,53 +483,61 @@ export default function App() {
           </div>
 
           <div className="prompt-section">
-            <label className="prompt-label">Scene Description *</label>
+            <label className="prompt-label">Scene Description {sceneSource === 'upload' ? '(optional)' : '*'}</label>
             <textarea
               className="scenario-input"
               placeholder="e.g., Two colleagues in a modern office meeting room during a product discussion. Professional lighting, glass walls in the background..."
               value={scenario}
               onChange={(e) => setScenario(e.target.value)}
             />
-            <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem', flexWrap: 'wrap' }}>
-              {EXAMPLE_SCENARIOS.map((ex, i) => (
-                <button
-                  key={i}
-                  onClick={() => setScenario(ex)}
-                  style={{
-                    padding: '4px 10px',
-                    borderRadius: '6px',
-                    background: 'var(--bg-glass)',
-                    border: '1px solid var(--border-subtle)',
-                    color: 'var(--text-muted)',
-                    fontFamily: 'inherit',
-                    fontSize: '0.7rem',
-                    cursor: 'pointer',
-                    transition: 'all 0.2s',
-                  }}
-                  onMouseEnter={(e) => {
-                    e.target.style.borderColor = 'var(--accent-1)';
-                    e.target.style.color = 'var(--text-secondary)';
-                  }}
-                  onMouseLeave={(e) => {
-                    e.target.style.borderColor = 'var(--border-subtle)';
-                    e.target.style.color = 'var(--text-muted)';
-                  }}
-                >
-                  Example {i + 1}
-                </button>
-              ))}
-            </div>
+            <TemplatePicker kind="scene" cast={cast} onApply={setScenario} disabled={status !== 'idle'} />
           </div>
 
+          <div className="duration-select scene-source">
+            <button
+              className={`duration-option ${promptMode === 'free' ? 'active' : ''}`}
+              onClick={() => setPromptMode('free')}
+            >
+              Free-text prompt
+            </button>
+            <button
+              className={`duration-option ${promptMode === 'dialogue' ? 'active' : ''}`}
+              onClick={() => setPromptMode('dialogue')}
+            >
+              Scripted dialogue
+            </button>
+          </div>
+
+          {promptMode === 'dialogue' && (
+            <div className="prompt-section">
+              <label className="prompt-label">Dialogue Script</label>
+              <DialogueEditor
+                turns={dialogue}
+                onChange={setDialogue}
+                cast={cast}
+                duration={duration}
+                direction={videoPrompt}
+                conversation={longForm}
+              />
+            </div>
+          )}
+
           <div className="prompt-section">
-            <label className="prompt-label">Video Action Prompt (optional)</label>
+            <label className="prompt-label">
+              {promptMode === 'dialogue' ? 'Extra Direction (optional)' : 'Video Action Prompt (optional)'}
+            </label>
             <textarea
               className="scenario-input"
               style={{ minHeight: '80px' }}
-              placeholder="Override the default video prompt. Leave empty for auto-generated conversational dialogue..."
+              placeholder={promptMode === 'dialogue'
+                ? 'Camera, setting or acting notes added to the scripted prompt...'
+                : 'Override the default video prompt. Leave empty for auto-generated conversational dialogue...'}
               value={videoPrompt}
               onChange={(e) => setVideoPrompt(e.target.value)}
             />
+            {promptMode === 'free' && (
+              <TemplatePicker kind="video" cast={cast} known={{ scenario }} onApply={setVideoPrompt} disabled={status !== 'idle'} />
+            )}
           </div>
         </section>
 
@@ -245,22 +556,62 @@ export default function App() {
               {DURATION_OPTIONS.map((opt) => (
                 <button
                   key={opt.value}
-                  className={`duration-option ${duration === opt.value ? 'active' : ''}`}
-                  onClick={() => setDuration(opt.value)}
+                  className={`duration-option ${!isLong && duration === opt.value ? 'active' : ''}`}
+                  onClick={() => {
+                    setDuration(opt.value);
+                    setLongForm(false);
+                  }}
                 >
                   {opt.label}
                 </button>
               ))}
+              {script && (
+                <button
+                  className={`duration-option ${isLong ? 'active' : ''}`}
+                  title="Split the script into several clips and stitch them into one video"
+                  onClick={() => setLongForm(true)}
+                >
+                  Long
+                </button>
+              )}
             </div>
 
+            {sceneSource === 'generate' && (
+              <div className="duration-select" title="Scene compositions to choose from (each costs image credits)">
+                {CANDIDATE_OPTIONS.map((count) => (
+                  <button
+                    key={count}
+                    className={`duration-option ${candidateCount === count ? 'active' : ''}`}
+                    disabled={status !== 'idle'}
+                    onClick={() => setCandidateCount(count)}
+                  >
+                    {count} {count === 1 ? 'scene' : 'scenes'}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <button
+              className={`leave-toggle ${cancelOnLeave ? 'active' : ''}`}
+              title="Cancel the generation if this tab is closed for more than a minute. Otherwise it keeps running and is picked up again when you come back."
+              disabled={status !== 'idle'}
+              onClick={toggleCancelOnLeave}
+            >
+              Stop if I leave
+            </button>
+
             {status === 'idle' ? (
               <button
                 className="generate-btn"
                 disabled={!canGenerate}
-                onClick={handleGenerate}
+                onClick={() => handleGenerate()}
               >
                 🎬 Generate DuoCast
               </button>
+            ) : status === 'awaiting-approval' ? (
+              <button className="generate-btn" disabled>
+                ⏸ Waiting for scene approval
+              </button>
             ) : status === 'done' || status === 'error' ? (
               <button className="generate-btn" onClick={handleReset}>
                 🔄 Start Over
@@ -285,7 +636,7 @@ export default function App() {
                     sceneImageUrl ? 'done' :
                       status === 'error' && !sceneImageUrl ? 'error' : ''
                     }`}>
-                    Step 1: Compose scene with NanoBanana Pro Edit
+                    {sceneSource === 'upload' ? 'Step 1: Upload your scene' : 'Step 1: Compose scene with NanoBanana Pro Edit'}
                   </div>
                 </div>
 
@@ -298,7 +649,7 @@ export default function App() {
                     videoUrl ? 'done' :
                       status === 'error' && sceneImageUrl ? 'error' : ''
                     }`}>
-                    Step 2: Generate video + audio with Veo 3.1
+                    {conversationJobId ? 'Step 2: Generate the clips with Veo 3.1 and stitch them' : 'Step 2: Generate video + audio with Veo 3.1'}
                   </div>
                 </div>
 
@@ -308,32 +659,98 @@ export default function App() {
                   </div>
                 )}
 
-                {(status === 'generating-scene' || status === 'generating-video') && (
+                {isGenerating && (
                   <div className="loading-bar">
                     <div className="loading-bar__fill"></div>
                   </div>
                 )}
+
+                {isGenerating && activeJobId && (
+                  <button className="download-btn" onClick={handleCancel}>
+                    ✖ Cancel
+                  </button>
+                )}
+
+                <ProgressEvents events={progressEvents} elapsedMs={elapsedMs} />
+              </div>
+            </div>
+          )}
+
+          {/* Scene approval: pick a candidate, regenerate, or abort before any video credits are spent */}
+          {status === 'awaiting-approval' && (
+            <div className="scene-approval">
+              <div className="scene-approval__grid">
+                {sceneCandidates.map((url, i) => (
+                  <button
+                    key={i}
+                    className={`scene-candidate ${url === sceneImageUrl ? 'selected' : ''}`}
+                    onClick={() => setSceneImageUrl(url)}
+                  >
+                    <img src={url} alt={`Scene candidate ${i + 1}`} />
+                    <span className="scene-candidate__label">Candidate {i + 1}</span>
+                  </button>
+                ))}
+              </div>
+              <div className="scene-approval__actions">
+                <button className="generate-btn" onClick={handleApprove}>
+                  🎬 Animate This Scene
+                </button>
+                <button className="download-btn" onClick={() => handleGenerate({ force: true })}>
+                  🔄 Regenerate
+                </button>
+                <button className="download-btn" onClick={handleReset}>
+                  ✖ Abort
+                </button>
               </div>
             </div>
           )}
 
           {/* Scene preview */}
-          {sceneImageUrl && (
+          {sceneImageUrl && status !== 'awaiting-approval' && (
             <div className="scene-preview">
               <img src={sceneImageUrl} alt="Generated scene" />
             </div>
           )}
 
+          {creditWarnings.map(warning => (
+            <div key={warning} className="credit-warning">💰 {warning}</div>
+          ))}
+
           {/* Error */}
           {error && (
             <div className="error-banner">
-              ⚠️ {error}
+              ⚠️ {error.message}
+              {ERROR_GUIDANCE[error.code] && (
+                <div className="error-banner__guidance">
+                  {ERROR_GUIDANCE[error.code]}
+                  {error.retryable && ' Press "Start Over" to retry.'}
+                </div>
+              )}
+              {conversationJobId && status === 'error' && (
+                <button className="download-btn error-banner__retry" onClick={handleRetryConversation}>
+                  🔁 Retry from the failed clip
+                </button>
+              )}
             </div>
           )}
 
           {/* Video result */}
           <VideoPlayer videoUrl={videoUrl} />
         </section>
+
+        {/* More videos from the same scene */}
+        {historyId && sceneImageUrl && !conversationJobId && (status === 'done' || status === 'error') && (
+          <SceneTakes
+            key={historyId}
+            sceneImageUrl={sceneImageUrl}
+            historyId={historyId}
+            defaultPrompt={videoPrompt.trim()}
+            dialogue={script}
+            defaultDuration={duration}
+            durationOptions={DURATION_OPTIONS}
+            onCredits={refreshCredits}
+          />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,71 @@
+import { toApiError } from './errors';
+
+export const API_BASE = '/api';
+
+/**
+ * Call the DuoCast API and return the parsed JSON body (null for 204).
+ * Failures — including a `success: false` body — are thrown as ApiError.
+ */
+export async function apiRequest(path, options, fallbackMessage) {
+  const res = await fetch(`${API_BASE}${path}`, options);
+  if (res.status === 204) return null;
+
+  const data = await res.json();
+  if (!res.ok || data.success === false) {
+    throw toApiError(data, fallbackMessage);
+  }
+  return data;
+}
+
+/**
+ * POST a JSON body to the API.
+ */
+export function postJson(path, body, fallbackMessage) {
+  return apiRequest(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  }, fallbackMessage);
+}
+
+/**
+ * Run a portrait through the server's preprocessing (single-face check and
+ * head-and-shoulders crop). Resolves with the normalized `preview` data URI.
+ */
+export function checkPortrait(file) {
+  const body = new FormData();
+  body.append('portrait', file);
+  return apiRequest('/portraits/check', { method: 'POST', body }, 'Could not check the portrait');
+}
+
+/**
+ * Follow a server-side job over its Server-Sent Events stream until it
+ * completes or fails. EventSource reconnects by itself after a dropped
+ * connection, and the server resumes from the last event it delivered.
+ * With `cancelOnDisconnect`, the server cancels the job once nobody has
+ * followed it for a minute (e.g. the tab was closed); otherwise it keeps
+ * running and can be picked up again later.
+ */
+export function watchJob(jobId, onProgress, { cancelOnDisconnect = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`${API_BASE}/jobs/${jobId}/events${cancelOnDisconnect ? '?cancelOnDisconnect=1' : ''}`);
+
+    source.addEventListener('progress', (e) => onProgress(JSON.parse(e.data)));
+    source.addEventListener('heartbeat', (e) => onProgress({ type: 'heartbeat', ...JSON.parse(e.data) }));
+    source.addEventListener('job', (e) => {
+      const job = JSON.parse(e.data);
+      if (job.status === 'completed') {
+        source.close();
+        resolve(job);
+      } else if (job.status === 'failed' || job.status === 'cancelled') {
+        source.close();
+        reject(toApiError(job.error, `${job.type === 'scene' ? 'Scene' : 'Video'} generation failed`));
+      }
+    });
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) {
+        reject(toApiError({ code: 'NOT_FOUND', message: 'Could not follow the job — it may no longer exist on the server' }));
+      }
+    };
+  });
+}
@@ -0,0 +1,17 @@
+const ASSET_URL_PREFIX = '/api/assets/';
+
+/**
+ * Link that downloads an asset under its real filename. Archived assets
+ * (`/api/assets/:id`) are served as attachments on request; upstream URLs
+ * are left untouched so their signatures stay valid.
+ */
+export function downloadUrl(url) {
+  return url.startsWith(ASSET_URL_PREFIX) ? `${url}?download=1` : url;
+}
+
+/**
+ * Absolute form of an asset URL, for sharing outside the app.
+ */
+export function absoluteUrl(url) {
+  return new URL(url, window.location.href).href;
+}
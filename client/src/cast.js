@@ -0,0 +1,54 @@
+/**
+ * Helpers for the people in a scene, shared by App and CastEditor. Mirrors
+ * the server's cast rules: 2–4 people, person N is speaker A, B, C...
+ */
+
+export const MIN_PEOPLE = 2;
+export const MAX_PEOPLE = 4;
+
+export const POSITIONS = ['left', 'center', 'right'];
+export const DEPTHS = ['foreground', 'background'];
+
+// Same defaults the server uses, by cast size
+const DEFAULT_PLACEMENTS = {
+  2: [['left', 'foreground'], ['right', 'foreground']],
+  3: [['left', 'foreground'], ['center', 'foreground'], ['right', 'foreground']],
+  4: [['left', 'foreground'], ['center', 'foreground'], ['right', 'foreground'], ['center', 'background']],
+};
+
+export function speakerId(index) {
+  return String.fromCharCode(65 + index);
+}
+
+export function createPerson() {
+  return { id: crypto.randomUUID(), name: '', position: 'left', depth: 'foreground', portrait: null, character: null };
+}
+
+/**
+ * Resize the cast, moving everyone to the default placements for the new size.
+ */
+export function resizeCast(people, count) {
+  const next = people.slice(0, count);
+  while (next.length < count) next.push(createPerson());
+  return next.map((person, i) => {
+    const [position, depth] = DEFAULT_PLACEMENTS[count][i];
+    return { ...person, position, depth };
+  });
+}
+
+export function displayName(person, index) {
+  return person.name.trim() || `Person ${speakerId(index)}`;
+}
+
+/**
+ * Strip editor-only fields, giving the `people`/`cast` list the API expects.
+ * People picked from the character library are sent by `characterId`.
+ */
+export function toCast(people) {
+  return people.map((person, i) => ({
+    name: displayName(person, i),
+    position: person.position,
+    depth: person.depth,
+    ...(person.character && { characterId: person.character.id }),
+  }));
+}
@@ -0,0 +1,160 @@
+import { useState, useEffect, useCallback } from 'react';
+import { toApiError } from '../errors';
+import { API_BASE, apiRequest } from '../api';
+
+const POLL_INTERVAL_MS = 3000;
+
+const ROW_STATUS_LABELS = {
+    pending: '⏳ Waiting',
+    'generating-scene': '🎨 Scene',
+    'generating-video': '🎬 Video',
+    completed: '✅ Done',
+    failed: '❌ Failed',
+    cancelled: '✖ Cancelled',
+};
+
+const MANIFEST_EXAMPLE = `portraits,names,scenario,videoPrompt,duration
+alice.jpg|bob.jpg,Alice|Bob,Two friends in a coffee shop,They catch up on the week,8`;
+
+function BatchCard({ batch }) {
+    const { counts } = batch;
+    return (
+        <li className="batch-card">
+            <div className="batch-card__meta">
+                <span>{batch.status === 'running' ? '⏳ Running' : '✅ Finished'}</span>
+                <span>{new Date(batch.createdAt).toLocaleString()}</span>
+                <span>{counts.completed}/{batch.rows.length} done{counts.failed > 0 && ` · ${counts.failed} failed`}</span>
+            </div>
+            <ol className="batch-card__rows">
+                {batch.rows.map((row, i) => (
+                    <li key={i} className="batch-row">
+                        <span className="batch-row__status">{ROW_STATUS_LABELS[row.status] || row.status}</span>
+                        <span className="batch-row__scenario" title={row.error?.message || row.videoPrompt}>{row.scenario}</span>
+                        {row.videoUrl && <a href={row.videoUrl} target="_blank" rel="noreferrer">Video</a>}
+                        {row.creditsUsed > 0 && <span>{row.creditsUsed.toLocaleString()} cr</span>}
+                    </li>
+                ))}
+            </ol>
+            <a className="gallery-btn" href={`${API_BASE}/batches/${batch.id}/summary`} download>
+                ⬇️ Summary CSV
+            </a>
+        </li>
+    );
+}
+
+/**
+ * Start batch generations from a CSV or JSON manifest plus the portraits it
+ * names, and follow the per-row status of the caller's batches.
+ */
+export default function BatchPanel({ onCreditsChange }) {
+    const [manifest, setManifest] = useState(null);
+    const [portraits, setPortraits] = useState([]);
+    const [concurrency, setConcurrency] = useState(2);
+    const [batches, setBatches] = useState([]);
+    const [warnings, setWarnings] = useState([]);
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const loadBatches = useCallback(async () => {
+        try {
+            const data = await apiRequest('/batches');
+            setBatches(data.batches);
+        } catch (err) {
+            setError(toApiError(err));
+        }
+    }, []);
+
+    useEffect(() => {
+        loadBatches();
+    }, [loadBatches]);
+
+    // Keep polling while a batch is still running; credits move with every finished row
+    const running = batches.some(batch => batch.status === 'running');
+    useEffect(() => {
+        if (!running) return;
+        const timer = setInterval(() => {
+            loadBatches();
+            onCreditsChange();
+        }, POLL_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [running, loadBatches, onCreditsChange]);
+
+    const handleSubmit = async () => {
+        setSubmitting(true);
+        setError(null);
+        try {
+            const formData = new FormData();
+            formData.append('manifest', manifest);
+            portraits.forEach(file => formData.append('portraits', file));
+            formData.append('concurrency', concurrency);
+
+            const started = await apiRequest('/batches', { method: 'POST', body: formData }, 'Could not start the batch');
+            setWarnings(started.warnings || []);
+            setManifest(null);
+            setPortraits([]);
+            await loadBatches();
+        } catch (err) {
+            setError(toApiError(err));
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <section className="card batch-panel">
+            <div className="card__header">
+                <div className="card__step">⇶</div>
+                <div>
+                    <div className="card__title">Batch Generation</div>
+                    <div className="card__description">
+                        One scene and video per manifest row. Portraits are matched by file name, or given as URLs
+                    </div>
+                </div>
+            </div>
+
+            <label className="prompt-label" htmlFor="batch-manifest">Manifest (CSV or JSON)</label>
+            <input
+                id="batch-manifest"
+                type="file"
+                accept=".csv,.json,text/csv,application/json"
+                onChange={(e) => setManifest(e.target.files[0] || null)}
+            />
+            <pre className="batch-panel__example">{MANIFEST_EXAMPLE}</pre>
+
+            <label className="prompt-label" htmlFor="batch-portraits">Portraits ({portraits.length} selected)</label>
+            <input
+                id="batch-portraits"
+                type="file"
+                accept="image/*"
+                multiple
+                onChange={(e) => setPortraits([...e.target.files])}
+            />
+
+            <div className="prompt-label">Rows at a time</div>
+            <div className="duration-select">
+                {[1, 2, 3, 4].map((n) => (
+                    <button
+                        key={n}
+                        className={`duration-option ${concurrency === n ? 'active' : ''}`}
+                        onClick={() => setConcurrency(n)}
+                    >
+                        {n}
+                    </button>
+                ))}
+            </div>
+
+            <button className="generate-btn" disabled={!manifest || submitting} onClick={handleSubmit}>
+                {submitting ? 'Starting...' : '📋 Start Batch'}
+            </button>
+
+            {warnings.map(warning => (
+                <div key={warning} className="credit-warning">💰 {warning}</div>
+            ))}
+            {error && <div className="error-banner">⚠️ {error.message}</div>}
+
+            <ul className="batch-panel__list">
+                {batches.map(batch => <BatchCard key={batch.id} batch={batch} />)}
+            </ul>
+        </section>
+    );
+}
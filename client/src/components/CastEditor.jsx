@@ -0,0 +1,98 @@
+import ImageUpload from './ImageUpload';
+import { checkPortrait } from '../api';
+import { PORTRAIT_ASPECT } from '../imageEdit';
+import { MIN_PEOPLE, MAX_PEOPLE, POSITIONS, DEPTHS, speakerId, displayName, resizeCast } from '../cast';
+
+/**
+ * The 2–4 people in the scene: a portrait (when composing from portraits),
+ * uploaded or from a `characters` library pick, a display name and where they stand. Changing the number of people resets
+ * everyone to the default placements for that size.
+ */
+export default function CastEditor({ people, onChange, withPortraits, characters = [], disabled }) {
+    const updatePerson = (id, changes) => {
+        onChange(people.map(person => person.id === id ? { ...person, ...changes } : person));
+    };
+
+    // A library character brings its own portrait, and its name unless the person already has one
+    const pickCharacter = (person, characterId) => {
+        const character = characters.find(c => c.id === characterId) || null;
+        updatePerson(person.id, { character, name: person.name.trim() || !character ? person.name : character.name });
+    };
+
+    return (
+        <div className="cast-editor">
+            <div className="duration-select">
+                {Array.from({ length: MAX_PEOPLE - MIN_PEOPLE + 1 }, (_, i) => MIN_PEOPLE + i).map((count) => (
+                    <button
+                        key={count}
+                        className={`duration-option ${people.length === count ? 'active' : ''}`}
+                        disabled={disabled}
+                        onClick={() => onChange(resizeCast(people, count))}
+                    >
+                        {count} people
+                    </button>
+                ))}
+            </div>
+
+            <div className={`upload-grid ${people.length > 2 ? 'upload-grid--crowd' : ''}`}>
+                {people.map((person, i) => (
+                    <div key={person.id} className={`cast-person cast-person--${speakerId(i)}`}>
+                        {withPortraits && (person.character ? (
+                            <div className="upload-zone has-image">
+                                <img src={person.character.portraitUrl} alt={person.character.name} className="upload-zone__preview" />
+                                <button className="upload-zone__remove" disabled={disabled} onClick={() => updatePerson(person.id, { character: null })}>
+                                    ×
+                                </button>
+                            </div>
+                        ) : (
+                            <ImageUpload
+                                label={displayName(person, i)}
+                                sublabel={`${person.position}, ${person.depth}`}
+                                image={person.portrait}
+                                onImageChange={(portrait) => updatePerson(person.id, { portrait })}
+                                validate={checkPortrait}
+                                aspect={PORTRAIT_ASPECT}
+                            />
+                        ))}
+                        {characters.length > 0 && (
+                            <select
+                                className="cast-person__character"
+                                value={person.character?.id || ''}
+                                disabled={disabled}
+                                onChange={(e) => pickCharacter(person, e.target.value)}
+                            >
+                                <option value="">📚 From the library...</option>
+                                {characters.map(character => <option key={character.id} value={character.id}>{character.name}</option>)}
+                            </select>
+                        )}
+                        <input
+                            className="cast-person__name"
+                            type="text"
+                            placeholder={`Person ${speakerId(i)}`}
+                            maxLength={40}
+                            value={person.name}
+                            disabled={disabled}
+                            onChange={(e) => updatePerson(person.id, { name: e.target.value })}
+                        />
+                        <div className="cast-person__placement">
+                            <select
+                                value={person.position}
+                                disabled={disabled}
+                                onChange={(e) => updatePerson(person.id, { position: e.target.value })}
+                            >
+                                {POSITIONS.map(position => <option key={position} value={position}>{position}</option>)}
+                            </select>
+                            <select
+                                value={person.depth}
+                                disabled={disabled}
+                                onChange={(e) => updatePerson(person.id, { depth: e.target.value })}
+                            >
+                                {DEPTHS.map(depth => <option key={depth} value={depth}>{depth}</option>)}
+                            </select>
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,202 @@
+import { useState } from 'react';
+import ImageUpload from './ImageUpload';
+import { toApiError } from '../errors';
+import { apiRequest, checkPortrait } from '../api';
+import { PORTRAIT_ASPECT } from '../imageEdit';
+
+const EMPTY_FORM = { name: '', description: '', tags: '', portrait: null };
+
+function CharacterCard({ character, onEdit, onDelete }) {
+    return (
+        <li className="gallery-item">
+            <div className="gallery-item__media character-card__media">
+                <img src={character.portraitUrl} alt={character.name} loading="lazy" />
+            </div>
+            <div className="gallery-item__body">
+                <strong>{character.name}</strong>
+                {character.description && (
+                    <div className="gallery-item__scenario" title={character.description}>{character.description}</div>
+                )}
+                {character.tags.length > 0 && (
+                    <div className="gallery-item__meta">{character.tags.map(tag => `#${tag}`).join(' ')}</div>
+                )}
+                <div className="gallery-item__actions">
+                    <button className="gallery-btn" onClick={() => onEdit(character)}>✏️ Edit</button>
+                    <button className="gallery-btn gallery-btn--danger" onClick={() => onDelete(character)}>🗑️ Delete</button>
+                </div>
+            </div>
+        </li>
+    );
+}
+
+/**
+ * The character library: saved people with a portrait, a description the
+ * server adds to the scene and video prompts (voice, style, wardrobe...) and
+ * tags. `characters` is the list App loaded; `onChange` reloads it after edits.
+ */
+export default function CharacterLibrary({ characters, onChange }) {
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [editingId, setEditingId] = useState(null);
+    const [query, setQuery] = useState('');
+    const [tag, setTag] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const tags = [...new Set(characters.flatMap(character => character.tags))].sort();
+    const needle = query.trim().toLowerCase();
+    const shown = characters
+        .filter(character => !tag || character.tags.includes(tag))
+        .filter(character => !needle || `${character.name}\n${character.description}`.toLowerCase().includes(needle));
+
+    const update = (changes) => setForm(current => ({ ...current, ...changes }));
+
+    const resetForm = () => {
+        setForm(EMPTY_FORM);
+        setEditingId(null);
+    };
+
+    const handleEdit = (character) => {
+        setEditingId(character.id);
+        setForm({
+            name: character.name,
+            description: character.description,
+            tags: character.tags.join(', '),
+            portrait: { preview: character.portraitUrl, file: null },
+        });
+        setError(null);
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+        setError(null);
+        try {
+            const formData = new FormData();
+            formData.append('name', form.name);
+            formData.append('description', form.description);
+            formData.append('tags', form.tags);
+            // When editing, the stored portrait stays unless a new one was picked
+            if (form.portrait?.file) formData.append('portrait', form.portrait.file);
+
+            await apiRequest(
+                editingId ? `/characters/${editingId}` : '/characters',
+                { method: editingId ? 'PUT' : 'POST', body: formData },
+                'Could not save the character'
+            );
+            resetForm();
+            onChange();
+        } catch (err) {
+            setError(toApiError(err));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (character) => {
+        if (!window.confirm(`Delete ${character.name} from the library?`)) return;
+        try {
+            await apiRequest(`/characters/${character.id}`, { method: 'DELETE' });
+            if (editingId === character.id) resetForm();
+            onChange();
+        } catch (err) {
+            setError(toApiError(err));
+        }
+    };
+
+    return (
+        <section className="card character-library">
+            <div className="card__header">
+                <div className="card__step">🧑</div>
+                <div>
+                    <div className="card__title">{editingId ? `Edit ${form.name || 'Character'}` : 'New Character'}</div>
+                    <div className="card__description">
+                        Save the people you cast again and again, then pick them in step 1 instead of uploading
+                    </div>
+                </div>
+            </div>
+
+            <div className="character-library__form">
+                <ImageUpload
+                    label="Portrait"
+                    sublabel="One person, facing the camera"
+                    image={form.portrait}
+                    onImageChange={(portrait) => update({ portrait })}
+                    validate={checkPortrait}
+                    aspect={PORTRAIT_ASPECT}
+                />
+                <div className="character-library__fields">
+                    <label className="prompt-label" htmlFor="character-name">Name</label>
+                    <input
+                        id="character-name"
+                        className="gallery__search"
+                        type="text"
+                        maxLength={40}
+                        value={form.name}
+                        onChange={(e) => update({ name: e.target.value })}
+                    />
+                    <label className="prompt-label" htmlFor="character-description">Description</label>
+                    <textarea
+                        id="character-description"
+                        className="scenario-input"
+                        placeholder="Voice, style, wardrobe... e.g. Warm alto voice, dry humour, navy blazer"
+                        maxLength={500}
+                        value={form.description}
+                        onChange={(e) => update({ description: e.target.value })}
+                    />
+                    <label className="prompt-label" htmlFor="character-tags">Tags</label>
+                    <input
+                        id="character-tags"
+                        className="gallery__search"
+                        type="text"
+                        placeholder="host, podcast"
+                        value={form.tags}
+                        onChange={(e) => update({ tags: e.target.value })}
+                    />
+                    <div className="image-editor__row">
+                        {editingId && <button className="gallery-btn" onClick={resetForm}>Cancel</button>}
+                        <button
+                            className="generate-btn"
+                            disabled={saving || !form.name.trim() || !form.portrait}
+                            onClick={handleSave}
+                        >
+                            {saving ? 'Saving...' : editingId ? '💾 Save Changes' : '➕ Add to Library'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+
+            {error && <div className="error-banner">⚠️ {error.message}</div>}
+
+            <div className="gallery__filters">
+                <input
+                    className="gallery__search"
+                    type="search"
+                    placeholder="Search names and descriptions..."
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                />
+                {tags.length > 0 && (
+                    <div className="duration-select">
+                        {['', ...tags].map((value) => (
+                            <button
+                                key={value}
+                                className={`duration-option ${tag === value ? 'active' : ''}`}
+                                onClick={() => setTag(value)}
+                            >
+                                {value ? `#${value}` : 'All'}
+                            </button>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {!shown.length && (
+                <div className="gallery__empty">{characters.length ? 'No character matches.' : 'No characters yet.'}</div>
+            )}
+            <ul className="gallery__grid">
+                {shown.map(character => (
+                    <CharacterCard key={character.id} character={character} onEdit={handleEdit} onDelete={handleDelete} />
+                ))}
+            </ul>
+        </section>
+    );
+}
@@ -0,0 +1,44 @@
+/**
+ * Remaining credits with a bar, and a small chart of the credits spent per day
+ * (from the credit ledger) with the models they went to.
+ */
+export default function CreditsWidget({ credits }) {
+    const days = credits.usage?.byDay || [];
+    const peak = Math.max(...days.map(day => day.creditsUsed), 1);
+    const models = credits.usage?.byModel || [];
+
+    return (
+        <div className="credits-widget">
+            <div className="credits-widget__label">Credits Remaining</div>
+            <div className="credits-widget__value">
+                {(credits.creditsRemaining).toLocaleString()}
+                <span className="credits-widget__total"> / {(credits.startingCredits).toLocaleString()}</span>
+            </div>
+            <div className="credits-widget__bar">
+                <div
+                    className="credits-widget__bar-fill"
+                    style={{ width: `${(credits.creditsRemaining / credits.startingCredits) * 100}%` }}
+                />
+            </div>
+            {days.length > 0 && (
+                <div className="credits-widget__chart" aria-label={`Credits used over the last ${days.length} days`}>
+                    {days.map(day => (
+                        <div
+                            key={day.date}
+                            className="credits-widget__chart-bar"
+                            style={{ height: `${Math.max((day.creditsUsed / peak) * 100, 4)}%` }}
+                            title={`${day.date}: ${day.creditsUsed.toLocaleString()} credits`}
+                        />
+                    ))}
+                </div>
+            )}
+            {models.length > 0 && (
+                <div className="credits-widget__models">
+                    {models.map(({ model, creditsUsed }) => (
+                        <span key={model || 'carried-over'}>{model || 'carried over'} · {creditsUsed.toLocaleString()}</span>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
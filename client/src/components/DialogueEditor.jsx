@@ -0,0 +1,132 @@
+import { useState, useEffect } from 'react';
+import { apiRequest } from '../api';
+import { createTurn, toScript } from '../dialogue';
+import { speakerId } from '../cast';
+
+const PREVIEW_DEBOUNCE_MS = 400;
+
+/**
+ * Ordered list of dialogue turns, each tagged with one of the people in the
+ * `cast` and carrying optional emotion and gesture notes. Shows the Veo prompt the server builds
+ * from it and whether the speaking time fits the selected duration. In
+ * `conversation` mode it shows the clips the script will be split into instead.
+ */
+export default function DialogueEditor({ turns, onChange, cast, duration, direction, conversation }) {
+    const [preview, setPreview] = useState(null);
+    const script = toScript(turns);
+    // Serialized, so the preview is only fetched again when one of its inputs really changes
+    const previewBody = script.length
+        ? JSON.stringify({ dialogue: script, cast, duration, videoPrompt: direction, conversation })
+        : null;
+    const speakers = cast.map((person, i) => ({ value: speakerId(i), label: person.name }));
+
+    useEffect(() => {
+        if (!previewBody) return;
+
+        const timer = setTimeout(() => {
+            apiRequest('/dialogue/preview', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: previewBody,
+            })
+                .then(setPreview)
+                .catch((err) => setPreview({ error: err.message }));
+        }, PREVIEW_DEBOUNCE_MS);
+        return () => clearTimeout(timer);
+    }, [previewBody]);
+
+    const updateTurn = (id, changes) => {
+        onChange(turns.map(turn => turn.id === id ? { ...turn, ...changes } : turn));
+    };
+
+    const moveTurn = (index, offset) => {
+        const next = [...turns];
+        const [turn] = next.splice(index, 1);
+        next.splice(index + offset, 0, turn);
+        onChange(next);
+    };
+
+    const addTurn = () => {
+        // Hand the next line to the next person round the circle
+        const last = speakers.findIndex(speaker => speaker.value === turns.at(-1)?.speaker);
+        onChange([...turns, createTurn(speakers[(last + 1) % speakers.length].value)]);
+    };
+
+    return (
+        <div className="dialogue-editor">
+            <ol className="dialogue-editor__turns">
+                {turns.map((turn, i) => (
+                    <li key={turn.id} className={`dialogue-turn dialogue-turn--${turn.speaker}`}>
+                        <div className="dialogue-turn__main">
+                            <select
+                                className="dialogue-turn__speaker"
+                                value={turn.speaker}
+                                onChange={(e) => updateTurn(turn.id, { speaker: e.target.value })}
+                            >
+                                {speakers.map(opt => (
+                                    <option key={opt.value} value={opt.value}>{opt.label}</option>
+                                ))}
+                            </select>
+                            <input
+                                className="dialogue-turn__line"
+                                placeholder="What they say..."
+                                value={turn.line}
+                                onChange={(e) => updateTurn(turn.id, { line: e.target.value })}
+                            />
+                        </div>
+                        <div className="dialogue-turn__notes">
+                            <input
+                                placeholder="Emotion (optional)"
+                                value={turn.emotion}
+                                onChange={(e) => updateTurn(turn.id, { emotion: e.target.value })}
+                            />
+                            <input
+                                placeholder="Gesture (optional)"
+                                value={turn.gesture}
+                                onChange={(e) => updateTurn(turn.id, { gesture: e.target.value })}
+                            />
+                            <div className="dialogue-turn__actions">
+                                <button disabled={i === 0} onClick={() => moveTurn(i, -1)} title="Move up">↑</button>
+                                <button disabled={i === turns.length - 1} onClick={() => moveTurn(i, 1)} title="Move down">↓</button>
+                                <button onClick={() => onChange(turns.filter(t => t.id !== turn.id))} title="Remove line">×</button>
+                            </div>
+                        </div>
+                    </li>
+                ))}
+            </ol>
+
+            <button className="gallery-btn" onClick={addTurn}>+ Add line</button>
+
+            {script.length > 0 && preview && (
+                <div className="dialogue-editor__preview">
+                    {preview.error ? (
+                        <div className="dialogue-editor__timing dialogue-editor__timing--over">⚠️ {preview.error}</div>
+                    ) : preview.segments ? (
+                        <>
+                            <div className="dialogue-editor__timing">
+                                🎞️ {preview.segments.length} {preview.segments.length === 1 ? 'clip' : 'clips'}, {preview.duration}s in total — each clip starts from the last frame of the one before
+                            </div>
+                            {preview.segments.map((segment, i) => (
+                                <details key={i}>
+                                    <summary>Clip {i + 1}: {segment.turns} {segment.turns === 1 ? 'line' : 'lines'}, {segment.duration}s</summary>
+                                    <pre>{segment.prompt}</pre>
+                                </details>
+                            ))}
+                        </>
+                    ) : (
+                        <>
+                            <div className={`dialogue-editor__timing ${preview.fits ? '' : 'dialogue-editor__timing--over'}`}>
+                                {preview.fits ? '✅' : '⚠️'} About {preview.estimatedSeconds}s of speech for a {preview.duration}s video
+                                {!preview.fits && ' — shorten the lines or pick a longer duration'}
+                            </div>
+                            <details>
+                                <summary>Veo prompt</summary>
+                                <pre>{preview.prompt}</pre>
+                            </details>
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
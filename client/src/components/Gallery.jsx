@@ -0,0 +1,181 @@
+import { useState, useEffect, useCallback } from 'react';
+import { toApiError } from '../errors';
+import { apiRequest } from '../api';
+import { downloadUrl } from '../assets';
+
+const PAGE_SIZE = 12;
+
+const STATUS_FILTERS = [
+    { value: '', label: 'All' },
+    { value: 'completed', label: 'Completed' },
+    { value: 'scene-ready', label: 'Scene only' },
+    { value: 'failed', label: 'Failed' },
+    { value: 'cancelled', label: 'Cancelled' },
+    { value: 'pending', label: 'In progress' },
+];
+
+const STATUS_LABELS = {
+    pending: '⏳ In progress',
+    'scene-ready': '🖼️ Scene only',
+    completed: '✅ Completed',
+    failed: '❌ Failed',
+    cancelled: '✖ Cancelled',
+};
+
+function GalleryItem({ run, onDelete, onRerun }) {
+    const [playing, setPlaying] = useState(false);
+    const canRerun = onRerun && run.sceneImageUrl && run.videoPrompt && run.status !== 'pending';
+
+    return (
+        <li className="gallery-item">
+            <div className="gallery-item__media">
+                {playing && run.videoUrl ? (
+                    <video src={run.videoUrl} controls autoPlay playsInline />
+                ) : run.sceneImageUrl ? (
+                    <img src={run.sceneImageUrl} alt="Generated scene" />
+                ) : (
+                    <div className="gallery-item__placeholder">No scene</div>
+                )}
+            </div>
+            <div className="gallery-item__body">
+                <div className="gallery-item__meta">
+                    <span>{STATUS_LABELS[run.status] || run.status}</span>
+                    <span>{new Date(run.createdAt).toLocaleString()}</span>
+                </div>
+                <div className="gallery-item__scenario" title={run.scenario || ''}>
+                    {run.scenario || run.videoPrompt || 'Untitled run'}
+                </div>
+                <div className="gallery-item__meta">
+                    {run.duration && <span>{run.duration}s</span>}
+                    <span>{(run.creditsUsed || 0).toLocaleString()} credits</span>
+                    {run.dialogue && <span>💬 {run.dialogue.length} lines</span>}
+                    {run.segments && <span>🎞️ {run.segments.length} clips</span>}
+                    {run.rerunOf && <span>🔁 Re-run</span>}
+                </div>
+                <div className="gallery-item__actions">
+                    {run.videoUrl && (
+                        <button className="gallery-btn" onClick={() => setPlaying(p => !p)}>
+                            {playing ? '⏹ Stop' : '▶ Replay'}
+                        </button>
+                    )}
+                    {run.videoUrl && (
+                        <a
+                            className="gallery-btn"
+                            href={downloadUrl(run.videoUrl)}
+                            download
+                            target="_blank"
+                            rel="noopener noreferrer"
+                        >
+                            ⬇ Download
+                        </a>
+                    )}
+                    {canRerun && (
+                        <button className="gallery-btn" onClick={() => onRerun(run)}>
+                            🔁 Re-run
+                        </button>
+                    )}
+                    <button className="gallery-btn gallery-btn--danger" onClick={() => onDelete(run)}>
+                        🗑 Delete
+                    </button>
+                </div>
+            </div>
+        </li>
+    );
+}
+
+/**
+ * Browse past runs from GET /api/history: replay, download, delete, or
+ * re-run the video step of any of them. Re-run is hidden while `onRerun` is null.
+ */
+export default function Gallery({ onRerun }) {
+    const [runs, setRuns] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [status, setStatus] = useState('');
+    const [query, setQuery] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const loadPage = useCallback(async (offset) => {
+        setLoading(true);
+        setError(null);
+        try {
+            const params = new URLSearchParams({ limit: PAGE_SIZE, offset });
+            if (status) params.set('status', status);
+            if (query.trim()) params.set('q', query.trim());
+
+            const page = await apiRequest(`/history?${params}`);
+            setRuns(existing => offset === 0 ? page.items : [...existing, ...page.items]);
+            setTotal(page.total);
+        } catch (err) {
+            setError(toApiError(err));
+        } finally {
+            setLoading(false);
+        }
+    }, [status, query]);
+
+    useEffect(() => {
+        loadPage(0);
+    }, [loadPage]);
+
+    const handleDelete = async (run) => {
+        if (!window.confirm('Delete this run from the history?')) return;
+        try {
+            await apiRequest(`/history/${run.id}`, { method: 'DELETE' });
+            setRuns(existing => existing.filter(r => r.id !== run.id));
+            setTotal(t => t - 1);
+        } catch (err) {
+            setError(toApiError(err));
+        }
+    };
+
+    const handleRerun = onRerun && (async (run) => {
+        try {
+            await onRerun(run);
+        } catch (err) {
+            setError(toApiError(err));
+        }
+    });
+
+    return (
+        <section className="card gallery">
+            <div className="gallery__filters">
+                <input
+                    className="gallery__search"
+                    type="search"
+                    placeholder="Search scenarios and prompts..."
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                />
+                <div className="duration-select">
+                    {STATUS_FILTERS.map((filter) => (
+                        <button
+                            key={filter.value}
+                            className={`duration-option ${status === filter.value ? 'active' : ''}`}
+                            onClick={() => setStatus(filter.value)}
+                        >
+                            {filter.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {error && <div className="error-banner">⚠️ {error.message}</div>}
+
+            {!loading && !runs.length && !error && (
+                <div className="gallery__empty">No generations yet.</div>
+            )}
+
+            <ul className="gallery__grid">
+                {runs.map((run) => (
+                    <GalleryItem key={run.id} run={run} onDelete={handleDelete} onRerun={handleRerun} />
+                ))}
+            </ul>
+
+            {runs.length < total && (
+                <button className="gallery-btn gallery__more" disabled={loading} onClick={() => loadPage(runs.length)}>
+                    {loading ? 'Loading...' : `Load more (${total - runs.length} left)`}
+                </button>
+            )}
+        </section>
+    );
+}
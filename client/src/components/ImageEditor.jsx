@@ -0,0 +1,139 @@
+import { useState, useEffect, useRef } from 'react';
+import { ASPECTS, ZOOM_RANGE, ADJUST_RANGE, defaultEdits, rotatedSize, cropRect, drawEdited, loadImage, exportEdited } from '../imageEdit';
+
+const PREVIEW_WIDTH = 480;
+
+function Slider({ label, value, min, max, step = 1, onChange }) {
+    return (
+        <label className="image-editor__slider">
+            <span>{label}</span>
+            <input type="range" min={min} max={max} step={step} value={value} onChange={(e) => onChange(Number(e.target.value))} />
+        </label>
+    );
+}
+
+/**
+ * Crop, rotate, zoom and brightness/contrast for one image. Works on the
+ * original `file` and hands back the edited copy as a new JPEG File along with
+ * the edits, so reopening the editor picks up where the user left off.
+ * Drag the preview to move the crop.
+ */
+export default function ImageEditor({ file, initialEdits, onApply, onCancel }) {
+    const [image, setImage] = useState(null);
+    const [edits, setEdits] = useState(initialEdits);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const canvasRef = useRef(null);
+    const dragRef = useRef(null);
+
+    useEffect(() => {
+        let active = true;
+        loadImage(file)
+            .then(loaded => active && setImage(loaded))
+            .catch(err => active && setError(err.message));
+        return () => {
+            active = false;
+        };
+    }, [file]);
+
+    useEffect(() => {
+        if (image) drawEdited(canvasRef.current, image, edits, PREVIEW_WIDTH);
+    }, [image, edits]);
+
+    useEffect(() => {
+        const handleKey = (e) => {
+            if (e.key === 'Escape') onCancel();
+        };
+        window.addEventListener('keydown', handleKey);
+        return () => window.removeEventListener('keydown', handleKey);
+    }, [onCancel]);
+
+    const update = (changes) => setEdits(current => ({ ...current, ...changes }));
+
+    const rotate = (degrees) => update({ rotation: (edits.rotation + degrees + 360) % 360, panX: 0, panY: 0 });
+
+    const handlePointerDown = (e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        dragRef.current = { x: e.clientX, y: e.clientY };
+    };
+
+    const handlePointerMove = (e) => {
+        if (!dragRef.current || !image) return;
+        const crop = cropRect(image.naturalWidth, image.naturalHeight, edits);
+        const rotated = rotatedSize(image.naturalWidth, image.naturalHeight, edits.rotation);
+        // Dragging across the whole preview moves the crop by its own width
+        const perPixel = crop.width / canvasRef.current.clientWidth;
+        const pan = (value, delta, slack) => (slack > 0 ? Math.max(-1, Math.min(1, value - (delta * perPixel) / (slack / 2))) : 0);
+
+        update({
+            panX: pan(edits.panX, e.clientX - dragRef.current.x, rotated.width - crop.width),
+            panY: pan(edits.panY, e.clientY - dragRef.current.y, rotated.height - crop.height),
+        });
+        dragRef.current = { x: e.clientX, y: e.clientY };
+    };
+
+    const handlePointerUp = () => {
+        dragRef.current = null;
+    };
+
+    const handleApply = async () => {
+        setSaving(true);
+        try {
+            onApply(await exportEdited(file, edits), edits);
+        } catch (err) {
+            setError(err.message);
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="image-editor-backdrop" onClick={onCancel}>
+            <div className="image-editor" role="dialog" aria-label="Edit image" onClick={(e) => e.stopPropagation()}>
+                <div className="image-editor__stage">
+                    {image ? (
+                        <canvas
+                            ref={canvasRef}
+                            className="image-editor__canvas"
+                            onPointerDown={handlePointerDown}
+                            onPointerMove={handlePointerMove}
+                            onPointerUp={handlePointerUp}
+                            onPointerCancel={handlePointerUp}
+                        />
+                    ) : (
+                        <div className="upload-zone__hint">{error || 'Loading...'}</div>
+                    )}
+                </div>
+
+                <div className="image-editor__controls">
+                    <div className="duration-select">
+                        {ASPECTS.map(({ label, value }) => (
+                            <button
+                                key={label}
+                                className={`duration-option ${edits.aspect === value ? 'active' : ''}`}
+                                onClick={() => update({ aspect: value, zoom: 1, panX: 0, panY: 0 })}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                    <div className="image-editor__row">
+                        <button className="gallery-btn" onClick={() => rotate(-90)}>↺ Rotate left</button>
+                        <button className="gallery-btn" onClick={() => rotate(90)}>↻ Rotate right</button>
+                    </div>
+                    <Slider label="Zoom" value={edits.zoom} min={ZOOM_RANGE[0]} max={ZOOM_RANGE[1]} step={0.05} onChange={(zoom) => update({ zoom })} />
+                    <Slider label="Brightness" value={edits.brightness} min={ADJUST_RANGE[0]} max={ADJUST_RANGE[1]} onChange={(brightness) => update({ brightness })} />
+                    <Slider label="Contrast" value={edits.contrast} min={ADJUST_RANGE[0]} max={ADJUST_RANGE[1]} onChange={(contrast) => update({ contrast })} />
+
+                    {error && image && <div className="upload-zone__error">⚠️ {error}</div>}
+                    <div className="image-editor__row">
+                        <button className="gallery-btn" onClick={onCancel}>Cancel</button>
+                        <button className="gallery-btn" onClick={() => setEdits(defaultEdits(edits.aspect))}>Reset</button>
+                        <button className="generate-btn image-editor__apply" disabled={!image || saving} onClick={handleApply}>
+                            {saving ? 'Saving...' : '✅ Apply'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -1,21 +1,55 @@
 import { useState, useRef, useCallback } from 'react';
+import { createPortal } from 'react-dom';
+import ImageEditor from './ImageEditor';
+import WebcamCapture from './WebcamCapture';
+import { defaultEdits, imageFromPaste } from '../imageEdit';
 
-export default function ImageUpload({ label, sublabel, image, onImageChange }) {
+/**
+ * Image input: drag & drop, click to pick, paste (focus the zone, then Ctrl+V)
+ * or take a photo with the camera. A picked image can be cropped, rotated and
+ * adjusted in the editor (starting at `aspect`); the edited copy becomes
+ * `image.file`, while `image.source` and `image.edits` keep the original and the
+ * edits so the editor can reopen on them.
+ * With `validate` (file => Promise<{ preview }>), each new file is checked first:
+ * the image is only set once the check passes, and shows the preview it returned;
+ * a rejection is shown in the zone instead.
+ */
+export default function ImageUpload({ label, sublabel, image, onImageChange, validate, aspect = null }) {
     const [dragging, setDragging] = useState(false);
+    const [checking, setChecking] = useState(false);
+    const [error, setError] = useState(null);
+    const [dialog, setDialog] = useState(null); // 'edit' | 'camera'
     const inputRef = useRef(null);
 
-    const handleFile = useCallback((file) => {
-        if (file && file.type.startsWith('image/')) {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                onImageChange({
-                    file,
-                    preview: e.target.result,
-                });
-            };
-            reader.readAsDataURL(file);
+    const handleFile = useCallback(async (file, { source = file, edits = null } = {}) => {
+        if (!file || !file.type.startsWith('image/')) return;
+        setError(null);
+
+        if (validate) {
+            setChecking(true);
+            try {
+                const { preview } = await validate(file);
+                onImageChange({ file, preview, source, edits });
+            } catch (err) {
+                setError(err.message);
+                if (inputRef.current) inputRef.current.value = '';
+            } finally {
+                setChecking(false);
+            }
+            return;
         }
-    }, [onImageChange]);
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            onImageChange({
+                file,
+                preview: e.target.result,
+                source,
+                edits,
+            });
+        };
+        reader.readAsDataURL(file);
+    }, [onImageChange, validate]);
 
     const handleDrop = useCallback((e) => {
         e.preventDefault();
@@ -33,7 +67,15 @@ export default function ImageUpload({ label, sublabel, image, onImageChange }) {
         setDragging(false);
     }, []);
 
+    const handlePaste = (e) => {
+        const file = imageFromPaste(e);
+        if (!file) return;
+        e.preventDefault();
+        handleFile(file);
+    };
+
     const handleClick = () => {
+        if (checking) return;
         inputRef.current?.click();
     };
 
@@ -44,50 +86,107 @@ export default function ImageUpload({ label, sublabel, image, onImageChange }) {
 
     const handleRemove = (e) => {
         e.stopPropagation();
+        setError(null);
         onImageChange(null);
         if (inputRef.current) inputRef.current.value = '';
     };
 
+    const openDialog = (name) => (e) => {
+        e.stopPropagation();
+        setDialog(name);
+    };
+
+    const closeDialog = useCallback(() => setDialog(null), []);
+
+    const handleEdited = (file, edits) => {
+        setDialog(null);
+        handleFile(file, { source: image.source || image.file, edits });
+    };
+
+    const handleCaptured = (file) => {
+        setDialog(null);
+        handleFile(file);
+    };
+
     const className = [
         'upload-zone',
         dragging && 'dragging',
         image && 'has-image',
+        checking && 'checking',
+        error && 'has-error',
     ].filter(Boolean).join(' ');
 
     return (
-        <div
-            className={className}
-            onClick={handleClick}
-            onDrop={handleDrop}
-            onDragOver={handleDragOver}
-            onDragLeave={handleDragLeave}
-        >
-            <input
-                ref={inputRef}
-                type="file"
-                accept="image/*"
-                className="upload-zone__input"
-                onChange={handleInputChange}
-            />
-
-            {image ? (
-                <>
-                    <img
-                        src={image.preview}
-                        alt={label}
-                        className="upload-zone__preview"
-                    />
-                    <button className="upload-zone__remove" onClick={handleRemove}>
-                        ×
-                    </button>
-                </>
-            ) : (
-                <>
-                    <div className="upload-zone__icon">📷</div>
-                    <div className="upload-zone__label">{label}</div>
-                    <div className="upload-zone__hint">{sublabel || 'Drag & drop or click to upload'}</div>
-                </>
+        <>
+            <div
+                className={className}
+                tabIndex={0}
+                onClick={handleClick}
+                onDrop={handleDrop}
+                onDragOver={handleDragOver}
+                onDragLeave={handleDragLeave}
+                onPaste={handlePaste}
+            >
+                <input
+                    ref={inputRef}
+                    type="file"
+                    accept="image/*"
+                    className="upload-zone__input"
+                    onChange={handleInputChange}
+                />
+
+                {image ? (
+                    <>
+                        <img
+                            src={image.preview}
+                            alt={label}
+                            className="upload-zone__preview"
+                        />
+                        <button className="upload-zone__remove" onClick={handleRemove}>
+                            ×
+                        </button>
+                        {(image.source || image.file) && (
+                            <div className="upload-zone__actions">
+                                <button className="gallery-btn" disabled={checking} onClick={openDialog('edit')}>
+                                    {checking ? '🔍 Checking...' : '✏️ Edit'}
+                                </button>
+                            </div>
+                        )}
+                        {error && <div className="upload-zone__error">⚠️ {error}</div>}
+                    </>
+                ) : (
+                    <>
+                        <div className="upload-zone__icon">{checking ? '🔍' : '📷'}</div>
+                        <div className="upload-zone__label">{label}</div>
+                        {checking ? (
+                            <div className="upload-zone__hint">Checking the photo...</div>
+                        ) : error ? (
+                            <div className="upload-zone__error">⚠️ {error}</div>
+                        ) : (
+                            <div className="upload-zone__hint">{sublabel || 'Drag & drop, paste or click to upload'}</div>
+                        )}
+                        <div className="upload-zone__actions">
+                            <button className="gallery-btn" disabled={checking} onClick={openDialog('camera')}>
+                                📸 Camera
+                            </button>
+                        </div>
+                    </>
+                )}
+            </div>
+
+            {dialog === 'edit' && (image?.source || image?.file) && createPortal(
+                <ImageEditor
+                    file={image.source || image.file}
+                    initialEdits={image.edits || defaultEdits(aspect)}
+                    onApply={handleEdited}
+                    onCancel={closeDialog}
+                />,
+                document.body
+            )}
+            {dialog === 'camera' && createPortal(
+                <WebcamCapture onCapture={handleCaptured} onCancel={closeDialog} />,
+                document.body
             )}
-        </div>
+        </>
     );
 }
@@ -0,0 +1,51 @@
+import { useState } from 'react';
+import { postJson } from '../api';
+
+/**
+ * Email + password sign-in for servers with accounts enabled. The server
+ * answers with an HTTP-only session cookie, so nothing is stored here.
+ */
+export default function LoginForm({ onLogin }) {
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        setError(null);
+        try {
+            const { user } = await postJson('/auth/login', { email, password }, 'Could not sign in');
+            onLogin(user);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <form className="card login-form" onSubmit={handleSubmit}>
+            <div className="card__title">Sign in</div>
+            <input
+                type="email"
+                placeholder="Email"
+                autoComplete="username"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+            />
+            <input
+                type="password"
+                placeholder="Password"
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+            />
+            {error && <div className="error-banner">⚠️ {error}</div>}
+            <button className="generate-btn" type="submit" disabled={submitting || !email || !password}>
+                {submitting ? 'Signing in...' : 'Sign in'}
+            </button>
+        </form>
+    );
+}
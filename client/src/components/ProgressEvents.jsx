@@ -0,0 +1,60 @@
+const STEP_LABELS = {
+    scene: 'Scene',
+    video: 'Video',
+    segment: 'Clip',
+};
+
+function formatElapsed(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return minutes > 0 ? `${minutes}m ${String(seconds).padStart(2, '0')}s` : `${seconds}s`;
+}
+
+function describeEvent(event) {
+    const description = describeEventType(event);
+    // Events from a long conversation name the clip they belong to
+    return event.segment != null && event.type !== 'segment' ? `Clip ${event.segment + 1}: ${description}` : description;
+}
+
+function describeEventType(event) {
+    switch (event.type) {
+        case 'retry':
+            return `${STEP_LABELS[event.step] || 'Request'} retry ${event.attempt}/${event.maxRetries} in ${event.delayMs / 1000}s${event.reason ? ` — ${event.reason}` : ''}`;
+        case 'poll-error':
+            return `Poll error ${event.count}/${event.max}${event.reason ? ` — ${event.reason}` : ''}`;
+        case 'queue':
+            return `Waiting for a free slot — position ${event.position} of ${event.queued} in the queue`;
+        case 'resumed':
+            return 'Server restarted — resumed polling';
+        case 'segment':
+            return `Clip ${event.segment + 1}/${event.of}: ${event.status}${event.attempt > 1 ? ` (attempt ${event.attempt})` : ''}`;
+        case 'stitching':
+            return `Stitching ${event.segments} clips into one video`;
+        case 'status':
+            return event.error ? `Status: ${event.status} — ${event.error}` : `Status: ${event.status}`;
+        default:
+            return event.type;
+    }
+}
+
+export default function ProgressEvents({ events, elapsedMs }) {
+    if (!events.length && !elapsedMs) return null;
+
+    return (
+        <div className="progress-events">
+            <div className="progress-events__elapsed">Elapsed: {formatElapsed(elapsedMs)}</div>
+            <ul className="progress-events__list">
+                {events.map((event) => (
+                    <li
+                        key={`${event.at}-${event.seq}`}
+                        className={`progress-events__item progress-events__item--${event.type}`}
+                    >
+                        <span className="progress-events__time">{formatElapsed(event.jobElapsedMs || 0)}</span>
+                        {describeEvent(event)}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
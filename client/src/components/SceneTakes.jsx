@@ -0,0 +1,141 @@
+import { useState } from 'react';
+import { postJson, watchJob } from '../api';
+import { toApiError } from '../errors';
+import { downloadUrl } from '../assets';
+import { DEFAULT_VIDEO_TEMPLATE } from '../templates';
+
+const TAKE_STATUS_LABELS = {
+    queued: '⏳ Queued',
+    generating: '⏳ Generating...',
+    completed: '✅ Ready',
+    failed: '❌ Failed',
+};
+
+function TakeCard({ take, index }) {
+    return (
+        <li className="take-card">
+            <div className="take-card__media">
+                {take.videoUrl ? (
+                    <video src={take.videoUrl} controls loop playsInline />
+                ) : (
+                    <div className="take-card__placeholder">{TAKE_STATUS_LABELS[take.status]}</div>
+                )}
+            </div>
+            <div className="take-card__body">
+                <div className="take-card__meta">
+                    <span>Take {index + 1} · {take.duration}s</span>
+                    <span>{TAKE_STATUS_LABELS[take.status]}</span>
+                </div>
+                <div className="take-card__prompt" title={take.videoPrompt}>
+                    {take.dialogue && `💬 ${take.dialogue.length} lines. `}{take.videoPrompt || (!take.dialogue && 'Default prompt')}
+                </div>
+                {take.error && <div className="take-card__error">{take.error.message}</div>}
+                {take.videoUrl && (
+                    <a className="gallery-btn" href={downloadUrl(take.videoUrl)} download>
+                        ⬇ Download
+                    </a>
+                )}
+            </div>
+        </li>
+    );
+}
+
+/**
+ * Fire additional video generations from an existing scene with different
+ * prompts and durations, and show the results side by side. Each take is
+ * recorded by the server as its own history run. With a `dialogue` script,
+ * every take voices the same lines and the prompt is extra direction only.
+ */
+export default function SceneTakes({ sceneImageUrl, historyId, defaultPrompt, dialogue, defaultDuration, durationOptions, onCredits }) {
+    const [videoPrompt, setVideoPrompt] = useState(defaultPrompt);
+    const [duration, setDuration] = useState(defaultDuration);
+    const [takes, setTakes] = useState([]);
+    const [error, setError] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+
+    const updateTake = (jobId, changes) => {
+        setTakes(existing => existing.map(take => take.jobId === jobId ? { ...take, ...changes } : take));
+    };
+
+    const handleAddTake = async () => {
+        setSubmitting(true);
+        setError(null);
+        try {
+            const prompt = videoPrompt.trim();
+            const { jobId } = await postJson('/generate-video', {
+                sceneImageUrl,
+                videoPrompt: prompt,
+                templateId: dialogue || prompt ? undefined : DEFAULT_VIDEO_TEMPLATE,
+                dialogue: dialogue || undefined,
+                duration,
+                historyId,
+                // Another take is wanted even when the prompt and duration repeat an earlier one
+                force: true,
+            }, 'Video generation failed');
+            setTakes(existing => [...existing, { jobId, videoPrompt: prompt, dialogue, duration, status: 'queued', videoUrl: null, error: null }]);
+
+            watchJob(jobId, (event) => {
+                if (event.type === 'status' && TAKE_STATUS_LABELS[event.status]) updateTake(jobId, { status: event.status });
+            })
+                .then((job) => {
+                    updateTake(jobId, { status: 'completed', videoUrl: job.videoUrl });
+                    onCredits();
+                })
+                .catch((err) => updateTake(jobId, { status: 'failed', error: toApiError(err) }));
+        } catch (err) {
+            setError(toApiError(err));
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <section className="card">
+            <div className="card__header">
+                <div className="card__step">+</div>
+                <div>
+                    <div className="card__title">More Takes From This Scene</div>
+                    <div className="card__description">Reuse the scene with a different action prompt or duration — no new scene is generated</div>
+                </div>
+            </div>
+
+            <div className="prompt-section">
+                <label className="prompt-label">{dialogue ? 'Extra Direction (optional)' : 'Video Action Prompt (optional)'}</label>
+                <textarea
+                    className="scenario-input"
+                    style={{ minHeight: '80px' }}
+                    placeholder={dialogue ? '' : 'Leave empty for the default conversation prompt'}
+                    value={videoPrompt}
+                    onChange={(e) => setVideoPrompt(e.target.value)}
+                />
+            </div>
+
+            <div className="controls">
+                <div className="duration-select">
+                    {durationOptions.map((opt) => (
+                        <button
+                            key={opt.value}
+                            className={`duration-option ${duration === opt.value ? 'active' : ''}`}
+                            onClick={() => setDuration(opt.value)}
+                        >
+                            {opt.label}
+                        </button>
+                    ))}
+                </div>
+                <button className="generate-btn" disabled={submitting} onClick={handleAddTake}>
+                    🎬 New Take
+                </button>
+            </div>
+
+            {error && <div className="error-banner">⚠️ {error.message}</div>}
+
+            {takes.length > 0 && (
+                <ul className="takes-grid">
+                    {takes.map((take, i) => (
+                        <TakeCard key={take.jobId} take={take} index={i} />
+                    ))}
+                </ul>
+            )}
+        </section>
+    );
+}
@@ -0,0 +1,75 @@
+import { useState, useEffect } from 'react';
+import { apiRequest, postJson } from '../api';
+import { initialValues } from '../templates';
+
+/**
+ * Pick a preset or saved prompt template of one `kind`, fill in its
+ * variables and hand the rendered prompt to `onApply`. Cast variables
+ * (names, positions) come from `cast`; `known` pre-fills the rest.
+ */
+export default function TemplatePicker({ kind, cast, known, onApply, disabled }) {
+    const [templates, setTemplates] = useState([]);
+    const [selected, setSelected] = useState(null);
+    const [values, setValues] = useState({});
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        apiRequest(`/templates?kind=${kind}`)
+            .then(data => setTemplates(data.items))
+            .catch(err => setError(err.message));
+    }, [kind]);
+
+    const handleSelect = (id) => {
+        const template = templates.find(t => t.id === id) || null;
+        setSelected(template);
+        setValues(template ? initialValues(template, known) : {});
+        setError(null);
+    };
+
+    const handleApply = async () => {
+        try {
+            const { prompt } = await postJson(`/templates/${selected.id}/render`, { variables: values, cast }, 'Could not fill in the template');
+            onApply(prompt);
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    if (!templates.length && !error) return null;
+
+    return (
+        <div className="template-picker">
+            <select value={selected?.id || ''} disabled={disabled} onChange={(e) => handleSelect(e.target.value)}>
+                <option value="">📝 Start from a template...</option>
+                {templates.map(template => (
+                    <option key={template.id} value={template.id}>
+                        {template.name}{template.preset ? '' : ' (saved)'}
+                    </option>
+                ))}
+            </select>
+
+            {selected && (
+                <>
+                    {selected.description && <div className="template-picker__description">{selected.description}</div>}
+                    {Object.keys(values).map(name => (
+                        <label key={name} className="template-picker__variable">
+                            <span>{name}</span>
+                            <input
+                                type="text"
+                                value={values[name]}
+                                disabled={disabled}
+                                onChange={(e) => setValues(v => ({ ...v, [name]: e.target.value }))}
+                            />
+                        </label>
+                    ))}
+                    <button className="gallery-btn" disabled={disabled} onClick={handleApply}>
+                        Use template
+                    </button>
+                </>
+            )}
+
+            {error && <div className="template-picker__error">⚠️ {error}</div>}
+        </div>
+    );
+}
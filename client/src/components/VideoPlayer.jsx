@@ -1,3 +1,5 @@
+import { downloadUrl, absoluteUrl } from '../assets';
+
 export default function VideoPlayer({ videoUrl }) {
     if (!videoUrl) return null;
 
@@ -14,8 +16,8 @@ export default function VideoPlayer({ videoUrl }) {
             </div>
             <div className="video-actions">
                 <a
-                    href={videoUrl}
-                    download="duocast-video.mp4"
+                    href={downloadUrl(videoUrl)}
+                    download
                     target="_blank"
                     rel="noopener noreferrer"
                     className="download-btn"
@@ -25,7 +27,7 @@ export default function VideoPlayer({ videoUrl }) {
                 <button
                     className="download-btn"
                     onClick={() => {
-                        navigator.clipboard.writeText(videoUrl);
+                        navigator.clipboard.writeText(absoluteUrl(videoUrl));
                     }}
                 >
                     📋 Copy URL
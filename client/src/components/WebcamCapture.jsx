@@ -0,0 +1,79 @@
+import { useState, useEffect, useRef } from 'react';
+import { canvasToFile } from '../imageEdit';
+
+/**
+ * Take a photo with the device camera. The preview is mirrored like a
+ * selfie camera; the captured photo is not.
+ */
+export default function WebcamCapture({ onCapture, onCancel }) {
+    const [ready, setReady] = useState(false);
+    const [error, setError] = useState(() => (navigator.mediaDevices?.getUserMedia
+        ? null
+        : 'This browser cannot use a camera here (it needs HTTPS or localhost)'));
+    const videoRef = useRef(null);
+
+    useEffect(() => {
+        let stream = null;
+        let active = true;
+
+        if (!navigator.mediaDevices?.getUserMedia) return;
+        navigator.mediaDevices.getUserMedia({ video: { facingMode: 'user', width: { ideal: 1280 } } })
+            .then((media) => {
+                // Closed while the browser was asking: cleanup has already run without it
+                if (!active) {
+                    media.getTracks().forEach(track => track.stop());
+                    return;
+                }
+                stream = media;
+                videoRef.current.srcObject = media;
+                setReady(true);
+            })
+            .catch((err) => {
+                if (active) setError(err.name === 'NotAllowedError' ? 'Camera access was denied' : 'No camera is available');
+            });
+
+        return () => {
+            active = false;
+            stream?.getTracks().forEach(track => track.stop());
+        };
+    }, []);
+
+    useEffect(() => {
+        const handleKey = (e) => {
+            if (e.key === 'Escape') onCancel();
+        };
+        window.addEventListener('keydown', handleKey);
+        return () => window.removeEventListener('keydown', handleKey);
+    }, [onCancel]);
+
+    const handleCapture = async () => {
+        const video = videoRef.current;
+        const canvas = document.createElement('canvas');
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        canvas.getContext('2d').drawImage(video, 0, 0);
+        try {
+            onCapture(await canvasToFile(canvas, `webcam-${Date.now()}.jpg`));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="image-editor-backdrop" onClick={onCancel}>
+            <div className="image-editor" role="dialog" aria-label="Take a photo" onClick={(e) => e.stopPropagation()}>
+                <div className="image-editor__stage">
+                    {error
+                        ? <div className="upload-zone__error">⚠️ {error}</div>
+                        : <video ref={videoRef} className="image-editor__canvas image-editor__video" autoPlay playsInline muted />}
+                </div>
+                <div className="image-editor__row">
+                    <button className="gallery-btn" onClick={onCancel}>Cancel</button>
+                    <button className="generate-btn image-editor__apply" disabled={!ready || Boolean(error)} onClick={handleCapture}>
+                        📸 Take Photo
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,16 @@
+/**
+ * Helpers for the scripted dialogue editor, shared by App and DialogueEditor.
+ */
+
+export function createTurn(speaker = 'A') {
+  return { id: crypto.randomUUID(), speaker, line: '', emotion: '', gesture: '' };
+}
+
+/**
+ * Strip editor-only fields and blank turns, giving the `dialogue` the API expects.
+ */
+export function toScript(turns) {
+  return turns
+    .filter(turn => turn.line.trim())
+    .map(({ speaker, line, emotion, gesture }) => ({ speaker, line, emotion, gesture }));
+}
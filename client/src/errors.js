@@ -0,0 +1,42 @@
+/**
+ * Client side of the server's typed error model: every API failure arrives
+ * as { code, message, retryable, details }.
+ */
+export class ApiError extends Error {
+  constructor({ code = 'INTERNAL_ERROR', message = 'Something went wrong', retryable = false, details = {} } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.retryable = retryable;
+    this.details = details;
+  }
+}
+
+/**
+ * Build an ApiError from an error body, a failed job's `error` field
+ * (older jobs stored a plain string) or nothing at all.
+ */
+export function toApiError(error, fallbackMessage) {
+  if (error instanceof ApiError) return error;
+  if (error && typeof error === 'object') return new ApiError(error);
+  return new ApiError({ message: error || fallbackMessage });
+}
+
+// What the user can do about each error code
+export const ERROR_GUIDANCE = {
+  VALIDATION_ERROR: 'Check your inputs: both portraits must be image files under 10MB and the scene description is required.',
+  NOT_FOUND: 'This job no longer exists on the server. Start a new generation.',
+  UNAUTHORIZED: 'Your session has expired. Sign in again.',
+  FORBIDDEN: 'Your account is not allowed to do this. Ask an admin.',
+  INSUFFICIENT_CREDITS: 'There are not enough credits left for this generation. Pick a shorter duration or fewer candidates, or ask an admin to top up your budget.',
+  IDEMPOTENCY_CONFLICT: 'This request reused the key of a different generation. Start it again.',
+  JOB_CANCELLED: 'The generation was cancelled. Credits already spent on finished steps are not refunded.',
+  RATE_LIMITED: 'You started a lot of generations in a short time. Wait a minute, then try again.',
+  UPSTREAM_CLIENT_ERROR: 'The AI provider rejected the request. Try different portraits or rephrase the scene — content-policy filters often reject real names, brands or sensitive settings.',
+  UPSTREAM_UNAVAILABLE: 'The AI provider is overloaded or unreachable. Wait a minute and try again.',
+  GENERATION_TIMEOUT: 'The video took too long to render. Try again, or pick a shorter duration.',
+  GENERATION_FAILED: 'The AI provider could not render this request. Rephrase the scene or video prompt and try again.',
+  JOB_INTERRUPTED: 'The server restarted while this job was running. Try again.',
+  MEDIA_PROCESSING_FAILED: 'The server could not stitch the clips together. Check that ffmpeg is installed on the server.',
+  INTERNAL_ERROR: 'Unexpected server error. Check the server logs.',
+};
@@ -0,0 +1,137 @@
+/**
+ * Canvas helpers behind the image editor, webcam capture and paste support
+ * in ImageUpload. Edits are plain objects so they can be kept with an image
+ * and re-applied to its original when the editor is reopened.
+ */
+
+export const PORTRAIT_ASPECT = 4 / 5;
+export const SCENE_ASPECT = 16 / 9;
+
+export const ASPECTS = [
+  { label: '4:5', value: 4 / 5 },
+  { label: '1:1', value: 1 },
+  { label: '16:9', value: 16 / 9 },
+  { label: 'Original', value: null },
+];
+
+export const ZOOM_RANGE = [1, 3];
+export const ADJUST_RANGE = [50, 150]; // brightness / contrast, in percent
+
+// Edited images are saved at most this wide; the server downsizes portraits further
+const MAX_OUTPUT_WIDTH = 2048;
+const JPEG_QUALITY = 0.92;
+
+/**
+ * Starting edits: no rotation, zoom or adjustment, cropped to `aspect` (null keeps the image's own).
+ * `panX` / `panY` go from -1 (left/top edge) to 1 (right/bottom edge).
+ */
+export function defaultEdits(aspect = null) {
+  return { aspect, rotation: 0, zoom: 1, panX: 0, panY: 0, brightness: 100, contrast: 100 };
+}
+
+/**
+ * Size of the image once rotated.
+ */
+export function rotatedSize(width, height, rotation) {
+  return rotation % 180 ? { width: height, height: width } : { width, height };
+}
+
+/**
+ * The part of the rotated image the edits keep: the largest rectangle of the
+ * chosen aspect, shrunk by the zoom and moved by the pan.
+ *
+ * @returns {{ left: number, top: number, width: number, height: number }}
+ */
+export function cropRect(imageWidth, imageHeight, edits) {
+  const { width: rw, height: rh } = rotatedSize(imageWidth, imageHeight, edits.rotation);
+  const aspect = edits.aspect || rw / rh;
+  let width = rw / rh > aspect ? rh * aspect : rw;
+  let height = width / aspect;
+  width /= edits.zoom;
+  height /= edits.zoom;
+
+  const left = (rw - width) / 2 * (1 + edits.panX);
+  const top = (rh - height) / 2 * (1 + edits.panY);
+  return { left, top, width, height };
+}
+
+/**
+ * Draw an image with its edits onto a canvas, resizing the canvas to at most `maxWidth` wide.
+ */
+export function drawEdited(canvas, image, edits, maxWidth = MAX_OUTPUT_WIDTH) {
+  const { naturalWidth: width, naturalHeight: height } = image;
+  const crop = cropRect(width, height, edits);
+  const { width: rw, height: rh } = rotatedSize(width, height, edits.rotation);
+  const scale = Math.min(1, maxWidth / crop.width);
+
+  canvas.width = Math.round(crop.width * scale);
+  canvas.height = Math.round(crop.height * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.filter = `brightness(${edits.brightness}%) contrast(${edits.contrast}%)`;
+  ctx.scale(scale, scale);
+  ctx.translate(-crop.left + rw / 2, -crop.top + rh / 2);
+  ctx.rotate((edits.rotation * Math.PI) / 180);
+  ctx.drawImage(image, -width / 2, -height / 2);
+  return scale;
+}
+
+/**
+ * Decode an image file for drawing.
+ *
+ * @returns {Promise<HTMLImageElement>}
+ */
+export function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('This image could not be opened'));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * Encode a canvas as a JPEG File.
+ *
+ * @returns {Promise<File>}
+ */
+export function canvasToFile(canvas, name) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) resolve(new File([blob], name, { type: 'image/jpeg' }));
+      else reject(new Error('The image could not be saved'));
+    }, 'image/jpeg', JPEG_QUALITY);
+  });
+}
+
+/**
+ * Apply edits to an image file and return the result as a new JPEG File.
+ *
+ * @returns {Promise<File>}
+ */
+export async function exportEdited(file, edits) {
+  const image = await loadImage(file);
+  const canvas = document.createElement('canvas');
+  drawEdited(canvas, image, edits);
+  return canvasToFile(canvas, `${file.name.replace(/\.[^.]*$/, '')}-edited.jpg`);
+}
+
+/**
+ * The first image on the clipboard of a paste event, if any. Pasted
+ * screenshots have a generic name, so they get a timestamped one.
+ *
+ * @returns {File|null}
+ */
+export function imageFromPaste(event) {
+  const item = [...(event.clipboardData?.items || [])].find(entry => entry.type.startsWith('image/'));
+  const file = item?.getAsFile();
+  if (!file) return null;
+  const extension = file.type.split('/')[1] || 'png';
+  return new File([file], `pasted-${Date.now()}.${extension}`, { type: file.type });
+}
@@ -0,0 +1,17 @@
+/**
+ * Helpers for server-side prompt templates, shared by App, SceneTakes and TemplatePicker.
+ */
+
+// Preset the server fills the video prompt from when the user writes none
+export const DEFAULT_VIDEO_TEMPLATE = 'natural-conversation';
+
+/**
+ * Starting values for the variables a user fills in: the template default,
+ * else a value the page already knows (e.g. the scenario), else empty.
+ * Cast variables are filled in by the server and left out.
+ */
+export function initialValues(template, known = {}) {
+  return Object.fromEntries(template.variables
+    .filter(variable => !variable.fromCast)
+    .map(variable => [variable.name, variable.default || known[variable.name] || '']));
+}
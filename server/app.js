@@ -0,0 +1,2589 @@
+import express from 'express';
+import cors from 'cors';
+import multer from 'multer';
+import { generateScene } from './services/imageGen.js';
+import { createVideoTask, pollVideoGeneration, cancelVideoTask } from './services/videoGen.js';
+import { JobStore, toPublicJob, isTerminal } from './services/jobStore.js';
+import { CreditsTracker } from './services/credits.js';
+import { CreditReservations } from './services/reservations.js';
+import { estimateCredits } from './services/pricing.js';
+import { JobScheduler } from './services/scheduler.js';
+import { RateLimiter } from './services/rateLimiter.js';
+import { HistoryStore, hashPortrait } from './services/historyStore.js';
+import { validateDialogue, normalizeClipDuration, normalizeDialogue, estimateSpeakingSeconds, buildDialoguePrompt, planConversation } from './services/dialogue.js';
+import { AssetStore, assetUrl, parseAssetUrl, downloadFilename, sniffImageType, INLINE_CONTENT_TYPES } from './services/assetStore.js';
+import { extractLastFrame, concatVideos } from './services/media.js';
+import { normalizeCast, describePeople, MIN_PEOPLE, MAX_PEOPLE } from './services/cast.js';
+import { TemplateStore } from './services/templateStore.js';
+import { CharacterStore } from './services/characterStore.js';
+import { normalizeCharacter, toPublicCharacter } from './services/characters.js';
+import { preprocessPortrait } from './services/portraits.js';
+import { BatchStore, toPublicBatch } from './services/batchStore.js';
+import { parseManifest, isPortraitUrl, summarizeBatch, toSummaryCsv, MAX_BATCH_ROWS } from './services/batches.js';
+import { AccountStore, toPublicUser } from './services/accountStore.js';
+import { requestCredential, SESSION_COOKIE, SESSION_TTL_MS } from './services/auth.js';
+import { normalizeTemplate, renderTemplate, toPublicTemplate, TEMPLATE_KINDS } from './services/templates.js';
+import { requestFingerprint, parseIdempotencyKey, isForced } from './services/dedup.js';
+import { WebhookStore, toPublicDelivery, toPublicEndpoint } from './services/webhookStore.js';
+import { fetchPublicUrl, assertPublicUrl } from './services/outbound.js';
+import { normalizeWebhookUrl, jobEventData, deliverWebhook, WEBHOOK_EVENTS, DELIVERY_RETRY_DELAYS_MS } from './services/webhooks.js';
+import { transport } from './services/http.js';
+import { ValidationError, NotFoundError, UnauthorizedError, ForbiddenError, InsufficientCredits, RateLimited, JobInterrupted, JobCancelled, MediaProcessingFailed, IdempotencyConflict, UnsupportedMediaType, toErrorBody } from './services/errors.js';
+import { getProvider, hasProvider, listProviders } from './services/providers/index.js';
+
+const SSE_HEARTBEAT_MS = 15_000;
+const MAX_HISTORY_PAGE_SIZE = 100;
+const MAX_USAGE_DAYS = 90;
+const MAX_SCENE_CANDIDATES = 4;
+const MAX_SEGMENT_ATTEMPTS = 2;
+const SEGMENT_RETRY_DELAY_MS = 30_000;
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024; // per file
+const PORTRAIT_DOWNLOAD_TIMEOUT_MS = 30_000;
+const MAX_BATCH_CONCURRENCY = 4;
+const MAX_BATCH_PORTRAITS = 4 * MAX_BATCH_ROWS;
+const IDEMPOTENCY_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Warn before a generation that leaves less than this share of a pool or budget
+const LOW_BALANCE_RATIO = 0.1;
+
+// Reachable without signing in (paths relative to /api)
+const PUBLIC_PATHS = ['/health', '/auth/login', '/auth/me'];
+
+// Routes that start new generations, rate limited per client
+const GENERATE_PATHS = ['/api/generate-scene', '/api/generate-video', '/api/generate-conversation', '/api/batches', '/api/jobs/:id/retry', '/api/history/:id/rerun'];
+
+// Map upstream Veo statuses onto the job lifecycle exposed by the API
+const JOB_STATUS_MAP = {
+    queued: 'queued',
+    waiting: 'queued',
+    generating: 'generating',
+    active: 'generating',
+};
+
+/**
+ * Build the DuoCast Express app. All state lives in the files passed in,
+ * so tests can run the real routes against temporary stores.
+ *
+ * @param {object} config
+ * @param {string} config.apiKey - AIML API key
+ * @param {string} config.ledgerFile - Path of the credit ledger JSON-lines file
+ * @param {string} [config.creditsFile] - Path of the old credits JSON file, whose total seeds a new ledger
+ * @param {string} config.jobsFile - Path of the persistent job store JSON file
+ * @param {string} config.historyFile - Path of the persistent run history JSON-lines file
+ * @param {string} config.assetsDir - Directory of the local scene/video archive
+ * @param {string} config.templatesFile - Path of the persistent prompt template JSON file
+ * @param {string} config.batchesFile - Path of the persistent batch generation JSON file
+ * @param {string} config.charactersDir - Directory of the character library (index + portraits)
+ * @param {string} config.webhooksFile - Path of the persistent webhook settings and delivery log JSON file
+ * @param {string} [config.accountsFile] - Path of the persistent users/teams JSON file. Without it the
+ *   API runs unauthenticated, with a single shared credit pool
+ * @param {object} [config.assetRetention] - `{ maxAgeDays, maxTotalBytes }`, see AssetStore
+ * @param {number} [config.startingCredits] - Credit balance before any usage
+ * @param {{ scene: number, video: number }} [config.concurrency] - Max upstream generations running at once, per kind
+ * @param {number} [config.batchConcurrency] - Default number of rows of a batch in progress at once
+ * @param {{ limit: number, windowMs: number }} [config.rateLimit] - Generations each client may start per window
+ * @param {number} [config.disconnectGraceMs] - How long a job followed with `cancelOnDisconnect` survives without any watcher
+ * @param {number} [config.resultCacheTtlMs] - How long a completed generation answers identical requests (0 = never)
+ * @param {string} [config.publicUrl] - Origin the server is reached at, e.g. https://duocast.example.com, used to
+ *   make the asset URLs in webhook payloads absolute (left relative without it)
+ * @param {string[]} [config.allowedPrivateHosts] - Host names that portrait URLs may point to even though they
+ *   resolve to a loopback or private address (by default, only public addresses are fetched)
+ * @param {string[]} [config.allowedWebhookHosts] - The same exception for webhook URLs, e.g. a local listener
+ * @returns {{ app: import('express').Express, jobs: JobStore, credits: CreditsTracker, history: HistoryStore, assets: AssetStore, templates: TemplateStore, batches: BatchStore, characters: CharacterStore, webhooks: WebhookStore, accounts: AccountStore|null, scheduler: JobScheduler, resumeUnfinishedJobs: function }}
+ */
+export function createApp({ apiKey, ledgerFile, creditsFile, jobsFile, historyFile, assetsDir, assetRetention, templatesFile, batchesFile, charactersDir, webhooksFile, accountsFile, startingCredits = 20_000_000, concurrency = { scene: 2, video: 3 }, batchConcurrency = 2, rateLimit = { limit: 10, windowMs: 60_000 }, disconnectGraceMs = 60_000, resultCacheTtlMs = 24 * 60 * 60 * 1000, publicUrl, allowedPrivateHosts = [], allowedWebhookHosts = [] }) {
+    const app = express();
+
+    // Credit ledger, job store, run history, asset archive, prompt templates, batches, characters, webhooks and accounts
+    const credits = new CreditsTracker(ledgerFile, startingCredits, { legacyFile: creditsFile });
+    const jobs = new JobStore(jobsFile);
+    const history = new HistoryStore(historyFile);
+    const assets = new AssetStore(assetsDir, assetRetention);
+    const templates = new TemplateStore(templatesFile);
+    const batches = new BatchStore(batchesFile);
+    const characters = new CharacterStore(charactersDir);
+    const webhooks = new WebhookStore(webhooksFile);
+    const accounts = accountsFile ? new AccountStore(accountsFile) : null;
+
+    // Estimates of started generations, held against the balances until they settle (see preflightCredits)
+    const reservations = new CreditReservations();
+    const batchReservations = new Map();
+    jobs.on('update', (job) => {
+        if (isTerminal(job.status) && job.reservationId) reservations.release(job.reservationId);
+    });
+
+    // Upstream calls wait for a free slot; waiting jobs are told where they are in the queue
+    const scheduler = new JobScheduler(concurrency);
+    const limiter = new RateLimiter(rateLimit);
+    scheduler.on('position', (jobId, position, queued) => {
+        if (position > 0) jobs.publish(jobId, { type: 'queue', position, queued });
+    });
+
+    // Abort controllers of the jobs talking to the provider, and open event streams per job
+    const running = new Map();
+    const watchers = new Map();
+
+    // Scene jobs whose portraits are still being preprocessed, by fingerprint, so identical requests join them
+    const starting = new Map();
+
+    /**
+     * Build an `onStatus` callback for the generation services that publishes
+     * every progress event to the job (and thus to SSE subscribers) and keeps
+     * the job status in sync with upstream status transitions.
+     *
+     * @param {string} jobId - ID of a job in the store
+     * @returns {function}
+     */
+    function jobProgressReporter(jobId) {
+        return (event) => {
+            if (event.type === 'status' && event.generationId) {
+                console.log(`   [${jobId}] Status: ${event.status} (ID: ${event.generationId})`);
+            }
+            jobs.publish(jobId, event);
+
+            const status = event.type === 'status' && JOB_STATUS_MAP[event.status];
+            const current = jobs.get(jobId).status;
+            if (status && current !== status && !isTerminal(current)) {
+                jobs.update(jobId, { status });
+            }
+        };
+    }
+
+    function failJob(jobId, err) {
+        // A cancelled job stays cancelled, whatever its aborted work throws on the way out
+        if (jobs.get(jobId).status === 'cancelled') return;
+        const error = toErrorBody(err);
+        jobs.publish(jobId, { type: 'status', status: 'failed', error });
+        const job = jobs.update(jobId, { status: 'failed', error });
+        history.update(job.input.historyId, { status: 'failed', error });
+        notifyJobFinished(jobId);
+    }
+
+    /**
+     * Cancel a job once nobody has followed its event stream for `disconnectGraceMs`.
+     *
+     * @param {string} jobId
+     */
+    function cancelIfAbandoned(jobId) {
+        setTimeout(() => {
+            const job = jobs.get(jobId);
+            if (job && !isTerminal(job.status) && !watchers.has(jobId)) {
+                cancelJob(jobId, 'The client disconnected');
+            }
+        }, disconnectGraceMs).unref();
+    }
+
+    /**
+     * Run a scene or video job once the scheduler has a slot for it.
+     *
+     * @param {'scene'|'video'} kind
+     * @param {string} jobId
+     * @param {function(): Promise<void>} run - A job runner, which never throws
+     */
+    function scheduleJob(kind, jobId, run) {
+        // Rejected only when the job is cancelled while waiting, and cancelJob() has already recorded that
+        scheduler.run(kind, jobId, run).catch(() => { });
+    }
+
+    /**
+     * Track the in-flight work of a job, which cancelJob() aborts through the returned signal.
+     *
+     * @param {string} jobId
+     * @returns {AbortSignal}
+     */
+    function startRunning(jobId) {
+        const controller = new AbortController();
+        running.set(jobId, controller);
+        return controller.signal;
+    }
+
+    /**
+     * Cancel a queued or running job: take it out of the scheduler queue, abort its
+     * requests, retry delays and polling, and ask the provider to stop the upstream
+     * task where it can. Credits charged for work that already finished stay charged.
+     *
+     * @param {string} jobId
+     * @param {string} reason
+     */
+    function cancelJob(jobId, reason) {
+        const job = jobs.get(jobId);
+        const error = toErrorBody(new JobCancelled(reason));
+        jobs.publish(jobId, { type: 'status', status: 'cancelled', error });
+        jobs.update(jobId, { status: 'cancelled', error });
+        history.update(job.input.historyId, { status: 'cancelled', error });
+        console.log(`🛑 [${jobId}] Cancelled: ${reason}`);
+        notifyJobFinished(jobId);
+
+        scheduler.cancel(jobId, new JobCancelled(reason));
+        running.get(jobId)?.abort(new JobCancelled(reason));
+
+        const generationId = job.type === 'conversation'
+            ? job.segments.find(segment => segment.generationId && segment.status !== 'completed')?.generationId
+            : job.type === 'video' && job.generationId;
+        if (generationId) {
+            cancelVideoTask(generationId, apiKey, job.input.videoModel)
+                .then(stopped => stopped && console.log(`   [${jobId}] Upstream task ${generationId} stopped`))
+                .catch(err => console.warn(`   ⚠️ [${jobId}] Could not stop upstream task ${generationId}:`, err.message));
+        }
+    }
+
+    /**
+     * Tell the webhooks of a job that it finished (completed, failed or cancelled): the URLs
+     * sent with the requests it answers, and the account-wide URL of the user who started it.
+     *
+     * @param {string} jobId
+     * @param {string[]} [urls] - Only notify these URLs (e.g. a request joining a finished job)
+     */
+    function notifyJobFinished(jobId, urls) {
+        const job = jobs.get(jobId);
+        const ownerId = history.get(job.input.historyId)?.userId ?? null;
+        const targets = urls || [...(job.webhookUrls || []), webhooks.endpointFor(ownerId).url];
+        const data = jobEventData(job, absoluteUrl);
+        for (const url of new Set(targets.filter(Boolean))) {
+            const delivery = webhooks.createDelivery({ ownerId, url, event: `generation.${job.status}`, jobId, data });
+            sendDelivery(delivery.id);
+        }
+    }
+
+    function absoluteUrl(url) {
+        return publicUrl && url.startsWith('/') ? publicUrl.replace(/\/+$/, '') + url : url;
+    }
+
+    /**
+     * Deliver a logged webhook in the background, retrying with backoff; every attempt is
+     * recorded on the delivery.
+     *
+     * @param {string} deliveryId
+     * @param {number} [maxAttempts] - Attempts left (fewer when resuming after a restart)
+     * @returns {Promise<boolean>} Whether it was delivered
+     */
+    function sendDelivery(deliveryId, maxAttempts) {
+        const delivery = webhooks.getDelivery(deliveryId);
+        const { secret } = webhooks.endpointFor(delivery.ownerId);
+        return deliverWebhook(delivery, secret, {
+            maxAttempts,
+            allowedHosts: allowedWebhookHosts,
+            onAttempt: (attempt) => {
+                webhooks.recordAttempt(deliveryId, attempt);
+                if (attempt.error) console.warn(`   ⚠️ Webhook ${delivery.event} to ${delivery.url} failed (attempt ${delivery.attempts.length}): ${attempt.error}`);
+            },
+        }).then((delivered) => {
+            if (delivered) {
+                console.log(`📨 Webhook ${delivery.event} delivered to ${delivery.url}`);
+            } else {
+                webhooks.fail(deliveryId);
+            }
+            return delivered;
+        });
+    }
+
+    /**
+     * Download a generated scene or video into the local archive.
+     * Falls back to the upstream URL if the download fails, so a finished
+     * generation is never lost to an archiving problem.
+     *
+     * @param {string} jobId - Job the asset belongs to (for logging)
+     * @param {string} url - Upstream URL or data URI
+     * @param {string} kind - 'scene' | 'video'
+     * @returns {Promise<string>} Local asset URL, or `url` on failure
+     */
+    async function archiveAsset(jobId, url, kind) {
+        try {
+            const asset = await assets.archive(url, { kind });
+            console.log(`📦 [${jobId}] Archived ${kind} as ${asset.id.slice(0, 12)} (${asset.size.toLocaleString()} bytes)`);
+            return assetUrl(asset);
+        } catch (err) {
+            console.warn(`⚠️ [${jobId}] Could not archive ${kind}, keeping upstream URL:`, err.message);
+            return url;
+        }
+    }
+
+    /**
+     * Make a scene image URL usable by the video model: local assets are not
+     * reachable from upstream, so they are sent inline as a data URI.
+     *
+     * @param {string} sceneImageUrl
+     * @returns {string}
+     */
+    function resolveSceneImage(sceneImageUrl) {
+        const assetId = parseAssetUrl(sceneImageUrl);
+        if (!assetId) return sceneImageUrl;
+
+        const dataUri = assets.toDataUri(assetId);
+        if (!dataUri) {
+            throw new ValidationError('Scene image is no longer in the asset archive', { field: 'sceneImageUrl', assetId });
+        }
+        return dataUri;
+    }
+
+    /**
+     * Record credits spent by a job: on its run, in the ledger, and against the
+     * budget of the user (and team) who started it.
+     *
+     * @param {string} jobId
+     * @param {{ creditsUsed: number, model: string, generationId?: string }} generated - Result of the provider call
+     * @param {object} [changes] - Other run fields to update at the same time
+     */
+    function recordCredits(jobId, { creditsUsed, model, generationId }, changes) {
+        const { type, input: { historyId }, reservationId, userId: starter } = jobs.get(jobId);
+        const run = history.addCredits(historyId, creditsUsed, changes);
+        // The job knows who started it even if the run was deleted since (jobs from before it did fall back to the run)
+        const userId = starter !== undefined ? starter : run?.userId;
+        credits.record(creditsUsed, { kind: type, model, generationId, jobId, historyId, userId });
+        accounts?.recordUsage(userId, creditsUsed);
+        // What is charged no longer needs to be held
+        if (reservationId) reservations.charge(reservationId, creditsUsed);
+        if (run?.batchId && batchReservations.has(run.batchId)) reservations.charge(batchReservations.get(run.batchId), creditsUsed);
+    }
+
+    /**
+     * Run a scene job in the background. Portraits are passed in directly rather
+     * than read from the job, so the (large) base64 images are never persisted.
+     * Never throws — failures are recorded on the job.
+     *
+     * @param {string} jobId - ID of a job in the store
+     * @param {string[]} portraits - Portraits as data URIs, in cast order
+     */
+    async function runSceneJob(jobId, portraits) {
+        const { scenario, imageModel, candidates = 1, cast } = jobs.get(jobId).input;
+        const signal = startRunning(jobId);
+
+        try {
+            console.log(`🎨 [${jobId}] Generating ${candidates} scene candidate(s) of ${portraits.length} people with ${imageModel}...`);
+            const generated = await generateScene(portraits, scenario, apiKey, jobProgressReporter(jobId), imageModel, candidates, cast, signal);
+            console.log(`✅ [${jobId}] Scene generated:`, generated.imageUrl?.substring(0, 80) + '...');
+            const imageUrls = await Promise.all(generated.imageUrls.map(url => archiveAsset(jobId, url, 'scene')));
+            const result = { ...generated, imageUrl: imageUrls[0], imageUrls };
+
+            // Cancelled too late: the provider has already charged for the result
+            if (signal.aborted) return recordCredits(jobId, result);
+            recordCredits(jobId, result, {
+                status: 'scene-ready',
+                sceneImageUrl: result.imageUrl,
+                sceneCandidates: imageUrls,
+            });
+            jobs.publish(jobId, { type: 'status', status: 'completed' });
+            jobs.update(jobId, { status: 'completed', result });
+            notifyJobFinished(jobId);
+        } catch (err) {
+            console.error(`❌ [${jobId}] Scene generation error:`, err.message);
+            failJob(jobId, err);
+        } finally {
+            running.delete(jobId);
+        }
+    }
+
+    /**
+     * Run a video job in the background: create the Veo task (unless it already
+     * has a generation ID from before a restart), then poll it to completion.
+     * Never throws — failures are recorded on the job.
+     *
+     * @param {string} jobId - ID of a job in the store
+     */
+    async function runVideoJob(jobId) {
+        const job = jobs.get(jobId);
+        const { sceneImageUrl, videoPrompt, duration, videoModel, historyId } = job.input;
+        const onStatus = jobProgressReporter(jobId);
+        const signal = startRunning(jobId);
+
+        try {
+            let generationId = job.generationId;
+            if (!generationId) {
+                console.log(`🎬 [${jobId}] Generating video with ${videoModel}...`);
+                generationId = await createVideoTask(resolveSceneImage(sceneImageUrl), videoPrompt, duration, apiKey, onStatus, videoModel, signal);
+                jobs.update(jobId, { generationId });
+                history.update(historyId, { generationId });
+                onStatus({ type: 'status', status: 'queued', generationId });
+            } else {
+                console.log(`🔁 [${jobId}] Resuming polling for ${generationId}...`);
+                jobs.publish(jobId, { type: 'resumed', generationId });
+            }
+
+            const generated = await pollVideoGeneration(generationId, apiKey, onStatus, videoModel, signal);
+            console.log(`✅ [${jobId}] Video generated:`, generated.videoUrl?.substring(0, 80) + '...');
+            const result = { ...generated, videoUrl: await archiveAsset(jobId, generated.videoUrl, 'video') };
+
+            if (signal.aborted) return recordCredits(jobId, result);
+            recordCredits(jobId, result, { status: 'completed', videoUrl: result.videoUrl, error: null });
+            jobs.update(jobId, { status: 'completed', result });
+            notifyJobFinished(jobId);
+        } catch (err) {
+            console.error(`❌ [${jobId}] Video generation error:`, err.message);
+            failJob(jobId, err);
+        } finally {
+            running.delete(jobId);
+        }
+    }
+
+    /**
+     * Merge changes into one segment of a conversation job, publishing a
+     * `segment` event whenever the segment changes status.
+     *
+     * @param {string} jobId
+     * @param {number} index - Segment index
+     * @param {object} changes
+     */
+    function updateSegment(jobId, index, changes) {
+        const job = jobs.get(jobId);
+        const previous = job.segments[index];
+        const segments = job.segments.map((segment, i) => i === index ? { ...segment, ...changes } : segment);
+        jobs.update(jobId, { segments });
+
+        const segment = segments[index];
+        if (segment.status !== previous.status) {
+            jobs.publish(jobId, { type: 'segment', segment: index, of: segments.length, status: segment.status, attempt: segment.attempts });
+        }
+    }
+
+    /**
+     * Generate one segment of a conversation job: submit it (unless it already has a
+     * generation ID from before a restart), poll it, archive the clip and seed the next
+     * segment with its last frame. Transient failures resubmit the segment, up to
+     * MAX_SEGMENT_ATTEMPTS in total; the segments before it are kept either way.
+     * A clip is charged once it is generated: if archiving it fails afterwards, the
+     * segment keeps its generation ID and later attempts fetch the same clip again
+     * instead of paying for a new one.
+     *
+     * @param {string} jobId
+     * @param {number} index - Segment index
+     * @param {AbortSignal} signal - Aborted when the job is cancelled
+     * @throws {DuoCastError} The segment failed for good, or the job was cancelled
+     */
+    async function runConversationSegment(jobId, index, signal) {
+        const { sceneImageUrl, videoModel } = jobs.get(jobId).input;
+        const onStatus = (event) => jobs.publish(jobId, { ...event, segment: index });
+
+        for (;;) {
+            const segment = jobs.get(jobId).segments[index];
+            let { generationId } = segment;
+            let paid = isPaid(segment);
+            try {
+                if (!generationId) {
+                    console.log(`🎬 [${jobId}] Generating segment ${index + 1}/${jobs.get(jobId).segments.length} with ${videoModel}...`);
+                    updateSegment(jobId, index, { status: 'submitting', attempts: segment.attempts + 1, error: null });
+                    const image = resolveSceneImage(segment.sceneImageUrl || sceneImageUrl);
+                    generationId = await createVideoTask(image, segment.videoPrompt, segment.duration, apiKey, onStatus, videoModel, signal);
+                    updateSegment(jobId, index, { status: 'generating', generationId });
+                    onStatus({ type: 'status', status: 'queued', generationId });
+                } else {
+                    console.log(`🔁 [${jobId}] Resuming polling of segment ${index + 1} (${generationId})...`);
+                    // Fetching a paid clip again counts as an attempt, so a clip that cannot be archived does not loop forever
+                    if (paid) updateSegment(jobId, index, { status: 'generating', attempts: segment.attempts + 1, error: null });
+                    jobs.publish(jobId, { type: 'resumed', generationId, segment: index });
+                }
+
+                const generated = await pollVideoGeneration(generationId, apiKey, onStatus, videoModel, signal);
+                if (!paid) {
+                    recordCredits(jobId, generated);
+                    updateSegment(jobId, index, { creditsUsed: generated.creditsUsed });
+                    paid = true;
+                }
+
+                // Stitching needs the clip on disk, so there is no falling back to the upstream URL here
+                const asset = await assets.archive(generated.videoUrl, { kind: 'video' });
+                updateSegment(jobId, index, { status: 'completed', videoUrl: assetUrl(asset), creditsUsed: generated.creditsUsed });
+                console.log(`✅ [${jobId}] Segment ${index + 1} archived as ${asset.id.slice(0, 12)}`);
+
+                await seedNextSegment(jobId, index, asset);
+                return;
+            } catch (err) {
+                if (signal.aborted) {
+                    updateSegment(jobId, index, { status: 'cancelled' });
+                    throw err;
+                }
+                const { attempts } = jobs.get(jobId).segments[index];
+                if (!err.retryable || attempts >= MAX_SEGMENT_ATTEMPTS) {
+                    updateSegment(jobId, index, { status: 'failed', error: toErrorBody(err) });
+                    throw err;
+                }
+                console.warn(`   ⚠️ [${jobId}] Segment ${index + 1} failed, retrying: ${err.message}`);
+                updateSegment(jobId, index, { status: 'pending', ...(!paid && { generationId: null }), error: toErrorBody(err) });
+                onStatus({ type: 'retry', step: 'segment', attempt: attempts, maxRetries: MAX_SEGMENT_ATTEMPTS - 1, delayMs: SEGMENT_RETRY_DELAY_MS, reason: err.message });
+                await transport.sleep(SEGMENT_RETRY_DELAY_MS, signal);
+            }
+        }
+    }
+
+    // A segment whose clip was generated (and charged), even if it was not archived yet
+    function isPaid(segment) {
+        return Boolean(segment.generationId && segment.creditsUsed);
+    }
+
+    /**
+     * Use the last frame of a finished segment as the starting image of the next one,
+     * so the conversation carries on from where the clip ended. If the frame cannot be
+     * extracted, the next segment falls back to the original scene.
+     *
+     * @param {string} jobId
+     * @param {number} index - Index of the finished segment
+     * @param {object} videoAsset - Archived clip of that segment
+     */
+    async function seedNextSegment(jobId, index, videoAsset) {
+        if (index + 1 >= jobs.get(jobId).segments.length) return;
+        try {
+            const frame = assets.store(await extractLastFrame(assets.filePath(videoAsset)), 'image/jpeg', { kind: 'scene' });
+            updateSegment(jobId, index + 1, { sceneImageUrl: assetUrl(frame) });
+        } catch (err) {
+            console.warn(`⚠️ [${jobId}] Could not seed segment ${index + 2} from the previous clip, using the scene:`, err.message);
+        }
+    }
+
+    /**
+     * Run a long conversation job in the background: generate the segments that are
+     * not completed yet, one after the other, then stitch every clip into one MP4.
+     * Never throws — failures are recorded on the job, which can be retried from the
+     * failed segment with POST /api/jobs/:id/retry.
+     *
+     * @param {string} jobId - ID of a job in the store
+     */
+    async function runConversationJob(jobId) {
+        const { videoModel, historyId } = jobs.get(jobId).input;
+        jobs.update(jobId, { status: 'generating' });
+        const signal = startRunning(jobId);
+
+        try {
+            const count = jobs.get(jobId).segments.length;
+            for (let index = 0; index < count; index++) {
+                if (jobs.get(jobId).segments[index].status !== 'completed') {
+                    // Each segment queues for a slot of its own, so long conversations take turns with other jobs
+                    await scheduler.run('video', jobId, () => runConversationSegment(jobId, index, signal));
+                }
+                signal.throwIfAborted();
+            }
+
+            console.log(`🧵 [${jobId}] Stitching ${count} segments...`);
+            jobs.publish(jobId, { type: 'stitching', segments: count });
+            const { segments } = jobs.get(jobId);
+            const video = assets.store(await concatVideos(segments.map(segmentFile)), 'video/mp4', { kind: 'video' });
+            const result = {
+                videoUrl: assetUrl(video),
+                creditsUsed: segments.reduce((sum, segment) => sum + segment.creditsUsed, 0),
+                model: videoModel,
+            };
+            console.log(`✅ [${jobId}] Conversation stitched as ${video.id.slice(0, 12)} (${video.size.toLocaleString()} bytes)`);
+
+            history.update(historyId, {
+                status: 'completed',
+                videoUrl: result.videoUrl,
+                segments: segments.map(({ duration, videoUrl }) => ({ duration, videoUrl })),
+                error: null,
+            });
+            jobs.publish(jobId, { type: 'status', status: 'completed' });
+            jobs.update(jobId, { status: 'completed', result });
+            notifyJobFinished(jobId);
+        } catch (err) {
+            console.error(`❌ [${jobId}] Conversation generation error:`, err.message);
+            failJob(jobId, err);
+        } finally {
+            running.delete(jobId);
+        }
+    }
+
+    function segmentFile(segment, index) {
+        const asset = assets.get(parseAssetUrl(segment.videoUrl));
+        if (!asset) {
+            throw new MediaProcessingFailed(`Segment ${index + 1} is no longer in the asset archive`, { segment: index });
+        }
+        return assets.filePath(asset);
+    }
+
+    /**
+     * Wait until a job ends, whichever way.
+     *
+     * @param {string} jobId
+     * @returns {Promise<object|null>} The job once completed, failed or cancelled; null if it no
+     *   longer exists (finished jobs are pruned from the store after a while)
+     */
+    function jobSettled(jobId) {
+        if (!jobs.get(jobId)) return Promise.resolve(null);
+        return new Promise((resolve) => {
+            const check = (job) => {
+                if (job.id !== jobId || !isTerminal(job.status)) return;
+                jobs.off('update', check);
+                resolve(job);
+            };
+            jobs.on('update', check);
+            check(jobs.get(jobId));
+        });
+    }
+
+    /**
+     * Preprocess an uploaded portrait (see preprocessPortrait) into the data URI sent upstream.
+     * The hash is of the original upload, as recorded on history runs.
+     *
+     * @param {Buffer} buffer
+     * @param {object} [details] - Extra error details
+     * @returns {Promise<{ uri: string, hash: string }>}
+     * @throws {ValidationError} If the image is unreadable or does not show exactly one face
+     */
+    async function preparePortrait(buffer, details) {
+        const portrait = await preprocessPortrait(buffer, details);
+        return { uri: `data:${portrait.contentType};base64,${portrait.buffer.toString('base64')}`, hash: hashPortrait(buffer) };
+    }
+
+    /**
+     * Fetch a portrait a manifest row links to, so it is preprocessed and hashed like an upload.
+     * Only public addresses (and `allowedPrivateHosts`) are fetched. What went wrong is logged
+     * but not returned, so the error does not tell the caller anything about the host.
+     * The download gives up after PORTRAIT_DOWNLOAD_TIMEOUT_MS, and as soon as the body
+     * goes over MAX_UPLOAD_BYTES.
+     *
+     * @param {string} url
+     * @returns {Promise<Buffer>}
+     * @throws {ValidationError} If the URL is not allowed or does not serve an image
+     */
+    async function downloadPortrait(url) {
+        const failed = new ValidationError(`Could not download portrait ${url}`, { field: 'portraits', url });
+        const tooLarge = new ValidationError(`Portrait ${url} is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024}MB`, { field: 'portraits', url });
+        const signal = AbortSignal.timeout(PORTRAIT_DOWNLOAD_TIMEOUT_MS);
+        let response;
+        try {
+            response = await fetchPublicUrl(url, { signal }, { allowedHosts: allowedPrivateHosts });
+        } catch (err) {
+            console.warn(`   ⚠️ Portrait ${url} not downloaded:`, err.message);
+            throw failed;
+        }
+        const contentType = response.headers.get('content-type') || '';
+        if (!response.ok || !contentType.startsWith('image/')) {
+            console.warn(`   ⚠️ Portrait ${url} not downloaded: ${response.ok ? `not an image (${contentType})` : `HTTP ${response.status}`}`);
+            throw failed;
+        }
+        if (Number(response.headers.get('content-length')) > MAX_UPLOAD_BYTES) {
+            response.body.destroy();
+            throw tooLarge;
+        }
+
+        const chunks = [];
+        let size = 0;
+        try {
+            for await (const chunk of response.body) {
+                size += chunk.length;
+                if (size > MAX_UPLOAD_BYTES) throw tooLarge;
+                chunks.push(chunk);
+            }
+        } catch (err) {
+            if (err === tooLarge) throw err;
+            console.warn(`   ⚠️ Portrait ${url} not downloaded:`, signal.aborted ? `not finished within ${PORTRAIT_DOWNLOAD_TIMEOUT_MS / 1000}s` : err.message);
+            throw failed;
+        }
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Run the rows of a batch through the scene → video pipeline, at most
+     * `concurrency` rows at a time. The scheduler still limits the upstream calls
+     * across all users, so a batch takes turns with interactive generations.
+     *
+     * @param {string} batchId
+     * @param {Array<Array<object|string>>} portraitsByRow - Per row, uploaded portrait files or URLs to download
+     */
+    async function runBatch(batchId, portraitsByRow) {
+        const { rows, concurrency } = batches.get(batchId);
+        const waiting = rows.map((_, index) => index);
+        console.log(`📋 [batch ${batchId}] Running ${rows.length} row(s), ${concurrency} at a time...`);
+
+        // Each portrait is downloaded and preprocessed once, however many rows use it
+        const prepared = new Map();
+        const prepare = (ref) => {
+            if (!prepared.has(ref)) {
+                prepared.set(ref, (typeof ref === 'string' ? downloadPortrait(ref) : Promise.resolve(ref.buffer)).then(buffer => preparePortrait(buffer, { field: 'portraits' })));
+            }
+            return prepared.get(ref);
+        };
+
+        const worker = async () => {
+            while (waiting.length) {
+                const index = waiting.shift();
+                await runBatchRow(batchId, index, portraitsByRow[index], prepare);
+            }
+        };
+        await Promise.all(Array.from({ length: concurrency }, worker));
+        finishBatch(batchId);
+    }
+
+    /**
+     * Generate the scene, then the video, of one batch row, each as a regular job
+     * on a history run of its own. Never throws — failures are recorded on the row.
+     *
+     * @param {string} batchId
+     * @param {number} index - Row index
+     * @param {Array<object|string>} refs - Uploaded portrait files or URLs to download
+     * @param {function(object|string): Promise<{ uri: string, hash: string }>} prepare - Turns a ref into a portrait to send
+     */
+    async function runBatchRow(batchId, index, refs, prepare) {
+        const { userId, imageModel, videoModel, rows } = batches.get(batchId);
+        const { cast, scenario, videoPrompt, duration } = rows[index];
+
+        try {
+            const portraits = await Promise.all(refs.map(prepare));
+            const run = history.create({ userId, batchId, portraitHashes: portraits.map(portrait => portrait.hash), cast, scenario, imageModel });
+            const sceneJob = createJob('scene', { scenario, imageModel, candidates: 1, cast, historyId: run.id });
+            history.update(run.id, { sceneJobId: sceneJob.id });
+            batches.updateRow(batchId, index, { status: 'generating-scene', historyId: run.id, sceneJobId: sceneJob.id });
+            scheduleJob('scene', sceneJob.id, () => runSceneJob(sceneJob.id, portraits.map(portrait => portrait.uri)));
+
+            const scene = await jobSettled(sceneJob.id);
+            if (scene.status !== 'completed') return finishBatchRow(batchId, index, scene);
+
+            const sceneImageUrl = scene.result.imageUrl;
+            const videoJob = startVideoJob({ sceneImageUrl, videoPrompt, duration, videoModel, historyId: run.id });
+            batches.updateRow(batchId, index, { status: 'generating-video', sceneImageUrl, videoJobId: videoJob.id });
+            finishBatchRow(batchId, index, await jobSettled(videoJob.id));
+        } catch (err) {
+            console.error(`❌ [batch ${batchId}] Row ${index + 1} error:`, err.message);
+            batches.updateRow(batchId, index, { status: 'failed', error: toErrorBody(err) });
+        }
+    }
+
+    /**
+     * Record how a batch row ended, from the last job it ran.
+     *
+     * @param {string} batchId
+     * @param {number} index
+     * @param {object} job - The row's scene or video job, settled
+     */
+    function finishBatchRow(batchId, index, job) {
+        const run = history.get(batches.get(batchId).rows[index].historyId);
+        batches.updateRow(batchId, index, {
+            status: job.status,
+            videoUrl: job.type === 'video' ? job.result?.videoUrl ?? null : null,
+            creditsUsed: run?.creditsUsed ?? 0,
+            error: job.error,
+        });
+    }
+
+    function finishBatch(batchId) {
+        reservations.release(batchReservations.get(batchId));
+        batchReservations.delete(batchId);
+        const { counts } = toPublicBatch(batches.update(batchId, { status: 'completed' }));
+        console.log(`📋 [batch ${batchId}] Done: ${counts.completed} completed, ${counts.failed} failed, ${counts.cancelled} cancelled`);
+    }
+
+    /**
+     * Follow a batch left running by the previous server process: rows waiting for
+     * their video keep following it (the video job resumes polling), while rows that
+     * had not got that far are failed, as their portraits were never persisted. A video
+     * job pruned from the job store in the meantime is settled from its history run.
+     *
+     * @param {object} batch
+     */
+    function resumeBatch(batch) {
+        const prunedVideoJob = (row) => {
+            const run = history.get(row.historyId);
+            return run?.status === 'completed'
+                ? { type: 'video', status: 'completed', result: { videoUrl: run.videoUrl }, error: null }
+                : { type: 'video', status: 'failed', result: null, error: toErrorBody(new JobInterrupted('The video job of this row is no longer on the server. Please run it again.')) };
+        };
+        const error = toErrorBody(new JobInterrupted('Server restarted before this row finished. Please run it again.'));
+        const following = batch.rows.map((row, index) => {
+            if (row.status === 'generating-video') {
+                return jobSettled(row.videoJobId).then(job => finishBatchRow(batch.id, index, job || prunedVideoJob(row)));
+            }
+            if (row.status === 'pending' || row.status === 'generating-scene') {
+                batches.updateRow(batch.id, index, { status: 'failed', error });
+            }
+        });
+        Promise.all(following).then(() => finishBatch(batch.id));
+    }
+
+    /**
+     * Pick up jobs (and batches, and webhook deliveries) left unfinished by the previous server process.
+     * Video jobs with an upstream generation ID resume polling, and conversation jobs
+     * carry on with their remaining segments. Everything else is failed rather than
+     * resubmitted: the task may already exist upstream, and scene jobs never persist
+     * the portraits they would need.
+     */
+    function resumeUnfinishedJobs() {
+        // Before the jobs, whose failures below log deliveries of their own
+        for (const delivery of webhooks.listDeliveries({ status: 'pending', limit: Infinity })) {
+            sendDelivery(delivery.id, DELIVERY_RETRY_DELAYS_MS.length + 1 - delivery.attempts.length);
+        }
+        for (const job of jobs.listUnfinished()) {
+            if (job.type === 'video' && job.generationId) {
+                reserveResumed(job, [job.input.duration]);
+                scheduleJob('video', job.id, () => runVideoJob(job.id));
+            } else if (job.type === 'conversation' && job.segments && !job.segments.some(segment => segment.status === 'submitting')) {
+                reserveResumed(job, job.segments.filter(segment => segment.status !== 'completed' && !isPaid(segment)).map(segment => segment.duration));
+                runConversationJob(job.id);
+            } else {
+                failJob(job.id, new JobInterrupted(`Server restarted before the ${job.type} finished. Please try again.`));
+            }
+        }
+        batches.list().filter(batch => batch.status === 'running').forEach(resumeBatch);
+    }
+
+    /**
+     * Hold the estimated cost of a resumed job's remaining clips again, since
+     * reservations do not survive a restart. Unlike a new generation, it is not
+     * checked against the balances: the job was already admitted.
+     *
+     * @param {object} job
+     * @param {number[]} durations - Durations of the clips still to be paid for
+     */
+    function reserveResumed(job, durations) {
+        const userId = history.get(job.input.historyId)?.userId ?? null;
+        const teamId = (userId && accounts?.getUser(userId)?.teamId) || null;
+        const reservationId = reservations.hold(estimateVideoCredits(job.input.videoModel, durations), { userId, teamId });
+        jobs.update(job.id, { reservationId });
+    }
+
+    /**
+     * Pre-flight check of a generation against its estimated cost: refuse to start
+     * when the global pool, or the caller's own or team budget, cannot cover it,
+     * and warn when it would leave one of them nearly empty. Balances count the
+     * estimates of generations still in progress as spent; if the check passes, this
+     * generation's estimate is held too, until the job given the returned
+     * `reservationId` settles (or releaseReservation is called).
+     *
+     * @param {object|null} user - Signed-in user (null without accounts)
+     * @param {number|null} estimatedCredits - null when the model has no list prices
+     * @returns {{ estimatedCredits: number|null, warnings: string[], reservationId: string }}
+     * @throws {InsufficientCredits}
+     */
+    function preflightCredits(user, estimatedCredits) {
+        const balances = [{ name: 'the credit pool', remaining: credits.remaining, reserved: reservations.total(), limit: credits.startingCredits, details: {} }];
+        if (user) {
+            const budget = accounts.budgetOf(user);
+            if (budget.user.creditsRemaining != null) {
+                balances.push({ name: 'your credit budget', remaining: budget.user.creditsRemaining, reserved: reservations.total({ userId: user.id }), limit: budget.user.creditLimit, details: { scope: 'user' } });
+            }
+            if (budget.team?.creditsRemaining != null) {
+                balances.push({ name: `the credit budget of team ${budget.team.name}`, remaining: budget.team.creditsRemaining, reserved: reservations.total({ teamId: budget.team.id }), limit: budget.team.creditLimit, details: { scope: 'team', teamId: budget.team.id } });
+            }
+        }
+
+        // Without a price list, all we can tell is whether anything is left
+        const needed = estimatedCredits ?? 1;
+        const warnings = [];
+        for (const { name, remaining: balance, reserved, limit, details } of balances) {
+            const remaining = balance - reserved;
+            if (remaining < needed) {
+                const inProgress = reserved ? ` (${reserved.toLocaleString('en-US')} more are set aside for generations in progress)` : '';
+                const message = remaining <= 0
+                    ? `No credits remaining in ${name}${inProgress}`
+                    : `This generation is estimated at ${estimatedCredits.toLocaleString('en-US')} credits, but ${name} has only ${remaining.toLocaleString('en-US')} left${inProgress}`;
+                throw new InsufficientCredits(message, { ...details, estimatedCredits, creditsRemaining: remaining, ...(reserved && { creditsReserved: reserved }) });
+            }
+            if (estimatedCredits && remaining - estimatedCredits < limit * LOW_BALANCE_RATIO) {
+                warnings.push(`After this generation, ${name} will have about ${(remaining - estimatedCredits).toLocaleString('en-US')} credits left`);
+            }
+        }
+        const reservationId = reservations.hold(estimatedCredits, { userId: user?.id ?? null, teamId: user?.teamId ?? null });
+        return { estimatedCredits, warnings, reservationId };
+    }
+
+    /**
+     * Give back the credits held for a generation that did not start after all.
+     *
+     * @param {string} reservationId
+     */
+    function releaseReservation(reservationId) {
+        reservations.release(reservationId);
+    }
+
+    /**
+     * Estimated cost of the video step: one clip, or every segment of a conversation.
+     *
+     * @param {string} videoModel
+     * @param {number[]} durations - Seconds of each clip
+     * @returns {number|null}
+     */
+    function estimateVideoCredits(videoModel, durations) {
+        const duration = durations.reduce((sum, seconds) => sum + seconds, 0);
+        return estimateCredits({ kind: 'video', model: videoModel, duration }).estimatedCredits;
+    }
+
+    /**
+     * Credits the caller can still spend: the global pool, capped by their budgets.
+     *
+     * @param {object|null} user
+     * @returns {number}
+     */
+    function creditsRemainingFor(user) {
+        const budget = user && accounts.budgetOf(user).creditsRemaining;
+        return budget == null ? credits.remaining : Math.min(budget, credits.remaining);
+    }
+
+    /**
+     * Create a job for a run, recording who started it: credits are charged to that
+     * user even if the run is deleted while the job is still going.
+     *
+     * @param {'scene'|'video'|'conversation'} type
+     * @param {object} input - Job input; `historyId` links it to its run
+     * @param {object} [fields] - Private job fields, see jobFields()
+     * @returns {object} The created job
+     */
+    function createJob(type, input, fields) {
+        return jobs.create(type, input, { ...fields, userId: history.get(input.historyId)?.userId ?? null });
+    }
+
+    /**
+     * Queue a video job for a run and start it in the background once the scheduler has a slot.
+     *
+     * @param {object} input - Video job input; `historyId` links it to its run
+     * @param {object} [fields] - Private job fields, see jobFields()
+     * @returns {object} The created job
+     */
+    function startVideoJob(input, fields) {
+        const job = createJob('video', input, fields);
+        recordVideoStart(job, { videoPrompt: input.videoPrompt, segments: null });
+        scheduleJob('video', job.id, () => runVideoJob(job.id));
+        return job;
+    }
+
+    /**
+     * Queue a long conversation job, made of one video per planned segment, and
+     * start it in the background.
+     *
+     * @param {object} input - `sceneImageUrl`, `dialogue`, `videoDirection`, `videoModel`, `historyId`
+     * @param {object[]} plan - Segments from planConversation
+     * @param {object} [fields] - Private job fields, see jobFields()
+     * @returns {object} The created job
+     */
+    function startConversationJob(input, plan, fields) {
+        const duration = plan.reduce((sum, segment) => sum + segment.duration, 0);
+        const job = createJob('conversation', { ...input, duration }, fields);
+        jobs.update(job.id, {
+            segments: plan.map(segment => ({
+                ...segment,
+                status: 'pending',
+                sceneImageUrl: null, // seeded with the previous segment's last frame
+                generationId: null,
+                videoUrl: null,
+                creditsUsed: 0,
+                attempts: 0,
+                error: null,
+            })),
+        });
+        recordVideoStart(job, {
+            videoPrompt: plan.map(segment => segment.videoPrompt).join('\n\n'),
+            segments: plan.map(segment => ({ duration: segment.duration, videoUrl: null })),
+        });
+        runConversationJob(job.id);
+        return job;
+    }
+
+    function recordVideoStart(job, fields) {
+        const { input } = job;
+        history.update(input.historyId, {
+            status: 'pending',
+            sceneImageUrl: input.sceneImageUrl,
+            dialogue: input.dialogue || null,
+            videoDirection: input.videoDirection || null,
+            ...(input.cast && { cast: input.cast }),
+            duration: input.duration,
+            videoModel: input.videoModel,
+            videoJobId: job.id,
+            generationId: null,
+            videoUrl: null,
+            error: null,
+            ...fields,
+        });
+    }
+
+    /**
+     * The run a new video from a scene is recorded on: the given scene run, unless it
+     * already has a video, in which case the take becomes a run of its own.
+     *
+     * @param {string} [historyId]
+     * @param {string} sceneImageUrl
+     * @param {object|null} user - Who the video is for
+     * @returns {object}
+     */
+    function runForTake(historyId, sceneImageUrl, user) {
+        const userId = user?.id ?? null;
+        const run = historyId ? history.get(historyId) : history.create({ sceneImageUrl, userId });
+        return run.videoJobId ? deriveRun(run, { sceneRunId: run.sceneRunId || run.id, userId }) : run;
+    }
+
+    /**
+     * Start a new run that reuses another run's scene (portraits, scenario and image).
+     *
+     * @param {object} original - Run to copy the scene from
+     * @param {object} fields - Extra fields, e.g. `rerunOf` or `sceneRunId`
+     * @returns {object} The created run
+     */
+    function deriveRun(original, fields) {
+        return history.create({
+            portraitHashes: original.portraitHashes,
+            cast: original.cast,
+            scenario: original.scenario,
+            imageModel: original.imageModel,
+            sceneImageUrl: original.sceneImageUrl,
+            ...fields,
+        });
+    }
+
+    function assertSceneArchived(sceneImageUrl) {
+        const assetId = parseAssetUrl(sceneImageUrl);
+        if (assetId && !assets.get(assetId)) {
+            throw new ValidationError('Scene image is no longer in the asset archive', { field: 'sceneImageUrl', assetId });
+        }
+    }
+
+    /**
+     * The people a script can refer to: the `cast` sent with the request, else the
+     * cast of the scene's run, else undefined (the dialogue's two-person default).
+     *
+     * @param {unknown} cast - From the request body
+     * @param {string} [historyId]
+     * @returns {object[]|undefined}
+     */
+    function resolveCast(cast, historyId) {
+        if (cast != null) return normalizeCast(withCharacters(cast));
+        return (historyId && history.get(historyId)?.cast) || undefined;
+    }
+
+    /**
+     * Fill in the people picked from the character library (`characterId`): the
+     * character's name unless the person is named, and its description.
+     *
+     * @param {unknown} people - From the request body
+     * @returns {unknown} The people, ready for normalizeCast
+     * @throws {ValidationError} If a character does not exist
+     */
+    function withCharacters(people) {
+        if (!Array.isArray(people)) return people;
+        return people.map((person, i) => {
+            if (person?.characterId == null) return person;
+            const character = characters.get(person.characterId);
+            if (!character) {
+                throw new ValidationError(`Unknown character: ${person.characterId}`, { field: `people[${i}].characterId` });
+            }
+            return {
+                ...person,
+                name: person.name?.trim() || character.name,
+                description: character.description,
+                characterId: character.id,
+            };
+        });
+    }
+
+    function getCharacter(id) {
+        const character = characters.get(id);
+        if (!character) {
+            throw new NotFoundError('Character not found', { characterId: id });
+        }
+        return character;
+    }
+
+    // A character the user may change or remove: their own, or any for admins
+    function getOwnCharacter(id, user) {
+        const character = getCharacter(id);
+        if (!canChange(user, character)) {
+            throw new ForbiddenError('Only the person who saved this character, or an admin, can change it', { characterId: id });
+        }
+        return character;
+    }
+
+    /**
+     * Identify a generation request for deduplication: the fingerprint of its normalized
+     * inputs, its `Idempotency-Key` header (scoped to the caller and the kind of job), and
+     * whether it asks to `force` a new generation.
+     *
+     * @param {import('express').Request} req
+     * @param {'scene'|'video'|'conversation'} kind
+     * @param {object} inputs - Everything that changes the result: portrait hashes, prompt, model parameters
+     * @returns {{ fingerprint: string, idempotencyKey: string|null, force: boolean }}
+     */
+    function dedupKeys(req, kind, inputs) {
+        const userId = req.user?.id ?? null;
+        const key = parseIdempotencyKey(req.get('Idempotency-Key'));
+        return {
+            fingerprint: requestFingerprint(kind, userId, inputs),
+            idempotencyKey: key && `${userId ?? ''}:${kind}:${key}`,
+            force: isForced(req.body.force),
+        };
+    }
+
+    /**
+     * Private fields of a job started by a generation request, which identical requests
+     * (see findReusableJob) and webhooks (see notifyJobFinished) look up.
+     *
+     * @param {{ fingerprint: string, idempotencyKey: string|null }} dedup - From dedupKeys()
+     * @param {string|null} webhookUrl - Sent with the request
+     * @returns {object}
+     */
+    function jobFields(dedup, webhookUrl) {
+        return {
+            fingerprint: dedup.fingerprint,
+            idempotencyKeys: dedup.idempotencyKey ? [dedup.idempotencyKey] : [],
+            webhookUrls: webhookUrl ? [webhookUrl] : [],
+        };
+    }
+
+    /**
+     * Refuse a webhook URL that does not resolve to a public address, unless its host
+     * is in `allowedWebhookHosts`. Deliveries check again before every attempt.
+     *
+     * @param {string} url - A URL from normalizeWebhookUrl
+     * @param {string} field - Request field it came from
+     * @returns {Promise<string>} The URL
+     * @throws {ValidationError}
+     */
+    function checkWebhookUrl(url, field) {
+        return assertPublicUrl(url, { allowedHosts: allowedWebhookHosts }).then(
+            () => url,
+            (err) => { throw new ValidationError(err.message, { ...err.details, field }); },
+        );
+    }
+
+    /**
+     * Middleware for the generation routes: check the request's `webhookUrl`, which needs
+     * a DNS lookup, before the (synchronous) route handler runs.
+     */
+    function checkRequestWebhookUrl(req, res, next) {
+        if (!req.body.webhookUrl) return next();
+        checkWebhookUrl(normalizeWebhookUrl(req.body.webhookUrl), 'webhookUrl').then(() => next(), next);
+    }
+
+    /**
+     * The `webhookUrl` sent with a generation request, if any.
+     *
+     * @param {import('express').Request} req
+     * @returns {string|null}
+     * @throws {ValidationError} If it is not an http(s) URL
+     */
+    function requestWebhookUrl(req) {
+        return req.body.webhookUrl ? normalizeWebhookUrl(req.body.webhookUrl) : null;
+    }
+
+    /**
+     * A job that already answers a generation request, so no second one is paid for: the
+     * job started with the same Idempotency-Key (whatever its outcome), else — unless the
+     * request is forced — an identical generation still in flight, or one that completed
+     * within `resultCacheTtlMs` and whose results are still archived.
+     *
+     * @param {{ fingerprint: string, idempotencyKey: string|null, force: boolean }} dedup
+     * @returns {{ job: object, reused: 'idempotency-key'|'in-flight'|'cached' }|null}
+     * @throws {IdempotencyConflict} If the key came with a different request before
+     */
+    function findReusableJob({ fingerprint, idempotencyKey, force }) {
+        if (idempotencyKey) {
+            const since = Date.now() - IDEMPOTENCY_KEY_TTL_MS;
+            const job = jobs.findLatest(candidate => candidate.idempotencyKeys?.includes(idempotencyKey) && Date.parse(candidate.createdAt) > since);
+            if (job && job.fingerprint !== fingerprint) {
+                throw new IdempotencyConflict('This Idempotency-Key was already used for a different request', { field: 'Idempotency-Key', jobId: job.id });
+            }
+            if (job) return { job, reused: 'idempotency-key' };
+        }
+        if (force) return null;
+
+        const job = jobs.findLatest(candidate => candidate.fingerprint === fingerprint && !['failed', 'cancelled'].includes(candidate.status));
+        if (!job || !history.get(job.input.historyId)) return null;
+        if (!isTerminal(job.status)) return { job, reused: 'in-flight' };
+        const age = Date.now() - Date.parse(job.createdAt);
+        return age < resultCacheTtlMs && resultsArchived(job) ? { job, reused: 'cached' } : null;
+    }
+
+    // Upstream URLs expire, so only results kept in the asset archive are worth reusing
+    function resultsArchived(job) {
+        const urls = job.result.imageUrls || [job.result.videoUrl];
+        return urls.every(url => assets.get(parseAssetUrl(url)));
+    }
+
+    /**
+     * Answer a generation request with a job started before: 202 while it runs, 200 once done.
+     * The request's own Idempotency-Key is added to the job, so a retry with it finds the job too,
+     * and so is its webhook URL, which is notified right away if the job has already finished.
+     *
+     * @param {import('express').Response} res
+     * @param {{ job: object, reused: string }} reusable - From findReusableJob()
+     * @param {{ idempotencyKey: string|null }} dedup - Keys of the request being answered
+     * @param {string|null} webhookUrl - Sent with the request being answered
+     */
+    function sendReusedJob(res, { job, reused }, { idempotencyKey }, webhookUrl) {
+        if (idempotencyKey && !job.idempotencyKeys?.includes(idempotencyKey)) {
+            jobs.update(job.id, { idempotencyKeys: [...(job.idempotencyKeys || []), idempotencyKey] });
+        }
+        if (webhookUrl && !job.webhookUrls?.includes(webhookUrl)) {
+            jobs.update(job.id, { webhookUrls: [...(job.webhookUrls || []), webhookUrl] });
+            if (isTerminal(job.status)) notifyJobFinished(job.id, [webhookUrl]);
+        }
+        if (reused === 'idempotency-key') res.set('Idempotent-Replayed', 'true');
+        console.log(`♻️ [${job.id}] Answering an identical ${job.type} request (${reused})`);
+
+        res.status(isTerminal(job.status) ? 200 : 202).json({
+            success: true,
+            jobId: job.id,
+            historyId: job.input.historyId,
+            status: job.status,
+            reused,
+            ...(job.segments && { segments: job.segments.length }),
+            estimatedCredits: 0,
+            warnings: [],
+        });
+    }
+
+    /**
+     * Look up a template for a prompt of the given kind.
+     *
+     * @param {string} id
+     * @param {string} kind - 'scene' | 'video'
+     * @returns {object}
+     * @throws {ValidationError} If there is no such template, or it is for the other kind of prompt
+     */
+    function templateFor(id, kind) {
+        const template = templates.get(id);
+        if (!template) {
+            throw new ValidationError(`Unknown template: ${id}`, { field: 'templateId' });
+        }
+        if (template.kind !== kind) {
+            throw new ValidationError(`Template "${template.name}" is a ${template.kind} template, not a ${kind} one`, { field: 'templateId' });
+        }
+        return template;
+    }
+
+    function getTemplate(id) {
+        const template = templates.get(id);
+        if (!template) {
+            throw new NotFoundError('Template not found', { templateId: id });
+        }
+        return template;
+    }
+
+    /**
+     * A saved template the user may change or remove.
+     *
+     * @param {string} id
+     * @param {object|null} user
+     * @returns {object}
+     * @throws {ValidationError} For presets
+     * @throws {ForbiddenError} If the user neither created it nor is an admin
+     */
+    function getSavedTemplate(id, user) {
+        const template = getTemplate(id);
+        if (template.preset) {
+            throw new ValidationError('Preset templates are read-only; save a copy instead', { templateId: id });
+        }
+        if (!canChange(user, template)) {
+            throw new ForbiddenError('Only the person who saved this template, or an admin, can change it', { templateId: id });
+        }
+        return template;
+    }
+
+    /**
+     * Members only see their own runs (and the jobs of those runs, and their batches); admins, and
+     * everyone when accounts are off, see all of them.
+     *
+     * @param {object|null} user
+     * @param {object} run
+     * @returns {boolean}
+     */
+    function canSee(user, run) {
+        return !user || user.role === 'admin' || run.userId === user.id;
+    }
+
+    /**
+     * Shared library items (templates, characters) can be used by everyone, but only changed or removed by
+     * whoever saved them and by admins — and by everyone when accounts are off.
+     *
+     * @param {object|null} user
+     * @param {{ userId?: string|null }} item
+     * @returns {boolean}
+     */
+    function canChange(user, item) {
+        return !user || user.role === 'admin' || (item.userId != null && item.userId === user.id);
+    }
+
+    /**
+     * @param {string} [id]
+     * @param {object|null} user
+     * @returns {object|null} The run, if it exists and the user may see it
+     */
+    function findRun(id, user) {
+        const run = id ? history.get(id) : null;
+        return run && canSee(user, run) ? run : null;
+    }
+
+    // A job is visible with its run; jobs without one are for admins only
+    function canSeeJob(user, job) {
+        const run = history.get(job.input.historyId);
+        return run ? canSee(user, run) : !user || user.role === 'admin';
+    }
+
+    function getJob(id, user) {
+        const job = jobs.get(id);
+        if (!job || !canSeeJob(user, job)) {
+            throw new NotFoundError('Job not found', { jobId: id });
+        }
+        return job;
+    }
+
+    function getBatch(id, user) {
+        const batch = batches.get(id);
+        if (!batch || !canSee(user, batch)) {
+            throw new NotFoundError('Batch not found', { batchId: id });
+        }
+        return batch;
+    }
+
+    function getRun(id, user) {
+        const run = findRun(id, user);
+        if (!run) {
+            throw new NotFoundError('Run not found', { historyId: id });
+        }
+        return run;
+    }
+
+    function jobResponse(job, user) {
+        return {
+            ...toPublicJob(job),
+            queue: scheduler.positionOf(job.id),
+            creditsRemaining: creditsRemainingFor(user),
+        };
+    }
+
+    function requireAccounts() {
+        if (!accounts) {
+            throw new NotFoundError('Accounts are not enabled on this server');
+        }
+    }
+
+    function requireAdmin(req) {
+        requireAccounts();
+        if (req.user.role !== 'admin') {
+            throw new ForbiddenError('Only admins can manage users, teams and budgets');
+        }
+    }
+
+    function getUser(id) {
+        const user = accounts.getUser(id);
+        if (!user) {
+            throw new NotFoundError('User not found', { userId: id });
+        }
+        return user;
+    }
+
+    function getTeam(id) {
+        const team = accounts.getTeam(id);
+        if (!team) {
+            throw new NotFoundError('Team not found', { teamId: id });
+        }
+        return team;
+    }
+
+    function userResponse(user) {
+        return { ...toPublicUser(user), budget: accounts.budgetOf(user) };
+    }
+
+    app.use(cors());
+    app.use(express.json({ limit: '50mb' }));
+
+    // With accounts enabled, every API route but PUBLIC_PATHS needs an API token or a session
+    app.use('/api', (req, res, next) => {
+        req.user = accounts?.authenticate(requestCredential(req)) || null;
+        if (accounts && !req.user && !PUBLIC_PATHS.includes(req.path)) {
+            return next(new UnauthorizedError('Sign in or send an API token (Authorization: Bearer ...)'));
+        }
+        next();
+    });
+
+    // Per-client limit on starting generations (by user, or by IP without accounts)
+    app.post(GENERATE_PATHS, (req, res, next) => {
+        const { allowed, remaining, retryAfterMs } = limiter.take(req.user?.id || req.ip);
+        res.set('X-RateLimit-Limit', String(limiter.limit));
+        res.set('X-RateLimit-Remaining', String(remaining));
+        if (!allowed) {
+            const retryAfterSeconds = Math.ceil(retryAfterMs / 1000);
+            res.set('Retry-After', String(retryAfterSeconds));
+            return next(new RateLimited(`Too many generations started; try again in ${retryAfterSeconds}s`, { retryAfterSeconds }));
+        }
+        next();
+    });
+
+    // Multer config for image uploads (in-memory)
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: MAX_UPLOAD_BYTES },
+        fileFilter: (req, file, cb) => {
+            if (file.mimetype.startsWith('image/')) {
+                cb(null, true);
+            } else {
+                cb(new ValidationError('Only image files are allowed', { field: file.fieldname }));
+            }
+        },
+    });
+
+    /**
+     * POST /api/generate-scene
+     * Accepts two to four portrait images + scenario text (+ optional `imageModel` provider ID and
+     * `candidates`, the number of compositions to generate, 1-4). Portraits come either as
+     * `portraitA` + `portraitB`, or as repeated `portraits` fields with an optional `people` JSON list
+     * (`[{ name, position: 'left' | 'center' | 'right', depth: 'foreground' | 'background' }]`, same order).
+     * Instead of `scenario`, a scene `templateId` can be sent with its `variables` as a JSON field.
+     * A person in `people` can be a library character (`characterId`): its stored portrait is used,
+     * so uploads are only sent for the other people, in order; its description goes into the prompts.
+     * Each portrait is preprocessed (see POST /api/portraits/check) and must show exactly one face.
+     * Queues a NanoBanana scene job and returns its ID immediately; the job result carries the
+     * candidate image URLs (`imageUrls`, with `imageUrl` the first) to pick from before the video step.
+     * Also starts a history run, whose ID is returned as `historyId` (and on the job as `input.historyId`).
+     * An identical request (same portraits, prompt and parameters) gets the job already running or
+     * completed for it, marked `reused`, unless `force` is set; so does a repeated `Idempotency-Key` header.
+     * With a `webhookUrl`, a signed event is POSTed there when the job completes, fails or is cancelled.
+     */
+    app.post(
+        '/api/generate-scene',
+        upload.fields([
+            { name: 'portraitA', maxCount: 1 },
+            { name: 'portraitB', maxCount: 1 },
+            { name: 'portraits', maxCount: MAX_PEOPLE },
+        ]),
+        checkRequestWebhookUrl,
+        (req, res, next) => {
+            const { templateId, imageModel } = req.body;
+            const candidates = req.body.candidates ? Number(req.body.candidates) : 1;
+
+            const portraits = req.files?.portraits || [req.files?.portraitA?.[0], req.files?.portraitB?.[0]].filter(Boolean);
+            const people = withCharacters(parseJsonField(req.body.people, 'people'));
+            const fromLibrary = Array.isArray(people) ? people.filter(person => person?.characterId).length : 0;
+            if (!req.files?.portraits && !fromLibrary && portraits.length < 2) {
+                throw new ValidationError('Both portrait images are required', { fields: ['portraitA', 'portraitB'] });
+            }
+            if (portraits.length + fromLibrary < MIN_PEOPLE) {
+                throw new ValidationError(`At least ${MIN_PEOPLE} portrait images are required`, { field: 'portraits' });
+            }
+            const cast = normalizeCast(people, portraits.length + fromLibrary);
+            const scenario = templateId
+                ? renderTemplate(templateFor(templateId, 'scene'), { variables: parseJsonField(req.body.variables, 'variables'), cast })
+                : req.body.scenario;
+            if (!scenario) {
+                throw new ValidationError('Scenario text is required', { field: 'scenario' });
+            }
+            if (imageModel && !hasProvider('image', imageModel)) {
+                throw new ValidationError(`Unknown image model: ${imageModel}`, { field: 'imageModel' });
+            }
+            if (!Number.isInteger(candidates) || candidates < 1 || candidates > MAX_SCENE_CANDIDATES) {
+                throw new ValidationError(`candidates must be a whole number from 1 to ${MAX_SCENE_CANDIDATES}`, { field: 'candidates' });
+            }
+            const webhookUrl = requestWebhookUrl(req);
+            const estimate = estimateCredits({ kind: 'image', model: imageModel, images: candidates });
+
+            // Library characters use their stored portrait; uploads fill the other places in order
+            let uploadIndex = 0;
+            const sources = cast.map(person => (person.characterId
+                ? { characterId: person.characterId, hash: characters.get(person.characterId).portraitHash }
+                : { index: uploadIndex, buffer: portraits[uploadIndex++].buffer }));
+            const dedup = dedupKeys(req, 'scene', {
+                portraits: sources.map(source => source.hash || hashPortrait(source.buffer)),
+                cast,
+                scenario,
+                imageModel: estimate.model,
+                candidates,
+            });
+            const reusable = findReusableJob(dedup);
+            if (reusable) return sendReusedJob(res, reusable, dedup, webhookUrl);
+            if (!dedup.force && starting.has(dedup.fingerprint)) {
+                return starting.get(dedup.fingerprint)
+                    .then(job => sendReusedJob(res, { job, reused: 'in-flight' }, dedup, webhookUrl))
+                    .catch(next);
+            }
+            const { reservationId, ...preflight } = preflightCredits(req.user, estimate.estimatedCredits);
+
+            // Every upload must show one face before anything is recorded or queued
+            const started = Promise.all(sources.map(source => (source.characterId
+                ? { uri: characters.toDataUri(source.characterId), hash: source.hash }
+                : preparePortrait(source.buffer, { field: 'portraits', index: source.index }))))
+                .then(prepared => {
+                    const resolvedImageModel = estimate.model;
+                    const run = history.create({
+                        userId: req.user?.id ?? null,
+                        portraitHashes: prepared.map(portrait => portrait.hash),
+                        cast,
+                        scenario,
+                        imageModel: resolvedImageModel,
+                    });
+                    const job = createJob('scene', { scenario, imageModel: resolvedImageModel, candidates, cast, historyId: run.id }, { ...jobFields(dedup, webhookUrl), reservationId });
+                    history.update(run.id, { sceneJobId: job.id });
+                    scheduleJob('scene', job.id, () => runSceneJob(job.id, prepared.map(portrait => portrait.uri)));
+                    return job;
+                });
+            const forget = () => starting.get(dedup.fingerprint) === started && starting.delete(dedup.fingerprint);
+            starting.set(dedup.fingerprint, started);
+            started.then(forget, forget);
+            started.catch(() => releaseReservation(reservationId));
+
+            started
+                .then(job => res.status(202).json({
+                    success: true,
+                    jobId: job.id,
+                    historyId: job.input.historyId,
+                    status: job.status,
+                    ...preflight,
+                }))
+                .catch(next);
+        }
+    );
+
+    /**
+     * POST /api/upload-scene
+     * Accepts a pre-composed JPEG, PNG or WebP scene image (+ optional scenario text and `people` JSON list, as for
+     * generate-scene, describing who is where) and skips scene generation.
+     * The image is archived like a generated scene; returns its URL and a new history run for the video step.
+     */
+    app.post('/api/upload-scene', upload.single('scene'), (req, res) => {
+        if (!req.file) {
+            throw new ValidationError('A scene image is required', { field: 'scene' });
+        }
+        // The claimed MIME type is not trusted: it is served back to browsers
+        const contentType = sniffImageType(req.file.buffer);
+        if (!contentType) {
+            throw new UnsupportedMediaType('The scene must be a JPEG, PNG or WebP image', { field: 'scene' });
+        }
+
+        const cast = normalizeCast(withCharacters(parseJsonField(req.body.people, 'people')));
+        const asset = assets.store(req.file.buffer, contentType, { kind: 'scene' });
+        const run = history.create({
+            userId: req.user?.id ?? null,
+            status: 'scene-ready',
+            cast,
+            scenario: req.body.scenario || null,
+            sceneImageUrl: assetUrl(asset),
+        });
+        console.log(`🖼️ Scene uploaded as ${asset.id.slice(0, 12)} (run ${run.id})`);
+
+        res.status(201).json({
+            success: true,
+            historyId: run.id,
+            sceneImageUrl: run.sceneImageUrl,
+        });
+    });
+
+    /**
+     * POST /api/portraits/check
+     * Preprocesses one `portrait` upload the way generate-scene will: EXIF orientation, single-face
+     * check and head-and-shoulders crop. Returns the normalized image as a data URI `preview`, or a
+     * 400 whose `details.reason` is UNREADABLE_IMAGE, NO_FACE or MULTIPLE_FACES.
+     */
+    app.post('/api/portraits/check', upload.single('portrait'), (req, res, next) => {
+        if (!req.file) {
+            throw new ValidationError('A portrait image is required', { field: 'portrait' });
+        }
+
+        preprocessPortrait(req.file.buffer, { field: 'portrait' })
+            .then(portrait => res.json({
+                success: true,
+                preview: `data:${portrait.contentType};base64,${portrait.buffer.toString('base64')}`,
+                width: portrait.width,
+                height: portrait.height,
+                face: portrait.face,
+            }))
+            .catch(next);
+    });
+
+    /**
+     * POST /api/generate-video
+     * Accepts scene image URL + video prompt + duration (4, 6 or 8 seconds; default 8) (+ optional `videoModel` provider ID).
+     * Instead of a free-text prompt, a scripted `dialogue` (`[{ speaker: 'A' | 'B' | ..., line, emotion?, gesture? }]`)
+     * can be sent; it must fit the duration and is built into the Veo prompt, with `videoPrompt` as extra direction.
+     * Speakers are the people of the scene run's cast (or of a `cast` sent along), in portrait order.
+     * Instead of `videoPrompt`, a video `templateId` can be sent with its `variables`; `{{scenario}}`
+     * defaults to the scenario of the scene's run.
+     * The descriptions of library characters in the cast are added to the prompt.
+     * Pass the scene's `historyId` to record the video on the same history run; otherwise a new run is started.
+     * Once that run has a video, each further take from the scene is recorded as a new run (`sceneRunId` points back).
+     * Queues a Veo 3.1 job and returns its ID immediately; follow it via GET /api/jobs/:id or its event stream.
+     * Identical requests are answered with the job already started for them, as for generate-scene (`force` opts out).
+     * An optional `webhookUrl` is notified when the job finishes.
+     */
+    app.post('/api/generate-video', checkRequestWebhookUrl, (req, res) => {
+        const { sceneImageUrl, videoModel, historyId, templateId } = req.body;
+
+        if (!sceneImageUrl) {
+            throw new ValidationError('Scene image URL is required', { field: 'sceneImageUrl' });
+        }
+        if (!req.body.videoPrompt && !req.body.dialogue && !templateId) {
+            throw new ValidationError('Video prompt or dialogue is required', { fields: ['videoPrompt', 'dialogue', 'templateId'] });
+        }
+        const duration = normalizeClipDuration(req.body.duration ?? 8);
+        const cast = resolveCast(req.body.cast, historyId);
+        const dialogue = req.body.dialogue && validateDialogue(req.body.dialogue, duration, cast);
+        if (videoModel && !hasProvider('video', videoModel)) {
+            throw new ValidationError(`Unknown video model: ${videoModel}`, { field: 'videoModel' });
+        }
+        if (historyId && !findRun(historyId, req.user)) {
+            throw new ValidationError(`Unknown history run: ${historyId}`, { field: 'historyId' });
+        }
+        const videoPrompt = templateId && !dialogue
+            ? renderTemplate(templateFor(templateId, 'video'), {
+                variables: req.body.variables,
+                cast,
+                scenario: (historyId && history.get(historyId).scenario) || '',
+            })
+            : req.body.videoPrompt;
+        assertSceneArchived(sceneImageUrl);
+        const webhookUrl = requestWebhookUrl(req);
+        // Resolve the default now so a resumed job keeps polling the provider that created it
+        const resolvedVideoModel = getProvider('video', videoModel).id;
+        const prompt = dialogue ? buildDialoguePrompt(dialogue, videoPrompt, cast) : [videoPrompt, ...describePeople(cast || [])].join('\n');
+
+        const dedup = dedupKeys(req, 'video', { sceneImageUrl, videoPrompt: prompt, duration, videoModel: resolvedVideoModel });
+        const reusable = findReusableJob(dedup);
+        if (reusable) return sendReusedJob(res, reusable, dedup, webhookUrl);
+        const { reservationId, ...preflight } = preflightCredits(req.user, estimateVideoCredits(videoModel, [duration]));
+
+        const run = runForTake(historyId, sceneImageUrl, req.user);
+        const job = startVideoJob({
+            sceneImageUrl,
+            videoPrompt: prompt,
+            ...(dialogue && { dialogue, videoDirection: videoPrompt || null, cast }),
+            duration,
+            videoModel: resolvedVideoModel,
+            historyId: run.id,
+        }, { ...jobFields(dedup, webhookUrl), reservationId });
+
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            historyId: run.id,
+            status: job.status,
+            ...preflight,
+        });
+    });
+
+    /**
+     * POST /api/generate-conversation
+     * Long-form variant of generate-video for scripts longer than one clip: the `dialogue` (up to 60 turns)
+     * is split into segments that each fit a clip, generated one after the other, each starting from the
+     * last frame of the previous one, and stitched into a single MP4. `videoPrompt` is extra direction
+     * repeated in every segment. Tracked as one `conversation` job whose `segments` report per-clip progress;
+     * a transient failure resubmits just that segment, and a failed job resumes via POST /api/jobs/:id/retry.
+     * Identical requests are answered with the job already started for them, as for generate-scene (`force` opts out).
+     * An optional `webhookUrl` is notified when the job finishes.
+     */
+    app.post('/api/generate-conversation', checkRequestWebhookUrl, (req, res) => {
+        const { sceneImageUrl, dialogue, videoPrompt, videoModel, historyId } = req.body;
+
+        if (!sceneImageUrl) {
+            throw new ValidationError('Scene image URL is required', { field: 'sceneImageUrl' });
+        }
+        const cast = resolveCast(req.body.cast, historyId);
+        const plan = planConversation(dialogue, videoPrompt, cast);
+        if (videoModel && !hasProvider('video', videoModel)) {
+            throw new ValidationError(`Unknown video model: ${videoModel}`, { field: 'videoModel' });
+        }
+        if (historyId && !findRun(historyId, req.user)) {
+            throw new ValidationError(`Unknown history run: ${historyId}`, { field: 'historyId' });
+        }
+        assertSceneArchived(sceneImageUrl);
+        const webhookUrl = requestWebhookUrl(req);
+        const resolvedVideoModel = getProvider('video', videoModel).id;
+
+        const dedup = dedupKeys(req, 'conversation', {
+            sceneImageUrl,
+            segments: plan.map(segment => ({ videoPrompt: segment.videoPrompt, duration: segment.duration })),
+            videoModel: resolvedVideoModel,
+        });
+        const reusable = findReusableJob(dedup);
+        if (reusable) return sendReusedJob(res, reusable, dedup, webhookUrl);
+        const { reservationId, ...preflight } = preflightCredits(req.user, estimateVideoCredits(videoModel, plan.map(segment => segment.duration)));
+
+        const run = runForTake(historyId, sceneImageUrl, req.user);
+        const job = startConversationJob({
+            sceneImageUrl,
+            dialogue: plan.flatMap(segment => segment.dialogue),
+            videoDirection: videoPrompt || null,
+            cast,
+            videoModel: resolvedVideoModel,
+            historyId: run.id,
+        }, plan, { ...jobFields(dedup, webhookUrl), reservationId });
+
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            historyId: run.id,
+            status: job.status,
+            segments: plan.length,
+            ...preflight,
+        });
+    });
+
+    /**
+     * POST /api/dialogue/preview
+     * Builds the Veo prompt for a scripted dialogue without starting a job, and reports
+     * whether its estimated speaking time fits the duration. Used by the dialogue editor.
+     * With `conversation: true`, returns the segments a long conversation would be split into.
+     */
+    app.post('/api/dialogue/preview', (req, res) => {
+        const { dialogue, videoPrompt, conversation } = req.body;
+        const cast = resolveCast(req.body.cast);
+        if (conversation) {
+            const plan = planConversation(dialogue, videoPrompt, cast);
+            return res.json({
+                segments: plan.map(({ dialogue: turns, duration: segmentDuration, estimatedSeconds, videoPrompt: prompt }) => ({
+                    turns: turns.length,
+                    duration: segmentDuration,
+                    estimatedSeconds,
+                    prompt,
+                })),
+                duration: plan.reduce((sum, segment) => sum + segment.duration, 0),
+                fits: true,
+            });
+        }
+
+        const duration = normalizeClipDuration(req.body.duration ?? 8);
+        const turns = normalizeDialogue(dialogue, { cast });
+        const estimatedSeconds = estimateSpeakingSeconds(turns);
+
+        res.json({
+            prompt: buildDialoguePrompt(turns, videoPrompt, cast),
+            estimatedSeconds,
+            duration,
+            fits: estimatedSeconds <= duration,
+        });
+    });
+
+    // Batch uploads: portrait images, plus the manifest as a CSV or JSON file
+    const batchUpload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: MAX_UPLOAD_BYTES },
+        fileFilter: (req, file, cb) => {
+            if (file.fieldname === 'manifest' || file.mimetype.startsWith('image/')) {
+                cb(null, true);
+            } else {
+                cb(new ValidationError('Only image files are allowed as portraits', { field: file.fieldname }));
+            }
+        },
+    });
+
+    /**
+     * POST /api/batches
+     * Starts a batch of generations from a manifest (see parseManifest): one scene → video run per row,
+     * with `concurrency` rows (default 2, max 4) in progress at a time. Send multipart with the manifest
+     * as a `manifest` file or text field and the portraits it names as repeated `portraits` files, or
+     * JSON with `rows` whose portraits are URLs. `imageModel` / `videoModel` apply to every row.
+     * The whole batch is estimated and checked against the caller's credits up front.
+     */
+    app.post(
+        '/api/batches',
+        batchUpload.fields([
+            { name: 'manifest', maxCount: 1 },
+            { name: 'portraits', maxCount: MAX_BATCH_PORTRAITS },
+        ]),
+        (req, res) => {
+            const { imageModel, videoModel } = req.body;
+            const concurrency = req.body.concurrency ? Number(req.body.concurrency) : batchConcurrency;
+            const rows = parseManifest(req.body.rows ?? req.files?.manifest?.[0].buffer.toString('utf-8') ?? req.body.manifest ?? []);
+
+            if (imageModel && !hasProvider('image', imageModel)) {
+                throw new ValidationError(`Unknown image model: ${imageModel}`, { field: 'imageModel' });
+            }
+            if (videoModel && !hasProvider('video', videoModel)) {
+                throw new ValidationError(`Unknown video model: ${videoModel}`, { field: 'videoModel' });
+            }
+            if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_BATCH_CONCURRENCY) {
+                throw new ValidationError(`concurrency must be a whole number from 1 to ${MAX_BATCH_CONCURRENCY}`, { field: 'concurrency' });
+            }
+
+            // Portraits are referenced by file name
+            const uploaded = new Map((req.files?.portraits || []).map(file => [file.originalname, file]));
+            const portraitsByRow = rows.map((row, index) => row.portraits.map((ref) => {
+                if (isPortraitUrl(ref)) return ref;
+                if (!uploaded.has(ref)) {
+                    throw new ValidationError(`Row ${index + 1}: no uploaded portrait named "${ref}"`, { field: 'portraits', row: index + 1 });
+                }
+                return uploaded.get(ref);
+            }));
+
+            const scenes = estimateCredits({ kind: 'image', model: imageModel, images: rows.length });
+            const videos = estimateVideoCredits(videoModel, rows.map(row => row.duration));
+            const { reservationId, ...preflight } = preflightCredits(req.user, scenes.estimatedCredits == null || videos == null ? null : scenes.estimatedCredits + videos);
+
+            const batch = batches.create({
+                userId: req.user?.id ?? null,
+                imageModel: scenes.model,
+                videoModel: getProvider('video', videoModel).id,
+                concurrency,
+            }, rows);
+            batchReservations.set(batch.id, reservationId);
+            runBatch(batch.id, portraitsByRow);
+
+            res.status(202).json({
+                success: true,
+                batchId: batch.id,
+                status: batch.status,
+                rowCount: batch.rows.length,
+                ...preflight,
+            });
+        }
+    );
+
+    /**
+     * GET /api/batches
+     * Lists the caller's batches (all of them for admins), newest first, with row counts per status.
+     */
+    app.get('/api/batches', (req, res) => {
+        const visible = batches.list().filter(batch => canSee(req.user, batch));
+        res.json({ batches: visible.map(toPublicBatch) });
+    });
+
+    /**
+     * GET /api/batches/:id
+     * Returns a batch with the status, run, jobs, result URLs and credits of each row.
+     */
+    app.get('/api/batches/:id', (req, res) => {
+        res.json(toPublicBatch(getBatch(req.params.id, req.user)));
+    });
+
+    /**
+     * GET /api/batches/:id/summary
+     * Downloads one line per row (status, scene and video URLs, credits used, history run, error)
+     * as CSV, or as JSON with `?format=json`. Asset URLs are made absolute so the file works on its own.
+     */
+    app.get('/api/batches/:id/summary', (req, res) => {
+        const batch = getBatch(req.params.id, req.user);
+        const origin = `${req.protocol}://${req.get('host')}`;
+        const summary = summarizeBatch(batch, url => url.startsWith('/') ? origin + url : url);
+
+        if (req.query.format === 'json') {
+            return res.json({ batchId: batch.id, status: batch.status, rows: summary });
+        }
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="duocast-batch-${batch.id.slice(0, 8)}.csv"`);
+        res.send(toSummaryCsv(summary));
+    });
+
+    /**
+     * GET /api/templates
+     * Lists the preset and saved prompt templates (`?kind=scene|video`), each with the variables it uses.
+     */
+    app.get('/api/templates', (req, res) => {
+        const { kind } = req.query;
+        if (kind && !TEMPLATE_KINDS.includes(kind)) {
+            throw new ValidationError(`kind must be ${TEMPLATE_KINDS.join(' or ')}`, { field: 'kind' });
+        }
+        res.json({ items: templates.list({ kind }).map(toPublicTemplate) });
+    });
+
+    /**
+     * GET /api/templates/:id
+     */
+    app.get('/api/templates/:id', (req, res) => {
+        res.json(toPublicTemplate(getTemplate(req.params.id)));
+    });
+
+    /**
+     * POST /api/templates
+     * Saves a template: `{ name, kind: 'scene' | 'video', body, description?, defaults? }`.
+     * The body refers to variables as `{{setting}}`; `{{personA.name}}`, `{{personA.position}}`,
+     * `{{people}}` and `{{peopleCount}}` are filled in from the scene's cast.
+     * The template is shared with everyone; only its creator and admins can change it.
+     */
+    app.post('/api/templates', (req, res) => {
+        const template = templates.create({ ...normalizeTemplate(req.body), userId: req.user?.id ?? null });
+        console.log(`📝 Template saved: ${template.name} (${template.id})`);
+        res.status(201).json(toPublicTemplate(template));
+    });
+
+    /**
+     * PUT /api/templates/:id
+     * Replaces a saved template. Presets are read-only; members can only change their own templates.
+     */
+    app.put('/api/templates/:id', (req, res) => {
+        getSavedTemplate(req.params.id, req.user);
+        res.json(toPublicTemplate(templates.update(req.params.id, normalizeTemplate(req.body))));
+    });
+
+    /**
+     * DELETE /api/templates/:id
+     * Removes a saved template. Presets are read-only; members can only remove their own templates.
+     */
+    app.delete('/api/templates/:id', (req, res) => {
+        getSavedTemplate(req.params.id, req.user);
+        templates.delete(req.params.id);
+        res.status(204).end();
+    });
+
+    /**
+     * POST /api/templates/:id/render
+     * Fills in a template with `variables` (and the `cast`, or the cast and scenario of
+     * the `historyId` run) without starting anything. Used by the template picker.
+     */
+    app.post('/api/templates/:id/render', (req, res) => {
+        const template = getTemplate(req.params.id);
+        const { variables, historyId } = req.body;
+        const run = findRun(historyId, req.user);
+        const prompt = renderTemplate(template, {
+            variables,
+            cast: resolveCast(req.body.cast, historyId),
+            scenario: run?.scenario ?? undefined,
+        });
+        res.json({ templateId: template.id, kind: template.kind, prompt });
+    });
+
+    /**
+     * GET /api/characters
+     * Lists the character library by name (`?q=` searches names and descriptions, `?tag=` filters).
+     */
+    app.get('/api/characters', (req, res) => {
+        const { q, tag } = req.query;
+        res.json({ items: characters.list({ q, tag }).map(toPublicCharacter) });
+    });
+
+    /**
+     * GET /api/characters/:id
+     */
+    app.get('/api/characters/:id', (req, res) => {
+        res.json(toPublicCharacter(getCharacter(req.params.id)));
+    });
+
+    /**
+     * GET /api/characters/:id/portrait
+     * The character's stored (preprocessed) portrait.
+     */
+    app.get('/api/characters/:id/portrait', (req, res, next) => {
+        getCharacter(req.params.id);
+        res.sendFile(characters.portraitPath(req.params.id), { headers: { 'Content-Type': 'image/jpeg' } }, (err) => {
+            if (err && !res.headersSent) next(new NotFoundError('Portrait file is missing', { characterId: req.params.id }));
+        });
+    });
+
+    /**
+     * POST /api/characters
+     * Saves a character: multipart `portrait` + `name`, `description` (voice, style, wardrobe...) and
+     * `tags` (comma-separated or a JSON list). The portrait is preprocessed like a generate-scene upload.
+     */
+    app.post('/api/characters', upload.single('portrait'), (req, res, next) => {
+        const fields = normalizeCharacter(req.body);
+        if (!req.file) {
+            throw new ValidationError('A portrait image is required', { field: 'portrait' });
+        }
+
+        preprocessPortrait(req.file.buffer, { field: 'portrait' })
+            .then(portrait => {
+                const character = characters.create({ ...fields, userId: req.user?.id ?? null }, { buffer: portrait.buffer, hash: hashPortrait(req.file.buffer) });
+                console.log(`🧑 Character saved: ${character.name} (${character.id})`);
+                res.status(201).json(toPublicCharacter(character));
+            })
+            .catch(next);
+    });
+
+    /**
+     * PUT /api/characters/:id
+     * Replaces a character's fields, as for POST; the portrait is only replaced if a new one is sent.
+     * Members can only change the characters they saved.
+     */
+    app.put('/api/characters/:id', upload.single('portrait'), (req, res, next) => {
+        getOwnCharacter(req.params.id, req.user);
+        const fields = normalizeCharacter(req.body);
+
+        const portrait = req.file
+            ? preprocessPortrait(req.file.buffer, { field: 'portrait' }).then(processed => ({ buffer: processed.buffer, hash: hashPortrait(req.file.buffer) }))
+            : Promise.resolve(undefined);
+        portrait
+            .then(replacement => res.json(toPublicCharacter(characters.update(req.params.id, fields, replacement))))
+            .catch(next);
+    });
+
+    /**
+     * DELETE /api/characters/:id
+     * Removes a character. Runs that used it keep its name and description in their cast.
+     * Members can only remove the characters they saved.
+     */
+    app.delete('/api/characters/:id', (req, res) => {
+        getOwnCharacter(req.params.id, req.user);
+        characters.delete(req.params.id);
+        res.status(204).end();
+    });
+
+    /**
+     * GET /api/webhooks
+     * The caller's webhook settings: the account-wide `url` notified when any of their generations
+     * finishes (null if unset), and the `secret` every delivery to them is signed with.
+     */
+    app.get('/api/webhooks', (req, res) => {
+        res.json({ ...toPublicEndpoint(webhooks.endpointFor(req.user?.id ?? null)), events: WEBHOOK_EVENTS });
+    });
+
+    /**
+     * PUT /api/webhooks
+     * Sets the account-wide webhook `url` (null or empty to remove it). URLs sent with a
+     * single request (`webhookUrl`) are notified as well. Both must resolve to a public
+     * address, unless their host is in `allowedWebhookHosts`.
+     */
+    app.put('/api/webhooks', (req, res, next) => {
+        const url = req.body.url ? normalizeWebhookUrl(req.body.url, 'url') : null;
+        (url ? checkWebhookUrl(url, 'url') : Promise.resolve(null))
+            .then(() => {
+                const endpoint = webhooks.setUrl(req.user?.id ?? null, url);
+                console.log(url ? `📨 Webhook set to ${url}` : '📨 Webhook removed');
+                res.json({ ...toPublicEndpoint(endpoint), events: WEBHOOK_EVENTS });
+            })
+            .catch(next);
+    });
+
+    /**
+     * POST /api/webhooks/secret
+     * Replaces the signing secret; deliveries from now on, including retries, use the new one.
+     */
+    app.post('/api/webhooks/secret', (req, res) => {
+        res.json({ ...toPublicEndpoint(webhooks.rotateSecret(req.user?.id ?? null)), events: WEBHOOK_EVENTS });
+    });
+
+    /**
+     * GET /api/webhooks/deliveries
+     * The caller's delivery log, newest first: each delivery's event, URL, status
+     * (pending | delivered | failed), every attempt and the payload sent.
+     * Filters: `jobId`, `status`, `limit` (default 50).
+     */
+    app.get('/api/webhooks/deliveries', (req, res) => {
+        const { jobId, status } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_HISTORY_PAGE_SIZE);
+        const items = webhooks.listDeliveries({ ownerId: req.user?.id ?? null, jobId, status, limit });
+        res.json({ items: items.map(toPublicDelivery) });
+    });
+
+    /**
+     * POST /api/webhooks/test
+     * Sends a signed `ping` event to `url` (default: the account-wide URL) right away, once and
+     * without retries, and reports how the receiver answered. For checking a receiver and its
+     * signature verification before relying on it. The same address rules as PUT /api/webhooks
+     * apply; a local listener needs its host in `allowedWebhookHosts`.
+     */
+    app.post('/api/webhooks/test', (req, res, next) => {
+        const ownerId = req.user?.id ?? null;
+        const url = req.body.url ? normalizeWebhookUrl(req.body.url, 'url') : webhooks.endpointFor(ownerId).url;
+        if (!url) {
+            throw new ValidationError('Send a url, or set an account-wide webhook URL first', { field: 'url' });
+        }
+
+        checkWebhookUrl(url, 'url')
+            .then(() => {
+                const delivery = webhooks.createDelivery({
+                    ownerId,
+                    url,
+                    event: 'ping',
+                    data: { message: 'Webhook test from DuoCast', userId: ownerId },
+                });
+                return sendDelivery(delivery.id, 1).then(delivered => res.json({ success: true, delivered, delivery: toPublicDelivery(webhooks.getDelivery(delivery.id)) }));
+            })
+            .catch(next);
+    });
+
+    /**
+     * GET /api/jobs
+     * Lists jobs, newest first. Optional `status` and `limit` (default 50, at most 100) query filters.
+     */
+    app.get('/api/jobs', (req, res) => {
+        const { status } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_HISTORY_PAGE_SIZE);
+        const visible = jobs.list({ status }).filter(job => canSeeJob(req.user, job));
+        res.json({ jobs: visible.slice(0, limit).map(toPublicJob) });
+    });
+
+    /**
+     * GET /api/jobs/:id
+     * Returns the current state of a job, including the video URL once completed.
+     */
+    app.get('/api/jobs/:id', (req, res) => {
+        res.json(jobResponse(getJob(req.params.id, req.user), req.user));
+    });
+
+    /**
+     * POST /api/jobs/:id/retry
+     * Resumes a failed or cancelled conversation job from its first unfinished segment;
+     * segments already generated are kept (and not paid for again).
+     */
+    app.post('/api/jobs/:id/retry', (req, res) => {
+        const job = getJob(req.params.id, req.user);
+        if (job.type !== 'conversation') {
+            throw new ValidationError('Only conversation jobs can be retried; start a new generation instead', { jobId: job.id });
+        }
+        if (job.status !== 'failed' && job.status !== 'cancelled') {
+            throw new ValidationError(`Only failed or cancelled jobs can be retried (this one is ${job.status})`, { jobId: job.id, status: job.status });
+        }
+        assertSceneArchived(job.input.sceneImageUrl);
+        const unpaid = job.segments.filter(segment => segment.status !== 'completed' && !isPaid(segment));
+        const { reservationId, ...preflight } = preflightCredits(req.user, estimateVideoCredits(job.input.videoModel, unpaid.map(segment => segment.duration)));
+
+        // Clips generated but not archived keep their generation ID, so they are fetched again rather than paid twice
+        const segments = job.segments.map(segment => segment.status === 'completed'
+            ? segment
+            : { ...segment, status: 'pending', generationId: isPaid(segment) ? segment.generationId : null, attempts: 0, error: null });
+        jobs.update(job.id, { status: 'queued', error: null, segments, reservationId });
+        history.update(job.input.historyId, { status: 'pending', error: null });
+        console.log(`🔁 [${job.id}] Retrying from segment ${segments.findIndex(s => s.status !== 'completed') + 1}`);
+        runConversationJob(job.id);
+
+        res.status(202).json({ success: true, ...jobResponse(job, req.user), ...preflight });
+    });
+
+    /**
+     * POST /api/jobs/:id/cancel
+     * Stops a queued or running job: it leaves the queue, its requests, retries and polling are
+     * aborted, and the upstream task is stopped where the provider supports that (Veo's is not,
+     * see cancelVideoTask). Credits already charged for finished work (e.g. completed conversation
+     * clips) are not refunded.
+     */
+    app.post('/api/jobs/:id/cancel', (req, res) => {
+        const job = getJob(req.params.id, req.user);
+        if (isTerminal(job.status)) {
+            throw new ValidationError(`Only queued or running jobs can be cancelled (this one is ${job.status})`, { jobId: job.id, status: job.status });
+        }
+        cancelJob(job.id, 'Cancelled by the user');
+        res.json(jobResponse(jobs.get(job.id), req.user));
+    });
+
+    /**
+     * GET /api/jobs/:id/events
+     * Server-Sent Events stream of a job's progress: status transitions, retry
+     * attempts, poll errors and elapsed time. Replays past events (honouring
+     * Last-Event-ID on reconnect), then sends a `job` snapshot on every change
+     * and closes once the job is completed, failed or cancelled.
+     * With `?cancelOnDisconnect=1`, the job is cancelled once no stream has followed it
+     * for `disconnectGraceMs` (so a page reload does not cancel it, but closing the tab does).
+     */
+    app.get('/api/jobs/:id/events', (req, res) => {
+        const job = getJob(req.params.id, req.user);
+        const cancelOnDisconnect = req.query.cancelOnDisconnect === '1';
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+        });
+        res.flushHeaders();
+
+        const send = (eventName, data, id) => {
+            if (id != null) res.write(`id: ${id}\n`);
+            res.write(`event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        const lastSeq = parseInt(req.get('Last-Event-ID'), 10) || 0;
+        for (const event of job.events || []) {
+            if (event.seq > lastSeq) send('progress', event, event.seq);
+        }
+        send('job', jobResponse(job, req.user));
+
+        if (isTerminal(job.status)) {
+            return res.end();
+        }
+
+        const onEvent = (updated, event) => {
+            if (updated.id === job.id) send('progress', event, event.seq);
+        };
+        const onUpdate = (updated) => {
+            if (updated.id !== job.id) return;
+            send('job', jobResponse(updated, req.user));
+            if (isTerminal(updated.status)) res.end();
+        };
+        // Heartbeat keeps proxies from closing the stream and lets the UI show elapsed time
+        const heartbeat = setInterval(() => {
+            send('heartbeat', { jobElapsedMs: Date.now() - Date.parse(job.createdAt) });
+        }, SSE_HEARTBEAT_MS);
+
+        jobs.on('event', onEvent);
+        jobs.on('update', onUpdate);
+        watchers.set(job.id, (watchers.get(job.id) || 0) + 1);
+        res.on('close', () => {
+            clearInterval(heartbeat);
+            jobs.off('event', onEvent);
+            jobs.off('update', onUpdate);
+            watchers.set(job.id, watchers.get(job.id) - 1);
+            if (!watchers.get(job.id)) watchers.delete(job.id);
+            if (cancelOnDisconnect) cancelIfAbandoned(job.id);
+        });
+    });
+
+    /**
+     * GET /api/history
+     * Lists past runs, newest first. Query filters: `status` (pending | scene-ready | completed | failed | cancelled),
+     * `q` (text in the scenario or video prompt), `since` / `until` (dates); pagination via `limit` and `offset`.
+     */
+    app.get('/api/history', (req, res) => {
+        const { status, q } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, MAX_HISTORY_PAGE_SIZE);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+        const since = parseDateQuery(req.query.since, 'since');
+        const until = parseDateQuery(req.query.until, 'until');
+
+        const userId = req.user && req.user.role !== 'admin' ? req.user.id : undefined;
+        const { items, total } = history.list({ status, q, since, until, userId, limit, offset });
+        res.json({ items, total, limit, offset });
+    });
+
+    /**
+     * GET /api/history/:id
+     * Returns a single run.
+     */
+    app.get('/api/history/:id', (req, res) => {
+        res.json(getRun(req.params.id, req.user));
+    });
+
+    /**
+     * DELETE /api/history/:id
+     * Removes a run from the history. Jobs and upstream assets are left alone.
+     */
+    app.delete('/api/history/:id', (req, res) => {
+        getRun(req.params.id, req.user);
+        history.delete(req.params.id);
+        res.status(204).end();
+    });
+
+    /**
+     * POST /api/history/:id/rerun
+     * Re-runs the video step of a past run with the same scene, cast, prompt, duration and model
+     * (a long conversation is re-planned from its script).
+     * The result is recorded as a new run (`rerunOf` points back at the original).
+     * Scenes are not re-run: a run without a video gets a 400.
+     */
+    app.post('/api/history/:id/rerun', (req, res) => {
+        const original = getRun(req.params.id, req.user);
+        if (!original.sceneImageUrl || !original.videoPrompt) {
+            throw new ValidationError('Only the video step of a run can be re-run, and this run has no scene and video prompt. Generate the scene again instead', { historyId: original.id, step: 'scene' });
+        }
+        assertSceneArchived(original.sceneImageUrl);
+        const plan = original.segments && planConversation(original.dialogue, original.videoDirection, original.cast || undefined);
+        const durations = plan ? plan.map(segment => segment.duration) : [original.duration];
+        const { reservationId, ...preflight } = preflightCredits(req.user, estimateVideoCredits(original.videoModel, durations));
+
+        const run = deriveRun(original, { rerunOf: original.id, userId: req.user?.id ?? null });
+        const job = plan ? startConversationJob({
+            sceneImageUrl: original.sceneImageUrl,
+            dialogue: original.dialogue,
+            videoDirection: original.videoDirection,
+            cast: original.cast,
+            videoModel: original.videoModel,
+            historyId: run.id,
+        }, plan, { reservationId }) : startVideoJob({
+            sceneImageUrl: original.sceneImageUrl,
+            videoPrompt: original.videoPrompt,
+            dialogue: original.dialogue,
+            videoDirection: original.videoDirection,
+            ...(original.cast && { cast: original.cast }),
+            duration: original.duration,
+            videoModel: original.videoModel,
+            historyId: run.id,
+        }, { reservationId });
+
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            historyId: run.id,
+            status: job.status,
+            ...preflight,
+        });
+    });
+
+    /**
+     * GET /api/assets/:id
+     * Serves an archived scene image or video with its Content-Type and Range
+     * support (video seeking). `?download=1` forces a download, as do types other than the
+     * usual image and video ones; either way the response names a real filename.
+     * `nosniff` keeps browsers from reading an asset as anything but its Content-Type.
+     */
+    app.get('/api/assets/:id', (req, res, next) => {
+        const asset = assets.get(req.params.id);
+        if (!asset) {
+            throw new NotFoundError('Asset not found', { assetId: req.params.id });
+        }
+        assets.touch(asset.id);
+
+        const disposition = req.query.download || !INLINE_CONTENT_TYPES.has(asset.contentType) ? 'attachment' : 'inline';
+        res.sendFile(assets.filePath(asset), {
+            headers: {
+                'Content-Type': asset.contentType,
+                'Content-Disposition': `${disposition}; filename="${downloadFilename(asset)}"`,
+                'X-Content-Type-Options': 'nosniff',
+            },
+            // Content-addressed: the bytes behind an ID never change
+            maxAge: '1y',
+            immutable: true,
+        }, (err) => {
+            if (err && !res.headersSent) next(new NotFoundError('Asset file is missing', { assetId: asset.id }));
+        });
+    });
+
+    /**
+     * GET /api/auth/me
+     * Whether accounts are enabled, and the signed-in user with their budget (null if signed out).
+     */
+    app.get('/api/auth/me', (req, res) => {
+        res.json({ authEnabled: Boolean(accounts), user: req.user && userResponse(req.user) });
+    });
+
+    /**
+     * POST /api/auth/login
+     * Signs in with `{ email, password }` and sets an HTTP-only session cookie for the UI.
+     */
+    app.post('/api/auth/login', (req, res) => {
+        requireAccounts();
+        const user = accounts.verifyLogin(req.body.email, req.body.password);
+        if (!user) {
+            throw new UnauthorizedError('Wrong email or password');
+        }
+        const session = accounts.createSession(user.id);
+        res.cookie(SESSION_COOKIE, session.token, { httpOnly: true, sameSite: 'lax', path: '/', maxAge: SESSION_TTL_MS });
+        console.log(`👤 ${user.email} signed in`);
+        res.json({ user: userResponse(user) });
+    });
+
+    /**
+     * POST /api/auth/logout
+     * Ends the current session.
+     */
+    app.post('/api/auth/logout', (req, res) => {
+        requireAccounts();
+        const credential = requestCredential(req);
+        if (credential) accounts.endSession(credential);
+        res.clearCookie(SESSION_COOKIE, { path: '/' });
+        res.status(204).end();
+    });
+
+    /**
+     * GET /api/me/tokens
+     * Lists the signed-in user's API tokens (without their secrets).
+     */
+    app.get('/api/me/tokens', (req, res) => {
+        requireAccounts();
+        res.json({ tokens: accounts.listTokens(req.user.id) });
+    });
+
+    /**
+     * POST /api/me/tokens
+     * Creates an API token for scripts (`{ name? }`). The secret is only shown in this response;
+     * send it as `Authorization: Bearer <token>`.
+     */
+    app.post('/api/me/tokens', (req, res) => {
+        requireAccounts();
+        res.status(201).json(accounts.createToken(req.user.id, req.body.name));
+    });
+
+    /**
+     * DELETE /api/me/tokens/:id
+     * Revokes one of the signed-in user's API tokens.
+     */
+    app.delete('/api/me/tokens/:id', (req, res) => {
+        requireAccounts();
+        if (!accounts.revokeToken(req.user.id, req.params.id)) {
+            throw new NotFoundError('Token not found', { tokenId: req.params.id });
+        }
+        res.status(204).end();
+    });
+
+    /**
+     * GET /api/admin/users
+     * Lists all users with their budgets. Admins only, like every /api/admin route.
+     */
+    app.get('/api/admin/users', (req, res) => {
+        requireAdmin(req);
+        res.json({ users: accounts.listUsers().map(userResponse) });
+    });
+
+    /**
+     * POST /api/admin/users
+     * Adds a user: `{ name, email, password?, role?: 'admin' | 'member', teamId?, creditLimit? }`.
+     * Without a password, the user can only use API tokens (see POST /api/admin/users/:id/tokens).
+     */
+    app.post('/api/admin/users', (req, res) => {
+        requireAdmin(req);
+        const user = accounts.createUser(req.body);
+        console.log(`👤 User added: ${user.email} (${user.role})`);
+        res.status(201).json(userResponse(user));
+    });
+
+    /**
+     * PATCH /api/admin/users/:id
+     * Changes a user's `name`, `password`, `role`, `teamId`, `disabled` flag or `creditLimit`
+     * (the cap on their spending; null removes it).
+     */
+    app.patch('/api/admin/users/:id', (req, res) => {
+        requireAdmin(req);
+        getUser(req.params.id);
+        res.json(userResponse(accounts.updateUser(req.params.id, req.body)));
+    });
+
+    /**
+     * POST /api/admin/users/:id/top-up
+     * Raises a user's credit cap by `credits`.
+     */
+    app.post('/api/admin/users/:id/top-up', (req, res) => {
+        requireAdmin(req);
+        getUser(req.params.id);
+        res.json(userResponse(accounts.topUp('user', req.params.id, req.body.credits)));
+    });
+
+    /**
+     * POST /api/admin/users/:id/tokens
+     * Creates an API token on behalf of a user, e.g. a service account for a script.
+     */
+    app.post('/api/admin/users/:id/tokens', (req, res) => {
+        requireAdmin(req);
+        getUser(req.params.id);
+        res.status(201).json(accounts.createToken(req.params.id, req.body.name));
+    });
+
+    /**
+     * GET /api/admin/teams
+     */
+    app.get('/api/admin/teams', (req, res) => {
+        requireAdmin(req);
+        res.json({ teams: accounts.listTeams() });
+    });
+
+    /**
+     * POST /api/admin/teams
+     * Adds a team: `{ name, creditLimit? }`. Members spend from their own cap and the team's.
+     */
+    app.post('/api/admin/teams', (req, res) => {
+        requireAdmin(req);
+        res.status(201).json(accounts.createTeam(req.body));
+    });
+
+    /**
+     * PATCH /api/admin/teams/:id
+     * Changes a team's `name` or `creditLimit` (null removes the cap).
+     */
+    app.patch('/api/admin/teams/:id', (req, res) => {
+        requireAdmin(req);
+        getTeam(req.params.id);
+        res.json(accounts.updateTeam(req.params.id, req.body));
+    });
+
+    /**
+     * POST /api/admin/teams/:id/top-up
+     * Raises a team's credit cap by `credits`.
+     */
+    app.post('/api/admin/teams/:id/top-up', (req, res) => {
+        requireAdmin(req);
+        getTeam(req.params.id);
+        res.json(accounts.topUp('team', req.params.id, req.body.credits));
+    });
+
+    /**
+     * GET /api/credits
+     * The global pool, or what the signed-in user can still spend, with `usage` of the
+     * last `days` days (default 14) broken down by day and by model.
+     */
+    app.get('/api/credits', (req, res) => {
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 14, 1), MAX_USAGE_DAYS);
+        const usage = credits.usage({ userId: req.user?.id, days });
+        if (!req.user) return res.json({ ...credits.toJSON(), usage });
+
+        const creditsRemaining = creditsRemainingFor(req.user);
+        res.json({
+            startingCredits: req.user.creditsUsed + creditsRemaining,
+            creditsUsed: req.user.creditsUsed,
+            creditsRemaining,
+            budget: accounts.budgetOf(req.user),
+            usage,
+        });
+    });
+
+    /**
+     * GET /api/credits/ledger
+     * Charges in the credit ledger, newest first, each linked to its job, run, generation and model.
+     * Members see the charges for their own runs, admins everything. Pagination via `limit` and `offset`.
+     */
+    app.get('/api/credits/ledger', (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_HISTORY_PAGE_SIZE);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+        const userId = req.user && req.user.role !== 'admin' ? req.user.id : undefined;
+        const { items, total } = credits.list({ userId, limit, offset });
+        res.json({ items, total, limit, offset });
+    });
+
+    /**
+     * POST /api/credits/estimate
+     * Estimated cost of a generation before starting it: `{ kind: 'image' | 'video', model?, resolution?,
+     * images?, duration? }` (duration in seconds, e.g. the total of a conversation's segments).
+     * Also reports whether the caller's remaining credits cover it.
+     */
+    app.post('/api/credits/estimate', (req, res) => {
+        const { kind, model, resolution, images = 1, duration = 8 } = req.body;
+        if (kind !== 'image' && kind !== 'video') {
+            throw new ValidationError('kind must be image or video', { field: 'kind' });
+        }
+        if (model && !hasProvider(kind, model)) {
+            throw new ValidationError(`Unknown ${kind} model: ${model}`, { field: 'model' });
+        }
+        if (!Number.isInteger(images) || images < 1 || !(duration > 0)) {
+            throw new ValidationError('images and duration must be positive numbers', { fields: ['images', 'duration'] });
+        }
+
+        const estimate = estimateCredits({ kind, model, resolution, images, duration });
+        const creditsRemaining = creditsRemainingFor(req.user);
+        res.json({
+            ...estimate,
+            creditsRemaining,
+            fits: estimate.estimatedCredits == null ? creditsRemaining > 0 : estimate.estimatedCredits <= creditsRemaining,
+        });
+    });
+
+    /**
+     * GET /api/queue
+     * Generations running and waiting per kind, against the configured concurrency limits.
+     */
+    app.get('/api/queue', (req, res) => {
+        res.json(scheduler.stats());
+    });
+
+    // Available image/video providers (`imageModel` / `videoModel` values)
+    app.get('/api/providers', (req, res) => {
+        res.json({ providers: listProviders(req.query.kind) });
+    });
+
+    // Health check
+    app.get('/api/health', (req, res) => {
+        res.json({ status: 'ok', timestamp: new Date().toISOString() });
+    });
+
+    // Central error handler: every failure leaves as { code, message, retryable, details }
+    app.use((err, req, res, _next) => {
+        const error = normalizeRequestError(err);
+        const status = error.status || 500;
+        if (status >= 500) console.error('❌ Request error:', err.message);
+        res.status(status).json(toErrorBody(error));
+    });
+
+    return { app, jobs, credits, history, assets, templates, batches, characters, webhooks, accounts, scheduler, resumeUnfinishedJobs };
+}
+
+/**
+ * Parse an optional JSON-encoded multipart field.
+ *
+ * @param {string|undefined} value
+ * @param {string} field - Field name, for the error details
+ * @returns {unknown}
+ */
+function parseJsonField(value, field) {
+    if (!value) return undefined;
+    try {
+        return JSON.parse(value);
+    } catch {
+        throw new ValidationError(`${field} must be valid JSON`, { field });
+    }
+}
+
+/**
+ * Parse an optional date query parameter into an ISO timestamp.
+ *
+ * @param {string|undefined} value
+ * @param {string} field - Query parameter name, for the error details
+ * @returns {string|undefined}
+ */
+function parseDateQuery(value, field) {
+    if (!value) return undefined;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new ValidationError(`Invalid date for ${field}: ${value}`, { field });
+    }
+    return date.toISOString();
+}
+
+/**
+ * Map errors raised by middleware (multer, body-parser) onto the typed error model.
+ *
+ * @param {Error} err
+ * @returns {Error}
+ */
+function normalizeRequestError(err) {
+    if (err instanceof multer.MulterError) {
+        return new ValidationError(err.message, { field: err.field, reason: err.code });
+    }
+    // body-parser errors (malformed JSON, payload too large) carry a 4xx status
+    if (err.type && err.status >= 400 && err.status < 500) {
+        return new ValidationError(err.message, { reason: err.type });
+    }
+    return err;
+}
@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+import { main } from '../cli/commands.js';
+
+/**
+ * `duocast` command-line entry point; see cli/commands.js.
+ *
+ *   npx duocast run portraits/alice.jpg portraits/bob.jpg --scenario "..." --prompt "..." --out out/
+ */
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,241 @@
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { DuoCastClient } from './apiClient.js';
+import { ValidationError, toErrorBody } from '../services/errors.js';
+
+const DEFAULT_SERVER = `http://localhost:${process.env.PORT || 5000}`;
+
+const USAGE = `Usage: duocast <command> [options]
+
+Commands:
+  scene <portrait...>   Compose a scene from 2-4 local portraits     --scenario, --name, --candidates, --image-model
+  video                 Animate a scene (URL or local image file)    --scene, --prompt, --duration, --history, --video-model
+  run <portrait...>     Scene, then video of its first candidate     --scenario, --prompt, --name, --duration
+  status <jobId>        Show a job
+  history               List past runs                               --status, --q, --limit, --offset
+  credits               Show the credit balance and usage            --days
+
+Options:
+  -s, --server <url>    DuoCast server (default: $DUOCAST_SERVER or ${DEFAULT_SERVER})
+  -t, --token <token>   API token (default: $DUOCAST_TOKEN)
+  -o, --out <dir>       Where scene, image and video files are written (default: .)
+      --no-wait         Print the queued job instead of waiting for it
+      --force           Generate anew, even if an identical scene or video exists
+      --webhook <url>   Also notify this URL when each generation finishes
+  -q, --quiet           No progress on stderr
+
+The result is printed on stdout as JSON; progress goes to stderr.`;
+
+const OPTIONS = {
+    server: { type: 'string', short: 's' },
+    token: { type: 'string', short: 't' },
+    out: { type: 'string', short: 'o', default: '.' },
+    'no-wait': { type: 'boolean' },
+    force: { type: 'boolean' },
+    webhook: { type: 'string' },
+    quiet: { type: 'boolean', short: 'q' },
+    help: { type: 'boolean', short: 'h' },
+    scenario: { type: 'string' },
+    prompt: { type: 'string' },
+    name: { type: 'string', multiple: true },
+    candidates: { type: 'string' },
+    scene: { type: 'string' },
+    duration: { type: 'string' },
+    history: { type: 'string' },
+    'image-model': { type: 'string' },
+    'video-model': { type: 'string' },
+    status: { type: 'string' },
+    q: { type: 'string' },
+    limit: { type: 'string' },
+    offset: { type: 'string' },
+    days: { type: 'string' },
+};
+
+const COMMANDS = { scene, video, run, status, history, credits };
+
+/**
+ * Run the `duocast` CLI.
+ *
+ * @param {string[]} argv - Arguments after the executable, e.g. ['scene', 'a.jpg', 'b.jpg', '--scenario', '...']
+ * @param {object} [io]
+ * @param {{ write: function(string): void }} [io.stdout]
+ * @param {{ write: function(string): void }} [io.stderr]
+ * @param {object} [io.env] - Environment (DUOCAST_SERVER, DUOCAST_TOKEN)
+ * @returns {Promise<number>} Exit code
+ */
+export async function main(argv, { stdout = process.stdout, stderr = process.stderr, env = process.env } = {}) {
+    const print = (result) => stdout.write(JSON.stringify(result, null, 2) + '\n');
+
+    try {
+        const { values: options, positionals } = parseCommandLine(argv);
+        const [command, ...args] = positionals;
+        if (options.help || !command) {
+            stderr.write(USAGE + '\n');
+            return options.help ? 0 : 1;
+        }
+        if (!COMMANDS[command]) {
+            throw new ValidationError(`Unknown command: ${command}`, { command });
+        }
+
+        const client = new DuoCastClient({
+            baseUrl: options.server || env.DUOCAST_SERVER || DEFAULT_SERVER,
+            token: options.token || env.DUOCAST_TOKEN,
+        });
+        const log = options.quiet ? () => { } : (message) => stderr.write(message + '\n');
+
+        print(await COMMANDS[command](client, args, options, log));
+        return 0;
+    } catch (err) {
+        stderr.write(`❌ ${err.message}\n`);
+        print({ success: false, ...toErrorBody(err) });
+        return 1;
+    }
+}
+
+function parseCommandLine(argv) {
+    try {
+        return parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (err) {
+        throw new ValidationError(err.message, { reason: err.code });
+    }
+}
+
+/** duocast scene <portrait...> --scenario <text> */
+async function scene(client, portraits, options, log) {
+    const queued = await client.generateScene(sceneInput(portraits, options));
+    log(queued.reused
+        ? `♻️ Reusing scene job ${queued.jobId} from an identical request (${queued.reused})`
+        : `🎨 Scene job ${queued.jobId} queued (about ${formatCredits(queued.estimatedCredits)} credits)`);
+    queued.warnings?.forEach(warning => log(`💰 ${warning}`));
+    if (options['no-wait']) return queued;
+
+    const job = await client.waitForJob(queued.jobId, progressLogger(log));
+    const files = await Promise.all(job.imageUrls.map((url, i) => client.download(url, options.out, `scene-${job.id.slice(0, 8)}-${i + 1}.png`)));
+    files.forEach(file => log(`✅ Saved ${file}`));
+    return result(job, queued.historyId, files);
+}
+
+/** duocast video --scene <url|file> --prompt <text> */
+async function video(client, args, options, log) {
+    if (!options.scene) {
+        throw new ValidationError('--scene is required (an image URL, or a local image file to upload)', { option: 'scene' });
+    }
+    let { history: historyId } = options;
+    let sceneImageUrl = options.scene;
+    if (!/^(https?:|\/api\/)/.test(sceneImageUrl)) {
+        const uploaded = await client.uploadScene(sceneImageUrl, options.scenario);
+        log(`🖼️ Uploaded ${options.scene} (run ${uploaded.historyId})`);
+        ({ sceneImageUrl, historyId } = uploaded);
+    }
+    return animate(client, sceneImageUrl, historyId, options, log);
+}
+
+/** duocast run <portrait...> --scenario <text> --prompt <text> */
+async function run(client, portraits, options, log) {
+    requirePrompt(options);
+    const composed = await scene(client, portraits, { ...options, 'no-wait': false }, log);
+    return {
+        scene: composed,
+        video: await animate(client, composed.imageUrls[0], composed.historyId, options, log),
+    };
+}
+
+/** duocast status <jobId> */
+async function status(client, [jobId]) {
+    if (!jobId) {
+        throw new ValidationError('Usage: duocast status <jobId>', { argument: 'jobId' });
+    }
+    return client.getJob(jobId);
+}
+
+/** duocast history [--status ...] [--q ...] */
+function history(client, args, options) {
+    return client.history(pick(options, ['status', 'q', 'limit', 'offset']));
+}
+
+/** duocast credits [--days n] */
+function credits(client, args, options) {
+    return client.credits(pick(options, ['days']));
+}
+
+async function animate(client, sceneImageUrl, historyId, options, log) {
+    requirePrompt(options);
+    const queued = await client.generateVideo({
+        sceneImageUrl,
+        videoPrompt: options.prompt,
+        duration: options.duration ? Number(options.duration) : 8,
+        ...(historyId && { historyId }),
+        ...(options['video-model'] && { videoModel: options['video-model'] }),
+        ...(options.force && { force: true }),
+        ...(options.webhook && { webhookUrl: options.webhook }),
+    });
+    log(queued.reused
+        ? `♻️ Reusing video job ${queued.jobId} from an identical request (${queued.reused})`
+        : `🎬 Video job ${queued.jobId} queued (about ${formatCredits(queued.estimatedCredits)} credits)`);
+    queued.warnings?.forEach(warning => log(`💰 ${warning}`));
+    if (options['no-wait']) return queued;
+
+    const job = await client.waitForJob(queued.jobId, progressLogger(log));
+    const file = await client.download(job.videoUrl, options.out, `video-${job.id.slice(0, 8)}.mp4`);
+    log(`✅ Saved ${file}`);
+    return result(job, queued.historyId, [file]);
+}
+
+function sceneInput(portraits, options) {
+    if (portraits.length < 2) {
+        throw new ValidationError('Give 2 to 4 portrait files, e.g. duocast scene portraits/alice.jpg portraits/bob.jpg --scenario "..."', { argument: 'portraits' });
+    }
+    const missing = portraits.find(file => !fs.existsSync(file));
+    if (missing) {
+        throw new ValidationError(`No such portrait file: ${missing}`, { argument: 'portraits', file: missing });
+    }
+    if (!options.scenario) {
+        throw new ValidationError('--scenario is required', { option: 'scenario' });
+    }
+    return {
+        portraits,
+        scenario: options.scenario,
+        names: options.name,
+        candidates: options.candidates && Number(options.candidates),
+        imageModel: options['image-model'],
+        force: options.force,
+        webhookUrl: options.webhook,
+    };
+}
+
+function requirePrompt(options) {
+    if (!options.prompt) {
+        throw new ValidationError('--prompt is required', { option: 'prompt' });
+    }
+}
+
+// Report status changes and queue moves once each, not on every poll
+function progressLogger(log) {
+    let last = null;
+    return (job) => {
+        const line = job.queue ? `⏳ ${job.status}, position ${job.queue.position} of ${job.queue.queued} in the queue` : `⏳ ${job.status}`;
+        if (line !== last && job.status !== 'completed') log(line);
+        last = line;
+    };
+}
+
+function result(job, historyId, files) {
+    return {
+        success: true,
+        jobId: job.id,
+        historyId,
+        status: job.status,
+        ...(job.type === 'scene' ? { imageUrls: job.imageUrls } : { videoUrl: job.videoUrl }),
+        creditsUsed: job.creditsUsed,
+        creditsRemaining: job.creditsRemaining,
+        files,
+    };
+}
+
+function pick(options, keys) {
+    return Object.fromEntries(keys.filter(key => options[key] !== undefined).map(key => [key, options[key]]));
+}
+
+function formatCredits(credits) {
+    return credits == null ? 'an unknown number of' : credits.toLocaleString('en-US');
+}
@@ -1,185 +1,83 @@
-import express from 'express';
-import cors from 'cors';
-import multer from 'multer';
 import dotenv from 'dotenv';
 import path from 'path';
-import fs from 'fs';
 import { fileURLToPath } from 'url';
-import { generateScene } from './services/imageGen.js';
-import { generateVideo } from './services/videoGen.js';
+import { createApp } from './app.js';
+import { media, ffmpegPath } from './services/media.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // Load .env from project root
 dotenv.config({ path: path.resolve(__dirname, '..', '.env') });
 
-const app = express();
 const PORT = process.env.PORT || 5000;
 const API_KEY = process.env.AIML_API_KEY;
+const ASSET_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const STARTING_CREDITS = Number(process.env.STARTING_CREDITS || 20_000_000);
+const MAX_CONCURRENT_SCENES = Number(process.env.MAX_CONCURRENT_SCENES || 2);
+const MAX_CONCURRENT_VIDEOS = Number(process.env.MAX_CONCURRENT_VIDEOS || 3);
+const GENERATE_RATE_LIMIT = Number(process.env.GENERATE_RATE_LIMIT || 10);
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY || 2);
+const RESULT_CACHE_HOURS = Number(process.env.RESULT_CACHE_HOURS ?? 24);
+const hostList = value => (value || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+const ALLOWED_PRIVATE_HOSTS = hostList(process.env.ALLOWED_PRIVATE_HOSTS);
+const WEBHOOK_ALLOWED_HOSTS = hostList(process.env.WEBHOOK_ALLOWED_HOSTS);
 
 if (!API_KEY) {
     console.error('❌ AIML_API_KEY not found in .env');
     process.exit(1);
 }
 
-// Persistent credits tracker (JSON file)
-const STARTING_CREDITS = 20_000_000;
-const CREDITS_FILE = path.resolve(__dirname, 'credits.json');
-
-function loadCredits() {
-    try {
-        if (fs.existsSync(CREDITS_FILE)) {
-            const data = JSON.parse(fs.readFileSync(CREDITS_FILE, 'utf-8'));
-            return data.creditsUsed || 0;
-        }
-    } catch (err) {
-        console.warn('⚠️ Could not read credits.json, starting fresh:', err.message);
-    }
-    return 0;
-}
-
-function saveCredits() {
-    const data = {
-        startingCredits: STARTING_CREDITS,
-        creditsUsed: creditsUsedTotal,
-        creditsRemaining: STARTING_CREDITS - creditsUsedTotal,
-        lastUpdated: new Date().toISOString(),
-    };
-    fs.writeFileSync(CREDITS_FILE, JSON.stringify(data, null, 2));
-}
-
-let creditsUsedTotal = loadCredits();
-console.log(`💰 Credits loaded: ${(STARTING_CREDITS - creditsUsedTotal).toLocaleString()} remaining`);
-
-// Middleware
-app.use(cors());
-app.use(express.json({ limit: '50mb' }));
-
-// Multer config for image uploads (in-memory)
-const upload = multer({
-    storage: multer.memoryStorage(),
-    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB per file
-    fileFilter: (req, file, cb) => {
-        if (file.mimetype.startsWith('image/')) {
-            cb(null, true);
-        } else {
-            cb(new Error('Only image files are allowed'));
-        }
+const { app, credits, assets, accounts, resumeUnfinishedJobs } = createApp({
+    apiKey: API_KEY,
+    ledgerFile: path.resolve(__dirname, 'ledger.jsonl'),
+    creditsFile: path.resolve(__dirname, 'credits.json'),
+    jobsFile: path.resolve(__dirname, 'jobs.json'),
+    historyFile: path.resolve(__dirname, 'history.jsonl'),
+    assetsDir: path.resolve(__dirname, 'assets'),
+    templatesFile: path.resolve(__dirname, 'templates.json'),
+    batchesFile: path.resolve(__dirname, 'batches.json'),
+    charactersDir: path.resolve(__dirname, 'characters'),
+    webhooksFile: path.resolve(__dirname, 'webhooks.json'),
+    accountsFile: path.resolve(__dirname, 'accounts.json'),
+    startingCredits: STARTING_CREDITS,
+    concurrency: { scene: MAX_CONCURRENT_SCENES, video: MAX_CONCURRENT_VIDEOS },
+    batchConcurrency: BATCH_CONCURRENCY,
+    rateLimit: { limit: GENERATE_RATE_LIMIT, windowMs: 60_000 },
+    resultCacheTtlMs: RESULT_CACHE_HOURS * 60 * 60 * 1000,
+    publicUrl: process.env.PUBLIC_URL || `http://localhost:${PORT}`,
+    allowedPrivateHosts: ALLOWED_PRIVATE_HOSTS,
+    allowedWebhookHosts: WEBHOOK_ALLOWED_HOSTS,
+    assetRetention: {
+        maxAgeDays: Number(process.env.ASSET_RETENTION_DAYS ?? 30),
+        maxTotalBytes: Number(process.env.ASSET_MAX_STORAGE_MB ?? 0) * 1024 * 1024,
     },
 });
+console.log(`💰 Credits loaded: ${credits.remaining.toLocaleString()} remaining`);
 
-/**
- * POST /api/generate-scene
- * Accepts two portrait images + scenario text.
- * Returns a composite scene image URL.
- */
-app.post(
-    '/api/generate-scene',
-    upload.fields([
-        { name: 'portraitA', maxCount: 1 },
-        { name: 'portraitB', maxCount: 1 },
-    ]),
-    async (req, res) => {
-        try {
-            const { scenario } = req.body;
-
-            if (!req.files?.portraitA?.[0] || !req.files?.portraitB?.[0]) {
-                return res.status(400).json({ error: 'Both portrait images are required' });
-            }
-            if (!scenario) {
-                return res.status(400).json({ error: 'Scenario text is required' });
-            }
-
-            const portraitA = req.files.portraitA[0];
-            const portraitB = req.files.portraitB[0];
-
-            // Convert to base64 data URIs
-            const imageABase64 = `data:${portraitA.mimetype};base64,${portraitA.buffer.toString('base64')}`;
-            const imageBBase64 = `data:${portraitB.mimetype};base64,${portraitB.buffer.toString('base64')}`;
-
-            console.log('🎨 Generating scene...');
-            const result = await generateScene(imageABase64, imageBBase64, scenario, API_KEY);
-            console.log('✅ Scene generated:', result.imageUrl?.substring(0, 80) + '...');
-
-            if (result.creditsUsed) {
-                creditsUsedTotal += result.creditsUsed;
-                saveCredits();
-                console.log(`   Credits used: ${result.creditsUsed} | Remaining: ${STARTING_CREDITS - creditsUsedTotal}`);
-            }
-
-            res.json({
-                success: true,
-                imageUrl: result.imageUrl,
-                creditsUsed: result.creditsUsed,
-                creditsRemaining: STARTING_CREDITS - creditsUsedTotal,
-            });
-        } catch (err) {
-            console.error('❌ Scene generation error:', err.message);
-            res.status(500).json({ error: err.message });
-        }
+// The first admin comes from .env; everyone else is added through the admin API
+if (accounts.isEmpty) {
+    if (!process.env.ADMIN_EMAIL || !process.env.ADMIN_PASSWORD) {
+        console.error('❌ No users yet: set ADMIN_EMAIL and ADMIN_PASSWORD in .env to create the first admin');
+        process.exit(1);
     }
-);
-
-/**
- * POST /api/generate-video
- * Accepts scene image URL + video prompt + duration.
- * Polls Veo 3.1 until video is ready, then returns URL.
- */
-app.post('/api/generate-video', async (req, res) => {
-    try {
-        const { sceneImageUrl, videoPrompt, duration = 8 } = req.body;
-
-        if (!sceneImageUrl) {
-            return res.status(400).json({ error: 'Scene image URL is required' });
-        }
-        if (!videoPrompt) {
-            return res.status(400).json({ error: 'Video prompt is required' });
-        }
-
-        console.log('🎬 Generating video...');
-        const result = await generateVideo(
-            sceneImageUrl,
-            videoPrompt,
-            duration,
-            API_KEY,
-            (statusUpdate) => {
-                console.log(`   Status: ${statusUpdate.status} (ID: ${statusUpdate.generationId})`);
-            }
-        );
-        console.log('✅ Video generated:', result.videoUrl?.substring(0, 80) + '...');
-
-        if (result.creditsUsed) {
-            creditsUsedTotal += result.creditsUsed;
-            saveCredits();
-            console.log(`   Credits used: ${result.creditsUsed} | Remaining: ${STARTING_CREDITS - creditsUsedTotal}`);
-        }
+    const admin = accounts.createUser({ name: 'Admin', email: process.env.ADMIN_EMAIL, password: process.env.ADMIN_PASSWORD, role: 'admin' });
+    console.log(`👤 Created the first admin: ${admin.email}`);
+}
 
-        res.json({
-            success: true,
-            videoUrl: result.videoUrl,
-            generationId: result.generationId,
-            creditsUsed: result.creditsUsed,
-            creditsRemaining: STARTING_CREDITS - creditsUsedTotal,
-        });
-    } catch (err) {
-        console.error('❌ Video generation error:', err.message);
-        res.status(500).json({ error: err.message });
-    }
-});
+// Apply the asset retention policy now and then hourly
+function cleanupAssets() {
+    const removed = assets.cleanup();
+    if (removed.length) console.log(`🧹 Removed ${removed.length} archived asset(s) past the retention policy`);
+}
+cleanupAssets();
+setInterval(cleanupAssets, ASSET_CLEANUP_INTERVAL_MS).unref();
 
-// Credits endpoint
-app.get('/api/credits', (req, res) => {
-    res.json({
-        startingCredits: STARTING_CREDITS,
-        creditsUsed: creditsUsedTotal,
-        creditsRemaining: STARTING_CREDITS - creditsUsedTotal,
-    });
+// Long conversations are stitched with ffmpeg; everything else works without it
+media.run(['-version']).catch(() => {
+    console.warn(`⚠️ ffmpeg not found at "${ffmpegPath()}" — long conversations cannot be stitched. Install ffmpeg or set FFMPEG_PATH.`);
 });
 
-// Health check
-app.get('/api/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
+resumeUnfinishedJobs();
 
 app.listen(PORT, () => {
     console.log(`\n🚀 DuoCast AI Server running on http://localhost:${PORT}`);
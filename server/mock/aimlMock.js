@@ -0,0 +1,218 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.resolve(__dirname, 'fixtures');
+
+// Fault targets, one queue each: the next request to that endpoint consumes the next fault
+const FAULT_TARGETS = ['image', 'video-create', 'video-poll'];
+
+const DEFAULT_SETTINGS = {
+    latencyMs: 0,               // Delay before every API response
+    pollsUntilComplete: 2,      // Polls a video stays queued/generating before it settles
+    videoOutcome: 'completed',  // 'completed' | 'failed'
+    imageResponseFormat: 'url', // 'url' | 'b64_json'
+    creditsPerImage: 30000,
+    creditsPerVideo: 180000,
+};
+
+const CLOUDFLARE_524_PAGE = `<!DOCTYPE html>
+<html lang="en-US">
+<head><title>api.aimlapi.com | 524: A timeout occurred</title></head>
+<body>
+<div id="cf-error-details">
+<h1>A timeout occurred</h1>
+<span>Error code 524</span>
+<p>The origin web server timed out responding to this request.</p>
+</div>
+</body>
+</html>`;
+
+/**
+ * Create a stand-in for the subset of the AIML API that DuoCast uses:
+ * `POST /v1/images/generations`, `POST /v2/video/generations` and
+ * `GET /v2/video/generations?generation_id=...`. Results point at canned
+ * fixtures served from `/mock-assets`.
+ *
+ * Faults are queued per target via `POST /__mock/faults` and consumed one per
+ * request. Supported faults: any HTTP status code as a string (e.g. '500',
+ * '429', '400'), '524' (Cloudflare HTML timeout page) and, for 'video-poll',
+ * 'failed' (the generation reports status failed). An empty string lets one
+ * request through untouched, to aim a fault at a later request.
+ *
+ * @param {object} [options] - Initial settings, see DEFAULT_SETTINGS
+ * @returns {import('express').Express & { mock: object }}
+ */
+export function createMockAimlServer(options = {}) {
+    const state = {
+        settings: { ...DEFAULT_SETTINGS, ...options },
+        faults: Object.fromEntries(FAULT_TARGETS.map(target => [target, []])),
+        generations: new Map(),
+        requests: [],
+    };
+
+    const app = express();
+    app.use(express.json({ limit: '100mb' }));
+    app.use('/mock-assets', express.static(FIXTURES_DIR));
+
+    // --- Control API (not part of AIML) ---
+
+    app.get('/__mock/state', (req, res) => {
+        res.json({
+            settings: state.settings,
+            faults: state.faults,
+            generations: [...state.generations.values()],
+            requestCount: state.requests.length,
+        });
+    });
+
+    app.patch('/__mock/settings', (req, res) => {
+        Object.assign(state.settings, req.body);
+        res.json({ settings: state.settings });
+    });
+
+    app.post('/__mock/faults', (req, res) => {
+        const { target, faults } = req.body;
+        if (!FAULT_TARGETS.includes(target) || !Array.isArray(faults)) {
+            return res.status(400).json({ error: `Expected { target: ${FAULT_TARGETS.join(' | ')}, faults: string[] }` });
+        }
+        state.faults[target].push(...faults.map(String));
+        res.json({ faults: state.faults });
+    });
+
+    app.post('/__mock/reset', (req, res) => {
+        reset();
+        res.json({ settings: state.settings });
+    });
+
+    // --- AIML API stand-in ---
+
+    app.use(['/v1', '/v2'], async (req, res, next) => {
+        state.requests.push({ method: req.method, path: req.originalUrl, at: new Date().toISOString() });
+        if (state.settings.latencyMs) await sleep(state.settings.latencyMs);
+        if (!req.get('Authorization')?.startsWith('Bearer ')) {
+            return res.status(401).json({ message: 'Missing API key (mock)' });
+        }
+        next();
+    });
+
+    app.post('/v1/images/generations', (req, res) => {
+        if (sendFault(res, 'image')) return;
+
+        const { model, prompt, num_images: numImages = 1 } = req.body;
+        if (!model || !prompt) {
+            return res.status(400).json({ message: 'model and prompt are required (mock)' });
+        }
+
+        const images = Array.from({ length: numImages }, () => (
+            state.settings.imageResponseFormat === 'b64_json'
+                ? { b64_json: fs.readFileSync(path.join(FIXTURES_DIR, 'scene.jpg')).toString('base64') }
+                : { url: assetUrl(req, 'scene.jpg') }
+        ));
+
+        res.json({
+            data: images,
+            meta: { usage: { credits_used: state.settings.creditsPerImage * numImages } },
+        });
+    });
+
+    app.post('/v2/video/generations', (req, res) => {
+        if (sendFault(res, 'video-create')) return;
+
+        const { model, prompt, image_url: imageUrl } = req.body;
+        if (!model || !prompt || !imageUrl) {
+            return res.status(400).json({ message: 'model, prompt and image_url are required (mock)' });
+        }
+
+        const generation = {
+            id: `mock-${crypto.randomUUID()}`,
+            model,
+            prompt,
+            duration: req.body.duration,
+            status: 'queued',
+            polls: 0,
+            createdAt: new Date().toISOString(),
+        };
+        state.generations.set(generation.id, generation);
+
+        res.status(201).json({ id: generation.id, status: generation.status });
+    });
+
+    app.get('/v2/video/generations', (req, res) => {
+        const generation = state.generations.get(req.query.generation_id);
+        if (!generation) {
+            return res.status(404).json({ message: 'Generation not found (mock)' });
+        }
+
+        const fault = state.faults['video-poll'].shift();
+        if (fault === 'failed') {
+            generation.status = 'failed';
+        } else if (fault) {
+            return sendStatusFault(res, fault);
+        }
+
+        if (generation.status !== 'completed' && generation.status !== 'failed') {
+            generation.polls++;
+            if (generation.polls > state.settings.pollsUntilComplete) {
+                generation.status = state.settings.videoOutcome;
+            } else {
+                generation.status = generation.polls === 1 ? 'queued' : 'generating';
+            }
+        }
+
+        const body = { id: generation.id, status: generation.status };
+        if (generation.status === 'completed') {
+            body.video = { url: assetUrl(req, 'video.mp4') };
+            body.meta = { usage: { credits_used: state.settings.creditsPerVideo } };
+        } else if (generation.status === 'failed') {
+            body.error = { message: 'Content policy violation (mock)' };
+        }
+        res.json(body);
+    });
+
+    function sendFault(res, target) {
+        const fault = state.faults[target].shift();
+        if (!fault) return false;
+        sendStatusFault(res, fault);
+        return true;
+    }
+
+    function reset() {
+        state.settings = { ...DEFAULT_SETTINGS, ...options };
+        for (const target of FAULT_TARGETS) state.faults[target] = [];
+        state.generations.clear();
+        state.requests = [];
+    }
+
+    app.mock = {
+        state,
+        reset,
+        injectFaults(target, faults) {
+            state.faults[target].push(...faults.map(String));
+        },
+    };
+
+    return app;
+}
+
+function sendStatusFault(res, fault) {
+    const status = parseInt(fault, 10);
+    if (status === 524) {
+        return res.status(524).type('html').send(CLOUDFLARE_524_PAGE);
+    }
+    if (!status || status < 400) {
+        return res.status(500).json({ message: `Unknown mock fault: ${fault}` });
+    }
+    res.status(status).json({ message: `Injected HTTP ${status} (mock)` });
+}
+
+function assetUrl(req, file) {
+    return `${req.protocol}://${req.get('host')}/mock-assets/${file}`;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,21 @@
+import { createMockAimlServer } from './aimlMock.js';
+
+/**
+ * Standalone mock AIML API for offline development.
+ *
+ *   npm run mock
+ *   AIML_API_BASE=http://localhost:5100 npm start
+ */
+const PORT = process.env.MOCK_PORT || 5100;
+
+const app = createMockAimlServer({
+    ...(process.env.MOCK_LATENCY_MS && { latencyMs: Number(process.env.MOCK_LATENCY_MS) }),
+    ...(process.env.MOCK_POLLS_UNTIL_COMPLETE && { pollsUntilComplete: Number(process.env.MOCK_POLLS_UNTIL_COMPLETE) }),
+    ...(process.env.MOCK_VIDEO_OUTCOME && { videoOutcome: process.env.MOCK_VIDEO_OUTCOME }),
+});
+
+app.listen(PORT, () => {
+    console.log(`\n🧪 Mock AIML API running on http://localhost:${PORT}`);
+    console.log(`   Point the server at it with AIML_API_BASE=http://localhost:${PORT}`);
+    console.log(`   Inject faults: POST /__mock/faults { "target": "image" | "video-create" | "video-poll", "faults": ["524", "500", "400", "failed"] }`);
+});
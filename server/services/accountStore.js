@@ -0,0 +1,372 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { ValidationError } from './errors.js';
+import { hashPassword, verifyPassword, generateToken, hashToken, SESSION_TTL_MS } from './auth.js';
+
+export const ROLES = ['admin', 'member'];
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_NAME_LENGTH = 80;
+
+/**
+ * Persistent store of users, teams, API tokens and login sessions, backed by
+ * a JSON file. Each user and team has an optional credit cap (`creditLimit`,
+ * null = uncapped) and a running total of the credits spent (`creditsUsed`).
+ * Tokens and sessions are stored as SHA-256 hashes only.
+ */
+export class AccountStore {
+    /**
+     * @param {string} filePath - Path of the JSON file used for persistence
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.users = new Map();
+        this.teams = new Map();
+        this.tokens = new Map(); // tokenHash → { id, userId, name, createdAt }
+        this.sessions = new Map(); // tokenHash → { userId, expiresAt }
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+                for (const user of data.users || []) this.users.set(user.id, user);
+                for (const team of data.teams || []) this.teams.set(team.id, team);
+                for (const { tokenHash, ...token } of data.tokens || []) this.tokens.set(tokenHash, token);
+                for (const { tokenHash, ...session } of data.sessions || []) this.sessions.set(tokenHash, session);
+            }
+        } catch (err) {
+            console.warn(`⚠️ Could not read ${this.filePath}, starting fresh:`, err.message);
+        }
+    }
+
+    save() {
+        const now = new Date().toISOString();
+        const data = {
+            users: [...this.users.values()],
+            teams: [...this.teams.values()],
+            tokens: [...this.tokens].map(([tokenHash, token]) => ({ tokenHash, ...token })),
+            sessions: [...this.sessions]
+                .filter(([, session]) => session.expiresAt > now)
+                .map(([tokenHash, session]) => ({ tokenHash, ...session })),
+        };
+        fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2));
+    }
+
+    get isEmpty() {
+        return this.users.size === 0;
+    }
+
+    // ── Teams ──────────────────────────────────────────
+
+    /**
+     * @param {unknown} input - `{ name, creditLimit? }`
+     * @returns {object} The created team
+     * @throws {ValidationError}
+     */
+    createTeam(input) {
+        const now = new Date().toISOString();
+        const team = {
+            id: crypto.randomUUID(),
+            name: requireName(input?.name),
+            creditLimit: normalizeLimit(input?.creditLimit),
+            creditsUsed: 0,
+            createdAt: now,
+            updatedAt: now,
+        };
+        this.teams.set(team.id, team);
+        this.save();
+        return team;
+    }
+
+    getTeam(id) {
+        return this.teams.get(id) || null;
+    }
+
+    listTeams() {
+        return [...this.teams.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * @param {string} id
+     * @param {unknown} changes - `{ name?, creditLimit? }`
+     * @returns {object|null} The updated team, or null if it does not exist
+     * @throws {ValidationError}
+     */
+    updateTeam(id, changes = {}) {
+        const team = this.teams.get(id);
+        if (!team) return null;
+        const fields = {};
+        if (changes.name !== undefined) fields.name = requireName(changes.name);
+        if (changes.creditLimit !== undefined) fields.creditLimit = normalizeLimit(changes.creditLimit);
+        Object.assign(team, fields, { updatedAt: new Date().toISOString() });
+        this.save();
+        return team;
+    }
+
+    // ── Users ──────────────────────────────────────────
+
+    /**
+     * @param {unknown} input - `{ name, email, password?, role?, teamId?, creditLimit? }`.
+     *   Users without a password can only use API tokens.
+     * @returns {object} The created user
+     * @throws {ValidationError}
+     */
+    createUser(input = {}) {
+        const email = this.requireFreeEmail(input.email);
+        const now = new Date().toISOString();
+        const user = {
+            id: crypto.randomUUID(),
+            name: requireName(input.name),
+            email,
+            passwordHash: input.password != null ? hashPassword(requirePassword(input.password)) : null,
+            role: this.requireRole(input.role ?? 'member'),
+            teamId: this.requireTeam(input.teamId ?? null),
+            creditLimit: normalizeLimit(input.creditLimit),
+            creditsUsed: 0,
+            disabled: false,
+            createdAt: now,
+            updatedAt: now,
+        };
+        this.users.set(user.id, user);
+        this.save();
+        return user;
+    }
+
+    getUser(id) {
+        return this.users.get(id) || null;
+    }
+
+    listUsers() {
+        return [...this.users.values()].sort((a, b) => a.email.localeCompare(b.email));
+    }
+
+    /**
+     * @param {string} id
+     * @param {unknown} changes - `{ name?, password?, role?, teamId?, creditLimit?, disabled? }`
+     * @returns {object|null} The updated user, or null if it does not exist
+     * @throws {ValidationError}
+     */
+    updateUser(id, changes = {}) {
+        const user = this.users.get(id);
+        if (!user) return null;
+        const fields = {};
+        if (changes.name !== undefined) fields.name = requireName(changes.name);
+        if (changes.password !== undefined) fields.passwordHash = hashPassword(requirePassword(changes.password));
+        if (changes.role !== undefined) fields.role = this.requireRole(changes.role);
+        if (changes.teamId !== undefined) fields.teamId = this.requireTeam(changes.teamId);
+        if (changes.creditLimit !== undefined) fields.creditLimit = normalizeLimit(changes.creditLimit);
+        if (changes.disabled !== undefined) fields.disabled = Boolean(changes.disabled);
+        Object.assign(user, fields, { updatedAt: new Date().toISOString() });
+        this.save();
+        return user;
+    }
+
+    // ── Credentials ────────────────────────────────────
+
+    /**
+     * Check an email and password.
+     *
+     * @param {string} email
+     * @param {string} password
+     * @returns {object|null} The user, or null if the credentials do not match an active user
+     */
+    verifyLogin(email, password) {
+        const user = this.findByEmail(email);
+        if (!user || user.disabled || !user.passwordHash || typeof password !== 'string') return null;
+        return verifyPassword(password, user.passwordHash) ? user : null;
+    }
+
+    /**
+     * Start a login session for the UI.
+     *
+     * @param {string} userId
+     * @returns {{ token: string, expiresAt: string }}
+     */
+    createSession(userId) {
+        const token = generateToken();
+        const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+        this.sessions.set(hashToken(token), { userId, expiresAt });
+        this.save();
+        return { token, expiresAt };
+    }
+
+    endSession(token) {
+        if (this.sessions.delete(hashToken(token))) this.save();
+    }
+
+    /**
+     * Create an API token for scripts. The secret is only ever returned here.
+     *
+     * @param {string} userId
+     * @param {string} [name] - Label to tell tokens apart
+     * @returns {{ id: string, name: string, token: string, createdAt: string }}
+     */
+    createToken(userId, name) {
+        const token = generateToken();
+        const entry = { id: crypto.randomUUID(), userId, name: name ? requireName(name) : 'API token', createdAt: new Date().toISOString() };
+        this.tokens.set(hashToken(token), entry);
+        this.save();
+        return { id: entry.id, name: entry.name, token, createdAt: entry.createdAt };
+    }
+
+    listTokens(userId) {
+        return [...this.tokens.values()]
+            .filter(token => token.userId === userId)
+            .map(({ id, name, createdAt }) => ({ id, name, createdAt }));
+    }
+
+    /**
+     * @returns {boolean} Whether the user had a token with this ID
+     */
+    revokeToken(userId, tokenId) {
+        const entry = [...this.tokens].find(([, token]) => token.id === tokenId && token.userId === userId);
+        if (!entry) return false;
+        this.tokens.delete(entry[0]);
+        this.save();
+        return true;
+    }
+
+    /**
+     * The active user an API token or session token belongs to.
+     *
+     * @param {string|null} credential
+     * @returns {object|null}
+     */
+    authenticate(credential) {
+        if (!credential) return null;
+        const tokenHash = hashToken(credential);
+        const session = this.sessions.get(tokenHash);
+        const userId = this.tokens.get(tokenHash)?.userId
+            || (session && session.expiresAt > new Date().toISOString() && session.userId);
+        const user = userId && this.users.get(userId);
+        return user && !user.disabled ? user : null;
+    }
+
+    // ── Budgets ────────────────────────────────────────
+
+    /**
+     * Attribute credits spent to a user and their team.
+     *
+     * @param {string|null} userId
+     * @param {number} creditsUsed
+     */
+    recordUsage(userId, creditsUsed) {
+        const user = userId && this.users.get(userId);
+        if (!user || !creditsUsed) return;
+        user.creditsUsed += creditsUsed;
+        const team = user.teamId && this.teams.get(user.teamId);
+        if (team) team.creditsUsed += creditsUsed;
+        this.save();
+    }
+
+    /**
+     * Raise the cap of a user or team by some credits.
+     *
+     * @param {'user'|'team'} kind
+     * @param {string} id
+     * @param {unknown} credits - Positive whole number
+     * @returns {object|null} The updated user or team, or null if it does not exist
+     * @throws {ValidationError} If `credits` is invalid or there is no cap to raise
+     */
+    topUp(kind, id, credits) {
+        const account = kind === 'team' ? this.teams.get(id) : this.users.get(id);
+        if (!account) return null;
+        if (!Number.isInteger(credits) || credits <= 0) {
+            throw new ValidationError('credits must be a positive whole number', { field: 'credits' });
+        }
+        if (account.creditLimit == null) {
+            throw new ValidationError(`This ${kind} has no credit cap to top up; set creditLimit instead`, { field: 'creditLimit' });
+        }
+        account.creditLimit += credits;
+        account.updatedAt = new Date().toISOString();
+        this.save();
+        return account;
+    }
+
+    /**
+     * What a user can still spend: their own cap and their team's, whichever is tighter.
+     *
+     * @param {object} user
+     * @returns {{ user: object, team: object|null, creditsRemaining: number|null }} `creditsRemaining` is null when uncapped
+     */
+    budgetOf(user) {
+        const team = user.teamId && this.teams.get(user.teamId);
+        const budgets = {
+            user: toBudget(user),
+            team: team ? { id: team.id, name: team.name, ...toBudget(team) } : null,
+        };
+        const caps = [budgets.user, budgets.team].filter(budget => budget?.creditsRemaining != null);
+        return { ...budgets, creditsRemaining: caps.length ? Math.min(...caps.map(budget => budget.creditsRemaining)) : null };
+    }
+
+    findByEmail(email) {
+        const needle = typeof email === 'string' ? email.trim().toLowerCase() : '';
+        return [...this.users.values()].find(user => user.email === needle) || null;
+    }
+
+    requireFreeEmail(email) {
+        if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(email.trim())) {
+            throw new ValidationError('A valid email is required', { field: 'email' });
+        }
+        if (this.findByEmail(email)) {
+            throw new ValidationError('That email is already in use', { field: 'email' });
+        }
+        return email.trim().toLowerCase();
+    }
+
+    requireRole(role) {
+        if (!ROLES.includes(role)) {
+            throw new ValidationError(`role must be ${ROLES.join(' or ')}`, { field: 'role' });
+        }
+        return role;
+    }
+
+    requireTeam(teamId) {
+        if (teamId !== null && !this.teams.has(teamId)) {
+            throw new ValidationError(`Unknown team: ${teamId}`, { field: 'teamId' });
+        }
+        return teamId;
+    }
+}
+
+/**
+ * User as returned by the API: everything but the password hash.
+ *
+ * @param {object} user
+ * @returns {object}
+ */
+export function toPublicUser({ passwordHash, ...user }) {
+    return { ...user, hasPassword: Boolean(passwordHash) };
+}
+
+function toBudget({ creditLimit, creditsUsed }) {
+    return {
+        creditLimit,
+        creditsUsed,
+        creditsRemaining: creditLimit == null ? null : Math.max(creditLimit - creditsUsed, 0),
+    };
+}
+
+function requireName(name) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+        throw new ValidationError(`A name of at most ${MAX_NAME_LENGTH} characters is required`, { field: 'name' });
+    }
+    return name.trim();
+}
+
+function requirePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new ValidationError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, { field: 'password' });
+    }
+    return password;
+}
+
+function normalizeLimit(limit) {
+    if (limit == null) return null;
+    if (!Number.isInteger(limit) || limit < 0) {
+        throw new ValidationError('creditLimit must be a whole number of credits, or null for no cap', { field: 'creditLimit' });
+    }
+    return limit;
+}
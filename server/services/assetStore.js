@@ -0,0 +1,271 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { transport } from './http.js';
+import { UpstreamUnavailable } from './errors.js';
+
+const ASSET_URL_PREFIX = '/api/assets/';
+const TOUCH_INTERVAL_MS = 60 * 60 * 1000; // don't rewrite the index on every Range request
+const DOWNLOAD_TIMEOUT_MS = 2 * 60 * 1000; // a whole video, body included
+
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'video/mp4': 'mp4',
+    'video/webm': 'webm',
+    'video/quicktime': 'mov',
+};
+
+const CONTENT_TYPES = Object.fromEntries(Object.entries(EXTENSIONS).map(([type, ext]) => [ext, type]));
+
+// Only these are served inline; anything else (e.g. an SVG or HTML scene) is sent as an attachment
+export const INLINE_CONTENT_TYPES = new Set(Object.keys(EXTENSIONS));
+
+// Leading bytes of the image formats accepted as uploaded scenes
+const IMAGE_SIGNATURES = [
+    { contentType: 'image/jpeg', matches: buffer => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+    { contentType: 'image/png', matches: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { contentType: 'image/webp', matches: buffer => buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP' },
+];
+
+/**
+ * Local archive of generated scene images and videos. Upstream URLs expire
+ * and `b64_json` images bloat every response, so completed results are
+ * downloaded here and served from `/api/assets/:id` instead.
+ *
+ * Assets are content-addressed: the ID is the SHA-256 of the file, so the
+ * same output is only stored once. Metadata lives in `index.json` next to
+ * the files.
+ */
+export class AssetStore {
+    /**
+     * @param {string} dir - Directory holding the files and their index
+     * @param {object} [retention]
+     * @param {number} [retention.maxAgeDays] - Delete assets not accessed for this long (0 = keep forever)
+     * @param {number} [retention.maxTotalBytes] - Evict least recently used assets above this size (0 = unlimited)
+     */
+    constructor(dir, { maxAgeDays = 0, maxTotalBytes = 0 } = {}) {
+        this.dir = dir;
+        this.indexFile = path.join(dir, 'index.json');
+        this.retention = { maxAgeDays, maxTotalBytes };
+        this.assets = new Map();
+        fs.mkdirSync(dir, { recursive: true });
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.indexFile)) {
+                const data = JSON.parse(fs.readFileSync(this.indexFile, 'utf-8'));
+                for (const asset of data.assets || []) {
+                    if (fs.existsSync(this.filePath(asset))) this.assets.set(asset.id, asset);
+                }
+            }
+        } catch (err) {
+            console.warn(`⚠️ Could not read ${this.indexFile}, starting fresh:`, err.message);
+        }
+    }
+
+    save() {
+        const data = { assets: [...this.assets.values()] };
+        fs.writeFileSync(this.indexFile, JSON.stringify(data, null, 2));
+    }
+
+    filePath(asset) {
+        return path.join(this.dir, `${asset.id}.${asset.ext}`);
+    }
+
+    /**
+     * Download a URL (or decode a data URI) into the store.
+     *
+     * @param {string} source - http(s) URL or `data:` URI
+     * @param {object} meta
+     * @param {string} meta.kind - 'scene' | 'video', used for the download filename
+     * @returns {Promise<object>} The stored asset record
+     */
+    async archive(source, { kind }) {
+        const isDataUri = source.startsWith('data:');
+        const { buffer, contentType } = isDataUri ? decodeDataUri(source) : await download(source);
+        return this.store(buffer, contentType, { kind, sourceUrl: isDataUri ? null : source });
+    }
+
+    /**
+     * Store bytes that are already in hand (e.g. an uploaded scene).
+     *
+     * @param {Buffer} buffer - File contents
+     * @param {string} [contentType] - MIME type, if known
+     * @param {object} meta
+     * @param {string} meta.kind - 'scene' | 'video', used for the download filename
+     * @param {string} [meta.sourceUrl] - Where the bytes came from
+     * @returns {object} The stored asset record
+     */
+    store(buffer, contentType, { kind, sourceUrl = null }) {
+        const id = crypto.createHash('sha256').update(buffer).digest('hex');
+        const now = new Date().toISOString();
+        const existing = this.assets.get(id);
+        if (existing) {
+            existing.lastAccessedAt = now;
+            this.save();
+            return existing;
+        }
+
+        const ext = EXTENSIONS[contentType] || (sourceUrl && extensionFromUrl(sourceUrl)) || 'bin';
+        const asset = {
+            id,
+            kind,
+            contentType: contentType || CONTENT_TYPES[ext] || 'application/octet-stream',
+            ext,
+            size: buffer.length,
+            sourceUrl,
+            createdAt: now,
+            lastAccessedAt: now,
+        };
+        fs.writeFileSync(this.filePath(asset), buffer);
+        this.assets.set(id, asset);
+        this.save();
+        return asset;
+    }
+
+    get(id) {
+        return this.assets.get(id) || null;
+    }
+
+    /**
+     * Mark an asset as used, so size-based eviction keeps it longer.
+     *
+     * @param {string} id
+     */
+    touch(id) {
+        const asset = this.assets.get(id);
+        if (!asset || Date.now() - Date.parse(asset.lastAccessedAt) < TOUCH_INTERVAL_MS) return;
+        asset.lastAccessedAt = new Date().toISOString();
+        this.save();
+    }
+
+    /**
+     * Read an asset back as a data URI, for sending a local scene to the video model.
+     *
+     * @param {string} id
+     * @returns {string|null}
+     */
+    toDataUri(id) {
+        const asset = this.assets.get(id);
+        if (!asset) return null;
+        return `data:${asset.contentType};base64,${fs.readFileSync(this.filePath(asset)).toString('base64')}`;
+    }
+
+    /**
+     * Apply the retention policy: drop assets idle for longer than `maxAgeDays`,
+     * then evict the least recently used ones until the store fits `maxTotalBytes`.
+     *
+     * @returns {object[]} The removed assets
+     */
+    cleanup() {
+        const { maxAgeDays, maxTotalBytes } = this.retention;
+        const byAge = [...this.assets.values()].sort((a, b) => a.lastAccessedAt.localeCompare(b.lastAccessedAt));
+        const removed = [];
+
+        if (maxAgeDays) {
+            const cutoff = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000).toISOString();
+            while (byAge.length && byAge[0].lastAccessedAt < cutoff) removed.push(byAge.shift());
+        }
+        if (maxTotalBytes) {
+            let total = byAge.reduce((sum, asset) => sum + asset.size, 0);
+            while (byAge.length && total > maxTotalBytes) {
+                const asset = byAge.shift();
+                total -= asset.size;
+                removed.push(asset);
+            }
+        }
+
+        for (const asset of removed) {
+            fs.rmSync(this.filePath(asset), { force: true });
+            this.assets.delete(asset.id);
+        }
+        if (removed.length) this.save();
+        return removed;
+    }
+}
+
+/**
+ * URL path under which an archived asset is served.
+ *
+ * @param {object} asset
+ * @returns {string}
+ */
+export function assetUrl(asset) {
+    return `${ASSET_URL_PREFIX}${asset.id}`;
+}
+
+/**
+ * Extract the asset ID from a URL returned by `assetUrl`.
+ *
+ * @param {string} url
+ * @returns {string|null} The ID, or null if the URL is not a local asset
+ */
+export function parseAssetUrl(url) {
+    return typeof url === 'string' && url.startsWith(ASSET_URL_PREFIX)
+        ? url.slice(ASSET_URL_PREFIX.length).split(/[?#]/)[0]
+        : null;
+}
+
+/**
+ * The image type of an upload, from its bytes rather than the type the client claims.
+ *
+ * @param {Buffer} buffer
+ * @returns {string|null} image/jpeg, image/png or image/webp; null for anything else
+ */
+export function sniffImageType(buffer) {
+    return IMAGE_SIGNATURES.find(({ matches }) => matches(buffer))?.contentType ?? null;
+}
+
+/**
+ * Filename offered to the browser when an asset is downloaded.
+ *
+ * @param {object} asset
+ * @returns {string}
+ */
+export function downloadFilename(asset) {
+    return `duocast-${asset.kind}-${asset.id.slice(0, 12)}.${asset.ext}`;
+}
+
+async function download(url) {
+    const signal = AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS);
+    let response;
+    let buffer;
+    try {
+        response = await transport.fetch(url, { signal });
+        if (response.ok) buffer = Buffer.from(await response.arrayBuffer());
+    } catch (err) {
+        const reason = err.name === 'TimeoutError' || signal.aborted ? `not finished within ${DOWNLOAD_TIMEOUT_MS / 1000}s` : err.message;
+        throw new UpstreamUnavailable(`Asset download failed: ${reason}`, { url });
+    }
+    if (!response.ok) {
+        throw new UpstreamUnavailable(`Asset download failed (${response.status})`, { url, upstreamStatus: response.status });
+    }
+    return {
+        buffer,
+        contentType: response.headers.get('content-type')?.split(';')[0].trim(),
+    };
+}
+
+function decodeDataUri(uri) {
+    const match = uri.match(/^data:([^;,]+)?(;base64)?,(.*)$/s);
+    if (!match) throw new Error('Malformed data URI');
+    const [, contentType, base64, data] = match;
+    return {
+        buffer: base64 ? Buffer.from(data, 'base64') : Buffer.from(decodeURIComponent(data)),
+        contentType,
+    };
+}
+
+function extensionFromUrl(url) {
+    try {
+        const ext = path.extname(new URL(url).pathname).slice(1).toLowerCase();
+        return ext === 'jpeg' ? 'jpg' : ext || null;
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+
+export const SESSION_COOKIE = 'duocast_session';
+export const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const TOKEN_PREFIX = 'dc_';
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * Hash a password for storage as `scrypt:<salt>:<hash>`.
+ *
+ * @param {string} password
+ * @returns {string}
+ */
+export function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+    return `scrypt:${salt}:${hash}`;
+}
+
+/**
+ * @param {string} password
+ * @param {string} stored - Output of hashPassword()
+ * @returns {boolean}
+ */
+export function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * A new random secret for an API token or a session.
+ *
+ * @returns {string}
+ */
+export function generateToken() {
+    return TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Tokens and sessions are stored hashed, so a leaked store does not leak credentials.
+ *
+ * @param {string} token
+ * @returns {string} Hex SHA-256 digest
+ */
+export function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * The credential a request carries: an `Authorization: Bearer` API token
+ * (scripts), else the session cookie (the UI — EventSource cannot set headers).
+ *
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+export function requestCredential(req) {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    if (scheme?.toLowerCase() === 'bearer' && token) return token;
+    return parseCookies(req.get('cookie'))[SESSION_COOKIE] || null;
+}
+
+function parseCookies(header = '') {
+    return Object.fromEntries(header.split(';')
+        .filter(pair => pair.includes('='))
+        .map((pair) => {
+            const index = pair.indexOf('=');
+            return [pair.slice(0, index).trim(), decodeCookieValue(pair.slice(index + 1).trim())];
+        }));
+}
+
+// Other cookies on the same host may not be URI-encoded at all; keep those as they are
+function decodeCookieValue(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+}
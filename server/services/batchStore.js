@@ -0,0 +1,129 @@
+import fs from 'fs';
+import crypto from 'crypto';
+
+/**
+ * Persistent store of batch generations, backed by a JSON file. A batch runs
+ * the rows of a manifest through the scene → video pipeline; each row links to
+ * the history run (and jobs) it produced. Portrait images are not stored.
+ */
+export class BatchStore {
+    /**
+     * @param {string} filePath - Path of the JSON file used for persistence
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.batches = new Map();
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+                for (const batch of data.batches || []) {
+                    this.batches.set(batch.id, batch);
+                }
+            }
+        } catch (err) {
+            console.warn(`⚠️ Could not read ${this.filePath}, starting fresh:`, err.message);
+        }
+    }
+
+    save() {
+        const data = { batches: [...this.batches.values()] };
+        fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2));
+    }
+
+    /**
+     * Create and persist a new batch in the `running` state, with every row `pending`.
+     *
+     * @param {object} fields - `userId`, `imageModel`, `videoModel`, `concurrency`
+     * @param {object[]} rows - Normalized manifest rows (see parseManifest)
+     * @returns {object} The created batch
+     */
+    create(fields, rows) {
+        const now = new Date().toISOString();
+        const batch = {
+            id: crypto.randomUUID(),
+            status: 'running',
+            ...fields,
+            rows: rows.map(row => ({
+                ...row,
+                status: 'pending',
+                historyId: null,
+                sceneJobId: null,
+                videoJobId: null,
+                sceneImageUrl: null,
+                videoUrl: null,
+                creditsUsed: 0,
+                error: null,
+            })),
+            createdAt: now,
+            updatedAt: now,
+        };
+        this.batches.set(batch.id, batch);
+        this.save();
+        return batch;
+    }
+
+    /**
+     * Merge changes into a batch and persist it.
+     *
+     * @param {string} id
+     * @param {object} changes
+     * @returns {object|null} The updated batch, or null if it does not exist
+     */
+    update(id, changes) {
+        const batch = this.batches.get(id);
+        if (!batch) return null;
+        Object.assign(batch, changes, { updatedAt: new Date().toISOString() });
+        this.save();
+        return batch;
+    }
+
+    /**
+     * Merge changes into one row of a batch and persist it.
+     *
+     * @param {string} id
+     * @param {number} index - Row index
+     * @param {object} changes
+     * @returns {object|null} The updated batch, or null if it does not exist
+     */
+    updateRow(id, index, changes) {
+        const batch = this.batches.get(id);
+        if (!batch) return null;
+        Object.assign(batch.rows[index], changes);
+        return this.update(id, {});
+    }
+
+    get(id) {
+        return this.batches.get(id) || null;
+    }
+
+    /**
+     * List batches, newest first.
+     *
+     * @param {object} [filter]
+     * @param {string} [filter.userId] - Only return batches started by this user
+     * @returns {object[]}
+     */
+    list({ userId } = {}) {
+        return [...this.batches.values()]
+            .filter(batch => !userId || batch.userId === userId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+}
+
+/**
+ * Shape a batch for API responses, with row counts per status.
+ *
+ * @param {object} batch
+ * @returns {object}
+ */
+export function toPublicBatch(batch) {
+    const counts = { pending: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+    for (const row of batch.rows) {
+        counts[row.status in counts ? row.status : 'running']++;
+    }
+    return { ...batch, counts };
+}
@@ -0,0 +1,195 @@
+import { ValidationError } from './errors.js';
+import { CLIP_DURATIONS } from './dialogue.js';
+import { normalizeCast, MIN_PEOPLE, MAX_PEOPLE } from './cast.js';
+
+export const MAX_BATCH_ROWS = 50;
+
+/** Separates the portraits (and names) of one row in a CSV cell. */
+const LIST_SEPARATOR = '|';
+const MAX_TEXT_LENGTH = 2000;
+
+// CSV headers are matched case-insensitively, ignoring spaces, dashes and underscores
+const COLUMNS = {
+    portraits: 'portraits',
+    names: 'names',
+    scenario: 'scenario',
+    videoprompt: 'videoPrompt',
+    duration: 'duration',
+};
+
+const SUMMARY_COLUMNS = ['row', 'status', 'scenario', 'sceneImageUrl', 'videoUrl', 'creditsUsed', 'historyId', 'error'];
+
+/**
+ * Parse a batch manifest into normalized rows. A manifest is either JSON (an
+ * array of rows, or `{ rows: [...] }`) or CSV with a header line. Each row has
+ * `portraits` (uploaded file names or http(s) URLs), optional `names` in the
+ * same order, `scenario`, `videoPrompt` and `duration` (4, 6 or 8; default 8).
+ * In CSV, portraits and names are separated by `|` within their cell.
+ *
+ * @param {string|object[]} manifest - Manifest text, or rows already parsed from a JSON body
+ * @returns {Array<{ portraits: string[], cast: object[], scenario: string, videoPrompt: string, duration: number }>}
+ * @throws {ValidationError} Naming the first bad row
+ */
+export function parseManifest(manifest) {
+    const rows = typeof manifest === 'string' ? parseManifestText(manifest) : manifest;
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+        throw new ValidationError('The manifest has no rows', { field: 'manifest' });
+    }
+    if (rows.length > MAX_BATCH_ROWS) {
+        throw new ValidationError(`A batch can have at most ${MAX_BATCH_ROWS} rows`, { field: 'manifest', rows: rows.length });
+    }
+    return rows.map((row, index) => normalizeRow(row, index + 1));
+}
+
+function parseManifestText(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch {
+            throw new ValidationError('The manifest is not valid JSON', { field: 'manifest' });
+        }
+        return Array.isArray(data) ? data : data.rows;
+    }
+
+    const [header, ...lines] = parseCsv(trimmed);
+    const keys = (header || []).map(name => COLUMNS[name.toLowerCase().replace(/[\s_-]/g, '')]);
+    if (!keys.includes('portraits')) {
+        throw new ValidationError('The CSV manifest needs a header line with at least portraits, scenario and videoPrompt columns', { field: 'manifest' });
+    }
+    return lines
+        .filter(cells => cells.some(cell => cell.trim()))
+        .map(cells => Object.fromEntries(keys.flatMap((key, i) => key && cells[i] !== undefined ? [[key, cells[i]]] : [])));
+}
+
+function normalizeRow(row, number) {
+    const fail = (message, field) => {
+        throw new ValidationError(`Row ${number}: ${message}`, { field: 'manifest', row: number, column: field });
+    };
+    if (!row || typeof row !== 'object') fail('must be an object', null);
+
+    const portraits = toList(row.portraits);
+    if (portraits.length < MIN_PEOPLE || portraits.length > MAX_PEOPLE) {
+        fail(`needs ${MIN_PEOPLE} to ${MAX_PEOPLE} portraits`, 'portraits');
+    }
+    const names = toList(row.names);
+    if (names.length && names.length !== portraits.length) {
+        fail(`has ${names.length} names for ${portraits.length} portraits`, 'names');
+    }
+
+    const scenario = typeof row.scenario === 'string' ? row.scenario.trim() : '';
+    const videoPrompt = typeof row.videoPrompt === 'string' ? row.videoPrompt.trim() : '';
+    if (!scenario) fail('scenario is required', 'scenario');
+    if (!videoPrompt) fail('videoPrompt is required', 'videoPrompt');
+    if (scenario.length > MAX_TEXT_LENGTH || videoPrompt.length > MAX_TEXT_LENGTH) {
+        fail(`scenario and videoPrompt can be at most ${MAX_TEXT_LENGTH} characters`, scenario.length > MAX_TEXT_LENGTH ? 'scenario' : 'videoPrompt');
+    }
+
+    const duration = row.duration === undefined || row.duration === '' ? 8 : Number(row.duration);
+    if (!CLIP_DURATIONS.includes(duration)) {
+        fail(`duration must be one of ${CLIP_DURATIONS.join(', ')} seconds`, 'duration');
+    }
+
+    let cast;
+    try {
+        cast = normalizeCast(names.length ? names.map(name => ({ name })) : undefined, portraits.length);
+    } catch (err) {
+        fail(err.message, 'names');
+    }
+    return { portraits, cast, scenario, videoPrompt, duration };
+}
+
+function toList(value) {
+    const items = Array.isArray(value) ? value : String(value ?? '').split(LIST_SEPARATOR);
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * @param {string} ref - A portrait reference from a manifest row
+ * @returns {boolean} Whether it is a URL to download rather than an uploaded file name
+ */
+export function isPortraitUrl(ref) {
+    return /^https?:\/\//i.test(ref);
+}
+
+/**
+ * Minimal RFC 4180 CSV parser: commas, double-quoted cells with `""` escapes
+ * and line breaks inside quotes.
+ *
+ * @param {string} text
+ * @returns {string[][]} Lines of cells
+ */
+export function parseCsv(text) {
+    const lines = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            cells.push(cell);
+            lines.push(cells);
+            cells = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell);
+    lines.push(cells);
+    return lines;
+}
+
+function toCsvCell(value) {
+    let text = value == null ? '' : String(value);
+    // Spreadsheets run text starting with these as a formula; a leading ' keeps it text
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One line per row of a batch: its status, result URLs, credits used and error.
+ *
+ * @param {object} batch
+ * @param {function(string): string} [absoluteUrl] - Turns a relative asset URL into a downloadable one
+ * @returns {object[]}
+ */
+export function summarizeBatch(batch, absoluteUrl = url => url) {
+    return batch.rows.map((row, index) => ({
+        row: index + 1,
+        status: row.status,
+        scenario: row.scenario,
+        sceneImageUrl: row.sceneImageUrl && absoluteUrl(row.sceneImageUrl),
+        videoUrl: row.videoUrl && absoluteUrl(row.videoUrl),
+        creditsUsed: row.creditsUsed,
+        historyId: row.historyId,
+        error: row.error?.message ?? null,
+    }));
+}
+
+/**
+ * @param {object[]} summary - From summarizeBatch
+ * @returns {string} CSV with a header line
+ */
+export function toSummaryCsv(summary) {
+    const lines = [SUMMARY_COLUMNS, ...summary.map(line => SUMMARY_COLUMNS.map(column => line[column]))];
+    return lines.map(cells => cells.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+}
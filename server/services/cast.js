@@ -0,0 +1,121 @@
+import { ValidationError } from './errors.js';
+
+export const MIN_PEOPLE = 2;
+export const MAX_PEOPLE = 4;
+
+export const POSITIONS = ['left', 'center', 'right'];
+export const DEPTHS = ['foreground', 'background'];
+
+export const MAX_NAME_LENGTH = 40;
+export const MAX_DESCRIPTION_LENGTH = 500;
+
+// Where people go when the request does not say, by cast size
+const DEFAULT_PLACEMENTS = {
+    2: [['left', 'foreground'], ['right', 'foreground']],
+    3: [['left', 'foreground'], ['center', 'foreground'], ['right', 'foreground']],
+    4: [['left', 'foreground'], ['center', 'foreground'], ['right', 'foreground'], ['center', 'background']],
+};
+
+const POSITION_PHRASES = {
+    left: 'on the left',
+    center: 'in the center',
+    right: 'on the right',
+};
+
+const COUNT_WORDS = { 2: 'Two', 3: 'Three', 4: 'Four' };
+
+/**
+ * Dialogue speaker ID of the person at a cast index: 'A', 'B', 'C'...
+ *
+ * @param {number} index
+ * @returns {string}
+ */
+export function speakerId(index) {
+    return String.fromCharCode(65 + index);
+}
+
+/**
+ * The cast used when none is given: Person A, Person B... at the default placements.
+ *
+ * @param {number} [count]
+ * @returns {Array<{ name: string, position: string, depth: string }>}
+ */
+export function defaultCast(count = MIN_PEOPLE) {
+    return DEFAULT_PLACEMENTS[count].map(([position, depth], i) => ({ name: `Person ${speakerId(i)}`, position, depth }));
+}
+
+/**
+ * Check the people in a scene and fill in defaults. Person N matches the
+ * Nth portrait, and speaker N in a scripted dialogue. A person may carry a
+ * `description` (voice, style, wardrobe...) for the prompts, and the
+ * `characterId` of the library character it came from.
+ *
+ * @param {unknown} people - `[{ name?, position?, depth?, description?, characterId? }]`, or nothing for the default cast
+ * @param {number} [count] - Required number of people (the number of portraits), if known
+ * @returns {Array<{ name: string, position: string, depth: string, description?: string, characterId?: string }>}
+ * @throws {ValidationError}
+ */
+export function normalizeCast(people, count) {
+    if (people == null) return defaultCast(count);
+
+    if (!Array.isArray(people) || people.length < MIN_PEOPLE || people.length > MAX_PEOPLE) {
+        throw new ValidationError(`A scene needs ${MIN_PEOPLE} to ${MAX_PEOPLE} people`, { field: 'people' });
+    }
+    if (count && people.length !== count) {
+        throw new ValidationError(`Got ${count} portraits but ${people.length} people`, { field: 'people' });
+    }
+
+    const defaults = defaultCast(people.length);
+    return people.map((person, i) => {
+        const field = `people[${i}]`;
+        const name = typeof person?.name === 'string' && person.name.trim() ? person.name.trim() : defaults[i].name;
+        if (name.length > MAX_NAME_LENGTH) {
+            throw new ValidationError(`Person ${i + 1}'s name is longer than ${MAX_NAME_LENGTH} characters`, { field: `${field}.name` });
+        }
+        const position = person?.position || defaults[i].position;
+        if (!POSITIONS.includes(position)) {
+            throw new ValidationError(`Person ${i + 1}'s position must be ${POSITIONS.join(', ')}`, { field: `${field}.position` });
+        }
+        const depth = person?.depth || defaults[i].depth;
+        if (!DEPTHS.includes(depth)) {
+            throw new ValidationError(`Person ${i + 1}'s depth must be ${DEPTHS.join(' or ')}`, { field: `${field}.depth` });
+        }
+        const description = typeof person?.description === 'string' ? person.description.trim() : '';
+        if (description.length > MAX_DESCRIPTION_LENGTH) {
+            throw new ValidationError(`Person ${i + 1}'s description is longer than ${MAX_DESCRIPTION_LENGTH} characters`, { field: `${field}.description` });
+        }
+        const characterId = typeof person?.characterId === 'string' ? person.characterId : null;
+        return { name, position, depth, ...(description && { description }), ...(characterId && { characterId }) };
+    });
+}
+
+/**
+ * Where a person stands, as used in prompts: "on the left", "in the center, in the background"...
+ *
+ * @param {{ position: string, depth: string }} person
+ * @returns {string}
+ */
+export function describePlacement({ position, depth }) {
+    return depth === 'background' ? `${POSITION_PHRASES[position]}, in the background` : POSITION_PHRASES[position];
+}
+
+/**
+ * Prompt lines for the people who have a description, or none.
+ *
+ * @param {object[]} cast
+ * @returns {string[]}
+ */
+export function describePeople(cast) {
+    const notes = cast.filter(person => person.description).map(person => `- ${person.name}: ${person.description}`);
+    return notes.length ? ['About the people:', ...notes] : [];
+}
+
+/**
+ * "Two people", "Three people"...
+ *
+ * @param {number} count
+ * @returns {string}
+ */
+export function countPeople(count) {
+    return `${COUNT_WORDS[count] || count} people`;
+}
@@ -0,0 +1,125 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Library of reusable characters: a name, a description for the prompts
+ * (voice, style, wardrobe...), tags, and a portrait. Portraits are stored
+ * already preprocessed (see preprocessPortrait) as `<id>.jpg` next to the
+ * `characters.json` index, outside the asset archive so retention never
+ * removes them.
+ */
+export class CharacterStore {
+    /**
+     * @param {string} dir - Directory holding the index and the portraits
+     */
+    constructor(dir) {
+        this.dir = dir;
+        this.indexFile = path.join(dir, 'characters.json');
+        this.characters = new Map();
+        fs.mkdirSync(dir, { recursive: true });
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.indexFile)) {
+                const data = JSON.parse(fs.readFileSync(this.indexFile, 'utf-8'));
+                for (const character of data.characters || []) {
+                    if (fs.existsSync(this.portraitPath(character.id))) this.characters.set(character.id, character);
+                }
+            }
+        } catch (err) {
+            console.warn(`⚠️ Could not read ${this.indexFile}, starting fresh:`, err.message);
+        }
+    }
+
+    save() {
+        const data = { characters: [...this.characters.values()] };
+        fs.writeFileSync(this.indexFile, JSON.stringify(data, null, 2));
+    }
+
+    portraitPath(id) {
+        return path.join(this.dir, `${id}.jpg`);
+    }
+
+    get(id) {
+        return this.characters.get(id) || null;
+    }
+
+    /**
+     * Characters by name, optionally filtered.
+     *
+     * @param {object} [filter]
+     * @param {string} [filter.q] - Case-insensitive text in the name or description
+     * @param {string} [filter.tag] - Only characters with this tag
+     * @returns {object[]}
+     */
+    list({ q, tag } = {}) {
+        const needle = q?.toLowerCase();
+        return [...this.characters.values()]
+            .filter(character => !tag || character.tags.includes(tag.toLowerCase()))
+            .filter(character => !needle || `${character.name}\n${character.description}`.toLowerCase().includes(needle))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Save a new character.
+     *
+     * @param {object} fields - Normalized character fields (see normalizeCharacter)
+     * @param {{ buffer: Buffer, hash: string }} portrait - Preprocessed JPEG, and the hash of the original upload
+     * @returns {object} The created character
+     */
+    create(fields, portrait) {
+        const now = new Date().toISOString();
+        const character = { id: crypto.randomUUID(), ...fields, portraitHash: portrait.hash, createdAt: now, updatedAt: now };
+        fs.writeFileSync(this.portraitPath(character.id), portrait.buffer);
+        this.characters.set(character.id, character);
+        this.save();
+        return character;
+    }
+
+    /**
+     * Replace the fields of a character, and its portrait if a new one is given.
+     *
+     * @param {string} id
+     * @param {object} fields - Normalized character fields
+     * @param {{ buffer: Buffer, hash: string }} [portrait]
+     * @returns {object|null} The updated character, or null if there is none with that ID
+     */
+    update(id, fields, portrait) {
+        const character = this.characters.get(id);
+        if (!character) return null;
+        if (portrait) {
+            fs.writeFileSync(this.portraitPath(id), portrait.buffer);
+            character.portraitHash = portrait.hash;
+        }
+        Object.assign(character, fields, { updatedAt: new Date().toISOString() });
+        this.save();
+        return character;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean} Whether a character was removed
+     */
+    delete(id) {
+        const removed = this.characters.delete(id);
+        if (removed) {
+            fs.rmSync(this.portraitPath(id), { force: true });
+            this.save();
+        }
+        return removed;
+    }
+
+    /**
+     * The stored portrait as a data URI, ready to send upstream.
+     *
+     * @param {string} id
+     * @returns {string|null}
+     */
+    toDataUri(id) {
+        if (!this.characters.has(id)) return null;
+        return `data:image/jpeg;base64,${fs.readFileSync(this.portraitPath(id)).toString('base64')}`;
+    }
+}
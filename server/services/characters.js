@@ -0,0 +1,73 @@
+import { ValidationError } from './errors.js';
+import { MAX_NAME_LENGTH, MAX_DESCRIPTION_LENGTH } from './cast.js';
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 24;
+
+/**
+ * Check the fields of a library character. Works for JSON bodies and for
+ * multipart forms, where `tags` arrive as a JSON list or comma-separated text.
+ *
+ * @param {unknown} input - `{ name, description?, tags? }`
+ * @returns {{ name: string, description: string, tags: string[] }}
+ * @throws {ValidationError}
+ */
+export function normalizeCharacter(input) {
+    const { name, description = '', tags = [] } = input || {};
+
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new ValidationError('Character name is required', { field: 'name' });
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+        throw new ValidationError(`Character name is longer than ${MAX_NAME_LENGTH} characters`, { field: 'name' });
+    }
+    if (typeof description !== 'string' || description.trim().length > MAX_DESCRIPTION_LENGTH) {
+        throw new ValidationError(`Character description must be text of at most ${MAX_DESCRIPTION_LENGTH} characters`, { field: 'description' });
+    }
+
+    return {
+        name: name.trim(),
+        description: description.trim(),
+        tags: normalizeTags(tags),
+    };
+}
+
+function normalizeTags(tags) {
+    let list = tags;
+    if (typeof tags === 'string') {
+        const text = tags.trim();
+        list = text.startsWith('[') ? parseTagList(text) : text.split(',');
+    }
+    if (!Array.isArray(list) || list.some(tag => typeof tag !== 'string')) {
+        throw new ValidationError('Tags must be a list of words', { field: 'tags' });
+    }
+
+    const unique = [...new Set(list.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    if (unique.length > MAX_TAGS) {
+        throw new ValidationError(`A character can have at most ${MAX_TAGS} tags`, { field: 'tags' });
+    }
+    const long = unique.find(tag => tag.length > MAX_TAG_LENGTH);
+    if (long) {
+        throw new ValidationError(`Tag "${long}" is longer than ${MAX_TAG_LENGTH} characters`, { field: 'tags' });
+    }
+    return unique;
+}
+
+function parseTagList(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        throw new ValidationError('Tags must be a list of words', { field: 'tags' });
+    }
+}
+
+/**
+ * Character as returned by the API. The portrait URL changes with the portrait,
+ * so browsers do not keep showing a replaced one.
+ *
+ * @param {object} character
+ * @returns {object}
+ */
+export function toPublicCharacter({ portraitHash, ...character }) {
+    return { ...character, portraitUrl: `/api/characters/${character.id}/portrait?v=${portraitHash.slice(0, 12)}` };
+}
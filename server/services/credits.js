@@ -0,0 +1,144 @@
+import fs from 'fs';
+import crypto from 'crypto';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Credits spent against the global pool, kept as an append-only ledger in a
+ * JSON-lines file: one line per charge, linked to the generation, model and run
+ * that incurred it. The balance is the sum of the ledger, so a charge is a
+ * single append and concurrent charges never overwrite each other's totals.
+ */
+export class CreditsTracker {
+    /**
+     * @param {string} filePath - Path of the JSON-lines ledger file
+     * @param {number} startingCredits - Credit balance before any usage
+     * @param {object} [options]
+     * @param {string} [options.legacyFile] - Old `credits.json` total, carried over as an opening entry when the ledger is new
+     */
+    constructor(filePath, startingCredits, { legacyFile } = {}) {
+        this.filePath = filePath;
+        this.startingCredits = startingCredits;
+        this.entries = [];
+        this.used = 0;
+        this.load();
+        if (!this.entries.length && legacyFile) this.importLegacy(legacyFile);
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+            const lines = fs.readFileSync(this.filePath, 'utf-8').split('\n').filter(Boolean);
+            for (const line of lines) {
+                const entry = JSON.parse(line);
+                this.entries.push(entry);
+                this.used += entry.creditsUsed;
+            }
+        } catch (err) {
+            console.warn(`⚠️ Could not read ${this.filePath}, starting fresh:`, err.message);
+            this.entries = [];
+            this.used = 0;
+        }
+    }
+
+    importLegacy(legacyFile) {
+        try {
+            if (!fs.existsSync(legacyFile)) return;
+            const { creditsUsed } = JSON.parse(fs.readFileSync(legacyFile, 'utf-8'));
+            if (creditsUsed > 0) {
+                this.record(creditsUsed, { kind: 'opening' });
+            }
+        } catch (err) {
+            console.warn(`⚠️ Could not read ${legacyFile}, the ledger starts from zero:`, err.message);
+        }
+    }
+
+    get remaining() {
+        return this.startingCredits - this.used;
+    }
+
+    /**
+     * Append a charge from a completed API call to the ledger.
+     *
+     * @param {number} creditsUsed
+     * @param {object} [charge]
+     * @param {string} [charge.kind] - Job type that was charged ('scene' | 'video' | 'conversation')
+     * @param {string} [charge.model] - Provider ID
+     * @param {string} [charge.generationId] - Upstream generation ID, when the provider has one
+     * @param {string} [charge.jobId]
+     * @param {string} [charge.historyId]
+     * @param {string} [charge.userId]
+     * @returns {object|null} The ledger entry, or null for a free call
+     */
+    record(creditsUsed, { kind = null, model = null, generationId = null, jobId = null, historyId = null, userId = null } = {}) {
+        if (!creditsUsed) return null;
+        const entry = {
+            id: crypto.randomUUID(),
+            at: new Date().toISOString(),
+            creditsUsed,
+            kind,
+            model,
+            generationId,
+            jobId,
+            historyId,
+            userId,
+        };
+        fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+        this.entries.push(entry);
+        this.used += creditsUsed;
+        console.log(`   Credits used: ${creditsUsed} | Remaining: ${this.remaining}`);
+        return entry;
+    }
+
+    /**
+     * Ledger entries, newest first.
+     *
+     * @param {object} [filter]
+     * @param {string} [filter.userId] - Only charges for this user's runs
+     * @param {number} [filter.limit]
+     * @param {number} [filter.offset]
+     * @returns {{ items: object[], total: number }}
+     */
+    list({ userId, limit = 50, offset = 0 } = {}) {
+        const matching = this.entries.filter(entry => !userId || entry.userId === userId).reverse();
+        return { items: matching.slice(offset, offset + limit), total: matching.length };
+    }
+
+    /**
+     * Credits spent over the last `days` days, per (UTC) day — including days
+     * without usage — and per model.
+     *
+     * @param {object} [options]
+     * @param {string} [options.userId] - Only charges for this user's runs
+     * @param {number} [options.days]
+     * @param {Date} [options.now]
+     * @returns {{ byDay: Array<{ date: string, creditsUsed: number }>, byModel: Array<{ model: string|null, creditsUsed: number }> }}
+     */
+    usage({ userId, days = 14, now = new Date() } = {}) {
+        const byDay = new Map();
+        for (let i = days - 1; i >= 0; i--) {
+            byDay.set(new Date(now.getTime() - i * DAY_MS).toISOString().slice(0, 10), 0);
+        }
+
+        const byModel = new Map();
+        for (const entry of this.entries) {
+            const date = entry.at.slice(0, 10);
+            if (!byDay.has(date) || (userId && entry.userId !== userId)) continue;
+            byDay.set(date, byDay.get(date) + entry.creditsUsed);
+            byModel.set(entry.model, (byModel.get(entry.model) || 0) + entry.creditsUsed);
+        }
+
+        return {
+            byDay: [...byDay].map(([date, creditsUsed]) => ({ date, creditsUsed })),
+            byModel: [...byModel].map(([model, creditsUsed]) => ({ model, creditsUsed })).sort((a, b) => b.creditsUsed - a.creditsUsed),
+        };
+    }
+
+    toJSON() {
+        return {
+            startingCredits: this.startingCredits,
+            creditsUsed: this.used,
+            creditsRemaining: this.remaining,
+        };
+    }
+}
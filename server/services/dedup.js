@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+import { ValidationError } from './errors.js';
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+/**
+ * Fingerprint of a generation request: a hash of its normalized inputs
+ * (portrait hashes, prompt, model parameters...) and of who sent it, so
+ * identical requests from the same user can share one job. Inputs are
+ * built by the routes in a fixed shape, so equal requests hash alike.
+ *
+ * @param {'scene'|'video'|'conversation'} kind
+ * @param {string|null} userId
+ * @param {object} inputs
+ * @returns {string} Hex SHA-256
+ */
+export function requestFingerprint(kind, userId, inputs) {
+    return crypto.createHash('sha256').update(JSON.stringify([kind, userId, inputs])).digest('hex');
+}
+
+/**
+ * Check an `Idempotency-Key` header.
+ *
+ * @param {string|undefined} value
+ * @returns {string|null} The key, or null when none was sent
+ * @throws {ValidationError}
+ */
+export function parseIdempotencyKey(value) {
+    if (value == null) return null;
+    const key = value.trim();
+    if (!key || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+        throw new ValidationError(`Idempotency-Key must be 1 to ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`, { field: 'Idempotency-Key' });
+    }
+    return key;
+}
+
+/**
+ * Whether a request asks for a new generation even if an identical one exists.
+ * Accepts JSON booleans and multipart form text.
+ *
+ * @param {unknown} value - `force` from the request body
+ * @returns {boolean}
+ */
+export function isForced(value) {
+    return value === true || value === 'true' || value === '1';
+}
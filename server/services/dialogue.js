@@ -0,0 +1,193 @@
+import { ValidationError } from './errors.js';
+import { defaultCast, speakerId, describePlacement, describePeople, countPeople } from './cast.js';
+
+const MAX_TURNS = 12;
+const MAX_CONVERSATION_TURNS = 60;
+const MAX_LINE_LENGTH = 300;
+const MAX_NOTE_LENGTH = 100;
+
+// Conversational pace (~150 words per minute) plus a beat whenever the speaker changes
+const WORDS_PER_SECOND = 2.5;
+const SPEAKER_CHANGE_PAUSE_SECONDS = 0.3;
+
+// Clip lengths the video model can generate; a long conversation is cut into clips of these
+export const CLIP_DURATIONS = [4, 6, 8];
+const MAX_CLIP_SECONDS = Math.max(...CLIP_DURATIONS);
+
+const CONTINUATION_DIRECTION = 'This clip continues an ongoing conversation: pick up seamlessly from the opening frame, keeping the same people, setting, lighting and camera.';
+
+/**
+ * Check a clip duration sent by a caller, as a number or a numeric string.
+ *
+ * @param {unknown} value
+ * @param {string} [field]
+ * @returns {number} One of CLIP_DURATIONS
+ * @throws {ValidationError}
+ */
+export function normalizeClipDuration(value, field = 'duration') {
+    const duration = typeof value === 'string' && value.trim() ? Number(value) : value;
+    if (!CLIP_DURATIONS.includes(duration)) {
+        throw new ValidationError(`${field} must be one of ${CLIP_DURATIONS.join(', ')} seconds`, { field, allowed: CLIP_DURATIONS });
+    }
+    return duration;
+}
+
+/**
+ * Check a scripted dialogue and normalize it for the given duration.
+ *
+ * @param {unknown} dialogue - Ordered list of turns from the request body
+ * @param {number} duration - Video duration in seconds, one of CLIP_DURATIONS; the script must fit in it
+ * @param {object[]} [cast] - People in the scene (see normalizeCast); defaults to two people
+ * @returns {object[]} Normalized turns, see normalizeDialogue
+ * @throws {ValidationError} Malformed turns, an unsupported duration, or a script too long for the duration
+ */
+export function validateDialogue(dialogue, duration, cast) {
+    duration = normalizeClipDuration(duration);
+    const turns = normalizeDialogue(dialogue, { cast });
+
+    const estimatedSeconds = estimateSpeakingSeconds(turns);
+    if (estimatedSeconds > duration) {
+        throw new ValidationError(
+            `The script takes about ${estimatedSeconds}s to speak, longer than the ${duration}s video. Shorten the lines or pick a longer duration.`,
+            { field: 'dialogue', estimatedSeconds, duration }
+        );
+    }
+
+    return turns;
+}
+
+/**
+ * Check the structure of a scripted dialogue and normalize it to
+ * `[{ speaker, line, emotion?, gesture? }]` (trimmed, empty notes dropped).
+ * Speakers are 'A', 'B'... for the first, second... person of the cast.
+ * Does not look at the speaking length.
+ *
+ * @param {unknown} dialogue - Ordered list of turns from the request body
+ * @param {object} [options]
+ * @param {number} [options.maxTurns] - Turn limit; long conversations allow more than a single clip
+ * @param {object[]} [options.cast] - People in the scene; defaults to two people
+ * @returns {object[]}
+ * @throws {ValidationError}
+ */
+export function normalizeDialogue(dialogue, { maxTurns = MAX_TURNS, cast = defaultCast() } = {}) {
+    if (!Array.isArray(dialogue) || dialogue.length === 0) {
+        throw new ValidationError('Dialogue must be a non-empty list of turns', { field: 'dialogue' });
+    }
+    if (dialogue.length > maxTurns) {
+        throw new ValidationError(`Dialogue can have at most ${maxTurns} turns`, { field: 'dialogue' });
+    }
+
+    const speakers = castSpeakers(cast);
+    return dialogue.map((turn, i) => {
+        const field = `dialogue[${i}]`;
+        if (!speakers.has(turn?.speaker)) {
+            const ids = [...speakers.keys()];
+            throw new ValidationError(`Turn ${i + 1} needs a speaker (${ids.slice(0, -1).join(', ')} or ${ids.at(-1)})`, { field: `${field}.speaker` });
+        }
+        const line = typeof turn.line === 'string' ? turn.line.trim() : '';
+        if (!line) {
+            throw new ValidationError(`Turn ${i + 1} has no line`, { field: `${field}.line` });
+        }
+        if (line.length > MAX_LINE_LENGTH) {
+            throw new ValidationError(`Turn ${i + 1} is longer than ${MAX_LINE_LENGTH} characters`, { field: `${field}.line` });
+        }
+
+        const normalized = { speaker: turn.speaker, line };
+        for (const note of ['emotion', 'gesture']) {
+            const value = typeof turn[note] === 'string' ? turn[note].trim() : '';
+            if (value.length > MAX_NOTE_LENGTH) {
+                throw new ValidationError(`Turn ${i + 1} ${note} is longer than ${MAX_NOTE_LENGTH} characters`, { field: `${field}.${note}` });
+            }
+            if (value) normalized[note] = value;
+        }
+        return normalized;
+    });
+}
+
+/**
+ * Rough spoken length of a script, rounded up to a tenth of a second.
+ *
+ * @param {object[]} turns
+ * @returns {number} Seconds
+ */
+export function estimateSpeakingSeconds(turns) {
+    const words = turns.reduce((sum, turn) => sum + turn.line.split(/\s+/).filter(Boolean).length, 0);
+    const speakerChanges = turns.filter((turn, i) => i > 0 && turn.speaker !== turns[i - 1].speaker).length;
+    const seconds = words / WORDS_PER_SECOND + speakerChanges * SPEAKER_CHANGE_PAUSE_SECONDS;
+    return Math.ceil(seconds * 10) / 10;
+}
+
+/**
+ * Turn a validated script into a Veo prompt: who is where, then each line in
+ * order with its delivery notes, so the model voices exactly that conversation.
+ *
+ * @param {object[]} turns - Output of validateDialogue
+ * @param {string} [direction] - Extra free-text action/scene direction
+ * @param {object[]} [cast] - People in the scene; defaults to two people
+ * @returns {string}
+ */
+export function buildDialoguePrompt(turns, direction, cast = defaultCast()) {
+    const speakers = castSpeakers(cast);
+    const speaking = [...new Set(turns.map(turn => turn.speaker))].sort();
+    const placements = speaking.map(id => `${speakers.get(id).name} is ${describePlacement(speakers.get(id))}`).join('; ');
+
+    const lines = turns.map((turn, i) => {
+        const delivery = [turn.emotion, turn.gesture].filter(Boolean).join(', ');
+        return `${i + 1}. ${speakers.get(turn.speaker).name}${delivery ? ` (${delivery})` : ''} says: "${turn.line}"`;
+    });
+
+    return [
+        `${countPeople(cast.length)} having a conversation in the scene. ${placements}.`,
+        ...describePeople(cast.filter((_, i) => speaking.includes(speakerId(i)))),
+        direction?.trim(),
+        'They speak the following lines in this exact order, with natural expressions, realistic lip sync and synchronized conversational audio:',
+        ...lines,
+        'No other dialogue, narration or background music.',
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Cut a long script into clips the video model can generate. Turns are never
+ * split: consecutive turns are packed into a clip while they fit the longest
+ * clip duration, and each clip gets the shortest duration that holds its lines.
+ * Every clip after the first is told to continue from its opening frame, which
+ * the server seeds with the last frame of the previous clip.
+ *
+ * @param {unknown} dialogue - Ordered list of turns from the request body
+ * @param {string} [direction] - Extra free-text direction, repeated in every clip
+ * @param {object[]} [cast] - People in the scene; defaults to two people
+ * @returns {Array<{ dialogue: object[], duration: number, estimatedSeconds: number, videoPrompt: string }>}
+ * @throws {ValidationError} Malformed turns, or a single turn too long for one clip
+ */
+export function planConversation(dialogue, direction, cast = defaultCast()) {
+    const turns = normalizeDialogue(dialogue, { maxTurns: MAX_CONVERSATION_TURNS, cast });
+
+    const groups = [];
+    let current = [];
+    turns.forEach((turn, i) => {
+        if (estimateSpeakingSeconds([turn]) > MAX_CLIP_SECONDS) {
+            throw new ValidationError(`Turn ${i + 1} is too long for a single ${MAX_CLIP_SECONDS}s clip. Split it into shorter lines.`, { field: `dialogue[${i}].line` });
+        }
+        if (current.length && estimateSpeakingSeconds([...current, turn]) > MAX_CLIP_SECONDS) {
+            groups.push(current);
+            current = [];
+        }
+        current.push(turn);
+    });
+    groups.push(current);
+
+    return groups.map((group, i) => {
+        const estimatedSeconds = estimateSpeakingSeconds(group);
+        const clipDirection = [i > 0 && CONTINUATION_DIRECTION, direction?.trim()].filter(Boolean).join(' ');
+        return {
+            dialogue: group,
+            duration: CLIP_DURATIONS.find(duration => duration >= estimatedSeconds),
+            estimatedSeconds,
+            videoPrompt: buildDialoguePrompt(group, clipDirection, cast),
+        };
+    });
+}
+
+function castSpeakers(cast) {
+    return new Map(cast.map((person, i) => [speakerId(i), person]));
+}
@@ -0,0 +1,148 @@
+/**
+ * Typed errors shared by the services and the API. Each carries a stable
+ * machine-readable `code`, the HTTP `status` the API answers with, whether
+ * the caller can usefully `retryable` the same request, and optional `details`.
+ * The central error handler in app.js serializes them with toErrorBody().
+ */
+export class DuoCastError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} [details] - Extra machine-readable context
+     * @param {object} [options] - Standard Error options (e.g. `cause`)
+     */
+    constructor(message, details = {}, options) {
+        super(message, options);
+        this.name = this.constructor.name;
+        this.details = details;
+    }
+}
+
+/** The request itself is invalid (missing fields, bad upload...). */
+export class ValidationError extends DuoCastError {
+    code = 'VALIDATION_ERROR';
+    status = 400;
+    retryable = false;
+}
+
+export class NotFoundError extends DuoCastError {
+    code = 'NOT_FOUND';
+    status = 404;
+    retryable = false;
+}
+
+/** No valid API token or session came with the request. */
+export class UnauthorizedError extends DuoCastError {
+    code = 'UNAUTHORIZED';
+    status = 401;
+    retryable = false;
+}
+
+/** The signed-in user is not allowed to do this (e.g. admin endpoints). */
+export class ForbiddenError extends DuoCastError {
+    code = 'FORBIDDEN';
+    status = 403;
+    retryable = false;
+}
+
+/** Not enough credits left to start a generation. */
+export class InsufficientCredits extends DuoCastError {
+    code = 'INSUFFICIENT_CREDITS';
+    status = 402;
+    retryable = false;
+}
+
+/** The client started too many generations in a short time. */
+export class RateLimited extends DuoCastError {
+    code = 'RATE_LIMITED';
+    status = 429;
+    retryable = true;
+}
+
+/** The provider rejected our request (4xx): bad input, content policy, auth. */
+export class UpstreamClientError extends DuoCastError {
+    code = 'UPSTREAM_CLIENT_ERROR';
+    status = 422;
+    retryable = false;
+}
+
+/** The provider is down, overloaded or returned garbage (5xx, 524, network). */
+export class UpstreamUnavailable extends DuoCastError {
+    code = 'UPSTREAM_UNAVAILABLE';
+    status = 502;
+    retryable = true;
+}
+
+/** The generation did not finish within the polling window. */
+export class GenerationTimeout extends DuoCastError {
+    code = 'GENERATION_TIMEOUT';
+    status = 504;
+    retryable = true;
+}
+
+/** The provider accepted the task but reported it as failed. */
+export class GenerationFailed extends DuoCastError {
+    code = 'GENERATION_FAILED';
+    status = 422;
+    retryable = false;
+}
+
+/** ffmpeg could not process a generated video (missing binary, unreadable clip...). */
+export class MediaProcessingFailed extends DuoCastError {
+    code = 'MEDIA_PROCESSING_FAILED';
+    status = 500;
+    retryable = false;
+}
+
+/** A job was cut short by a server restart and cannot be resumed. */
+export class JobInterrupted extends DuoCastError {
+    code = 'JOB_INTERRUPTED';
+    status = 503;
+    retryable = true;
+}
+
+/** The job was cancelled, by its user or because nobody was watching it any more. */
+export class JobCancelled extends DuoCastError {
+    code = 'JOB_CANCELLED';
+    status = 409;
+    retryable = false;
+}
+
+/** An upload is not one of the file types the endpoint accepts. */
+export class UnsupportedMediaType extends DuoCastError {
+    code = 'UNSUPPORTED_MEDIA_TYPE';
+    status = 415;
+    retryable = false;
+}
+
+/** An Idempotency-Key was sent again with a different request than the first time. */
+export class IdempotencyConflict extends DuoCastError {
+    code = 'IDEMPOTENCY_CONFLICT';
+    status = 422;
+    retryable = false;
+}
+
+/**
+ * Serialize any error into the stable API error body.
+ * Unknown errors become INTERNAL_ERROR.
+ *
+ * @param {Error} err
+ * @returns {{ code: string, message: string, retryable: boolean, details: object }}
+ */
+export function toErrorBody(err) {
+    if (err instanceof DuoCastError) {
+        return { code: err.code, message: err.message, retryable: err.retryable, details: err.details };
+    }
+    return { code: 'INTERNAL_ERROR', message: err.message, retryable: false, details: {} };
+}
+
+/**
+ * Wrap an error from a failed upstream call (e.g. a network error after the
+ * last retry) as UpstreamUnavailable, leaving typed errors untouched.
+ *
+ * @param {Error} err
+ * @returns {DuoCastError}
+ */
+export function toUpstreamError(err) {
+    if (err instanceof DuoCastError) return err;
+    return new UpstreamUnavailable(err.message, {}, { cause: err });
+}
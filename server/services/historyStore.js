@@ -0,0 +1,181 @@
+import fs from 'fs';
+import crypto from 'crypto';
+
+/**
+ * Persistent history of generation runs backed by a JSON-lines file.
+ *
+ * A run is one pass through the pipeline: the scene job plus the video job
+ * made from it. Each line in the file is a patch (`{ id, ...changes }`, or
+ * `{ id, deleted: true }`), so updates are cheap appends and a large scene
+ * data URI is only ever written once. Patches are replayed on load and the
+ * file is compacted to one line per run when it has grown stale.
+ */
+export class HistoryStore {
+    /**
+     * @param {string} filePath - Path of the JSON-lines file used for persistence
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.runs = new Map();
+        this.load();
+    }
+
+    load() {
+        let lineCount = 0;
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+            const lines = fs.readFileSync(this.filePath, 'utf-8').split('\n').filter(Boolean);
+            lineCount = lines.length;
+            for (const line of lines) {
+                this.apply(JSON.parse(line));
+            }
+        } catch (err) {
+            console.warn(`⚠️ Could not read ${this.filePath}, starting fresh:`, err.message);
+            this.runs.clear();
+            return;
+        }
+        if (lineCount > this.runs.size) this.compact();
+    }
+
+    apply(patch) {
+        if (patch.deleted) {
+            this.runs.delete(patch.id);
+            return;
+        }
+        this.runs.set(patch.id, { ...this.runs.get(patch.id), ...patch });
+    }
+
+    append(patch) {
+        this.apply(patch);
+        fs.appendFileSync(this.filePath, JSON.stringify(patch) + '\n');
+    }
+
+    /**
+     * Rewrite the file with one line per live run.
+     */
+    compact() {
+        const lines = [...this.runs.values()].map(run => JSON.stringify(run) + '\n');
+        fs.writeFileSync(this.filePath, lines.join(''));
+    }
+
+    /**
+     * Record a new run in the `pending` state.
+     *
+     * @param {object} fields - Initial run fields (portrait hashes, scenario, prompts...)
+     * @returns {object} The created run
+     */
+    create(fields) {
+        const id = crypto.randomUUID();
+        const now = new Date().toISOString();
+        this.append({
+            id,
+            status: 'pending',
+            userId: null,
+            portraitHashes: [],
+            cast: null,
+            scenario: null,
+            imageModel: null,
+            sceneImageUrl: null,
+            sceneCandidates: [],
+            videoPrompt: null,
+            dialogue: null,
+            videoDirection: null,
+            duration: null,
+            videoModel: null,
+            videoUrl: null,
+            segments: null,
+            generationId: null,
+            creditsUsed: 0,
+            sceneJobId: null,
+            videoJobId: null,
+            rerunOf: null,
+            sceneRunId: null,
+            error: null,
+            ...fields,
+            createdAt: now,
+            updatedAt: now,
+        });
+        return this.get(id);
+    }
+
+    /**
+     * Merge changes into an existing run and persist them.
+     *
+     * @param {string} id - Run ID
+     * @param {object} changes - Fields to overwrite
+     * @returns {object|null} The updated run, or null if it does not exist
+     */
+    update(id, changes) {
+        if (!this.runs.has(id)) return null;
+        this.append({ id, ...changes, updatedAt: new Date().toISOString() });
+        return this.get(id);
+    }
+
+    /**
+     * Add credits spent by one of the run's jobs.
+     *
+     * @param {string} id - Run ID
+     * @param {number} creditsUsed
+     * @param {object} [changes] - Other fields to update at the same time
+     * @returns {object|null}
+     */
+    addCredits(id, creditsUsed, changes = {}) {
+        const run = this.runs.get(id);
+        if (!run) return null;
+        return this.update(id, { ...changes, creditsUsed: (run.creditsUsed || 0) + (creditsUsed || 0) });
+    }
+
+    /**
+     * @param {string} id - Run ID
+     * @returns {boolean} Whether the run existed
+     */
+    delete(id) {
+        if (!this.runs.has(id)) return false;
+        this.append({ id, deleted: true });
+        return true;
+    }
+
+    get(id) {
+        return this.runs.get(id) || null;
+    }
+
+    /**
+     * List runs, newest first, with filtering and offset pagination.
+     *
+     * @param {object} [query]
+     * @param {string} [query.status] - Only return runs in this status
+     * @param {string} [query.q] - Case-insensitive text to find in the scenario or video prompt
+     * @param {string} [query.since] - Only runs created at or after this ISO timestamp
+     * @param {string} [query.until] - Only runs created before this ISO timestamp
+     * @param {string} [query.userId] - Only runs started by this user
+     * @param {number} [query.limit] - Page size
+     * @param {number} [query.offset] - Number of matching runs to skip
+     * @returns {{ items: object[], total: number }}
+     */
+    list({ status, q, since, until, userId, limit = 20, offset = 0 } = {}) {
+        const needle = q?.toLowerCase();
+        const matches = [...this.runs.values()]
+            .filter(run => !status || run.status === status)
+            .filter(run => !userId || run.userId === userId)
+            .filter(run => !since || run.createdAt >= since)
+            .filter(run => !until || run.createdAt < until)
+            .filter(run => !needle || [run.scenario, run.videoPrompt].some(text => text?.toLowerCase().includes(needle)))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        return {
+            items: matches.slice(offset, offset + limit),
+            total: matches.length,
+        };
+    }
+}
+
+/**
+ * Fingerprint an uploaded portrait so runs can be matched to their inputs
+ * without keeping the image itself.
+ *
+ * @param {Buffer} buffer
+ * @returns {string} Hex SHA-256 digest
+ */
+export function hashPortrait(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
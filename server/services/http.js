@@ -0,0 +1,37 @@
+import dns from 'dns/promises';
+import fetch from 'node-fetch';
+
+/**
+ * I/O seams shared by the generation services. Everything that touches the
+ * network or the clock goes through this object, so tests can swap in a fake
+ * fetch and a fake clock instead of waiting out real retry delays.
+ * `fetch` and `sleep` take an optional AbortSignal and reject with its reason once aborted.
+ * `lookup` resolves a host name to all of its addresses (`[{ address, family }]`).
+ */
+export const transport = {
+    fetch: (...args) => fetch(...args),
+    sleep: (ms, signal) => new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    }),
+    now: () => Date.now(),
+    lookup: (hostname) => dns.lookup(hostname, { all: true }),
+};
+
+/**
+ * Cloudflare (e.g. 524 timeouts) answers with an HTML page instead of JSON.
+ *
+ * @param {string} text - Response body
+ * @returns {boolean}
+ */
+export function isHtmlResponse(text) {
+    return text.trimStart().startsWith('<!DOCTYPE') || text.trimStart().startsWith('<html');
+}
@@ -1,37 +1,41 @@
-import fetch from 'node-fetch';
+import { transport, isHtmlResponse } from './http.js';
+import { UpstreamClientError, UpstreamUnavailable, toUpstreamError } from './errors.js';
+import { getProvider } from './providers/index.js';
+import { defaultCast, describePlacement, describePeople, countPeople } from './cast.js';
 
-const API_BASE = 'https://api.aimlapi.com';
 const MAX_RETRIES = 3;
 const RETRY_DELAYS = [5000, 15000, 30000]; // 5s, 15s, 30s
 
 /**
- * Generate a composite scene image using NanoBanana Pro Edit.
- * Takes two portrait images (base64) and a scenario prompt,
- * producing a single landscape image with both characters.
+ * Generate composite scene images (NanoBanana Pro Edit by default).
+ * Takes two to four portrait images (base64) and a scenario prompt,
+ * producing one or more candidate landscape images with every character.
  * Includes automatic retry with backoff for transient errors (timeouts, 5xx).
  *
- * @param {string} imageABase64 - Base64 encoded portrait A (data:image/...)
- * @param {string} imageBBase64 - Base64 encoded portrait B (data:image/...)
+ * @param {string[]} portraits - Base64 encoded portraits (data:image/...), one per person
  * @param {string} scenarioPrompt - Text describing the scene/setting
  * @param {string} apiKey - AIML API key
- * @returns {Promise<{imageUrl: string, creditsUsed: number}>} Generated scene image URL
+ * @param {function} onStatus - Optional callback for progress events
+ *   (`{ type: 'status' | 'retry', ... }`)
+ * @param {string} [providerId] - Image provider ID; defaults to the configured image provider
+ * @param {number} [candidates] - Number of candidate compositions to request
+ * @param {object[]} [cast] - Name and placement of each person, in portrait order (see normalizeCast)
+ * @param {AbortSignal} [signal] - Aborts pending requests and retry delays
+ * @returns {Promise<{imageUrl: string, imageUrls: string[], creditsUsed: number, model: string}>}
+ *   All candidate image URLs; `imageUrl` is the first
+ * @throws {UpstreamClientError} The provider rejected the request (4xx)
+ * @throws {UpstreamUnavailable} Still failing after all retries (5xx, 524, network)
+ * @throws {Error} The signal's reason, once aborted
  */
-export async function generateScene(imageABase64, imageBBase64, scenarioPrompt, apiKey) {
-    const compositePrompt = `Create a realistic photographic scene. ${scenarioPrompt}. 
-Left side of the image: the person from the first reference image, naturally positioned. 
-Right side of the image: the person from the second reference image, naturally positioned. 
-Both people should be facing each other or slightly angled toward each other. 
-Maintain the exact facial features and appearance of both reference people. 
-Natural lighting, high quality, photorealistic. Landscape orientation 16:9.`;
-
-    const requestBody = JSON.stringify({
-        model: 'google/nano-banana-pro-edit',
-        prompt: compositePrompt,
-        image_urls: [imageABase64, imageBBase64],
-        aspect_ratio: '16:9',
-        resolution: '2K',
-        num_images: 1,
+export async function generateScene(portraits, scenarioPrompt, apiKey, onStatus, providerId, candidates = 1, cast = defaultCast(portraits.length), signal) {
+    const provider = getProvider('image', providerId);
+
+    const request = provider.buildSubmitRequest({
+        prompt: buildScenePrompt(scenarioPrompt, cast),
+        imageUrls: portraits,
+        numImages: candidates,
     });
+    const requestBody = JSON.stringify(request.body);
 
     let lastError = null;
 
@@ -39,56 +43,56 @@ Natural lighting, high quality, photorealistic. Landscape orientation 16:9.`;
         if (attempt > 0) {
             const delay = RETRY_DELAYS[attempt - 1] || 30000;
             console.log(`   🔄 Retry ${attempt}/${MAX_RETRIES} in ${delay / 1000}s...`);
-            await sleep(delay);
+            if (onStatus) onStatus({ type: 'retry', step: 'scene', attempt, maxRetries: MAX_RETRIES, delayMs: delay, reason: lastError?.message });
+            await transport.sleep(delay, signal);
         }
+        signal?.throwIfAborted();
+
+        if (onStatus) onStatus({ type: 'status', status: 'generating', attempt: attempt + 1 });
 
         try {
-            const response = await fetch(`${API_BASE}/v1/images/generations`, {
+            const response = await transport.fetch(`${provider.baseUrl}${request.path}`, {
                 method: 'POST',
                 headers: {
                     'Authorization': `Bearer ${apiKey}`,
                     'Content-Type': 'application/json',
                 },
                 body: requestBody,
+                signal,
             });
 
             // Retry on server errors (5xx) and timeouts (524)
             if (response.status >= 500) {
                 const errorText = await response.text();
-                lastError = new Error(`NanoBanana API error (${response.status}): Server error`);
+                lastError = new UpstreamUnavailable(`${provider.label} API error (${response.status}): Server error`, {
+                    upstreamStatus: response.status,
+                });
                 console.warn(`   ⚠️ Attempt ${attempt + 1}: HTTP ${response.status} — ${isHtmlResponse(errorText) ? 'Cloudflare timeout/error' : errorText.substring(0, 100)}`);
                 continue;
             }
 
             if (!response.ok) {
                 const errorText = await response.text();
-                throw new Error(`NanoBanana API error (${response.status}): ${errorText}`);
+                throw new UpstreamClientError(`${provider.label} API error (${response.status}): ${errorText}`, {
+                    upstreamStatus: response.status,
+                });
             }
 
             const data = await response.json();
+            const { imageUrls } = provider.parseResult(data);
 
-            // The response can have different structures depending on the model
-            let imageUrl = null;
-
-            if (data.data && data.data[0]) {
-                imageUrl = data.data[0].url || data.data[0].b64_json;
-            } else if (data.images && data.images[0]) {
-                imageUrl = data.images[0].url;
-            } else if (data.url) {
-                imageUrl = data.url;
-            }
-
-            if (!imageUrl) {
+            if (!imageUrls.length) {
                 console.log('Full API response:', JSON.stringify(data, null, 2));
-                throw new Error('No image URL found in API response');
+                throw new UpstreamUnavailable('No image URL found in API response');
             }
 
-            const creditsUsed = data.meta?.usage?.credits_used || 0;
+            const creditsUsed = provider.getCreditsUsed(data);
 
-            return { imageUrl, creditsUsed };
+            return { imageUrl: imageUrls[0], imageUrls, creditsUsed, model: provider.id };
         } catch (err) {
-            // Don't retry client errors (4xx) — those are our fault
-            if (err.message.includes('API error (4')) {
+            // Don't retry client errors (4xx) — those are our fault — or cancelled requests
+            signal?.throwIfAborted();
+            if (err instanceof UpstreamClientError) {
                 throw err;
             }
             lastError = err;
@@ -98,13 +102,29 @@ Natural lighting, high quality, photorealistic. Landscape orientation 16:9.`;
         }
     }
 
-    throw lastError || new Error('Scene generation failed after retries');
+    throw toUpstreamError(lastError || new Error('Scene generation failed after retries'));
 }
 
-function isHtmlResponse(text) {
-    return text.trimStart().startsWith('<!DOCTYPE') || text.trimStart().startsWith('<html');
-}
-
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+/**
+ * Composite prompt placing each reference person where the cast says.
+ *
+ * @param {string} scenarioPrompt
+ * @param {object[]} cast - One entry per reference image, in the same order
+ * @returns {string}
+ */
+export function buildScenePrompt(scenarioPrompt, cast) {
+    const people = cast.map((person, i) => `- ${person.name}, the person from reference image ${i + 1}: ${describePlacement(person)}, naturally positioned.`);
+    const facing = cast.length === 2
+        ? 'Both people should be facing each other or slightly angled toward each other.'
+        : 'Everyone should be turned toward the group or the person speaking, as in a natural group conversation.';
+
+    return [
+        `Create a realistic photographic scene. ${scenarioPrompt}.`,
+        `${countPeople(cast.length)} are in the scene:`,
+        ...people,
+        ...describePeople(cast),
+        facing,
+        'Maintain the exact facial features and appearance of every reference person.',
+        'Natural lighting, high quality, photorealistic. Landscape orientation 16:9.',
+    ].join('\n');
 }
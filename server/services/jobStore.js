@@ -0,0 +1,220 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+const MAX_EVENTS_PER_JOB = 200;
+const EVENT_SAVE_DELAY_MS = 250;
+const MAX_FINISHED_JOBS = 1000;
+const FINISHED_JOB_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Persistent job store backed by a JSON file.
+ * Keeps jobs in memory and rewrites the file when one is created or changes,
+ * so jobs (and their upstream generation IDs) survive a server restart.
+ * Progress events are frequent and only informative, so they are written in
+ * batches, at most every EVENT_SAVE_DELAY_MS. Finished jobs are dropped after
+ * FINISHED_JOB_RETENTION_MS, and beyond the latest MAX_FINISHED_JOBS.
+ *
+ * Emits `update` (job) whenever a job changes and `event` (job, event) for
+ * each progress event published against a job.
+ */
+export class JobStore extends EventEmitter {
+    /**
+     * @param {string} filePath - Path of the JSON file used for persistence
+     */
+    constructor(filePath) {
+        super();
+        this.setMaxListeners(0); // one listener pair per open SSE stream
+        this.filePath = filePath;
+        this.jobs = new Map();
+        this.saveTimer = null;
+        this.load();
+        this.prune();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+                for (const job of data.jobs || []) {
+                    this.jobs.set(job.id, job);
+                }
+            }
+        } catch (err) {
+            console.warn(`⚠️ Could not read ${this.filePath}, starting fresh:`, err.message);
+        }
+    }
+
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        const data = { jobs: [...this.jobs.values()] };
+        fs.writeFileSync(this.filePath, JSON.stringify(data));
+    }
+
+    // Write soon, folding the changes made until then into one write
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            try {
+                this.save();
+            } catch (err) {
+                console.warn(`⚠️ Could not write ${this.filePath}:`, err.message);
+            }
+        }, EVENT_SAVE_DELAY_MS);
+        this.saveTimer.unref();
+    }
+
+    /**
+     * Create and persist a new job in the `queued` state.
+     *
+     * @param {string} type - Job type (e.g. 'video')
+     * @param {object} input - Parameters needed to run the job
+     * @param {object} [fields] - Extra job fields kept out of the public job, e.g. `fingerprint`
+     * @returns {object} The created job
+     */
+    create(type, input, fields = {}) {
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            status: 'queued',
+            input,
+            generationId: null,
+            result: null,
+            error: null,
+            events: [],
+            ...fields,
+            createdAt: now,
+            updatedAt: now,
+        };
+        this.jobs.set(job.id, job);
+        this.save();
+        return job;
+    }
+
+    /**
+     * Merge changes into an existing job and persist it.
+     *
+     * @param {string} id - Job ID
+     * @param {object} changes - Fields to overwrite
+     * @returns {object|null} The updated job, or null if it does not exist
+     */
+    update(id, changes) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+        if (isTerminal(job.status)) this.prune();
+        this.save();
+        this.emit('update', job);
+        return job;
+    }
+
+    /**
+     * Record a progress event (status change, retry, poll error...) against a job.
+     * Events get a sequence number so SSE clients can resume with Last-Event-ID.
+     *
+     * @param {string} id - Job ID
+     * @param {object} event - Event payload; must include a `type`
+     * @returns {object|null} The stored event, or null if the job does not exist
+     */
+    publish(id, event) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+        job.events ||= [];
+        const stored = {
+            seq: (job.events.at(-1)?.seq || 0) + 1,
+            ...event,
+            at: new Date().toISOString(),
+            jobElapsedMs: Date.now() - Date.parse(job.createdAt),
+        };
+        job.events.push(stored);
+        if (job.events.length > MAX_EVENTS_PER_JOB) job.events.shift();
+        this.scheduleSave();
+        this.emit('event', job, stored);
+        return stored;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * List jobs, newest first.
+     *
+     * @param {object} [filter]
+     * @param {string} [filter.status] - Only return jobs in this status
+     * @param {number} [filter.limit] - Maximum number of jobs to return
+     * @returns {object[]}
+     */
+    list({ status, limit } = {}) {
+        let jobs = [...this.jobs.values()]
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        if (status) jobs = jobs.filter(job => job.status === status);
+        if (limit) jobs = jobs.slice(0, limit);
+        return jobs;
+    }
+
+    /**
+     * The newest job that matches a predicate.
+     *
+     * @param {function(object): boolean} predicate
+     * @returns {object|null}
+     */
+    findLatest(predicate) {
+        return this.list().find(predicate) || null;
+    }
+
+    /**
+     * Drop finished jobs older than FINISHED_JOB_RETENTION_MS, and the oldest beyond
+     * MAX_FINISHED_JOBS. Unfinished jobs are always kept.
+     */
+    prune() {
+        const cutoff = Date.now() - FINISHED_JOB_RETENTION_MS;
+        const finished = [...this.jobs.values()]
+            .filter(job => isTerminal(job.status))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+        finished
+            .filter((job, index) => index >= MAX_FINISHED_JOBS || Date.parse(job.updatedAt) < cutoff)
+            .forEach(job => this.jobs.delete(job.id));
+    }
+
+    /**
+     * Jobs that were not finished when the server last stopped.
+     * @returns {object[]}
+     */
+    listUnfinished() {
+        return [...this.jobs.values()].filter(job => !isTerminal(job.status));
+    }
+}
+
+export function isTerminal(status) {
+    return TERMINAL_STATUSES.includes(status);
+}
+
+/**
+ * Shape a job for API responses. Omits the raw input image, which may be a
+ * multi-megabyte base64 data URI, and the event log (streamed separately).
+ *
+ * @param {object} job
+ * @returns {object}
+ */
+export function toPublicJob(job) {
+    const { sceneImageUrl: _sceneImageUrl, ...input } = job.input || {};
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        input,
+        generationId: job.generationId,
+        imageUrl: job.result?.imageUrl || null,
+        imageUrls: job.result?.imageUrls || (job.result?.imageUrl ? [job.result.imageUrl] : []),
+        videoUrl: job.result?.videoUrl || null,
+        segments: job.segments || null,
+        creditsUsed: job.result?.creditsUsed || 0,
+        error: job.error,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+    };
+}
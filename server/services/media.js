@@ -0,0 +1,85 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { MediaProcessingFailed } from './errors.js';
+
+const FFMPEG_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * ffmpeg seam: everything that runs the binary goes through this object, so
+ * tests can swap in a fake runner instead of needing ffmpeg installed.
+ */
+export const media = {
+    /**
+     * Run ffmpeg with the given arguments.
+     *
+     * @param {string[]} args
+     * @returns {Promise<void>}
+     */
+    run: (args) => new Promise((resolve, reject) => {
+        execFile(ffmpegPath(), ['-hide_banner', '-loglevel', 'error', '-y', ...args], { timeout: FFMPEG_TIMEOUT_MS }, (err, stdout, stderr) => {
+            if (err) reject(new Error(stderr.trim() || err.message));
+            else resolve();
+        });
+    }),
+};
+
+export function ffmpegPath() {
+    return process.env.FFMPEG_PATH || 'ffmpeg';
+}
+
+/**
+ * Grab the last frame of a video as a JPEG, to seed the next clip of a
+ * long conversation from where the previous one ended.
+ *
+ * @param {string} videoFile - Path of a local video
+ * @returns {Promise<Buffer>}
+ * @throws {MediaProcessingFailed}
+ */
+export async function extractLastFrame(videoFile) {
+    return withTempDir(async (dir) => {
+        const output = path.join(dir, 'last-frame.jpg');
+        // Decode only the final second and keep overwriting the output, leaving the very last frame
+        await runFfmpeg('Last frame extraction', ['-sseof', '-1', '-i', videoFile, '-update', '1', '-q:v', '2', output]);
+        return fs.readFileSync(output);
+    });
+}
+
+/**
+ * Join clips end to end into one MP4. The clips come from the same video
+ * model with the same settings, so the streams are copied, not re-encoded.
+ *
+ * @param {string[]} videoFiles - Paths of local videos, in playback order
+ * @returns {Promise<Buffer>}
+ * @throws {MediaProcessingFailed}
+ */
+export async function concatVideos(videoFiles) {
+    return withTempDir(async (dir) => {
+        const list = path.join(dir, 'clips.txt');
+        const output = path.join(dir, 'joined.mp4');
+        // Paths in the list are relative to the list itself, so make them absolute
+        const entries = videoFiles.map(file => `file '${path.resolve(file).replaceAll("'", "'\\''")}'`);
+        fs.writeFileSync(list, entries.join('\n'));
+
+        await runFfmpeg('Video concatenation', ['-f', 'concat', '-safe', '0', '-i', list, '-c', 'copy', '-movflags', '+faststart', output]);
+        return fs.readFileSync(output);
+    });
+}
+
+async function runFfmpeg(step, args) {
+    try {
+        await media.run(args);
+    } catch (err) {
+        throw new MediaProcessingFailed(`${step} failed: ${err.message}`, {}, { cause: err });
+    }
+}
+
+async function withTempDir(fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duocast-media-'));
+    try {
+        return await fn(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
@@ -0,0 +1,91 @@
+import net from 'net';
+import { transport } from './http.js';
+import { ValidationError } from './errors.js';
+
+const MAX_REDIRECTS = 5;
+
+// Addresses a user-supplied URL must not reach: loopback, private, link-local,
+// carrier-grade NAT, unspecified, multicast and reserved ranges. IPv4-mapped
+// IPv6 addresses (::ffff:10.0.0.1) are checked against the IPv4 ranges.
+const PRIVATE_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) {
+    PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} Whether it is loopback, private or otherwise not on the public internet
+ */
+export function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    return family === 0 || PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Make sure a URL the server is asked to call on a user's behalf (a portrait to
+ * download, a webhook to deliver to) is http(s) and resolves to public addresses
+ * only, so it cannot be used to reach the server's own network. Hosts listed in
+ * `allowedHosts` are let through whatever they resolve to.
+ *
+ * The check resolves the host itself; the request made afterwards resolves it
+ * again, so run it right before every request rather than once.
+ *
+ * @param {string} url
+ * @param {object} [options]
+ * @param {string[]} [options.allowedHosts] - Host names (or addresses) allowed to be private
+ * @returns {Promise<URL>}
+ * @throws {ValidationError} If the URL is not http(s), does not resolve, or reaches a private address
+ */
+export async function assertPublicUrl(url, { allowedHosts = [] } = {}) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new ValidationError(`Not a valid URL: ${url}`, { url });
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new ValidationError(`Only http(s) URLs are allowed: ${url}`, { url });
+    }
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (allowedHosts.includes(host)) return parsed;
+
+    let addresses;
+    try {
+        addresses = net.isIP(host) ? [{ address: host }] : await transport.lookup(host);
+    } catch {
+        throw new ValidationError(`Could not resolve the host of ${url}`, { url });
+    }
+    if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new ValidationError(`${url} points to a private or local address`, { url });
+    }
+    return parsed;
+}
+
+/**
+ * `transport.fetch` for a user-supplied URL: every hop, redirects included, must
+ * pass assertPublicUrl. At most MAX_REDIRECTS redirects are followed.
+ *
+ * @param {string} url
+ * @param {object} [options] - fetch options (`redirect` is always handled here)
+ * @param {object} [checks] - Options for assertPublicUrl
+ * @returns {Promise<Response>}
+ * @throws {ValidationError} If a hop is not allowed, or there are too many redirects
+ */
+export async function fetchPublicUrl(url, options = {}, checks = {}) {
+    let target = url;
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        await assertPublicUrl(target, checks);
+        const response = await transport.fetch(target, { ...options, redirect: 'manual' });
+        const location = response.status >= 300 && response.status < 400 && response.headers.get('location');
+        if (!location) return response;
+        target = new URL(location, target).href;
+    }
+    throw new ValidationError(`Too many redirects from ${url}`, { url });
+}
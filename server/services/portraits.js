@@ -0,0 +1,143 @@
+import path from 'path';
+import { createRequire } from 'module';
+import sharp from 'sharp';
+import { ValidationError } from './errors.js';
+
+const require = createRequire(import.meta.url);
+
+/** Size of every portrait sent upstream: a 4:5 head-and-shoulders crop. */
+export const PORTRAIT_WIDTH = 768;
+export const PORTRAIT_HEIGHT = 960;
+
+// Faces are looked for on a downscaled copy; detection does not need the full resolution
+const DETECTION_SIZE = 640;
+const MIN_FACE_CONFIDENCE = 0.5;
+
+// Head-and-shoulders framing, relative to the detected face box
+const CROP_WIDTH_PER_FACE = 2.4;
+const HEADROOM_PER_FACE = 0.6;
+const JPEG_QUALITY = 90;
+
+/**
+ * Face detection seam: everything that runs the model goes through this object,
+ * so tests can swap in a fake detector instead of loading the network weights.
+ */
+export const faces = {
+    /**
+     * Find the faces in an RGB image.
+     *
+     * @param {Buffer} pixels - Raw RGB pixels, row by row
+     * @param {number} width
+     * @param {number} height
+     * @returns {Promise<Array<{ x: number, y: number, width: number, height: number, score: number }>>} Boxes in pixels
+     */
+    detect: async (pixels, width, height) => {
+        const faceapi = await loadDetector();
+        const tensor = faceapi.tf.tensor3d(pixels, [height, width, 3], 'int32');
+        try {
+            const detections = await faceapi.detectAllFaces(tensor, new faceapi.SsdMobilenetv1Options({ minConfidence: MIN_FACE_CONFIDENCE }));
+            return detections.map(({ box, score }) => ({ x: box.x, y: box.y, width: box.width, height: box.height, score }));
+        } finally {
+            tensor.dispose();
+        }
+    },
+};
+
+let detectorReady = null;
+
+/**
+ * Load SSD MobileNet v1 from the face-api package on first use, on the WASM
+ * backend (CPU only, no native TensorFlow build needed).
+ */
+function loadDetector() {
+    detectorReady ||= (async () => {
+        const faceapi = require('@vladmandic/face-api/dist/face-api.node-wasm.js');
+        await faceapi.tf.setBackend('wasm');
+        await faceapi.tf.ready();
+        const modelDir = path.join(path.dirname(require.resolve('@vladmandic/face-api/package.json')), 'model');
+        await faceapi.nets.ssdMobilenetv1.loadFromDisk(modelDir);
+        console.log('🙂 Face detector loaded');
+        return faceapi;
+    })();
+    // Let the next portrait try again if the model failed to load
+    detectorReady.catch(() => { detectorReady = null; });
+    return detectorReady;
+}
+
+/**
+ * Normalize an uploaded portrait before it goes upstream: apply the EXIF
+ * orientation, check that it shows exactly one face, crop to a head-and-shoulders
+ * framing around it and re-encode as a PORTRAIT_WIDTH × PORTRAIT_HEIGHT JPEG
+ * without metadata (location, camera...). Images smaller than that are not enlarged.
+ *
+ * @param {Buffer} buffer - The uploaded image
+ * @param {object} [details] - Extra error details, e.g. `{ field: 'portraits', index: 1 }`
+ * @returns {Promise<{ buffer: Buffer, contentType: string, width: number, height: number, face: object }>}
+ *   The face box is relative to the original (oriented) image
+ * @throws {ValidationError} With `details.reason` UNREADABLE_IMAGE, NO_FACE or MULTIPLE_FACES
+ */
+export async function preprocessPortrait(buffer, details = {}) {
+    let image;
+    try {
+        image = await sharp(buffer).rotate().removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    } catch (err) {
+        throw new ValidationError('The portrait could not be read as an image', { ...details, reason: 'UNREADABLE_IMAGE' }, { cause: err });
+    }
+    const { data, info: { width, height } } = image;
+    const raw = { raw: { width, height, channels: 3 } };
+
+    const small = await sharp(data, raw)
+        .resize(DETECTION_SIZE, DETECTION_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    const found = await faces.detect(small.data, small.info.width, small.info.height);
+    if (found.length === 0) {
+        throw new ValidationError('No face found in the portrait. Use a well-lit photo of one person facing the camera', { ...details, reason: 'NO_FACE' });
+    }
+    if (found.length > 1) {
+        throw new ValidationError(`Found ${found.length} faces in the portrait. Use a photo of just one person`, { ...details, reason: 'MULTIPLE_FACES', faces: found.length });
+    }
+
+    const scale = width / small.info.width;
+    const face = {
+        x: Math.round(found[0].x * scale),
+        y: Math.round(found[0].y * scale),
+        width: Math.round(found[0].width * scale),
+        height: Math.round(found[0].height * scale),
+        score: found[0].score,
+    };
+    const crop = headAndShoulders(face, width, height);
+    const output = await sharp(data, raw)
+        .extract(crop)
+        .resize(PORTRAIT_WIDTH, PORTRAIT_HEIGHT, { fit: 'cover', withoutEnlargement: true })
+        .jpeg({ quality: JPEG_QUALITY })
+        .toBuffer({ resolveWithObject: true });
+
+    return { buffer: output.data, contentType: 'image/jpeg', width: output.info.width, height: output.info.height, face };
+}
+
+/**
+ * A 4:5 crop around a face with room for the shoulders, kept inside the image.
+ *
+ * @param {{ x: number, y: number, width: number, height: number }} face
+ * @param {number} imageWidth
+ * @param {number} imageHeight
+ * @returns {{ left: number, top: number, width: number, height: number }}
+ */
+export function headAndShoulders(face, imageWidth, imageHeight) {
+    const aspect = PORTRAIT_WIDTH / PORTRAIT_HEIGHT;
+    let width = Math.min(face.width * CROP_WIDTH_PER_FACE, imageWidth);
+    let height = width / aspect;
+    if (height > imageHeight) {
+        height = imageHeight;
+        width = height * aspect;
+    }
+
+    const left = clamp(face.x + face.width / 2 - width / 2, 0, imageWidth - width);
+    const top = clamp(face.y - face.height * HEADROOM_PER_FACE, 0, imageHeight - height);
+    return { left: Math.floor(left), top: Math.floor(top), width: Math.floor(width), height: Math.floor(height) };
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(value, max));
+}
@@ -0,0 +1,32 @@
+import { getProvider } from './providers/index.js';
+import { ValidationError } from './errors.js';
+
+/**
+ * Estimate what a generation will cost from the provider's list prices, before
+ * anything is submitted. Image models are priced per image, video models per
+ * second of video; both by resolution (the provider's default when omitted).
+ *
+ * @param {object} request
+ * @param {'image'|'video'} request.kind
+ * @param {string} [request.model] - Provider ID; the default provider of the kind when omitted
+ * @param {string} [request.resolution]
+ * @param {number} [request.duration] - Seconds of video
+ * @param {number} [request.images] - Number of images
+ * @returns {{ model: string, resolution: string|null, estimatedCredits: number|null }} `estimatedCredits` is null for a provider without list prices
+ * @throws {ValidationError} For a resolution the model has no price for
+ */
+export function estimateCredits({ kind, model, resolution, duration = 8, images = 1 }) {
+    const provider = getProvider(kind, model);
+    const prices = kind === 'image' ? provider.creditsPerImage : provider.creditsPerSecond;
+    if (!prices) {
+        return { model: provider.id, resolution: resolution || null, estimatedCredits: null };
+    }
+
+    const priced = resolution || provider.defaultResolution;
+    if (!(priced in prices)) {
+        throw new ValidationError(`${provider.label} has no price for resolution ${priced}; use ${Object.keys(prices).join(', ')}`, { field: 'resolution' });
+    }
+
+    const units = kind === 'image' ? images : duration;
+    return { model: provider.id, resolution: priced, estimatedCredits: prices[priced] * units };
+}
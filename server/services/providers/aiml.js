@@ -0,0 +1,12 @@
+const DEFAULT_AIML_API_BASE = 'https://api.aimlapi.com';
+
+/**
+ * Base URL of the AIML API. Override with AIML_API_BASE to point the
+ * providers at the bundled mock server (`npm run mock`) or a proxy.
+ * Read on every call because .env is loaded after this module is imported.
+ *
+ * @returns {string}
+ */
+export function aimlApiBase() {
+    return (process.env.AIML_API_BASE || DEFAULT_AIML_API_BASE).replace(/\/+$/, '');
+}
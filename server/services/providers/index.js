@@ -0,0 +1,94 @@
+import nanoBananaProEdit from './nanoBananaProEdit.js';
+import veo31I2v from './veo31I2v.js';
+
+/**
+ * Provider registry for the generation backends.
+ *
+ * A provider is a plain object describing one model endpoint: how to build
+ * the submit (and, for async video models, poll) requests, how to parse the
+ * result and how much it cost. The retry/poll loops in imageGen.js and
+ * videoGen.js stay provider-agnostic.
+ *
+ * Shared fields: `id`, `kind` ('image' | 'video'), `label`, `baseUrl`,
+ * `buildSubmitRequest(input)`, `parseResult(data)`, `getCreditsUsed(data)`.
+ * Video providers add `parseSubmitResponse(data)` and `buildPollRequest(id)`, and
+ * optionally `buildCancelRequest(id)` (`{ method, path }`) when the API can stop a task.
+ * Optional list prices for cost estimates: `defaultResolution` plus
+ * `creditsPerImage` (image) or `creditsPerSecond` (video), keyed by resolution.
+ */
+
+const REQUIRED_METHODS = {
+    image: ['buildSubmitRequest', 'parseResult', 'getCreditsUsed'],
+    video: ['buildSubmitRequest', 'parseSubmitResponse', 'buildPollRequest', 'parseResult', 'getCreditsUsed'],
+};
+
+const BUILTIN_DEFAULTS = {
+    image: nanoBananaProEdit.id,
+    video: veo31I2v.id,
+};
+
+// Environment variables that override the default provider per kind
+const DEFAULT_ENV_VARS = {
+    image: 'IMAGE_PROVIDER',
+    video: 'VIDEO_PROVIDER',
+};
+
+const providers = new Map();
+
+/**
+ * Add a provider to the registry, replacing any provider with the same ID.
+ *
+ * @param {object} provider
+ */
+export function registerProvider(provider) {
+    const required = REQUIRED_METHODS[provider.kind];
+    if (!provider.id || !required) {
+        throw new Error(`Invalid provider: ${provider.id || '(no id)'}`);
+    }
+    for (const method of required) {
+        if (typeof provider[method] !== 'function') {
+            throw new Error(`Provider ${provider.id} is missing ${method}()`);
+        }
+    }
+    providers.set(provider.id, provider);
+}
+
+/**
+ * Look up a provider by ID, falling back to the configured default for its kind
+ * (IMAGE_PROVIDER / VIDEO_PROVIDER env vars, then the built-in models).
+ *
+ * @param {'image'|'video'} kind
+ * @param {string} [id]
+ * @returns {object}
+ */
+export function getProvider(kind, id) {
+    const providerId = id || process.env[DEFAULT_ENV_VARS[kind]] || BUILTIN_DEFAULTS[kind];
+    const provider = providers.get(providerId);
+    if (!provider || provider.kind !== kind) {
+        throw new Error(`Unknown ${kind} provider: ${providerId}`);
+    }
+    return provider;
+}
+
+export function hasProvider(kind, id) {
+    return providers.get(id)?.kind === kind;
+}
+
+/**
+ * @param {'image'|'video'} [kind] - Only list providers of this kind
+ * @returns {{ id: string, kind: string, label: string, default: boolean, resolutions: string[] }[]}
+ */
+export function listProviders(kind) {
+    return [...providers.values()]
+        .filter(provider => !kind || provider.kind === kind)
+        .map(provider => ({
+            id: provider.id,
+            kind: provider.kind,
+            label: provider.label,
+            default: getProvider(provider.kind).id === provider.id,
+            resolutions: Object.keys(provider.creditsPerImage || provider.creditsPerSecond || {}),
+        }));
+}
+
+registerProvider(nanoBananaProEdit);
+registerProvider(veo31I2v);
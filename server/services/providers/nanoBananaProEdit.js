@@ -0,0 +1,71 @@
+import { aimlApiBase } from './aiml.js';
+
+// Leading base64 characters of common image formats, for typing `b64_json` results
+const BASE64_SIGNATURES = [
+    ['/9j/', 'image/jpeg'],
+    ['iVBORw0KGgo', 'image/png'],
+    ['UklGR', 'image/webp'],
+];
+
+/**
+ * NanoBanana Pro Edit (AIML API) — composites reference images into a new image.
+ */
+export default {
+    id: 'nano-banana-pro-edit',
+    kind: 'image',
+    label: 'NanoBanana Pro Edit',
+
+    // List prices in credits per image, by resolution, for pre-flight estimates
+    defaultResolution: '2K',
+    creditsPerImage: { '1K': 30000, '2K': 30000, '4K': 54000 },
+
+    get baseUrl() {
+        return aimlApiBase();
+    },
+
+    /**
+     * @param {{ prompt: string, imageUrls: string[], numImages?: number }} input
+     * @returns {{ path: string, body: object }}
+     */
+    buildSubmitRequest({ prompt, imageUrls, numImages = 1 }) {
+        return {
+            path: '/v1/images/generations',
+            body: {
+                model: 'google/nano-banana-pro-edit',
+                prompt,
+                image_urls: imageUrls,
+                aspect_ratio: '16:9',
+                resolution: '2K',
+                num_images: numImages,
+            },
+        };
+    },
+
+    /**
+     * The response can have different structures depending on the model.
+     * `b64_json` images are returned as data URIs.
+     * @returns {{ imageUrls: string[] }}
+     */
+    parseResult(data) {
+        let imageUrls = [];
+
+        if (data.data?.length) {
+            imageUrls = data.data.map(image => image.url || (image.b64_json && toDataUri(image.b64_json)));
+        } else if (data.images?.length) {
+            imageUrls = data.images.map(image => image.url);
+        } else if (data.url) {
+            imageUrls = [data.url];
+        }
+
+        return { imageUrls: imageUrls.filter(Boolean) };
+    },
+
+    getCreditsUsed(data) {
+        return data.meta?.usage?.credits_used || 0;
+    },
+};
+
+function toDataUri(base64) {
+    const [, type] = BASE64_SIGNATURES.find(([signature]) => base64.startsWith(signature)) || [null, 'image/png'];
+    return `data:${type};base64,${base64}`;
+}
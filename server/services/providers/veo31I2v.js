@@ -0,0 +1,66 @@
+import { aimlApiBase } from './aiml.js';
+
+/**
+ * Google Veo 3.1 image-to-video (AIML API) — async task that is created, then polled.
+ * The AIML API has no endpoint to stop a task, so there is no `buildCancelRequest`:
+ * a cancelled job stops polling, but the task itself runs to the end upstream.
+ */
+export default {
+    id: 'veo-3.1-i2v',
+    kind: 'video',
+    label: 'Veo 3.1',
+
+    // List prices in credits per second of video, by resolution, for pre-flight estimates
+    defaultResolution: '1080p',
+    creditsPerSecond: { '720p': 22500, '1080p': 22500, '4k': 33750 },
+
+    get baseUrl() {
+        return aimlApiBase();
+    },
+
+    /**
+     * @param {{ prompt: string, imageUrl: string, duration: number }} input
+     * @returns {{ path: string, body: object }}
+     */
+    buildSubmitRequest({ prompt, imageUrl, duration }) {
+        return {
+            path: '/v2/video/generations',
+            body: {
+                model: 'google/veo-3.1-i2v',
+                prompt,
+                image_url: imageUrl,
+                generate_audio: true,
+                duration: String(duration),
+                aspect_ratio: '16:9',
+                resolution: '1080p',
+            },
+        };
+    },
+
+    /** @returns {string|undefined} Upstream generation ID */
+    parseSubmitResponse(data) {
+        return data.id;
+    },
+
+    /** @returns {{ path: string }} */
+    buildPollRequest(generationId) {
+        return { path: `/v2/video/generations?generation_id=${generationId}` };
+    },
+
+    /**
+     * Normalize a poll response. `status` is passed through as-is
+     * (queued, waiting, generating, active, completed, failed, error).
+     * @returns {{ status: string, videoUrl: string|null, errorMessage: string|null }}
+     */
+    parseResult(data) {
+        return {
+            status: data.status,
+            videoUrl: data.video?.url || null,
+            errorMessage: data.error?.message || null,
+        };
+    },
+
+    getCreditsUsed(data) {
+        return data.meta?.usage?.credits_used || 0;
+    },
+};
@@ -0,0 +1,54 @@
+import { transport } from './http.js';
+
+/**
+ * Sliding-window request limit per client: at most `limit` requests in any
+ * `windowMs` span. Keys are user IDs, or IP addresses without accounts.
+ */
+export class RateLimiter {
+    /**
+     * @param {object} options
+     * @param {number} options.limit - Requests allowed per window
+     * @param {number} options.windowMs
+     */
+    constructor({ limit, windowMs }) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.hits = new Map();
+        this.sweptAt = transport.now();
+    }
+
+    /**
+     * Count a request against `key` if the client still has room.
+     *
+     * @param {string} key
+     * @returns {{ allowed: boolean, remaining: number, retryAfterMs: number }}
+     */
+    take(key) {
+        const now = transport.now();
+        if (now - this.sweptAt >= this.windowMs) this.sweep(now);
+
+        const recent = (this.hits.get(key) || []).filter(at => now - at < this.windowMs);
+
+        if (recent.length >= this.limit) {
+            this.hits.set(key, recent);
+            return { allowed: false, remaining: 0, retryAfterMs: recent[0] + this.windowMs - now };
+        }
+
+        recent.push(now);
+        this.hits.set(key, recent);
+        return { allowed: true, remaining: this.limit - recent.length, retryAfterMs: 0 };
+    }
+
+    /**
+     * Forget clients with no request left in their window, so the map only holds
+     * clients seen within the last `windowMs`.
+     *
+     * @param {number} now
+     */
+    sweep(now) {
+        for (const [key, times] of this.hits) {
+            if (now - times[times.length - 1] >= this.windowMs) this.hits.delete(key);
+        }
+        this.sweptAt = now;
+    }
+}
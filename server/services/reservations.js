@@ -0,0 +1,66 @@
+import crypto from 'crypto';
+
+/**
+ * Credits set aside for generations that have started but are not fully charged
+ * yet. The pre-flight check counts them as spent, so generations started at the
+ * same time cannot all pass against the same balance and overspend together.
+ *
+ * A hold shrinks as its generation is charged, and is released once it settles.
+ * Holds live in memory only: jobs resumed after a restart take new ones.
+ */
+export class CreditReservations {
+    constructor() {
+        this.holds = new Map();
+    }
+
+    /**
+     * Set credits aside.
+     *
+     * @param {number|null} credits - Estimated cost; nothing is held without an estimate
+     * @param {object} [owner]
+     * @param {string|null} [owner.userId]
+     * @param {string|null} [owner.teamId]
+     * @returns {string} The hold ID
+     */
+    hold(credits, { userId = null, teamId = null } = {}) {
+        const id = crypto.randomUUID();
+        if (credits > 0) this.holds.set(id, { credits, userId, teamId });
+        return id;
+    }
+
+    /**
+     * Count credits actually charged against a hold, which shrinks by as much.
+     *
+     * @param {string} id
+     * @param {number} credits
+     */
+    charge(id, credits) {
+        const hold = this.holds.get(id);
+        if (hold) hold.credits = Math.max(0, hold.credits - credits);
+    }
+
+    /**
+     * @param {string} id
+     */
+    release(id) {
+        this.holds.delete(id);
+    }
+
+    /**
+     * Credits held, in total or for one user's or team's generations.
+     *
+     * @param {object} [scope]
+     * @param {string} [scope.userId]
+     * @param {string} [scope.teamId]
+     * @returns {number}
+     */
+    total({ userId, teamId } = {}) {
+        let total = 0;
+        for (const hold of this.holds.values()) {
+            if (userId && hold.userId !== userId) continue;
+            if (teamId && hold.teamId !== teamId) continue;
+            total += hold.credits;
+        }
+        return total;
+    }
+}
@@ -0,0 +1,101 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Server-wide limit on concurrent upstream generations, per kind ('scene' |
+ * 'video'). Work beyond the limit waits in a FIFO queue and starts as soon as
+ * a slot frees up, so a burst of requests is spread out instead of hitting the
+ * provider all at once (and then backing off in every polling loop).
+ *
+ * Emits `position` (jobId, position, queued) whenever a waiting job moves up the
+ * queue, with a 1-based position, and (jobId, 0, queued) when it starts.
+ */
+export class JobScheduler extends EventEmitter {
+    /**
+     * @param {{ scene: number, video: number }} limits - Max concurrent generations per kind
+     */
+    constructor(limits) {
+        super();
+        this.limits = { ...limits };
+        this.running = { scene: 0, video: 0 };
+        this.queues = { scene: [], video: [] };
+    }
+
+    /**
+     * Run `task` once a slot of its kind is free.
+     *
+     * @param {'scene'|'video'} kind
+     * @param {string} jobId - Job the work belongs to, for queue positions
+     * @param {function(): Promise<T>} task
+     * @returns {Promise<T>} Settles with the task
+     * @template T
+     */
+    run(kind, jobId, task) {
+        return new Promise((resolve, reject) => {
+            this.queues[kind].push({ jobId, task, resolve, reject, position: null });
+            this.drain(kind);
+        });
+    }
+
+    /**
+     * Drop a job's waiting work from the queue; its `run()` promises reject with `reason`.
+     * Work that has already started is not affected.
+     *
+     * @param {string} jobId
+     * @param {Error} reason
+     */
+    cancel(jobId, reason) {
+        for (const [kind, queue] of Object.entries(this.queues)) {
+            const removed = queue.filter(entry => entry.jobId === jobId);
+            if (!removed.length) continue;
+            this.queues[kind] = queue.filter(entry => entry.jobId !== jobId);
+            removed.forEach(entry => entry.reject(reason));
+            this.drain(kind);
+        }
+    }
+
+    /**
+     * @param {string} jobId
+     * @returns {{ kind: string, position: number, queued: number }|null} Where the job waits, or null if it is not waiting
+     */
+    positionOf(jobId) {
+        for (const [kind, queue] of Object.entries(this.queues)) {
+            const index = queue.findIndex(entry => entry.jobId === jobId);
+            if (index !== -1) return { kind, position: index + 1, queued: queue.length };
+        }
+        return null;
+    }
+
+    /**
+     * @returns {{ scene: object, video: object }} `{ limit, running, queued }` per kind
+     */
+    stats() {
+        return Object.fromEntries(Object.keys(this.queues).map(kind => [kind, {
+            limit: this.limits[kind],
+            running: this.running[kind],
+            queued: this.queues[kind].length,
+        }]));
+    }
+
+    drain(kind) {
+        const queue = this.queues[kind];
+        while (this.running[kind] < this.limits[kind] && queue.length) {
+            const entry = queue.shift();
+            this.running[kind]++;
+            this.emit('position', entry.jobId, 0, queue.length);
+            Promise.resolve()
+                .then(entry.task)
+                .then(entry.resolve, entry.reject)
+                .finally(() => {
+                    this.running[kind]--;
+                    this.drain(kind);
+                });
+        }
+
+        // Only report positions that changed, to keep the job event logs short
+        queue.forEach((entry, index) => {
+            if (entry.position === index + 1) return;
+            entry.position = index + 1;
+            this.emit('position', entry.jobId, entry.position, queue.length);
+        });
+    }
+}
@@ -0,0 +1,95 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { PRESET_TEMPLATES } from './templates.js';
+
+/**
+ * Persistent store of saved prompt templates, backed by a JSON file.
+ * The preset templates are listed first and are read-only.
+ */
+export class TemplateStore {
+    /**
+     * @param {string} filePath - Path of the JSON file used for persistence
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.templates = new Map();
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+                for (const template of data.templates || []) {
+                    this.templates.set(template.id, template);
+                }
+            }
+        } catch (err) {
+            console.warn(`⚠️ Could not read ${this.filePath}, starting fresh:`, err.message);
+        }
+    }
+
+    save() {
+        const data = { templates: [...this.templates.values()] };
+        fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {object|null} The preset or saved template, or null
+     */
+    get(id) {
+        return PRESET_TEMPLATES.find(template => template.id === id) || this.templates.get(id) || null;
+    }
+
+    /**
+     * Presets first, then saved templates by name.
+     *
+     * @param {object} [filter]
+     * @param {string} [filter.kind] - 'scene' | 'video'
+     * @returns {object[]}
+     */
+    list({ kind } = {}) {
+        const saved = [...this.templates.values()].sort((a, b) => a.name.localeCompare(b.name));
+        return [...PRESET_TEMPLATES, ...saved].filter(template => !kind || template.kind === kind);
+    }
+
+    /**
+     * Save a new template.
+     *
+     * @param {object} fields - Normalized template fields (see normalizeTemplate)
+     * @returns {object} The created template
+     */
+    create(fields) {
+        const now = new Date().toISOString();
+        const template = { id: crypto.randomUUID(), ...fields, preset: false, createdAt: now, updatedAt: now };
+        this.templates.set(template.id, template);
+        this.save();
+        return template;
+    }
+
+    /**
+     * Replace the fields of a saved template. Presets cannot be updated.
+     *
+     * @param {string} id
+     * @param {object} fields - Normalized template fields
+     * @returns {object|null} The updated template, or null if no saved template has that ID
+     */
+    update(id, fields) {
+        const template = this.templates.get(id);
+        if (!template) return null;
+        Object.assign(template, fields, { updatedAt: new Date().toISOString() });
+        this.save();
+        return template;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean} Whether a saved template was removed
+     */
+    delete(id) {
+        const removed = this.templates.delete(id);
+        if (removed) this.save();
+        return removed;
+    }
+}
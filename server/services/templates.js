@@ -0,0 +1,194 @@
+import { ValidationError } from './errors.js';
+import { defaultCast, describePlacement, countPeople, speakerId } from './cast.js';
+
+export const TEMPLATE_KINDS = ['scene', 'video'];
+
+/** Preset used for the video prompt when the user writes none. */
+export const DEFAULT_VIDEO_TEMPLATE = 'natural-conversation';
+
+const MAX_NAME_LENGTH = 80;
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_BODY_LENGTH = 2000;
+const MAX_VALUE_LENGTH = 500;
+
+// {{ name }} or {{ person.field }}
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z]\w*(?:\.[a-zA-Z]\w*)*)\s*\}\}/g;
+
+// Filled in from the scene's cast rather than by the user
+const CAST_VARIABLE_PATTERN = /^(person[A-D]\.(name|position|description)|people|peopleCount)$/;
+
+/**
+ * Read-only templates shipped with the server. They are listed alongside
+ * saved templates but cannot be edited or deleted.
+ */
+export const PRESET_TEMPLATES = [
+    {
+        id: 'office-meeting',
+        kind: 'scene',
+        name: 'Office meeting',
+        description: 'Colleagues in a glass-walled meeting room',
+        body: '{{people}}, colleagues sitting in a modern {{setting}} during a {{topic}}. Professional lighting, glass walls, a {{mood}} atmosphere.',
+        defaults: { setting: 'office meeting room', topic: 'product discussion', mood: 'focused' },
+    },
+    {
+        id: 'coffee-shop',
+        kind: 'scene',
+        name: 'Coffee shop',
+        description: 'Friends around a small café table',
+        body: '{{people}}, friends at a cozy {{setting}}, sitting around a small table. Warm ambient lighting, latte art visible, a {{mood}} atmosphere.',
+        defaults: { setting: 'coffee shop', mood: 'relaxed' },
+    },
+    {
+        id: 'park-walk',
+        kind: 'scene',
+        name: 'Afternoon in the park',
+        description: 'A casual chat outdoors',
+        body: '{{people}} standing in {{setting}} on a sunny afternoon, having a casual conversation. Trees and greenery in the background, a {{mood}} mood.',
+        defaults: { setting: 'a park', mood: 'cheerful' },
+    },
+    {
+        id: DEFAULT_VIDEO_TEMPLATE,
+        kind: 'video',
+        name: 'Natural conversation',
+        description: 'The default: everyone talks naturally, with synchronized audio',
+        body: '{{peopleCount}} having a natural conversation in the scene. They show natural expressions, subtle head movements, and realistic body language while speaking. Generate synchronized conversational audio with natural dialogue. {{scenario}}',
+        defaults: { scenario: '' },
+    },
+    {
+        id: 'interview',
+        kind: 'video',
+        name: 'Interview',
+        description: 'Person A asks the questions, Person B answers',
+        body: '{{personA.name}} interviews {{personB.name}} about {{topic}} in a {{mood}} tone. {{personA.name}} asks short questions and listens; {{personB.name}} answers at length with natural gestures. Generate synchronized conversational audio.',
+        defaults: { topic: 'their work', mood: 'friendly' },
+    },
+].map(template => ({ ...template, preset: true, createdAt: null, updatedAt: null }));
+
+/**
+ * Variable names used by a template body, in order of first use.
+ *
+ * @param {string} body
+ * @returns {string[]}
+ */
+export function templateVariables(body) {
+    return [...new Set([...body.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * Check a template sent to the API and keep only its known fields.
+ *
+ * @param {unknown} input - `{ name, kind, body, description?, defaults? }`
+ * @returns {{ name: string, kind: string, body: string, description: string, defaults: object }}
+ * @throws {ValidationError}
+ */
+export function normalizeTemplate(input) {
+    const { name, kind, body, description = '', defaults = {} } = input || {};
+
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new ValidationError('Template name is required', { field: 'name' });
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+        throw new ValidationError(`Template name is longer than ${MAX_NAME_LENGTH} characters`, { field: 'name' });
+    }
+    if (!TEMPLATE_KINDS.includes(kind)) {
+        throw new ValidationError(`Template kind must be ${TEMPLATE_KINDS.join(' or ')}`, { field: 'kind' });
+    }
+    if (typeof body !== 'string' || !body.trim()) {
+        throw new ValidationError('Template body is required', { field: 'body' });
+    }
+    if (body.length > MAX_BODY_LENGTH) {
+        throw new ValidationError(`Template body is longer than ${MAX_BODY_LENGTH} characters`, { field: 'body' });
+    }
+    if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+        throw new ValidationError(`Template description must be text of at most ${MAX_DESCRIPTION_LENGTH} characters`, { field: 'description' });
+    }
+
+    return {
+        name: name.trim(),
+        kind,
+        body: body.trim(),
+        description: description.trim(),
+        defaults: normalizeValues(defaults, 'defaults'),
+    };
+}
+
+/**
+ * Fill in a template. Cast variables (`{{personA.name}}`, `{{people}}`...) come
+ * from the scene's cast; everything else from `values`, then the template defaults.
+ *
+ * @param {{ id: string, body: string, defaults: object }} template
+ * @param {object} [options]
+ * @param {unknown} [options.variables] - User-supplied `{ name: value }`
+ * @param {object[]} [options.cast] - Normalized cast; defaults to two people
+ * @param {string} [options.scenario] - Fallback for `{{scenario}}`, e.g. from the scene's run
+ * @returns {string}
+ * @throws {ValidationError} If a variable has no value
+ */
+export function renderTemplate(template, { variables, cast = defaultCast(), scenario } = {}) {
+    const values = {
+        ...template.defaults,
+        ...(scenario != null && { scenario }),
+        ...normalizeValues(variables, 'variables'),
+        ...castValues(cast),
+    };
+
+    const missing = templateVariables(template.body).filter(name => values[name] == null);
+    if (missing.length) {
+        throw new ValidationError(`Template "${template.id}" needs a value for ${missing.map(name => `{{${name}}}`).join(', ')}`, {
+            field: `variables.${missing[0]}`,
+            missing,
+        });
+    }
+
+    return template.body
+        .replace(VARIABLE_PATTERN, (_, name) => values[name])
+        .replace(/[ \t]{2,}/g, ' ')
+        .trim();
+}
+
+/**
+ * Template as returned by the API, with the variables a user has to (or may) fill in.
+ *
+ * @param {object} template
+ * @returns {object}
+ */
+export function toPublicTemplate(template) {
+    return {
+        ...template,
+        variables: templateVariables(template.body).map(name => ({
+            name,
+            default: template.defaults[name] ?? null,
+            fromCast: CAST_VARIABLE_PATTERN.test(name),
+        })),
+    };
+}
+
+function castValues(cast) {
+    const values = {
+        people: joinNames(cast.map(person => person.name)),
+        peopleCount: countPeople(cast.length),
+    };
+    cast.forEach((person, i) => {
+        values[`person${speakerId(i)}.name`] = person.name;
+        values[`person${speakerId(i)}.position`] = describePlacement(person);
+        values[`person${speakerId(i)}.description`] = person.description || '';
+    });
+    return values;
+}
+
+function joinNames(names) {
+    return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names.at(-1)}` : names.join('');
+}
+
+function normalizeValues(values, field) {
+    if (values == null) return {};
+    if (typeof values !== 'object' || Array.isArray(values)) {
+        throw new ValidationError(`${field} must be an object of variable values`, { field });
+    }
+    return Object.fromEntries(Object.entries(values).map(([name, value]) => {
+        if (typeof value !== 'string' || value.length > MAX_VALUE_LENGTH) {
+            throw new ValidationError(`Value of ${name} must be text of at most ${MAX_VALUE_LENGTH} characters`, { field: `${field}.${name}` });
+        }
+        return [name, value.trim()];
+    }));
+}
@@ -1,13 +1,16 @@
-import fetch from 'node-fetch';
+import { transport, isHtmlResponse } from './http.js';
+import { DuoCastError, UpstreamClientError, UpstreamUnavailable, GenerationTimeout, GenerationFailed, toUpstreamError } from './errors.js';
+import { getProvider } from './providers/index.js';
 
-const API_BASE = 'https://api.aimlapi.com/v2';
 const POLL_INTERVAL_MS = 10_000; // 10 seconds
 const TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes
 const MAX_RETRIES = 3;
 const RETRY_DELAYS = [5000, 15000, 30000]; // 5s, 15s, 30s
+const MAX_POLL_ERRORS = 5;
+const CANCEL_TIMEOUT_MS = 10_000;
 
 /**
- * Generate a video with audio from a scene image using Google Veo 3.1 I2V.
+ * Generate a video with audio from a scene image (Google Veo 3.1 I2V by default).
  * Creates an async generation task, then polls until complete.
  * Includes automatic retry with backoff for transient errors (timeouts, 5xx).
  *
@@ -15,20 +18,46 @@ const RETRY_DELAYS = [5000, 15000, 30000]; // 5s, 15s, 30s
  * @param {string} videoPrompt - Text describing the video action/dialogue
  * @param {number} duration - Video duration in seconds (4, 6, or 8)
  * @param {string} apiKey - AIML API key
- * @param {function} onStatus - Optional callback for status updates
- * @returns {Promise<{videoUrl: string, generationId: string, creditsUsed: number}>}
+ * @param {function} onStatus - Optional callback for progress events
+ *   (`{ type: 'status' | 'retry' | 'poll-error', ... }`)
+ * @param {string} [providerId] - Video provider ID; defaults to the configured video provider
+ * @param {AbortSignal} [signal] - Aborts pending requests, retry delays and polling
+ * @returns {Promise<{videoUrl: string, generationId: string, creditsUsed: number, model: string}>}
  */
-export async function generateVideo(sceneImageUrl, videoPrompt, duration, apiKey, onStatus) {
+export async function generateVideo(sceneImageUrl, videoPrompt, duration, apiKey, onStatus, providerId, signal) {
+    const generationId = await createVideoTask(sceneImageUrl, videoPrompt, duration, apiKey, onStatus, providerId, signal);
+
+    if (onStatus) onStatus({ type: 'status', status: 'queued', generationId });
+
+    return pollVideoGeneration(generationId, apiKey, onStatus, providerId, signal);
+}
+
+/**
+ * Create a video generation task without waiting for it to finish.
+ * Includes automatic retry with backoff for transient errors (timeouts, 5xx).
+ *
+ * @param {string} sceneImageUrl - URL of the scene image to animate
+ * @param {string} videoPrompt - Text describing the video action/dialogue
+ * @param {number} duration - Video duration in seconds (4, 6, or 8)
+ * @param {string} apiKey - AIML API key
+ * @param {function} onStatus - Optional callback, receives `retry` events
+ * @param {string} [providerId] - Video provider ID; defaults to the configured video provider
+ * @param {AbortSignal} [signal] - Aborts pending requests and retry delays
+ * @returns {Promise<string>} Upstream generation ID
+ * @throws {UpstreamClientError} The provider rejected the request (4xx)
+ * @throws {UpstreamUnavailable} Still failing after all retries (5xx, 524, network)
+ * @throws {Error} The signal's reason, once aborted
+ */
+export async function createVideoTask(sceneImageUrl, videoPrompt, duration, apiKey, onStatus, providerId, signal) {
+    const provider = getProvider('video', providerId);
+
     // Step 1: Create video generation task (with retry)
-    const requestBody = JSON.stringify({
-        model: 'google/veo-3.1-i2v',
+    const request = provider.buildSubmitRequest({
         prompt: videoPrompt,
-        image_url: sceneImageUrl,
-        generate_audio: true,
-        duration: String(duration),
-        aspect_ratio: '16:9',
-        resolution: '1080p',
+        imageUrl: sceneImageUrl,
+        duration,
     });
+    const requestBody = JSON.stringify(request.body);
 
     let generationId = null;
     let lastError = null;
@@ -37,43 +66,51 @@ export async function generateVideo(sceneImageUrl, videoPrompt, duration, apiKey
         if (attempt > 0) {
             const delay = RETRY_DELAYS[attempt - 1] || 30000;
             console.log(`   🔄 Retry ${attempt}/${MAX_RETRIES} in ${delay / 1000}s...`);
-            await sleep(delay);
+            if (onStatus) onStatus({ type: 'retry', step: 'video', attempt, maxRetries: MAX_RETRIES, delayMs: delay, reason: lastError?.message });
+            await transport.sleep(delay, signal);
         }
+        signal?.throwIfAborted();
 
         try {
-            const createResponse = await fetch(`${API_BASE}/video/generations`, {
+            const createResponse = await transport.fetch(`${provider.baseUrl}${request.path}`, {
                 method: 'POST',
                 headers: {
                     'Authorization': `Bearer ${apiKey}`,
                     'Content-Type': 'application/json',
                 },
                 body: requestBody,
+                signal,
             });
 
             // Retry on server errors (5xx) and timeouts
             if (createResponse.status >= 500) {
                 const errorText = await createResponse.text();
-                lastError = new Error(`Veo 3.1 create error (${createResponse.status}): Server error`);
+                lastError = new UpstreamUnavailable(`${provider.label} create error (${createResponse.status}): Server error`, {
+                    upstreamStatus: createResponse.status,
+                });
                 console.warn(`   ⚠️ Attempt ${attempt + 1}: HTTP ${createResponse.status} — ${isHtmlResponse(errorText) ? 'Cloudflare timeout/error' : errorText.substring(0, 100)}`);
                 continue;
             }
 
             if (!createResponse.ok) {
                 const errorText = await createResponse.text();
-                throw new Error(`Veo 3.1 create error (${createResponse.status}): ${errorText}`);
+                throw new UpstreamClientError(`${provider.label} create error (${createResponse.status}): ${errorText}`, {
+                    upstreamStatus: createResponse.status,
+                });
             }
 
             const createData = await createResponse.json();
-            generationId = createData.id;
+            generationId = provider.parseSubmitResponse(createData);
 
             if (!generationId) {
-                throw new Error('No generation ID received from Veo 3.1 API');
+                throw new UpstreamUnavailable(`No generation ID received from ${provider.label} API`);
             }
 
             break; // Success — exit retry loop
         } catch (err) {
-            if (err.message.includes('error (4')) {
-                throw err; // Don't retry client errors
+            signal?.throwIfAborted(); // Don't retry cancelled requests...
+            if (err instanceof UpstreamClientError) {
+                throw err; // ...or client errors
             }
             lastError = err;
             if (attempt < MAX_RETRIES) {
@@ -83,86 +120,135 @@ export async function generateVideo(sceneImageUrl, videoPrompt, duration, apiKey
     }
 
     if (!generationId) {
-        throw lastError || new Error('Video creation failed after retries');
+        throw toUpstreamError(lastError || new Error('Video creation failed after retries'));
     }
 
-    if (onStatus) onStatus({ status: 'queued', generationId });
+    return generationId;
+}
+
+/**
+ * Poll an existing video generation until it completes, fails or times out.
+ * Tolerates up to MAX_POLL_ERRORS consecutive transient poll failures. Used both right after
+ * task creation and to resume jobs that were in flight across a server restart.
+ *
+ * @param {string} generationId - Upstream generation ID returned by createVideoTask
+ * @param {string} apiKey - AIML API key
+ * @param {function} onStatus - Optional callback, receives `status` and `poll-error` events
+ * @param {string} [providerId] - Video provider that created the task
+ * @param {AbortSignal} [signal] - Stops polling
+ * @returns {Promise<{videoUrl: string, generationId: string, creditsUsed: number, model: string}>}
+ * @throws {GenerationFailed} The provider reported the generation as failed
+ * @throws {GenerationTimeout} Not finished within TIMEOUT_MS
+ * @throws {UpstreamUnavailable} Too many consecutive poll failures
+ * @throws {Error} The signal's reason, once aborted
+ */
+export async function pollVideoGeneration(generationId, apiKey, onStatus, providerId, signal) {
+    const provider = getProvider('video', providerId);
+    const pollRequest = provider.buildPollRequest(generationId);
 
     // Step 2: Poll for completion (with resilience to transient poll failures)
-    const startTime = Date.now();
+    const startTime = transport.now();
     let consecutivePollErrors = 0;
 
-    while (Date.now() - startTime < TIMEOUT_MS) {
-        await sleep(POLL_INTERVAL_MS);
+    while (transport.now() - startTime < TIMEOUT_MS) {
+        await transport.sleep(POLL_INTERVAL_MS, signal);
+        signal?.throwIfAborted();
 
         try {
-            const pollResponse = await fetch(
-                `${API_BASE}/video/generations?generation_id=${generationId}`,
+            const pollResponse = await transport.fetch(
+                `${provider.baseUrl}${pollRequest.path}`,
                 {
                     method: 'GET',
                     headers: {
                         'Authorization': `Bearer ${apiKey}`,
                         'Content-Type': 'application/json',
                     },
+                    signal,
                 }
             );
 
-            // Tolerate transient poll failures (up to 5 in a row)
+            // Tolerate transient poll failures (up to MAX_POLL_ERRORS in a row)
             if (pollResponse.status >= 500) {
                 consecutivePollErrors++;
-                console.warn(`   ⚠️ Poll error (${pollResponse.status}), attempt ${consecutivePollErrors}/5`);
-                if (consecutivePollErrors >= 5) {
-                    throw new Error(`Veo 3.1 polling failed after 5 consecutive server errors`);
+                console.warn(`   ⚠️ Poll error (${pollResponse.status}), attempt ${consecutivePollErrors}/${MAX_POLL_ERRORS}`);
+                if (onStatus) onStatus({ type: 'poll-error', count: consecutivePollErrors, max: MAX_POLL_ERRORS, reason: `HTTP ${pollResponse.status}` });
+                if (consecutivePollErrors >= MAX_POLL_ERRORS) {
+                    throw new UpstreamUnavailable(`${provider.label} polling failed after ${MAX_POLL_ERRORS} consecutive server errors`, {
+                        generationId,
+                        upstreamStatus: pollResponse.status,
+                    });
                 }
                 continue;
             }
 
             if (!pollResponse.ok) {
                 const errorText = await pollResponse.text();
-                throw new Error(`Veo 3.1 poll error (${pollResponse.status}): ${errorText}`);
+                throw new UpstreamClientError(`${provider.label} poll error (${pollResponse.status}): ${errorText}`, {
+                    generationId,
+                    upstreamStatus: pollResponse.status,
+                });
             }
 
             consecutivePollErrors = 0; // Reset on success
             const pollData = await pollResponse.json();
-            const status = pollData.status;
+            const { status, videoUrl, errorMessage } = provider.parseResult(pollData);
 
-            if (onStatus) onStatus({ status, generationId });
+            if (onStatus) onStatus({ type: 'status', status, generationId, elapsedMs: transport.now() - startTime });
 
             if (status === 'completed') {
-                const videoUrl = pollData.video?.url;
                 if (!videoUrl) {
-                    throw new Error('Video completed but no URL found in response');
+                    throw new GenerationFailed('Video completed but no URL found in response', { generationId });
                 }
-                const creditsUsed = pollData.meta?.usage?.credits_used || 0;
-                return { videoUrl, generationId, creditsUsed };
+                const creditsUsed = provider.getCreditsUsed(pollData);
+                return { videoUrl, generationId, creditsUsed, model: provider.id };
             }
 
             if (status === 'failed' || status === 'error') {
-                const errMsg = pollData.error?.message || 'Unknown error';
-                throw new Error(`Video generation failed: ${errMsg}`);
+                throw new GenerationFailed(`Video generation failed: ${errorMessage || 'Unknown error'}`, {
+                    generationId,
+                    upstreamStatus: status,
+                });
             }
 
             // Continue polling for: queued, generating, waiting, active
         } catch (err) {
-            if (err.message.includes('poll error') && !err.message.includes('server errors')) {
-                throw err; // Non-transient errors
-            }
-            if (err.message.includes('failed') || err.message.includes('completed')) {
-                throw err; // Business logic errors
+            signal?.throwIfAborted();
+            if (err instanceof DuoCastError) {
+                throw err; // Client errors, business logic errors, exhausted poll budget
             }
             consecutivePollErrors++;
-            console.warn(`   ⚠️ Poll exception: ${err.message}, attempt ${consecutivePollErrors}/5`);
-            if (consecutivePollErrors >= 5) throw err;
+            console.warn(`   ⚠️ Poll exception: ${err.message}, attempt ${consecutivePollErrors}/${MAX_POLL_ERRORS}`);
+            if (onStatus) onStatus({ type: 'poll-error', count: consecutivePollErrors, max: MAX_POLL_ERRORS, reason: err.message });
+            if (consecutivePollErrors >= MAX_POLL_ERRORS) throw toUpstreamError(err);
         }
     }
 
-    throw new Error(`Video generation timed out after ${TIMEOUT_MS / 1000}s`);
+    throw new GenerationTimeout(`Video generation timed out after ${TIMEOUT_MS / 1000}s`, { generationId });
 }
 
-function isHtmlResponse(text) {
-    return text.trimStart().startsWith('<!DOCTYPE') || text.trimStart().startsWith('<html');
-}
-
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+/**
+ * Ask the provider to stop a generation task, for providers with a cancel
+ * endpoint (`buildCancelRequest`). Best effort: a single attempt, no retries,
+ * given up after CANCEL_TIMEOUT_MS. Without such an endpoint, cancelling only
+ * stops the server from polling the task; upstream, it runs to the end.
+ *
+ * @param {string} generationId - Upstream generation ID returned by createVideoTask
+ * @param {string} apiKey - AIML API key
+ * @param {string} [providerId] - Video provider that created the task
+ * @returns {Promise<boolean>} Whether the provider accepted the cancellation (false if it cannot cancel)
+ */
+export async function cancelVideoTask(generationId, apiKey, providerId) {
+    const provider = getProvider('video', providerId);
+    if (typeof provider.buildCancelRequest !== 'function') return false;
+
+    const request = provider.buildCancelRequest(generationId);
+    const response = await transport.fetch(`${provider.baseUrl}${request.path}`, {
+        method: request.method || 'POST',
+        headers: {
+            'Authorization': `Bearer ${apiKey}`,
+            'Content-Type': 'application/json',
+        },
+        signal: AbortSignal.timeout(CANCEL_TIMEOUT_MS),
+    });
+    return response.ok;
 }
@@ -0,0 +1,197 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { createWebhookSecret } from './webhooks.js';
+
+const MAX_DELIVERIES = 1000;
+
+/**
+ * Persistent webhook settings and delivery log, backed by a JSON file.
+ *
+ * Each owner — a user ID, or null when accounts are off — has one endpoint:
+ * an optional account-wide URL and the secret every delivery to that owner is
+ * signed with. Deliveries keep their exact body and every attempt, so failed
+ * ones can be inspected, and pending ones resumed after a restart. The log
+ * keeps the latest MAX_DELIVERIES.
+ */
+export class WebhookStore {
+    /**
+     * @param {string} filePath - Path of the JSON file used for persistence
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.endpoints = new Map();
+        this.deliveries = new Map();
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+                for (const endpoint of data.endpoints || []) this.endpoints.set(endpoint.ownerId, endpoint);
+                for (const delivery of data.deliveries || []) this.deliveries.set(delivery.id, delivery);
+            }
+        } catch (err) {
+            console.warn(`⚠️ Could not read ${this.filePath}, starting fresh:`, err.message);
+        }
+    }
+
+    save() {
+        const data = { endpoints: [...this.endpoints.values()], deliveries: [...this.deliveries.values()] };
+        fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2));
+    }
+
+    /**
+     * The owner's endpoint, created (with a new secret and no URL) on first use.
+     *
+     * @param {string|null} ownerId
+     * @returns {{ ownerId: string|null, url: string|null, secret: string }}
+     */
+    endpointFor(ownerId) {
+        if (!this.endpoints.has(ownerId)) {
+            const now = new Date().toISOString();
+            this.endpoints.set(ownerId, { ownerId, url: null, secret: createWebhookSecret(), createdAt: now, updatedAt: now });
+            this.save();
+        }
+        return this.endpoints.get(ownerId);
+    }
+
+    /**
+     * Set or clear the owner's account-wide webhook URL.
+     *
+     * @param {string|null} ownerId
+     * @param {string|null} url
+     * @returns {object} The endpoint
+     */
+    setUrl(ownerId, url) {
+        return this.updateEndpoint(ownerId, { url });
+    }
+
+    /**
+     * Replace the owner's signing secret; deliveries from now on use the new one.
+     *
+     * @param {string|null} ownerId
+     * @returns {object} The endpoint
+     */
+    rotateSecret(ownerId) {
+        return this.updateEndpoint(ownerId, { secret: createWebhookSecret() });
+    }
+
+    updateEndpoint(ownerId, changes) {
+        const endpoint = Object.assign(this.endpointFor(ownerId), changes, { updatedAt: new Date().toISOString() });
+        this.save();
+        return endpoint;
+    }
+
+    /**
+     * Log a new delivery, with the exact JSON body every attempt sends.
+     *
+     * @param {object} fields
+     * @param {string|null} fields.ownerId
+     * @param {string} fields.url
+     * @param {string} fields.event - One of WEBHOOK_EVENTS
+     * @param {string|null} [fields.jobId]
+     * @param {object} fields.data - The event's `data`
+     * @returns {object} The pending delivery
+     */
+    createDelivery({ ownerId, url, event, jobId = null, data }) {
+        const id = crypto.randomUUID();
+        const createdAt = new Date().toISOString();
+        const delivery = {
+            id,
+            ownerId,
+            url,
+            event,
+            jobId,
+            status: 'pending',
+            body: JSON.stringify({ id, event, createdAt, data }),
+            attempts: [],
+            createdAt,
+            deliveredAt: null,
+        };
+        this.deliveries.set(id, delivery);
+        this.prune();
+        this.save();
+        return delivery;
+    }
+
+    getDelivery(id) {
+        return this.deliveries.get(id) || null;
+    }
+
+    /**
+     * @param {string} id
+     * @param {{ at: string, statusCode: number|null, error: string|null, durationMs: number }} attempt
+     */
+    recordAttempt(id, attempt) {
+        const delivery = this.deliveries.get(id);
+        if (!delivery) return;
+        delivery.attempts.push(attempt);
+        if (!attempt.error) {
+            delivery.status = 'delivered';
+            delivery.deliveredAt = attempt.at;
+        }
+        this.save();
+    }
+
+    /**
+     * Mark a delivery whose attempts have run out as failed.
+     *
+     * @param {string} id
+     */
+    fail(id) {
+        const delivery = this.deliveries.get(id);
+        if (!delivery || delivery.status !== 'pending') return;
+        delivery.status = 'failed';
+        this.save();
+    }
+
+    /**
+     * Deliveries, newest first.
+     *
+     * @param {object} [filter]
+     * @param {string|null} [filter.ownerId] - Only this owner's deliveries (undefined for all)
+     * @param {string} [filter.jobId]
+     * @param {string} [filter.status] - pending | delivered | failed
+     * @param {number} [filter.limit]
+     * @returns {object[]}
+     */
+    listDeliveries({ ownerId, jobId, status, limit = 50 } = {}) {
+        return [...this.deliveries.values()]
+            .filter(delivery => ownerId === undefined || delivery.ownerId === ownerId)
+            .filter(delivery => !jobId || delivery.jobId === jobId)
+            .filter(delivery => !status || delivery.status === status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, limit);
+    }
+
+    // Drop the oldest finished deliveries beyond MAX_DELIVERIES; pending ones are kept until they finish
+    prune() {
+        const finished = [...this.deliveries.values()]
+            .filter(delivery => delivery.status !== 'pending')
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        for (const delivery of finished.slice(0, Math.max(0, this.deliveries.size - MAX_DELIVERIES))) {
+            this.deliveries.delete(delivery.id);
+        }
+    }
+}
+
+/**
+ * Shape a delivery for API responses: the body is returned parsed, as `payload`.
+ *
+ * @param {object} delivery
+ * @returns {object}
+ */
+export function toPublicDelivery({ ownerId: _ownerId, body, ...delivery }) {
+    return { ...delivery, payload: JSON.parse(body) };
+}
+
+/**
+ * Shape an endpoint for API responses.
+ *
+ * @param {object} endpoint
+ * @returns {{ url: string|null, secret: string }}
+ */
+export function toPublicEndpoint({ url, secret }) {
+    return { url, secret };
+}
@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import { transport } from './http.js';
+import { ValidationError } from './errors.js';
+import { assertPublicUrl } from './outbound.js';
+
+// Delays before each retry of a failed delivery: 6 attempts over about 45 minutes
+export const DELIVERY_RETRY_DELAYS_MS = [10_000, 30_000, 2 * 60_000, 10 * 60_000, 30 * 60_000];
+const DELIVERY_TIMEOUT_MS = 10_000;
+const MAX_RESPONSE_EXCERPT = 200;
+
+export const WEBHOOK_EVENTS = ['generation.completed', 'generation.failed', 'generation.cancelled', 'ping'];
+
+/**
+ * Check a webhook URL sent by a caller.
+ *
+ * @param {unknown} value
+ * @param {string} [field]
+ * @returns {string} The URL
+ * @throws {ValidationError} If it is not an http(s) URL
+ */
+export function normalizeWebhookUrl(value, field = 'webhookUrl') {
+    let url;
+    try {
+        url = new URL(typeof value === 'string' ? value.trim() : '');
+    } catch {
+        throw new ValidationError(`${field} must be an http(s) URL`, { field });
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new ValidationError(`${field} must be an http(s) URL`, { field });
+    }
+    return url.href;
+}
+
+/**
+ * A new signing secret, shown to its owner to verify deliveries.
+ *
+ * @returns {string}
+ */
+export function createWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Signature of a delivery: HMAC-SHA256 of `<timestamp>.<body>` with the owner's secret,
+ * sent as `X-DuoCast-Signature: sha256=<hex>`. The timestamp (Unix seconds, also sent as
+ * `X-DuoCast-Timestamp`) is signed too, so receivers can reject replayed deliveries.
+ *
+ * @param {string} secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - The raw JSON body
+ * @returns {string}
+ */
+export function signWebhook(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Receiver side of signWebhook(), for integrators and tests.
+ *
+ * @param {string} secret
+ * @param {{ signature: string, timestamp: number|string, body: string }} delivery - Headers and raw body as received
+ * @returns {boolean}
+ */
+export function verifyWebhook(secret, { signature, timestamp, body }) {
+    const expected = Buffer.from(signWebhook(secret, timestamp, body));
+    const actual = Buffer.from(String(signature || ''));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * The `data` of a generation event: what finished, and where its results are.
+ *
+ * @param {object} job - A job in a terminal state
+ * @param {function(string): string} [absoluteUrl] - Turns a relative asset URL into a downloadable one
+ * @returns {object}
+ */
+export function jobEventData(job, absoluteUrl = url => url) {
+    const imageUrls = job.result?.imageUrls || (job.result?.imageUrl ? [job.result.imageUrl] : []);
+    const segments = job.segments || [];
+    return {
+        jobId: job.id,
+        type: job.type,
+        status: job.status,
+        historyId: job.input.historyId ?? null,
+        generationId: job.generationId || job.result?.generationId || null,
+        imageUrls: imageUrls.map(absoluteUrl),
+        videoUrl: job.result?.videoUrl ? absoluteUrl(job.result.videoUrl) : null,
+        ...(job.segments && {
+            segments: segments.map(({ duration, generationId, videoUrl, status }) => ({
+                duration,
+                status,
+                generationId,
+                videoUrl: videoUrl && absoluteUrl(videoUrl),
+            })),
+        }),
+        creditsUsed: job.result?.creditsUsed ?? segments.reduce((sum, segment) => sum + (segment.creditsUsed || 0), 0),
+        error: job.error,
+    };
+}
+
+/**
+ * POST a delivery to its URL, signed with the owner's secret, retrying failures
+ * (network errors, timeouts, any non-2xx answer) after DELIVERY_RETRY_DELAYS_MS.
+ * Every attempt first checks that the URL still resolves to a public address
+ * (or one of `allowedHosts`); if not, the delivery fails at once. Redirects are
+ * not followed. Never throws.
+ *
+ * @param {{ id: string, event: string, url: string, body: string }} delivery
+ * @param {string} secret
+ * @param {object} [options]
+ * @param {number} [options.maxAttempts] - Attempts left, at most one more than the retry delays
+ * @param {string[]} [options.allowedHosts] - Hosts that may be private, e.g. a local listener
+ * @param {function(object): void} [options.onAttempt] - Called with each attempt's `{ at, statusCode, error, durationMs }`
+ * @returns {Promise<boolean>} Whether the receiver accepted it
+ */
+export async function deliverWebhook(delivery, secret, { maxAttempts = DELIVERY_RETRY_DELAYS_MS.length + 1, allowedHosts = [], onAttempt = () => { } } = {}) {
+    const firstRetry = DELIVERY_RETRY_DELAYS_MS.length + 1 - maxAttempts;
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        if (attempt > 0) {
+            await transport.sleep(DELIVERY_RETRY_DELAYS_MS[firstRetry + attempt - 1]);
+        }
+
+        const startedAt = transport.now();
+        const timestamp = Math.floor(startedAt / 1000);
+        const record = { at: new Date().toISOString(), statusCode: null, error: null, durationMs: 0 };
+        try {
+            await assertPublicUrl(delivery.url, { allowedHosts });
+        } catch (err) {
+            record.error = err.message;
+            onAttempt(record);
+            return false;
+        }
+        try {
+            const response = await transport.fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'DuoCast-Webhooks/1.0',
+                    'X-DuoCast-Event': delivery.event,
+                    'X-DuoCast-Delivery': delivery.id,
+                    'X-DuoCast-Timestamp': String(timestamp),
+                    'X-DuoCast-Signature': signWebhook(secret, timestamp, delivery.body),
+                },
+                body: delivery.body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+            });
+            record.statusCode = response.status;
+            if (!response.ok) {
+                const text = await response.text().catch(() => '');
+                record.error = `HTTP ${response.status}${text ? `: ${text.slice(0, MAX_RESPONSE_EXCERPT)}` : ''}`;
+            }
+        } catch (err) {
+            record.error = err.name === 'TimeoutError' ? `No answer within ${DELIVERY_TIMEOUT_MS / 1000}s` : err.message;
+        }
+        record.durationMs = transport.now() - startedAt;
+        onAttempt(record);
+        if (!record.error) return true;
+    }
+    return false;
+}
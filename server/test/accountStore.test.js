@@ -0,0 +1,64 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AccountStore } from '../services/accountStore.js';
+
+describe('AccountStore', () => {
+    let tmpDir;
+    let file;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'duocast-accounts-'));
+        file = path.join(tmpDir, 'accounts.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('keeps users, tokens and usage across restarts without storing secrets', () => {
+        const store = new AccountStore(file);
+        const team = store.createTeam({ name: 'Sales', creditLimit: 500 });
+        const user = store.createUser({ name: 'Maya', email: 'maya@example.com', password: 'long enough', teamId: team.id, creditLimit: 100 });
+        const { token } = store.createToken(user.id, 'laptop');
+        store.recordUsage(user.id, 60);
+
+        const saved = fs.readFileSync(file, 'utf-8');
+        assert.ok(!saved.includes(token) && !saved.includes('long enough'));
+
+        const reloaded = new AccountStore(file);
+        assert.equal(reloaded.authenticate(token).id, user.id);
+        assert.equal(reloaded.verifyLogin('maya@example.com', 'long enough').id, user.id);
+        assert.equal(reloaded.verifyLogin('maya@example.com', 'wrong one'), null);
+        assert.deepEqual(reloaded.budgetOf(reloaded.getUser(user.id)), {
+            user: { creditLimit: 100, creditsUsed: 60, creditsRemaining: 40 },
+            team: { id: team.id, name: 'Sales', creditLimit: 500, creditsUsed: 60, creditsRemaining: 440 },
+            creditsRemaining: 40,
+        });
+    });
+
+    it('locks out disabled users and revoked tokens', () => {
+        const store = new AccountStore(file);
+        const user = store.createUser({ name: 'Leo', email: 'leo@example.com' });
+        const first = store.createToken(user.id);
+        const second = store.createToken(user.id);
+
+        assert.ok(store.revokeToken(user.id, first.id));
+        assert.equal(store.authenticate(first.token), null);
+        assert.equal(store.authenticate(second.token).id, user.id);
+
+        store.updateUser(user.id, { disabled: true });
+        assert.equal(store.authenticate(second.token), null);
+    });
+
+    it('rejects duplicate emails and top-ups without a cap', () => {
+        const store = new AccountStore(file);
+        const user = store.createUser({ name: 'Sam', email: 'sam@example.com' });
+
+        assert.throws(() => store.createUser({ name: 'Sam 2', email: 'SAM@example.com' }), { details: { field: 'email' } });
+        assert.throws(() => store.topUp('user', user.id, 100), { details: { field: 'creditLimit' } });
+        assert.equal(store.budgetOf(user).creditsRemaining, null);
+    });
+});
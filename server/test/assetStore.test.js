@@ -0,0 +1,111 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AssetStore, assetUrl, parseAssetUrl, downloadFilename } from '../services/assetStore.js';
+import { transport } from '../services/http.js';
+import { restoreTransport } from './helpers.js';
+
+const PNG_DATA_URI = `data:image/png;base64,${Buffer.from('fake png bytes').toString('base64')}`;
+
+function binaryResponse(body, contentType) {
+    return {
+        ok: true,
+        status: 200,
+        headers: new Headers({ 'content-type': contentType }),
+        arrayBuffer: async () => Buffer.from(body),
+    };
+}
+
+describe('AssetStore', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'duocast-assets-'));
+    });
+
+    afterEach(() => {
+        restoreTransport();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('decodes data URIs into content-addressed files', async () => {
+        const assets = new AssetStore(tmpDir);
+        const asset = await assets.archive(PNG_DATA_URI, { kind: 'scene' });
+
+        assert.match(asset.id, /^[0-9a-f]{64}$/);
+        assert.equal(asset.contentType, 'image/png');
+        assert.equal(asset.sourceUrl, null);
+        assert.equal(fs.readFileSync(assets.filePath(asset), 'utf-8'), 'fake png bytes');
+        assert.equal(assets.toDataUri(asset.id), PNG_DATA_URI);
+        assert.equal(downloadFilename(asset), `duocast-scene-${asset.id.slice(0, 12)}.png`);
+    });
+
+    it('downloads URLs and stores identical content once', async () => {
+        const calls = [];
+        transport.fetch = async (url) => {
+            calls.push(url);
+            return binaryResponse('video bytes', 'video/mp4; charset=binary');
+        };
+        const assets = new AssetStore(tmpDir);
+
+        const first = await assets.archive('https://cdn.example/a.mp4?sig=1', { kind: 'video' });
+        const second = await assets.archive('https://cdn.example/a.mp4?sig=2', { kind: 'video' });
+
+        assert.deepEqual(calls.length, 2);
+        assert.equal(second.id, first.id);
+        assert.equal(first.ext, 'mp4');
+        assert.equal(first.contentType, 'video/mp4');
+        assert.equal(fs.readdirSync(tmpDir).sort().join(), `${first.id}.mp4,index.json`);
+        assert.deepEqual(new AssetStore(tmpDir).get(first.id), first, 'index survives a reload');
+    });
+
+    it('reports failed downloads as upstream errors', async () => {
+        transport.fetch = async () => ({ ok: false, status: 403 });
+        const assets = new AssetStore(tmpDir);
+
+        await assert.rejects(assets.archive('https://cdn.example/expired.jpg', { kind: 'scene' }), {
+            code: 'UPSTREAM_UNAVAILABLE',
+            details: { url: 'https://cdn.example/expired.jpg', upstreamStatus: 403 },
+        });
+    });
+
+    it('gives up on a download that does not finish in time', async () => {
+        let signal;
+        transport.fetch = async (url, options) => {
+            signal = options.signal;
+            throw new DOMException('The operation was aborted due to timeout', 'TimeoutError');
+        };
+        const assets = new AssetStore(tmpDir);
+
+        await assert.rejects(assets.archive('https://cdn.example/stalled.mp4', { kind: 'video' }), {
+            code: 'UPSTREAM_UNAVAILABLE',
+            message: /not finished within \d+s/,
+        });
+        assert.ok(signal instanceof AbortSignal);
+    });
+
+    it('removes idle assets, then the least recently used ones above the size cap', async () => {
+        const assets = new AssetStore(tmpDir, { maxAgeDays: 30, maxTotalBytes: 15 });
+        const [stale, older, newer] = await Promise.all(['stale', 'older', 'newer'].map(text => (
+            assets.archive(`data:text/plain,${text}-asset`, { kind: 'scene' })
+        )));
+        const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        stale.lastAccessedAt = daysAgo(31);
+        older.lastAccessedAt = daysAgo(2);
+        newer.lastAccessedAt = daysAgo(1);
+
+        const removed = assets.cleanup();
+
+        assert.deepEqual(removed.map(asset => asset.id), [stale.id, older.id]);
+        assert.deepEqual([...assets.assets.keys()], [newer.id]);
+        assert.equal(fs.existsSync(assets.filePath(stale)), false);
+    });
+
+    it('maps asset URLs back to IDs', () => {
+        assert.equal(assetUrl({ id: 'abc' }), '/api/assets/abc');
+        assert.equal(parseAssetUrl('/api/assets/abc?download=1'), 'abc');
+        assert.equal(parseAssetUrl('https://cdn.example/abc.jpg'), null);
+    });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseManifest, parseCsv, summarizeBatch, toSummaryCsv } from '../services/batches.js';
+
+describe('parseManifest', () => {
+    it('reads a CSV manifest with quoted cells and |-separated portraits', () => {
+        const rows = parseManifest([
+            'Portraits,Names,Scenario,Video_Prompt,Duration',
+            'a.jpg|b.jpg|c.jpg,Ann|Ben|Cat,"At the office, late","She said ""hi""",6',
+            '',
+            'https://cdn.example/a.jpg|b.jpg,,Park,Talk,',
+        ].join('\r\n'));
+
+        assert.equal(rows.length, 2);
+        assert.deepEqual(rows[0].portraits, ['a.jpg', 'b.jpg', 'c.jpg']);
+        assert.deepEqual(rows[0].cast.map(person => person.name), ['Ann', 'Ben', 'Cat']);
+        assert.equal(rows[0].scenario, 'At the office, late');
+        assert.equal(rows[0].videoPrompt, 'She said "hi"');
+        assert.equal(rows[0].duration, 6);
+        assert.deepEqual(rows[1].cast.map(person => person.name), ['Person A', 'Person B']);
+        assert.equal(rows[1].duration, 8);
+    });
+
+    it('reads a JSON manifest, bare or under `rows`', () => {
+        const row = { portraits: ['a.jpg', 'b.jpg'], scenario: 'Café', videoPrompt: 'Talk', duration: 4 };
+        assert.equal(parseManifest(JSON.stringify([row]))[0].duration, 4);
+        assert.equal(parseManifest(JSON.stringify({ rows: [row, row] })).length, 2);
+        assert.equal(parseManifest([row]).length, 1);
+    });
+
+    it('names the first bad row', () => {
+        const ok = { portraits: ['a.jpg', 'b.jpg'], scenario: 'Café', videoPrompt: 'Talk' };
+        assert.throws(() => parseManifest([ok, { ...ok, portraits: ['a.jpg'] }]), (err) => err.details.row === 2 && /portraits/.test(err.message));
+        assert.throws(() => parseManifest([{ ...ok, duration: 5 }]), (err) => err.details.column === 'duration');
+        assert.throws(() => parseManifest([{ ...ok, names: ['Ann'] }]), (err) => err.details.column === 'names');
+        assert.throws(() => parseManifest([{ ...ok, videoPrompt: ' ' }]), /Row 1: videoPrompt is required/);
+        assert.throws(() => parseManifest('scenario,videoPrompt\nCafé,Talk'), /header line/);
+        assert.throws(() => parseManifest('[]'), /no rows/);
+    });
+});
+
+describe('batch summaries', () => {
+    it('parses back what it writes', () => {
+        const batch = {
+            rows: [
+                { status: 'completed', scenario: 'A "quoted", scenario', sceneImageUrl: '/api/assets/s1', videoUrl: '/api/assets/v1', creditsUsed: 120000, historyId: 'run-1', error: null },
+                { status: 'failed', scenario: 'Park', sceneImageUrl: null, videoUrl: null, creditsUsed: 0, historyId: 'run-2', error: { message: 'Rejected' } },
+            ],
+        };
+        const summary = summarizeBatch(batch, url => `http://host${url}`);
+        const [header, first, second] = parseCsv(toSummaryCsv(summary).trim());
+
+        assert.deepEqual(header, ['row', 'status', 'scenario', 'sceneImageUrl', 'videoUrl', 'creditsUsed', 'historyId', 'error']);
+        assert.deepEqual(first, ['1', 'completed', 'A "quoted", scenario', 'http://host/api/assets/s1', 'http://host/api/assets/v1', '120000', 'run-1', '']);
+        assert.deepEqual(second.slice(1, 2).concat(second.slice(-1)), ['failed', 'Rejected']);
+    });
+
+    it('keeps cells that look like formulas as text', () => {
+        const summary = summarizeBatch({
+            rows: [{ status: 'failed', scenario: '=HYPERLINK("http://evil.example","x")', creditsUsed: 0, error: { message: '@SUM(1+1)' } }],
+        });
+        const [, line] = parseCsv(toSummaryCsv(summary).trim());
+
+        assert.equal(line[2], `'=HYPERLINK("http://evil.example","x")`);
+        assert.equal(line[5], '0');
+        assert.equal(line[7], `'@SUM(1+1)`);
+    });
+});
@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeCast, defaultCast, describePlacement, describePeople } from '../services/cast.js';
+import { ValidationError } from '../services/errors.js';
+
+describe('cast', () => {
+    it('fills in names and placements', () => {
+        assert.deepEqual(normalizeCast(undefined), [
+            { name: 'Person A', position: 'left', depth: 'foreground' },
+            { name: 'Person B', position: 'right', depth: 'foreground' },
+        ]);
+        assert.deepEqual(normalizeCast([{ name: '  Maya ' }, {}, { depth: 'background' }], 3), [
+            { name: 'Maya', position: 'left', depth: 'foreground' },
+            { name: 'Person B', position: 'center', depth: 'foreground' },
+            { name: 'Person C', position: 'right', depth: 'background' },
+        ]);
+        assert.equal(describePlacement(defaultCast(4)[3]), 'in the center, in the background');
+    });
+
+    it('keeps descriptions and library characters for the prompts', () => {
+        const cast = normalizeCast([{ name: 'Alice', description: ' Warm alto voice, navy blazer ', characterId: 'c1' }, { name: 'Bob' }], 2);
+        assert.deepEqual(cast[0], { name: 'Alice', position: 'left', depth: 'foreground', description: 'Warm alto voice, navy blazer', characterId: 'c1' });
+        assert.deepEqual(cast[1], { name: 'Bob', position: 'right', depth: 'foreground' });
+        assert.deepEqual(describePeople(cast), ['About the people:', '- Alice: Warm alto voice, navy blazer']);
+        assert.deepEqual(describePeople(defaultCast()), []);
+    });
+
+    it('points at the offending person', () => {
+        for (const [people, count, field] of [
+            [[{}], undefined, 'people'],
+            [Array(5).fill({}), undefined, 'people'],
+            [[{}, {}], 3, 'people'],
+            [[{}, { position: 'top' }], 2, 'people[1].position'],
+            [[{ depth: 'middle' }, {}], 2, 'people[0].depth'],
+            [[{ name: 'x'.repeat(41) }, {}], 2, 'people[0].name'],
+            [[{}, { description: 'x'.repeat(501) }], 2, 'people[1].description'],
+        ]) {
+            assert.throws(() => normalizeCast(people, count), (err) => {
+                assert.ok(err instanceof ValidationError);
+                assert.equal(err.details.field, field);
+                return true;
+            });
+        }
+    });
+});
@@ -0,0 +1,71 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CharacterStore } from '../services/characterStore.js';
+import { normalizeCharacter, toPublicCharacter } from '../services/characters.js';
+import { ValidationError } from '../services/errors.js';
+
+describe('CharacterStore', () => {
+    let tmpDir;
+    let store;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'duocast-characters-'));
+        store = new CharacterStore(tmpDir);
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('persists characters with their portrait', () => {
+        const alice = store.create({ name: 'Alice', description: 'Host', tags: ['host'] }, { buffer: Buffer.from('alice'), hash: 'a'.repeat(64) });
+        store.create({ name: 'Bob', description: 'Guest with a deep voice', tags: ['guest'] }, { buffer: Buffer.from('bob'), hash: 'b'.repeat(64) });
+
+        const reloaded = new CharacterStore(tmpDir);
+        assert.deepEqual(reloaded.list().map(character => character.name), ['Alice', 'Bob']);
+        assert.deepEqual(reloaded.list({ tag: 'HOST' }).map(character => character.name), ['Alice']);
+        assert.deepEqual(reloaded.list({ q: 'deep voice' }).map(character => character.name), ['Bob']);
+        assert.equal(reloaded.toDataUri(alice.id), `data:image/jpeg;base64,${Buffer.from('alice').toString('base64')}`);
+    });
+
+    it('replaces the portrait only when a new one is given, and removes it on delete', () => {
+        const alice = store.create({ name: 'Alice', description: '', tags: [] }, { buffer: Buffer.from('v1'), hash: 'a'.repeat(64) });
+
+        store.update(alice.id, { name: 'Alice B.', description: '', tags: [] });
+        assert.equal(fs.readFileSync(store.portraitPath(alice.id), 'utf-8'), 'v1');
+        store.update(alice.id, { name: 'Alice B.', description: '', tags: [] }, { buffer: Buffer.from('v2'), hash: 'c'.repeat(64) });
+        assert.equal(fs.readFileSync(store.portraitPath(alice.id), 'utf-8'), 'v2');
+        assert.match(toPublicCharacter(store.get(alice.id)).portraitUrl, /\?v=c{12}$/);
+
+        assert.equal(store.delete(alice.id), true);
+        assert.equal(fs.existsSync(store.portraitPath(alice.id)), false);
+        assert.equal(store.update(alice.id, { name: 'x' }), null);
+    });
+});
+
+describe('normalizeCharacter', () => {
+    it('accepts tags as a list, JSON or comma-separated text', () => {
+        assert.deepEqual(normalizeCharacter({ name: ' Alice ', tags: 'Host, podcast,host' }), { name: 'Alice', description: '', tags: ['host', 'podcast'] });
+        assert.deepEqual(normalizeCharacter({ name: 'Alice', tags: '["Host"]' }).tags, ['host']);
+        assert.deepEqual(normalizeCharacter({ name: 'Alice', tags: ['a', ' '] }).tags, ['a']);
+    });
+
+    it('points at the offending field', () => {
+        for (const [input, field] of [
+            [{}, 'name'],
+            [{ name: 'x'.repeat(41) }, 'name'],
+            [{ name: 'Alice', description: 'x'.repeat(501) }, 'description'],
+            [{ name: 'Alice', tags: '[broken' }, 'tags'],
+            [{ name: 'Alice', tags: Array.from({ length: 11 }, (_, i) => `t${i}`) }, 'tags'],
+        ]) {
+            assert.throws(() => normalizeCharacter(input), (err) => {
+                assert.ok(err instanceof ValidationError);
+                assert.equal(err.details.field, field);
+                return true;
+            });
+        }
+    });
+});
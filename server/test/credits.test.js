@@ -0,0 +1,84 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CreditsTracker } from '../services/credits.js';
+import { estimateCredits } from '../services/pricing.js';
+import { muteConsole } from './helpers.js';
+
+describe('CreditsTracker', () => {
+    let tmpDir;
+    let file;
+    let unmuteConsole;
+
+    before(() => {
+        unmuteConsole = muteConsole();
+    });
+
+    after(() => {
+        unmuteConsole();
+    });
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'duocast-credits-'));
+        file = path.join(tmpDir, 'ledger.jsonl');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('appends one ledger line per charge and sums them on load', () => {
+        const credits = new CreditsTracker(file, 1_000_000);
+        credits.record(30000, { kind: 'scene', model: 'nano-banana-pro-edit', jobId: 'job-1', historyId: 'run-1' });
+        credits.record(180000, { kind: 'video', model: 'veo-3.1-i2v', generationId: 'gen-1', jobId: 'job-2', historyId: 'run-1' });
+        assert.equal(credits.record(0), null, 'free calls are not recorded');
+
+        assert.equal(fs.readFileSync(file, 'utf-8').trim().split('\n').length, 2);
+        const reloaded = new CreditsTracker(file, 1_000_000);
+        assert.deepEqual(reloaded.toJSON(), { startingCredits: 1_000_000, creditsUsed: 210000, creditsRemaining: 790000 });
+        assert.deepEqual(reloaded.list().items.map(entry => entry.generationId), ['gen-1', null]);
+    });
+
+    it('carries the total of an old credits.json over as an opening entry', () => {
+        const legacyFile = path.join(tmpDir, 'credits.json');
+        fs.writeFileSync(legacyFile, JSON.stringify({ startingCredits: 1_000_000, creditsUsed: 390000 }));
+
+        const credits = new CreditsTracker(file, 1_000_000, { legacyFile });
+        assert.equal(credits.used, 390000);
+        assert.equal(credits.list().items[0].kind, 'opening');
+
+        credits.record(30000);
+        assert.equal(new CreditsTracker(file, 1_000_000, { legacyFile }).used, 420000, 'imported only once');
+    });
+
+    it('breaks usage down by day and by model', () => {
+        const credits = new CreditsTracker(file, 1_000_000);
+        credits.record(30000, { model: 'nano-banana-pro-edit', userId: 'user-1' });
+        credits.record(180000, { model: 'veo-3.1-i2v', userId: 'user-1' });
+        credits.record(180000, { model: 'veo-3.1-i2v', userId: 'user-2' });
+        credits.entries[0].at = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+
+        const usage = credits.usage({ days: 3 });
+        assert.deepEqual(usage.byDay.map(day => day.creditsUsed), [30000, 0, 360000]);
+        assert.deepEqual(usage.byModel, [
+            { model: 'veo-3.1-i2v', creditsUsed: 360000 },
+            { model: 'nano-banana-pro-edit', creditsUsed: 30000 },
+        ]);
+        assert.deepEqual(credits.usage({ days: 1, userId: 'user-2' }).byModel, [{ model: 'veo-3.1-i2v', creditsUsed: 180000 }]);
+    });
+});
+
+describe('estimateCredits', () => {
+    it('prices images per image and videos per second, by resolution', () => {
+        assert.deepEqual(estimateCredits({ kind: 'image', images: 3 }), { model: 'nano-banana-pro-edit', resolution: '2K', estimatedCredits: 90000 });
+        assert.equal(estimateCredits({ kind: 'image', resolution: '4K' }).estimatedCredits, 54000);
+        assert.deepEqual(estimateCredits({ kind: 'video', duration: 8 }), { model: 'veo-3.1-i2v', resolution: '1080p', estimatedCredits: 180000 });
+        assert.equal(estimateCredits({ kind: 'video', duration: 4, resolution: '4k' }).estimatedCredits, 135000);
+    });
+
+    it('rejects a resolution the model has no price for', () => {
+        assert.throws(() => estimateCredits({ kind: 'video', resolution: '8k' }), (err) => err.details.field === 'resolution');
+    });
+});
@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateDialogue, normalizeClipDuration, normalizeDialogue, estimateSpeakingSeconds, buildDialoguePrompt, planConversation } from '../services/dialogue.js';
+import { ValidationError } from '../services/errors.js';
+import { defaultCast } from '../services/cast.js';
+
+const SCRIPT = [
+    { speaker: 'A', line: '  Did you see the launch numbers?  ', emotion: 'excited', gesture: '' },
+    { speaker: 'B', line: 'Better than we hoped.', gesture: 'nods slowly' },
+];
+
+describe('dialogue', () => {
+    it('normalizes turns and drops empty notes', () => {
+        assert.deepEqual(normalizeDialogue(SCRIPT), [
+            { speaker: 'A', line: 'Did you see the launch numbers?', emotion: 'excited' },
+            { speaker: 'B', line: 'Better than we hoped.', gesture: 'nods slowly' },
+        ]);
+    });
+
+    it('points at the offending turn', () => {
+        for (const [dialogue, field] of [
+            [[], 'dialogue'],
+            ['hello', 'dialogue'],
+            [[{ speaker: 'C', line: 'Hi' }], 'dialogue[0].speaker'],
+            [[{ speaker: 'toString', line: 'Hi' }], 'dialogue[0].speaker'],
+            [[{ speaker: 'A', line: 'Hi' }, { speaker: 'B', line: '   ' }], 'dialogue[1].line'],
+            [[{ speaker: 'A', line: 'Hi', emotion: 'x'.repeat(101) }], 'dialogue[0].emotion'],
+        ]) {
+            assert.throws(() => normalizeDialogue(dialogue), (err) => {
+                assert.ok(err instanceof ValidationError);
+                assert.equal(err.details.field, field);
+                return true;
+            });
+        }
+    });
+
+    it('estimates speaking time from words and speaker changes', () => {
+        // 10 words at 2.5 words/s + one speaker change
+        assert.equal(estimateSpeakingSeconds(normalizeDialogue(SCRIPT)), 4.3);
+        assert.equal(estimateSpeakingSeconds([{ speaker: 'A', line: 'one two' }, { speaker: 'A', line: 'three' }]), 1.2);
+    });
+
+    it('rejects a script that does not fit the duration', () => {
+        const long = [{ speaker: 'A', line: Array(12).fill('word').join(' ') }];
+
+        assert.equal(validateDialogue(long, 6).length, 1);
+        assert.throws(() => validateDialogue(long, 4), (err) => {
+            assert.equal(err.code, 'VALIDATION_ERROR');
+            assert.deepEqual(err.details, { field: 'dialogue', estimatedSeconds: 4.8, duration: 4 });
+            return true;
+        });
+    });
+
+    it('only accepts the clip durations the model can generate', () => {
+        const script = [{ speaker: 'A', line: 'Hi' }];
+
+        for (const duration of ['abc', 5, NaN, undefined]) {
+            assert.throws(() => validateDialogue(script, duration), ValidationError);
+        }
+        assert.equal(normalizeClipDuration('6'), 6);
+        assert.throws(() => normalizeClipDuration('six'), (err) => err.details.field === 'duration');
+    });
+
+    it('builds a prompt with every line in order and its delivery notes', () => {
+        const prompt = buildDialoguePrompt(normalizeDialogue(SCRIPT), 'Slow push-in on both faces.');
+
+        assert.match(prompt, /Person A is on the left; Person B is on the right\./);
+        assert.match(prompt, /Slow push-in on both faces\./);
+        assert.match(prompt, /1\. Person A \(excited\) says: "Did you see the launch numbers\?"\n2\. Person B \(nods slowly\) says: "Better than we hoped\."/);
+        assert.doesNotMatch(buildDialoguePrompt([{ speaker: 'B', line: 'Hi' }]), /Person A/);
+    });
+
+    it('packs a long script into clips without splitting turns', () => {
+        // 8 words = 3.2s per turn; two turns plus a speaker change fit 8s, three do not
+        const turn = (speaker) => ({ speaker, line: Array(8).fill('word').join(' ') });
+        const plan = planConversation([turn('A'), turn('B'), turn('A'), turn('B'), turn('A')], 'Warm light.');
+
+        assert.deepEqual(plan.map(segment => segment.dialogue.length), [2, 2, 1]);
+        assert.deepEqual(plan.map(segment => segment.duration), [8, 8, 4]);
+        assert.equal(plan[0].estimatedSeconds, 6.7);
+        assert.doesNotMatch(plan[0].videoPrompt, /continues an ongoing conversation/);
+        assert.match(plan[1].videoPrompt, /continues an ongoing conversation.*Warm light\./);
+        assert.match(plan[2].videoPrompt, /1\. Person A says:/);
+    });
+
+    it('rejects a turn too long for a single clip', () => {
+        const script = [{ speaker: 'A', line: 'Hi' }, { speaker: 'B', line: Array(21).fill('word').join(' ') }];
+
+        assert.throws(() => planConversation(script), (err) => {
+            assert.equal(err.details.field, 'dialogue[1].line');
+            return true;
+        });
+    });
+
+    it('accepts one speaker per person of a larger cast', () => {
+        const cast = defaultCast(3);
+        cast[2].name = 'Zoe';
+        const turns = normalizeDialogue([{ speaker: 'C', line: 'My turn.' }], { cast });
+
+        assert.match(buildDialoguePrompt(turns, '', cast), /^Three people having a conversation in the scene\. Zoe is on the right\.\n/);
+        assert.throws(() => normalizeDialogue([{ speaker: 'C', line: 'My turn.' }]), /needs a speaker \(A or B\)/);
+        assert.throws(() => normalizeDialogue([{ speaker: 'D', line: 'Hi' }], { cast }), /needs a speaker \(A, B or C\)/);
+    });
+});
@@ -0,0 +1,113 @@
+import { transport } from '../services/http.js';
+import { faces } from '../services/portraits.js';
+
+const realTransport = { ...transport };
+const realFaces = { ...faces };
+
+/**
+ * Replace `transport.fetch` with a scripted fake. Each call consumes the next
+ * entry: an Error is thrown (network failure), anything else becomes a
+ * response — `{ status, json }` for JSON bodies or `{ status, text }` for raw ones.
+ * Once the script runs out, the last entry is repeated.
+ *
+ * @param {Array<object|Error>} script
+ * @returns {{ calls: Array<{ url: string, options: object }> }}
+ */
+export function installFakeFetch(script) {
+    const calls = [];
+    let index = 0;
+
+    transport.fetch = async (url, options = {}) => {
+        calls.push({ url, options });
+        const entry = script[Math.min(index++, script.length - 1)];
+        if (entry instanceof Error) throw entry;
+        return fakeResponse(entry);
+    };
+
+    return { calls };
+}
+
+function fakeResponse({ status = 200, json, text }) {
+    const body = text ?? JSON.stringify(json ?? {});
+    return {
+        status,
+        ok: status >= 200 && status < 300,
+        json: async () => JSON.parse(body),
+        text: async () => body,
+    };
+}
+
+/**
+ * Replace `transport.sleep` / `transport.now` with a fake clock: sleeping
+ * resolves immediately and advances `now` by the requested delay.
+ *
+ * @returns {{ sleeps: number[], elapsed: () => number }}
+ */
+export function installFakeClock() {
+    const sleeps = [];
+    let now = 0;
+
+    transport.now = () => now;
+    transport.sleep = async (ms) => {
+        sleeps.push(ms);
+        now += ms;
+    };
+
+    return { sleeps, elapsed: () => now };
+}
+
+export function restoreTransport() {
+    Object.assign(transport, realTransport);
+}
+
+/**
+ * Replace `faces.detect` with a fake that finds `count` faces in every image,
+ * side by side around the middle, so tests do not load the detection model.
+ *
+ * @param {object} [options]
+ * @param {number} [options.count=1]
+ * @returns {{ calls: Array<{ width: number, height: number }> }}
+ */
+export function installFakeFaceDetector({ count = 1 } = {}) {
+    const calls = [];
+    faces.detect = async (pixels, width, height) => {
+        calls.push({ width, height });
+        const size = Math.min(width / (count + 1), height / 3);
+        return Array.from({ length: count }, (_, i) => ({
+            x: (width * (i + 1)) / (count + 1) - size / 2,
+            y: height / 3 - size / 2,
+            width: size,
+            height: size,
+            score: 0.99,
+        }));
+    };
+    return { calls };
+}
+
+export function restoreFaceDetector() {
+    Object.assign(faces, realFaces);
+}
+
+/**
+ * Silence the services' console logging for the duration of a suite. Besides
+ * keeping the output readable, heavy stdout writes from a test file can corrupt
+ * the test runner's own protocol stream. Set TEST_VERBOSE=1 to keep the logs.
+ *
+ * @returns {function} Restores the original console methods
+ */
+export function muteConsole() {
+    const original = { log: console.log, warn: console.warn, error: console.error };
+    if (!process.env.TEST_VERBOSE) {
+        console.log = console.warn = console.error = () => { };
+    }
+    return () => Object.assign(console, original);
+}
+
+/**
+ * Collect progress events passed to a service's `onStatus` callback.
+ */
+export function recordEvents() {
+    const events = [];
+    const onStatus = (event) => events.push(event);
+    return { events, onStatus };
+}
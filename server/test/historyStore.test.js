@@ -0,0 +1,63 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { HistoryStore, hashPortrait } from '../services/historyStore.js';
+
+describe('HistoryStore', () => {
+    let tmpDir;
+    let file;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'duocast-history-'));
+        file = path.join(tmpDir, 'history.jsonl');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('appends one patch line per change and replays them on load', () => {
+        const history = new HistoryStore(file);
+        const run = history.create({ scenario: 'Office' });
+        history.update(run.id, { status: 'scene-ready', sceneImageUrl: 'https://cdn.example/scene.png' });
+        history.addCredits(run.id, 30000);
+        history.addCredits(run.id, 180000, { status: 'completed' });
+
+        const lines = fs.readFileSync(file, 'utf-8').trim().split('\n');
+        assert.equal(lines.length, 4);
+        assert.deepEqual(Object.keys(JSON.parse(lines[1])).sort(), ['id', 'sceneImageUrl', 'status', 'updatedAt']);
+
+        const reloaded = new HistoryStore(file).get(run.id);
+        assert.equal(reloaded.status, 'completed');
+        assert.equal(reloaded.sceneImageUrl, 'https://cdn.example/scene.png');
+        assert.equal(reloaded.creditsUsed, 210000);
+    });
+
+    it('compacts superseded and deleted lines on load', () => {
+        const history = new HistoryStore(file);
+        const kept = history.create({ scenario: 'Kept' });
+        history.update(kept.id, { status: 'completed' });
+        const removed = history.create({ scenario: 'Removed' });
+        assert.equal(history.delete(removed.id), true);
+        assert.equal(history.delete(removed.id), false);
+
+        const reloaded = new HistoryStore(file);
+        assert.deepEqual(reloaded.list().items.map(run => run.id), [kept.id]);
+        const lines = fs.readFileSync(file, 'utf-8').trim().split('\n');
+        assert.equal(lines.length, 1);
+        assert.equal(JSON.parse(lines[0]).status, 'completed');
+    });
+
+    it('ignores updates to unknown runs', () => {
+        const history = new HistoryStore(file);
+        assert.equal(history.update('missing', { status: 'failed' }), null);
+        assert.equal(history.update(undefined, { status: 'failed' }), null);
+        assert.equal(fs.existsSync(file), false);
+    });
+
+    it('hashes portraits with SHA-256', () => {
+        assert.equal(hashPortrait(Buffer.from('abc')), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    });
+});
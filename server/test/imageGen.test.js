@@ -0,0 +1,175 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateScene, buildScenePrompt } from '../services/imageGen.js';
+import { UpstreamClientError, UpstreamUnavailable } from '../services/errors.js';
+import { installFakeFetch, installFakeClock, restoreTransport, recordEvents, muteConsole } from './helpers.js';
+
+let unmuteConsole;
+before(() => {
+    unmuteConsole = muteConsole();
+});
+after(() => {
+    unmuteConsole();
+});
+
+const IMAGE_A = 'data:image/jpeg;base64,AAAA';
+const IMAGE_B = 'data:image/jpeg;base64,BBBB';
+const SUCCESS = {
+    status: 200,
+    json: { data: [{ url: 'https://cdn.example/scene.png' }], meta: { usage: { credits_used: 30000 } } },
+};
+const CLOUDFLARE_524 = { status: 524, text: '<!DOCTYPE html><html><title>524: A timeout occurred</title></html>' };
+
+describe('generateScene', () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = installFakeClock();
+    });
+
+    afterEach(() => {
+        restoreTransport();
+    });
+
+    it('returns the image URL, credits and model on success', async () => {
+        const { calls } = installFakeFetch([SUCCESS]);
+
+        const result = await generateScene([IMAGE_A, IMAGE_B], 'A coffee shop', 'key');
+
+        assert.deepEqual(result, {
+            imageUrl: 'https://cdn.example/scene.png',
+            imageUrls: ['https://cdn.example/scene.png'],
+            creditsUsed: 30000,
+            model: 'nano-banana-pro-edit',
+        });
+        assert.equal(calls.length, 1);
+        assert.match(calls[0].url, /\/v1\/images\/generations$/);
+        assert.equal(calls[0].options.headers.Authorization, 'Bearer key');
+        const body = JSON.parse(calls[0].options.body);
+        assert.deepEqual(body.image_urls, [IMAGE_A, IMAGE_B]);
+        assert.equal(body.num_images, 1);
+        assert.match(body.prompt, /A coffee shop/);
+        assert.deepEqual(clock.sleeps, []);
+    });
+
+    it('retries 5xx responses with backoff and reports each retry', async () => {
+        const { calls } = installFakeFetch([{ status: 502, text: 'Bad gateway' }, { status: 503, text: 'Unavailable' }, SUCCESS]);
+        const { events, onStatus } = recordEvents();
+
+        const result = await generateScene([IMAGE_A, IMAGE_B], 'Office', 'key', onStatus);
+
+        assert.equal(result.imageUrl, 'https://cdn.example/scene.png');
+        assert.equal(calls.length, 3);
+        assert.deepEqual(clock.sleeps, [5000, 15000]);
+        const retries = events.filter(event => event.type === 'retry');
+        assert.deepEqual(retries.map(event => [event.attempt, event.maxRetries, event.delayMs]), [[1, 3, 5000], [2, 3, 15000]]);
+        assert.match(retries[0].reason, /\(502\)/);
+    });
+
+    it('treats a Cloudflare 524 HTML page as retryable', async () => {
+        const { calls } = installFakeFetch([CLOUDFLARE_524, SUCCESS]);
+
+        const result = await generateScene([IMAGE_A, IMAGE_B], 'Park', 'key');
+
+        assert.equal(result.imageUrl, 'https://cdn.example/scene.png');
+        assert.equal(calls.length, 2);
+    });
+
+    it('retries network errors', async () => {
+        const { calls } = installFakeFetch([new Error('request failed, reason: ECONNRESET'), SUCCESS]);
+
+        await generateScene([IMAGE_A, IMAGE_B], 'Park', 'key');
+
+        assert.equal(calls.length, 2);
+    });
+
+    it('does not retry 4xx responses', async () => {
+        const { calls } = installFakeFetch([{ status: 400, text: '{"message":"prompt rejected"}' }, SUCCESS]);
+
+        await assert.rejects(generateScene([IMAGE_A, IMAGE_B], 'Park', 'key'), (err) => {
+            assert.ok(err instanceof UpstreamClientError);
+            assert.match(err.message, /API error \(400\): .*prompt rejected/);
+            assert.equal(err.details.upstreamStatus, 400);
+            return true;
+        });
+        assert.equal(calls.length, 1);
+        assert.deepEqual(clock.sleeps, []);
+    });
+
+    it('gives up after the maximum number of retries', async () => {
+        const { calls } = installFakeFetch([CLOUDFLARE_524]);
+
+        await assert.rejects(generateScene([IMAGE_A, IMAGE_B], 'Park', 'key'), (err) => {
+            assert.ok(err instanceof UpstreamUnavailable);
+            assert.equal(err.retryable, true);
+            assert.equal(err.details.upstreamStatus, 524);
+            return true;
+        });
+        assert.equal(calls.length, 4);
+        assert.deepEqual(clock.sleeps, [5000, 15000, 30000]);
+    });
+
+    it('reports a network failure as UpstreamUnavailable once retries run out', async () => {
+        installFakeFetch([new Error('getaddrinfo ENOTFOUND api.aimlapi.com')]);
+
+        await assert.rejects(generateScene([IMAGE_A, IMAGE_B], 'Park', 'key'), UpstreamUnavailable);
+    });
+
+    it('accepts the alternative response shapes', async () => {
+        for (const [json, expected] of [
+            [{ images: [{ url: 'https://cdn.example/a.png' }] }, 'https://cdn.example/a.png'],
+            [{ url: 'https://cdn.example/b.png' }, 'https://cdn.example/b.png'],
+            [{ data: [{ b64_json: 'iVBORw0KGgo' }] }, 'data:image/png;base64,iVBORw0KGgo'],
+            [{ data: [{ b64_json: '/9j/4AAQ' }] }, 'data:image/jpeg;base64,/9j/4AAQ'],
+        ]) {
+            installFakeFetch([{ status: 200, json }]);
+            const result = await generateScene([IMAGE_A, IMAGE_B], 'Park', 'key');
+            assert.equal(result.imageUrl, expected);
+            assert.equal(result.creditsUsed, 0);
+        }
+    });
+
+    it('requests several candidates and returns them all', async () => {
+        const { calls } = installFakeFetch([{
+            status: 200,
+            json: { data: [{ url: 'https://cdn.example/1.png' }, { url: 'https://cdn.example/2.png' }, { url: 'https://cdn.example/3.png' }] },
+        }]);
+
+        const result = await generateScene([IMAGE_A, IMAGE_B], 'Park', 'key', undefined, undefined, 3);
+
+        assert.equal(JSON.parse(calls[0].options.body).num_images, 3);
+        assert.deepEqual(result.imageUrls, ['https://cdn.example/1.png', 'https://cdn.example/2.png', 'https://cdn.example/3.png']);
+        assert.equal(result.imageUrl, 'https://cdn.example/1.png');
+    });
+
+    it('fails when no response contains an image URL', async () => {
+        installFakeFetch([{ status: 200, json: { data: [] } }]);
+
+        await assert.rejects(generateScene([IMAGE_A, IMAGE_B], 'Park', 'key'), /No image URL found/);
+    });
+});
+
+describe('buildScenePrompt', () => {
+    it('places every reference person where the cast says', () => {
+        const prompt = buildScenePrompt('A panel on stage', [
+            { name: 'Maya', position: 'left', depth: 'foreground' },
+            { name: 'Host', position: 'center', depth: 'background' },
+            { name: 'Ben', position: 'right', depth: 'foreground' },
+        ]);
+
+        assert.match(prompt, /Three people are in the scene:/);
+        assert.match(prompt, /- Maya, the person from reference image 1: on the left, naturally positioned\./);
+        assert.match(prompt, /- Host, the person from reference image 2: in the center, in the background, naturally positioned\./);
+        assert.match(prompt, /natural group conversation/);
+    });
+
+    it('describes library characters', () => {
+        const prompt = buildScenePrompt('A podcast studio', [
+            { name: 'Alice', position: 'left', depth: 'foreground', description: 'Navy blazer, silver earrings' },
+            { name: 'Bob', position: 'right', depth: 'foreground' },
+        ]);
+
+        assert.match(prompt, /About the people:\n- Alice: Navy blazer, silver earrings\n/);
+        assert.doesNotMatch(prompt, /- Bob:/);
+    });
+});
@@ -0,0 +1,50 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { JobStore } from '../services/jobStore.js';
+
+describe('JobStore', () => {
+    let tmpDir;
+    let filePath;
+    let store;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'duocast-jobs-'));
+        filePath = path.join(tmpDir, 'jobs.json');
+        store = new JobStore(filePath);
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('writes status changes at once and batches progress events', async () => {
+        const job = store.create('video', { videoPrompt: 'Talk' });
+        store.update(job.id, { status: 'generating', generationId: 'gen-1' });
+        for (let i = 0; i < 20; i++) store.publish(job.id, { type: 'poll-error', count: i });
+
+        assert.equal(new JobStore(filePath).get(job.id).generationId, 'gen-1');
+        assert.equal(new JobStore(filePath).get(job.id).events.length, 0, 'events are not written one by one');
+
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.equal(new JobStore(filePath).get(job.id).events.length, 20);
+    });
+
+    it('drops old finished jobs but keeps unfinished ones', () => {
+        const old = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+        const finished = store.create('video', {});
+        const stale = store.create('video', {});
+        const unfinished = store.create('video', {});
+        store.update(finished.id, { status: 'completed' });
+        Object.assign(store.get(stale.id), { status: 'failed', updatedAt: old });
+        Object.assign(store.get(unfinished.id), { status: 'generating', updatedAt: old });
+        store.save();
+
+        const reloaded = new JobStore(filePath);
+        assert.ok(reloaded.get(finished.id));
+        assert.equal(reloaded.get(stale.id), null);
+        assert.ok(reloaded.get(unfinished.id));
+    });
+});
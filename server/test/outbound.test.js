@@ -0,0 +1,64 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { isPrivateAddress, assertPublicUrl, fetchPublicUrl } from '../services/outbound.js';
+import { ValidationError } from '../services/errors.js';
+import { transport } from '../services/http.js';
+import { restoreTransport } from './helpers.js';
+
+/**
+ * Resolve host names from a fixed table, and answer fetches with redirects
+ * (`{ location }`) or plain responses, recording the URLs requested.
+ */
+function installNetwork(hosts, responses) {
+    const requested = [];
+    transport.lookup = async (hostname) => {
+        if (!hosts[hostname]) throw new Error(`getaddrinfo ENOTFOUND ${hostname}`);
+        return hosts[hostname].map(address => ({ address }));
+    };
+    transport.fetch = async (url, options) => {
+        requested.push({ url, options });
+        const { status = 200, location } = responses[url] || {};
+        return { status, ok: status >= 200 && status < 300, headers: new Map(location ? [['location', location]] : []) };
+    };
+    return { requested };
+}
+
+describe('outbound URLs', () => {
+    afterEach(() => {
+        restoreTransport();
+    });
+
+    it('tells private and loopback addresses from public ones', () => {
+        for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', 'not-an-ip']) {
+            assert.equal(isPrivateAddress(address), true, address);
+        }
+        for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700::1111', '::ffff:8.8.8.8']) {
+            assert.equal(isPrivateAddress(address), false, address);
+        }
+    });
+
+    it('refuses URLs that resolve to a private address unless the host is allowed', async () => {
+        installNetwork({ 'cdn.example': ['93.184.216.34'], 'sneaky.example': ['93.184.216.34', '10.0.0.5'], localhost: ['127.0.0.1'] }, {});
+
+        assert.equal((await assertPublicUrl('https://cdn.example/a.jpg')).hostname, 'cdn.example');
+        for (const url of ['http://sneaky.example/', 'http://localhost:5000/api/credits', 'http://[::1]/', 'http://127.0.0.1/', 'ftp://cdn.example/a.jpg', 'http://missing.example/']) {
+            await assert.rejects(assertPublicUrl(url), ValidationError, url);
+        }
+        await assertPublicUrl('http://localhost:5000/a.jpg', { allowedHosts: ['localhost'] });
+    });
+
+    it('checks every redirect before following it', async () => {
+        const { requested } = installNetwork({ 'cdn.example': ['93.184.216.34'], 'images.example': ['93.184.216.35'] }, {
+            'https://cdn.example/a.jpg': { status: 302, location: 'https://images.example/a.jpg' },
+            'https://cdn.example/b.jpg': { status: 301, location: 'http://169.254.169.254/latest/meta-data' },
+        });
+
+        const response = await fetchPublicUrl('https://cdn.example/a.jpg');
+        assert.equal(response.status, 200);
+        assert.deepEqual(requested.map(({ url }) => url), ['https://cdn.example/a.jpg', 'https://images.example/a.jpg']);
+        assert.equal(requested[0].options.redirect, 'manual');
+
+        await assert.rejects(fetchPublicUrl('https://cdn.example/b.jpg'), /private or local address/);
+        assert.equal(requested.length, 3, 'the private address is never requested');
+    });
+});
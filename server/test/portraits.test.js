@@ -0,0 +1,95 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { preprocessPortrait, headAndShoulders, PORTRAIT_WIDTH, PORTRAIT_HEIGHT } from '../services/portraits.js';
+import { ValidationError } from '../services/errors.js';
+import { installFakeFaceDetector, restoreFaceDetector } from './helpers.js';
+
+// A plain photo-sized JPEG that claims to be rotated (EXIF orientation 6) and carries metadata
+function rotatedPhoto(width = 1600, height = 1200) {
+    return sharp({ create: { width, height, channels: 3, background: '#a08070' } })
+        .jpeg()
+        .withMetadata({ orientation: 6, exif: { IFD0: { Artist: 'Alice' } } })
+        .toBuffer();
+}
+
+describe('headAndShoulders', () => {
+    it('frames the face with headroom at 4:5', () => {
+        const crop = headAndShoulders({ x: 400, y: 300, width: 200, height: 200 }, 1000, 1400);
+        assert.deepEqual(crop, { left: 260, top: 180, width: 480, height: 600 });
+    });
+
+    it('stays inside the image when the face is near an edge', () => {
+        const crop = headAndShoulders({ x: 0, y: 10, width: 300, height: 300 }, 800, 600);
+        assert.equal(crop.left, 0);
+        assert.equal(crop.top, 0);
+        assert.ok(crop.width <= 800 && crop.height <= 600);
+        assert.equal(Math.round((crop.width / crop.height) * 100), 80);
+    });
+});
+
+describe('preprocessPortrait', () => {
+    let detector;
+
+    beforeEach(() => {
+        detector = installFakeFaceDetector();
+    });
+
+    afterEach(() => {
+        restoreFaceDetector();
+    });
+
+    it('applies the EXIF orientation, crops and strips metadata', async () => {
+        const portrait = await preprocessPortrait(await rotatedPhoto());
+
+        // Rotated upright, the 1600x1200 photo is 1200 wide; detection runs on a 640px copy
+        assert.deepEqual(detector.calls, [{ width: 480, height: 640 }]);
+        assert.equal(portrait.contentType, 'image/jpeg');
+        assert.equal(portrait.width, PORTRAIT_WIDTH);
+        assert.equal(portrait.height, PORTRAIT_HEIGHT);
+
+        const metadata = await sharp(portrait.buffer).metadata();
+        assert.equal(metadata.format, 'jpeg');
+        assert.equal(metadata.width, PORTRAIT_WIDTH);
+        assert.equal(metadata.exif, undefined);
+        assert.equal(metadata.orientation, undefined);
+    });
+
+    it('does not enlarge small portraits', async () => {
+        const small = await sharp({ create: { width: 300, height: 300, channels: 4, background: '#ffffff80' } }).png().toBuffer();
+        const portrait = await preprocessPortrait(small);
+
+        assert.ok(portrait.width <= 300);
+        assert.equal(portrait.width / portrait.height, 0.8);
+    });
+
+    it('rejects a photo without a face', async () => {
+        installFakeFaceDetector({ count: 0 });
+
+        await assert.rejects(preprocessPortrait(await rotatedPhoto(), { index: 1 }), (err) => {
+            assert.ok(err instanceof ValidationError);
+            assert.deepEqual(err.details, { index: 1, reason: 'NO_FACE' });
+            return true;
+        });
+    });
+
+    it('rejects a photo of several people', async () => {
+        installFakeFaceDetector({ count: 3 });
+
+        await assert.rejects(preprocessPortrait(await rotatedPhoto()), (err) => {
+            assert.equal(err.details.reason, 'MULTIPLE_FACES');
+            assert.equal(err.details.faces, 3);
+            assert.match(err.message, /Found 3 faces/);
+            return true;
+        });
+    });
+
+    it('rejects a file that is not an image', async () => {
+        await assert.rejects(preprocessPortrait(Buffer.from('not an image')), (err) => {
+            assert.ok(err instanceof ValidationError);
+            assert.equal(err.details.reason, 'UNREADABLE_IMAGE');
+            return true;
+        });
+        assert.equal(detector.calls.length, 0);
+    });
+});
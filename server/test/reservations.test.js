@@ -0,0 +1,24 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CreditReservations } from '../services/reservations.js';
+
+describe('CreditReservations', () => {
+    it('holds credits per user and team until charged or released', () => {
+        const reservations = new CreditReservations();
+        const first = reservations.hold(180000, { userId: 'user-1', teamId: 'team-1' });
+        const second = reservations.hold(90000, { userId: 'user-2', teamId: 'team-1' });
+        reservations.hold(null, { userId: 'user-1' });
+
+        assert.equal(reservations.total(), 270000);
+        assert.equal(reservations.total({ userId: 'user-1' }), 180000);
+        assert.equal(reservations.total({ teamId: 'team-1' }), 270000);
+
+        reservations.charge(first, 100000);
+        assert.equal(reservations.total({ userId: 'user-1' }), 80000);
+        reservations.charge(first, 100000);
+        assert.equal(reservations.total({ userId: 'user-1' }), 0, 'a hold never goes negative');
+
+        reservations.release(second);
+        assert.equal(reservations.total({ teamId: 'team-1' }), 0);
+    });
+});
@@ -0,0 +1,1783 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { fileURLToPath } from 'url';
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { createMockAimlServer } from '../mock/aimlMock.js';
+import { media } from '../services/media.js';
+import { transport } from '../services/http.js';
+import { verifyWebhook } from '../services/webhooks.js';
+import { installFakeClock, restoreTransport, installFakeFaceDetector, restoreFaceDetector, muteConsole } from './helpers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PORTRAIT_A = path.resolve(__dirname, '..', '..', 'portraits', 'alice.jpg');
+const PORTRAIT_B = path.resolve(__dirname, '..', '..', 'portraits', 'bob.jpg');
+
+// Collect a response body as a Buffer whatever its content type
+function binaryParser(res, callback) {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+/**
+ * Wait (in real time) until a job reaches a terminal state.
+ */
+async function waitForJob(jobs, jobId) {
+    for (let i = 0; i < 200; i++) {
+        const job = jobs.get(jobId);
+        if (job.status === 'completed' || job.status === 'failed') return job;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Job ${jobId} did not finish`);
+}
+
+describe('API routes', () => {
+    let mockApi;
+    let mockServer;
+    let tmpDir;
+    let server;
+    let unmuteConsole;
+
+    before(async () => {
+        unmuteConsole = muteConsole();
+        mockApi = createMockAimlServer();
+        mockServer = mockApi.listen(0);
+        await new Promise(resolve => mockServer.once('listening', resolve));
+        process.env.AIML_API_BASE = `http://127.0.0.1:${mockServer.address().port}`;
+    });
+
+    after(() => {
+        mockServer.close();
+        delete process.env.AIML_API_BASE;
+        unmuteConsole();
+    });
+
+    beforeEach(() => {
+        // Retry and poll delays resolve instantly; the mock API runs for real
+        installFakeClock();
+        installFakeFaceDetector();
+        mockApi.mock.reset();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'duocast-test-'));
+        server = createApp({
+            apiKey: 'test-key',
+            ledgerFile: path.join(tmpDir, 'ledger.jsonl'),
+            creditsFile: path.join(tmpDir, 'credits.json'),
+            jobsFile: path.join(tmpDir, 'jobs.json'),
+            historyFile: path.join(tmpDir, 'history.jsonl'),
+            assetsDir: path.join(tmpDir, 'assets'),
+            templatesFile: path.join(tmpDir, 'templates.json'),
+            batchesFile: path.join(tmpDir, 'batches.json'),
+            charactersDir: path.join(tmpDir, 'characters'),
+            webhooksFile: path.join(tmpDir, 'webhooks.json'),
+            startingCredits: 1_000_000,
+            // The webhook tests' receiver listens locally
+            allowedWebhookHosts: ['127.0.0.1'],
+        });
+    });
+
+    afterEach(() => {
+        restoreTransport();
+        restoreFaceDetector();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    describe('POST /api/generate-scene', () => {
+        it('rejects a request without both portraits', async () => {
+            const res = await request(server.app)
+                .post('/api/generate-scene')
+                .attach('portraitA', PORTRAIT_A)
+                .field('scenario', 'Office');
+
+            assert.equal(res.status, 400);
+            assert.deepEqual(res.body, {
+                code: 'VALIDATION_ERROR',
+                message: 'Both portrait images are required',
+                retryable: false,
+                details: { fields: ['portraitA', 'portraitB'] },
+            });
+        });
+
+        it('rejects a request without a scenario', async () => {
+            const res = await request(server.app)
+                .post('/api/generate-scene')
+                .attach('portraitA', PORTRAIT_A)
+                .attach('portraitB', PORTRAIT_B);
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, 'VALIDATION_ERROR');
+            assert.equal(res.body.message, 'Scenario text is required');
+        });
+
+        it('rejects non-image uploads', async () => {
+            const res = await request(server.app)
+                .post('/api/generate-scene')
+                .attach('portraitA', Buffer.from('not an image'), { filename: 'notes.txt', contentType: 'text/plain' })
+                .attach('portraitB', PORTRAIT_B)
+                .field('scenario', 'Office');
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, 'VALIDATION_ERROR');
+            assert.equal(res.body.message, 'Only image files are allowed');
+            assert.deepEqual(res.body.details, { field: 'portraitA' });
+        });
+
+        it('rejects an unknown image model', async () => {
+            const res = await request(server.app)
+                .post('/api/generate-scene')
+                .attach('portraitA', PORTRAIT_A)
+                .attach('portraitB', PORTRAIT_B)
+                .field('scenario', 'Office')
+                .field('imageModel', 'no-such-model');
+
+            assert.equal(res.status, 400);
+            assert.match(res.body.message, /Unknown image model/);
+        });
+
+        it('queues a scene job and records its credits', async () => {
+            const res = await request(server.app)
+                .post('/api/generate-scene')
+                .attach('portraitA', PORTRAIT_A)
+                .attach('portraitB', PORTRAIT_B)
+                .field('scenario', 'Office');
+
+            assert.equal(res.status, 202);
+            assert.equal(res.body.success, true);
+            assert.equal(res.body.estimatedCredits, 30000);
+            assert.deepEqual(res.body.warnings, []);
+
+            const job = await waitForJob(server.jobs, res.body.jobId);
+            assert.equal(job.status, 'completed');
+            assert.match(job.result.imageUrl, /^\/api\/assets\/[0-9a-f]{64}$/, 'scene is served from the local archive');
+            assert.deepEqual(Object.keys(job.input).sort(), ['candidates', 'cast', 'historyId', 'imageModel', 'scenario'], 'portraits are not persisted');
+
+            const credits = await request(server.app).get('/api/credits');
+            assert.equal(credits.body.creditsUsed, 30000);
+            assert.equal(credits.body.creditsRemaining, 970000);
+            assert.equal(credits.body.usage.byDay.length, 14);
+            assert.equal(credits.body.usage.byDay.at(-1).creditsUsed, 30000);
+            assert.deepEqual(credits.body.usage.byModel, [{ model: 'nano-banana-pro-edit', creditsUsed: 30000 }]);
+
+            const lines = fs.readFileSync(path.join(tmpDir, 'ledger.jsonl'), 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+            assert.equal(lines.length, 1);
+            assert.deepEqual(
+                { kind: lines[0].kind, model: lines[0].model, creditsUsed: lines[0].creditsUsed, jobId: lines[0].jobId, historyId: lines[0].historyId },
+                { kind: 'scene', model: 'nano-banana-pro-edit', creditsUsed: 30000, jobId: job.id, historyId: res.body.historyId }
+            );
+        });
+
+        it('composes a scene of up to four named people and scripts them by speaker', async () => {
+            const people = [
+                { name: 'Maya', position: 'left' },
+                { name: 'Host', position: 'center', depth: 'background' },
+                { name: 'Ben', position: 'right' },
+            ];
+            const res = await request(server.app)
+                .post('/api/generate-scene')
+                .attach('portraits', PORTRAIT_A)
+                .attach('portraits', PORTRAIT_B)
+                .attach('portraits', PORTRAIT_A)
+                .field('people', JSON.stringify(people))
+                .field('scenario', 'A panel on stage');
+
+            assert.equal(res.status, 202);
+            const job = await waitForJob(server.jobs, res.body.jobId);
+            assert.equal(job.status, 'completed');
+            assert.deepEqual(job.input.cast.map(person => person.depth), ['foreground', 'background', 'foreground']);
+            const run = server.history.get(res.body.historyId);
+            assert.equal(run.portraitHashes.length, 3);
+            assert.equal(run.cast[1].name, 'Host');
+
+            const video = await request(server.app)
+                .post('/api/generate-video')
+                .send({
+                    sceneImageUrl: run.sceneImageUrl,
+                    historyId: run.id,
+                    dialogue: [{ speaker: 'B', line: 'Welcome, both of you.' }, { speaker: 'C', line: 'Thanks for having us.' }],
+                });
+            assert.equal(video.status, 202);
+            const videoJob = server.jobs.get(video.body.jobId);
+            assert.match(videoJob.input.videoPrompt, /^Three people having a conversation in the scene\. Host is in the center, in the background; Ben is on the right\./);
+            assert.match(videoJob.input.videoPrompt, /2\. Ben says: "Thanks for having us\."/);
+            await waitForJob(server.jobs, video.body.jobId);
+        });
+
+        it('rejects a people list that does not match the portraits', async () => {
+            const res = await request(server.app)
+                .post('/api/generate-scene')
+                .attach('portraits', PORTRAIT_A)
+                .attach('portraits', PORTRAIT_B)
+                .field('people', JSON.stringify([{ name: 'Maya' }, { name: 'Ben' }, { name: 'Zoe' }]))
+                .field('scenario', 'Office');
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.details.field, 'people');
+        });
+
+        it('rejects more than four portraits', async () => {
+            let req = request(server.app).post('/api/generate-scene').field('scenario', 'Office');
+            for (let i = 0; i < 5; i++) req = req.attach('portraits', PORTRAIT_A);
+            const res = await req;
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.details.field, 'portraits');
+        });
+
+        it('generates several candidates for approval', async () => {
+            mockApi.mock.state.settings.imageResponseFormat = 'b64_json';
+
+            const res = await request(server.app)
+                .post('/api/generate-scene')
+                .attach('portraitA', PORTRAIT_A)
+                .attach('portraitB', PORTRAIT_B)
+                .field('scenario', 'Office')
+                .field('candidates', '3');
+
+            assert.equal(res.status, 202);
+            await waitForJob(server.jobs, res.body.jobId);
+            const job = (await request(server.app).get(`/api/jobs/${res.body.jobId}`)).body;
+            assert.equal(job.imageUrls.length, 3);
+            assert.ok(job.imageUrls.every(url => /^\/api\/assets\/[0-9a-f]{64}$/.test(url)), 'b64_json candidates are archived');
+            assert.equal(job.imageUrl, job.imageUrls[0]);
+            assert.equal(server.credits.used, 90000);
+
+            const run = server.history.get(res.body.historyId);
+            assert.deepEqual(run.sceneCandidates, job.imageUrls);
+        });
+
+        it('rejects an out-of-range candidate count', async () => {
+            const res = await request(server.app)
+                .post('/api/generate-scene')
+                .attach('portraitA', PORTRAIT_A)
+                .attach('portraitB', PORTRAIT_B)
+                .field('scenario', 'Office')
+                .field('candidates', '5');
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.details.field, 'candidates');
+        });
+
+        it('sends portraits upstream as normalized head-and-shoulders crops', async () => {
+            const sent = [];
+            const realFetch = transport.fetch;
+            transport.fetch = (url, options) => {
+                if (url.includes('/images/')) sent.push(JSON.parse(options.body));
+                return realFetch(url, options);
+            };
+
+            const res = await request(server.app)
+                .post('/api/generate-scene')
+                .attach('portraitA', PORTRAIT_A)
+                .attach('portraitB', PORTRAIT_B)
+                .field('scenario', 'Office');
+
+            assert.equal(res.status, 202);
+            await waitForJob(server.jobs, res.body.jobId);
+            assert.equal(sent.length, 1);
+            assert.equal(sent[0].image_urls.length, 2);
+            assert.ok(sent[0].image_urls.every(uri => uri.startsWith('data:image/jpeg;base64,')));
+            const original = fs.readFileSync(PORTRAIT_A).toString('base64');
+            assert.notEqual(sent[0].image_urls[0], `data:image/jpeg;base64,${original}`, 'the upload is not sent as is');
+        });
+
+        it('rejects a portrait with several faces before queueing anything', async () => {
+            installFakeFaceDetector({ count: 2 });
+
+            const res = await request(server.app)
+                .post('/api/generate-scene')
+                .attach('portraitA', PORTRAIT_A)
+                .attach('portraitB', PORTRAIT_B)
+                .field('scenario', 'Office');
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, 'VALIDATION_ERROR');
+            assert.deepEqual(res.body.details, { field: 'portraits', index: 0, reason: 'MULTIPLE_FACES', faces: 2 });
+            assert.equal(server.jobs.list().length, 0);
+            assert.equal(server.history.list().total, 0);
+        });
+
+        it('marks the job failed on an upstream 4xx without charging credits', async () => {
+            mockApi.mock.injectFaults('image', ['400']);
+
+            const res = await request(server.app)
+                .post('/api/generate-scene')
+                .attach('portraitA', PORTRAIT_A)
+                .attach('portraitB', PORTRAIT_B)
+                .field('scenario', 'Office');
+
+            const job = await waitForJob(server.jobs, res.body.jobId);
+            assert.equal(job.status, 'failed');
+            assert.equal(job.error.code, 'UPSTREAM_CLIENT_ERROR');
+            assert.equal(job.error.retryable, false);
+            assert.equal(job.error.details.upstreamStatus, 400);
+            assert.equal(server.credits.used, 0);
+        });
+    });
+
+    describe('POST /api/portraits/check', () => {
+        it('returns the normalized portrait as a preview', async () => {
+            const res = await request(server.app)
+                .post('/api/portraits/check')
+                .attach('portrait', PORTRAIT_A);
+
+            assert.equal(res.status, 200);
+            assert.match(res.body.preview, /^data:image\/jpeg;base64,/);
+            assert.equal(res.body.width / res.body.height, 0.8);
+            assert.equal(res.body.face.score, 0.99);
+        });
+
+        it('explains why a portrait is rejected', async () => {
+            installFakeFaceDetector({ count: 0 });
+
+            const res = await request(server.app)
+                .post('/api/portraits/check')
+                .attach('portrait', PORTRAIT_A);
+
+            assert.equal(res.status, 400);
+            assert.deepEqual(res.body.details, { field: 'portrait', reason: 'NO_FACE' });
+        });
+    });
+
+    describe('POST /api/upload-scene', () => {
+        it('requires a scene image', async () => {
+            const res = await request(server.app).post('/api/upload-scene').field('scenario', 'Office');
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.details.field, 'scene');
+        });
+
+        it('archives the scene and opens a run without generating one', async () => {
+            const res = await request(server.app)
+                .post('/api/upload-scene')
+                .attach('scene', PORTRAIT_A)
+                .field('scenario', 'Office');
+
+            assert.equal(res.status, 201);
+            assert.match(res.body.sceneImageUrl, /^\/api\/assets\/[0-9a-f]{64}$/);
+            assert.equal(mockApi.mock.state.requests.length, 0, 'NanoBanana is skipped');
+            assert.equal(server.credits.used, 0);
+
+            const image = await request(server.app).get(res.body.sceneImageUrl);
+            assert.equal(image.headers['content-type'], 'image/jpeg');
+            assert.equal(image.headers['x-content-type-options'], 'nosniff');
+            assert.match(image.headers['content-disposition'], /^inline;/);
+
+            const run = server.history.get(res.body.historyId);
+            assert.equal(run.status, 'scene-ready');
+            assert.equal(run.scenario, 'Office');
+            assert.equal(run.sceneImageUrl, res.body.sceneImageUrl);
+        });
+
+        it('rejects SVG and HTML files whatever type they claim', async () => {
+            const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(document.cookie)</script></svg>');
+            const html = Buffer.from('<!DOCTYPE html><script>alert(document.cookie)</script>');
+
+            for (const [buffer, contentType, filename] of [[svg, 'image/svg+xml', 'scene.svg'], [html, 'image/png', 'scene.png']]) {
+                const res = await request(server.app)
+                    .post('/api/upload-scene')
+                    .attach('scene', buffer, { filename, contentType });
+                assert.equal(res.status, 415, filename);
+                assert.equal(res.body.code, 'UNSUPPORTED_MEDIA_TYPE');
+            }
+            assert.equal(server.history.list().total, 0);
+        });
+
+        it('serves assets of other types as attachments', async () => {
+            const asset = server.assets.store(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'), 'image/svg+xml', { kind: 'scene' });
+
+            const res = await request(server.app).get(`/api/assets/${asset.id}`);
+            assert.match(res.headers['content-disposition'], /^attachment;/);
+            assert.equal(res.headers['x-content-type-options'], 'nosniff');
+        });
+    });
+
+    describe('POST /api/generate-video', () => {
+        it('requires a scene image URL', async () => {
+            const res = await request(server.app).post('/api/generate-video').send({ videoPrompt: 'Talk' });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.message, 'Scene image URL is required');
+        });
+
+        it('requires a video prompt', async () => {
+            const res = await request(server.app).post('/api/generate-video').send({ sceneImageUrl: 'https://cdn.example/scene.png' });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.message, 'Video prompt or dialogue is required');
+        });
+
+        it('rejects durations the video model cannot generate', async () => {
+            for (const duration of ['abc', 5, '', 8.5]) {
+                const res = await request(server.app)
+                    .post('/api/generate-video')
+                    .send({ sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk', duration });
+
+                assert.equal(res.status, 400, `duration ${JSON.stringify(duration)}`);
+                assert.equal(res.body.details.field, 'duration');
+            }
+            assert.equal(server.jobs.list().length, 0);
+
+            const res = await request(server.app)
+                .post('/api/generate-video')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk', duration: '4' });
+            assert.equal(res.status, 202);
+            assert.equal(res.body.estimatedCredits, 90000);
+            assert.equal((await waitForJob(server.jobs, res.body.jobId)).input.duration, 4);
+        });
+
+        it('builds the prompt from a scripted dialogue and stores the script', async () => {
+            const dialogue = [
+                { speaker: 'A', line: 'Ready for the demo?', emotion: 'nervous' },
+                { speaker: 'B', line: 'Absolutely.', gesture: 'thumbs up' },
+            ];
+
+            const res = await request(server.app)
+                .post('/api/generate-video')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', dialogue, videoPrompt: 'Handheld camera.', duration: 4 });
+
+            assert.equal(res.status, 202);
+            const job = await waitForJob(server.jobs, res.body.jobId);
+            assert.equal(job.status, 'completed');
+            assert.match(job.input.videoPrompt, /Handheld camera\.\n/);
+            assert.match(job.input.videoPrompt, /1\. Person A \(nervous\) says: "Ready for the demo\?"/);
+            assert.equal(mockApi.mock.state.generations.values().next().value.prompt, job.input.videoPrompt);
+
+            const run = server.history.get(res.body.historyId);
+            assert.deepEqual(run.dialogue, dialogue);
+            assert.equal(run.videoDirection, 'Handheld camera.');
+
+            const rerun = await request(server.app).post(`/api/history/${run.id}/rerun`);
+            await waitForJob(server.jobs, rerun.body.jobId);
+            assert.deepEqual(server.history.get(rerun.body.historyId).dialogue, dialogue);
+        });
+
+        it('rejects a script too long for the duration', async () => {
+            const res = await request(server.app)
+                .post('/api/generate-video')
+                .send({
+                    sceneImageUrl: 'https://cdn.example/scene.png',
+                    dialogue: [{ speaker: 'A', line: Array(15).fill('word').join(' ') }],
+                    duration: 4,
+                });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.details.field, 'dialogue');
+            assert.equal(res.body.details.estimatedSeconds, 6);
+            assert.equal(mockApi.mock.state.generations.size, 0);
+        });
+
+        it('previews a dialogue prompt and whether it fits', async () => {
+            const res = await request(server.app)
+                .post('/api/dialogue/preview')
+                .send({ dialogue: [{ speaker: 'B', line: Array(15).fill('word').join(' ') }], duration: 4 });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.fits, false);
+            assert.equal(res.body.estimatedSeconds, 6);
+            assert.match(res.body.prompt, /1\. Person B says:/);
+        });
+
+        it('rejects malformed JSON with a validation error', async () => {
+            const res = await request(server.app)
+                .post('/api/generate-video')
+                .set('Content-Type', 'application/json')
+                .send('{"sceneImageUrl":');
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, 'VALIDATION_ERROR');
+        });
+
+        it('refuses to start when no credits remain', async () => {
+            server.credits.record(1_000_000);
+
+            const res = await request(server.app)
+                .post('/api/generate-video')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk' });
+
+            assert.equal(res.status, 402);
+            assert.equal(res.body.code, 'INSUFFICIENT_CREDITS');
+            assert.equal(server.jobs.list().length, 0);
+        });
+
+        it('refuses a video the remaining credits cannot cover and warns when they run low', async () => {
+            server.credits.record(850_000);
+
+            const refused = await request(server.app)
+                .post('/api/generate-video')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk', duration: 8 });
+            assert.equal(refused.status, 402);
+            assert.deepEqual(refused.body.details, { estimatedCredits: 180000, creditsRemaining: 150000 });
+
+            const estimate = await request(server.app).post('/api/credits/estimate').send({ kind: 'video', duration: 4 });
+            assert.deepEqual(estimate.body, { model: 'veo-3.1-i2v', resolution: '1080p', estimatedCredits: 90000, creditsRemaining: 150000, fits: true });
+
+            const res = await request(server.app)
+                .post('/api/generate-video')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk', duration: 4 });
+            assert.equal(res.status, 202);
+            assert.equal(res.body.estimatedCredits, 90000);
+            assert.equal(res.body.warnings.length, 1);
+            await waitForJob(server.jobs, res.body.jobId);
+        });
+
+        it('counts the estimates of generations in progress against the balance', async () => {
+            server.credits.record(650_000);
+            mockApi.mock.state.settings.latencyMs = 20;
+
+            const first = await request(server.app)
+                .post('/api/generate-video')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk', duration: 8 });
+            assert.equal(first.status, 202);
+
+            const second = await request(server.app)
+                .post('/api/generate-video')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk again', duration: 8 });
+            assert.equal(second.status, 402);
+            assert.deepEqual(second.body.details, { estimatedCredits: 180000, creditsRemaining: 170000, creditsReserved: 180000 });
+            assert.match(second.body.message, /180,000 more are set aside for generations in progress/);
+
+            // Once the first is charged, its hold is gone and only the ledger counts
+            await waitForJob(server.jobs, first.body.jobId);
+            const third = await request(server.app)
+                .post('/api/generate-video')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk again', duration: 4 });
+            assert.equal(third.status, 202);
+            assert.equal(third.body.warnings.length, 1);
+            await waitForJob(server.jobs, third.body.jobId);
+        });
+
+        it('rejects an unknown video model', async () => {
+            const res = await request(server.app)
+                .post('/api/generate-video')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk', videoModel: 'nope' });
+
+            assert.equal(res.status, 400);
+        });
+
+        it('queues a video job that completes through retries and poll errors', async () => {
+            mockApi.mock.injectFaults('video-create', ['524']);
+            mockApi.mock.injectFaults('video-poll', ['500', '500']);
+
+            const res = await request(server.app)
+                .post('/api/generate-video')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk', duration: 4 });
+
+            assert.equal(res.status, 202);
+            const job = await waitForJob(server.jobs, res.body.jobId);
+            assert.equal(job.status, 'completed');
+            assert.match(job.generationId, /^mock-/);
+            assert.deepEqual(
+                job.events.filter(event => event.type !== 'status').map(event => event.type),
+                ['retry', 'poll-error', 'poll-error']
+            );
+            assert.equal(server.credits.used, 180000);
+
+            const status = await request(server.app).get(`/api/jobs/${job.id}`);
+            assert.equal(status.body.status, 'completed');
+            assert.match(status.body.videoUrl, /^\/api\/assets\/[0-9a-f]{64}$/);
+            assert.equal(status.body.creditsRemaining, 820000);
+            assert.equal(status.body.input.sceneImageUrl, undefined);
+        });
+
+        it('marks the job failed when the generation fails upstream', async () => {
+            mockApi.mock.injectFaults('video-poll', ['failed']);
+
+            const res = await request(server.app)
+                .post('/api/generate-video')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk' });
+
+            const job = await waitForJob(server.jobs, res.body.jobId);
+            assert.equal(job.status, 'failed');
+            assert.equal(job.error.code, 'GENERATION_FAILED');
+            assert.match(job.error.message, /Content policy violation/);
+            assert.equal(server.credits.used, 0);
+        });
+    });
+
+    describe('POST /api/generate-conversation', () => {
+        const realRun = media.run;
+        let ffmpegCalls;
+
+        // Two turns of 8 words fit one 8s clip, so six turns make three segments
+        const script = Array.from({ length: 6 }, (_, i) => ({
+            speaker: i % 2 ? 'B' : 'A',
+            line: `Line ${i + 1} of our long chat about the launch`,
+        }));
+
+        beforeEach(() => {
+            // Stand in for ffmpeg: write a distinct output file for every call
+            ffmpegCalls = [];
+            media.run = async (args) => {
+                ffmpegCalls.push(args);
+                fs.writeFileSync(args.at(-1), `ffmpeg output ${ffmpegCalls.length}`);
+            };
+        });
+
+        afterEach(() => {
+            media.run = realRun;
+        });
+
+        it('generates each segment from the last frame of the previous one and stitches them', async () => {
+            const res = await request(server.app)
+                .post('/api/generate-conversation')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', dialogue: script, videoPrompt: 'Podcast studio.' });
+
+            assert.equal(res.status, 202);
+            assert.equal(res.body.segments, 3);
+            const job = await waitForJob(server.jobs, res.body.jobId);
+            assert.equal(job.status, 'completed');
+            assert.equal(mockApi.mock.state.generations.size, 3);
+
+            const [first, second, third] = job.segments;
+            assert.equal(first.sceneImageUrl, null);
+            assert.match(second.sceneImageUrl, /^\/api\/assets\//);
+            assert.notEqual(third.sceneImageUrl, second.sceneImageUrl);
+            assert.match(second.videoPrompt, /continues an ongoing conversation/);
+
+            // Two frame extractions, then one concat of the three archived clips
+            assert.equal(ffmpegCalls.length, 3);
+            assert.ok(ffmpegCalls[2].includes('concat'));
+            assert.equal(server.assets.get(job.result.videoUrl.split('/').pop()).contentType, 'video/mp4');
+            assert.equal(job.result.creditsUsed, 540000);
+            assert.ok(job.events.some(event => event.type === 'segment' && event.segment === 2 && event.status === 'completed'));
+
+            const run = server.history.get(res.body.historyId);
+            assert.equal(run.status, 'completed');
+            assert.equal(run.videoUrl, job.result.videoUrl);
+            assert.equal(run.duration, 24);
+            assert.equal(run.segments.length, 3);
+            assert.equal(run.creditsUsed, 540000);
+            assert.equal(run.dialogue.length, 6);
+        });
+
+        it('resubmits a segment after a transient failure', async () => {
+            mockApi.mock.injectFaults('video-poll', ['500', '500', '500', '500', '500']);
+
+            const res = await request(server.app)
+                .post('/api/generate-conversation')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', dialogue: script.slice(0, 2) });
+
+            const job = await waitForJob(server.jobs, res.body.jobId);
+            assert.equal(job.status, 'completed');
+            assert.equal(job.segments[0].attempts, 2);
+            assert.ok(job.events.some(event => event.type === 'retry' && event.step === 'segment'));
+            assert.equal(mockApi.mock.state.generations.size, 2);
+        });
+
+        it('retries a failed conversation from the failed segment', async () => {
+            // Let the first segment's three polls through, then fail the second segment
+            mockApi.mock.injectFaults('video-poll', ['', '', '', 'failed']);
+
+            const res = await request(server.app)
+                .post('/api/generate-conversation')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', dialogue: script });
+
+            const failed = await waitForJob(server.jobs, res.body.jobId);
+            assert.equal(failed.status, 'failed');
+            assert.equal(failed.error.code, 'GENERATION_FAILED');
+            assert.deepEqual(failed.segments.map(segment => segment.status), ['completed', 'failed', 'pending']);
+            assert.equal(server.history.get(res.body.historyId).status, 'failed');
+
+            const retry = await request(server.app).post(`/api/jobs/${failed.id}/retry`);
+            assert.equal(retry.status, 202);
+
+            const job = await waitForJob(server.jobs, failed.id);
+            assert.equal(job.status, 'completed');
+            assert.equal(mockApi.mock.state.generations.size, 4);
+            assert.equal(job.result.creditsUsed, 540000);
+            assert.equal(server.history.get(res.body.historyId).status, 'completed');
+        });
+
+        it('does not pay again for a clip that could not be archived', async () => {
+            const realArchive = server.assets.archive;
+            server.assets.archive = async () => {
+                throw new Error('Disk full');
+            };
+
+            const res = await request(server.app)
+                .post('/api/generate-conversation')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', dialogue: script.slice(0, 2) });
+            const failed = await waitForJob(server.jobs, res.body.jobId);
+            assert.equal(failed.status, 'failed');
+            assert.equal(failed.segments[0].creditsUsed, 180000);
+            assert.equal(server.credits.used, 180000);
+
+            server.assets.archive = realArchive;
+            const retry = await request(server.app).post(`/api/jobs/${failed.id}/retry`);
+            assert.equal(retry.body.estimatedCredits, 0);
+            const job = await waitForJob(server.jobs, failed.id);
+            assert.equal(job.status, 'completed');
+            assert.equal(mockApi.mock.state.generations.size, 1, 'the same clip is fetched again');
+            assert.equal(server.credits.used, 180000);
+            assert.equal(job.result.creditsUsed, 180000);
+        });
+
+        it('only retries failed conversation jobs', async () => {
+            const video = await request(server.app)
+                .post('/api/generate-video')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk' });
+            await waitForJob(server.jobs, video.body.jobId);
+
+            const res = await request(server.app).post(`/api/jobs/${video.body.jobId}/retry`);
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, 'VALIDATION_ERROR');
+        });
+
+        it('previews how a script would be split', async () => {
+            const res = await request(server.app)
+                .post('/api/dialogue/preview')
+                .send({ dialogue: script, conversation: true });
+
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.segments.map(segment => segment.turns), [2, 2, 2]);
+            assert.equal(res.body.duration, 24);
+        });
+    });
+
+    describe('jobs', () => {
+        it('lists jobs newest first with a status filter', async () => {
+            const first = server.jobs.create('video', { videoPrompt: 'one' });
+            server.jobs.update(first.id, { status: 'failed' });
+            const second = server.jobs.create('video', { videoPrompt: 'two' });
+            server.jobs.jobs.get(second.id).createdAt = new Date(Date.now() + 1000).toISOString();
+
+            const all = await request(server.app).get('/api/jobs');
+            assert.deepEqual(all.body.jobs.map(job => job.id), [second.id, first.id]);
+
+            const failed = await request(server.app).get('/api/jobs?status=failed');
+            assert.deepEqual(failed.body.jobs.map(job => job.id), [first.id]);
+        });
+
+        it('returns 404 for an unknown job', async () => {
+            const res = await request(server.app).get('/api/jobs/missing');
+            assert.equal(res.status, 404);
+            assert.equal(res.body.code, 'NOT_FOUND');
+
+            const events = await request(server.app).get('/api/jobs/missing/events');
+            assert.equal(events.status, 404);
+        });
+
+        it('replays progress events and closes the stream of a finished job', async () => {
+            const job = server.jobs.create('video', { videoPrompt: 'Talk' });
+            server.jobs.publish(job.id, { type: 'retry', step: 'video', attempt: 1, maxRetries: 3, delayMs: 5000 });
+            server.jobs.publish(job.id, { type: 'status', status: 'completed' });
+            server.jobs.update(job.id, { status: 'completed', result: { videoUrl: 'https://cdn.example/v.mp4' } });
+
+            const res = await request(server.app).get(`/api/jobs/${job.id}/events`).set('Last-Event-ID', '1');
+
+            assert.equal(res.status, 200);
+            assert.match(res.headers['content-type'], /text\/event-stream/);
+            assert.doesNotMatch(res.text, /"type":"retry"/);
+            assert.match(res.text, /id: 2\nevent: progress\ndata: .*"status":"completed"/);
+            assert.match(res.text, /event: job\ndata: .*"videoUrl":"https:\/\/cdn.example\/v.mp4"/);
+        });
+
+        it('resumes polling unfinished video jobs and fails unfinished scene jobs', async () => {
+            const create = await fetch(`${process.env.AIML_API_BASE}/v2/video/generations`, {
+                method: 'POST',
+                headers: { 'Authorization': 'Bearer test-key', 'Content-Type': 'application/json' },
+                body: JSON.stringify({ model: 'google/veo-3.1-i2v', prompt: 'Talk', image_url: 'https://cdn.example/scene.png' }),
+            });
+            const { id: generationId } = await create.json();
+
+            const videoJob = server.jobs.create('video', { videoPrompt: 'Talk', videoModel: 'veo-3.1-i2v' });
+            server.jobs.update(videoJob.id, { status: 'generating', generationId });
+            const sceneJob = server.jobs.create('scene', { scenario: 'Office' });
+
+            // A new process reading the same files
+            const restarted = createApp({
+                apiKey: 'test-key',
+                ledgerFile: path.join(tmpDir, 'ledger.jsonl'),
+                creditsFile: path.join(tmpDir, 'credits.json'),
+                jobsFile: path.join(tmpDir, 'jobs.json'),
+                historyFile: path.join(tmpDir, 'history.jsonl'),
+                assetsDir: path.join(tmpDir, 'assets'),
+                templatesFile: path.join(tmpDir, 'templates.json'),
+                batchesFile: path.join(tmpDir, 'batches.json'),
+                charactersDir: path.join(tmpDir, 'characters'),
+                webhooksFile: path.join(tmpDir, 'webhooks.json'),
+                startingCredits: 1_000_000,
+            });
+            restarted.resumeUnfinishedJobs();
+
+            assert.equal((await waitForJob(restarted.jobs, videoJob.id)).status, 'completed');
+            const failedScene = await waitForJob(restarted.jobs, sceneJob.id);
+            assert.equal(failedScene.status, 'failed');
+            assert.equal(failedScene.error.code, 'JOB_INTERRUPTED');
+            assert.equal(failedScene.error.retryable, true);
+        });
+
+        it('settles a resumed batch row whose video job was pruned meanwhile', async () => {
+            const done = server.history.create({ sceneImageUrl: 'https://cdn.example/scene.png' });
+            server.history.update(done.id, { status: 'completed', videoUrl: '/api/assets/abc' });
+            const row = { portraits: [], scenario: 'Office', videoPrompt: 'Talk', duration: 8 };
+            const batch = server.batches.create({ userId: null, concurrency: 1 }, [row, row]);
+            server.batches.updateRow(batch.id, 0, { status: 'generating-video', historyId: done.id, videoJobId: 'pruned-1' });
+            server.batches.updateRow(batch.id, 1, { status: 'generating-video', historyId: null, videoJobId: 'pruned-2' });
+
+            server.resumeUnfinishedJobs();
+            await new Promise(resolve => setImmediate(resolve));
+
+            const resumed = server.batches.get(batch.id);
+            assert.equal(resumed.status, 'completed');
+            assert.deepEqual(resumed.rows.map(r => r.status), ['completed', 'failed']);
+            assert.equal(resumed.rows[0].videoUrl, '/api/assets/abc');
+            assert.equal(resumed.rows[1].error.code, 'JOB_INTERRUPTED');
+        });
+    });
+
+    describe('history', () => {
+        async function runScene() {
+            const res = await request(server.app)
+                .post('/api/generate-scene')
+                .attach('portraitA', PORTRAIT_A)
+                .attach('portraitB', PORTRAIT_B)
+                .field('scenario', 'Office chat');
+            await waitForJob(server.jobs, res.body.jobId);
+            return res.body.historyId;
+        }
+
+        it('records a scene and its video as one run', async () => {
+            const historyId = await runScene();
+
+            const sceneRun = (await request(server.app).get(`/api/history/${historyId}`)).body;
+            assert.equal(sceneRun.status, 'scene-ready');
+            assert.equal(sceneRun.portraitHashes.length, 2);
+            assert.match(sceneRun.portraitHashes[0], /^[0-9a-f]{64}$/);
+            assert.notEqual(sceneRun.portraitHashes[0], sceneRun.portraitHashes[1]);
+
+            const video = await request(server.app)
+                .post('/api/generate-video')
+                .send({ sceneImageUrl: sceneRun.sceneImageUrl, videoPrompt: 'Talk', duration: 4, historyId });
+            assert.equal(video.body.historyId, historyId);
+            await waitForJob(server.jobs, video.body.jobId);
+
+            const run = (await request(server.app).get(`/api/history/${historyId}`)).body;
+            assert.equal(run.status, 'completed');
+            assert.equal(run.scenario, 'Office chat');
+            assert.equal(run.videoPrompt, 'Talk');
+            assert.equal(run.duration, 4);
+            assert.match(run.sceneImageUrl, /^\/api\/assets\//);
+            assert.match(run.videoUrl, /^\/api\/assets\//);
+            assert.match(run.generationId, /^mock-/);
+            assert.equal(run.creditsUsed, 210000);
+            assert.equal(run.videoJobId, video.body.jobId);
+        });
+
+        it('records further takes from the same scene as runs of their own', async () => {
+            const scene = await request(server.app)
+                .post('/api/upload-scene')
+                .attach('scene', PORTRAIT_A);
+            const { historyId, sceneImageUrl } = scene.body;
+
+            const takes = [];
+            for (const [videoPrompt, duration] of [['Wave', 4], ['Laugh', 6], ['Nod', 8]]) {
+                const res = await request(server.app)
+                    .post('/api/generate-video')
+                    .send({ sceneImageUrl, videoPrompt, duration, historyId });
+                takes.push(res.body);
+            }
+            await Promise.all(takes.map(take => waitForJob(server.jobs, take.jobId)));
+
+            assert.equal(takes[0].historyId, historyId);
+            assert.equal(new Set(takes.map(take => take.historyId)).size, 3);
+            const runs = takes.map(take => server.history.get(take.historyId));
+            assert.deepEqual(runs.map(run => [run.videoPrompt, run.duration, run.status]), [
+                ['Wave', 4, 'completed'],
+                ['Laugh', 6, 'completed'],
+                ['Nod', 8, 'completed'],
+            ]);
+            assert.deepEqual(runs.map(run => run.sceneRunId), [null, historyId, historyId]);
+            assert.ok(runs.every(run => run.sceneImageUrl === sceneImageUrl));
+        });
+
+        it('rejects an unknown history run on generate-video', async () => {
+            const res = await request(server.app)
+                .post('/api/generate-video')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk', historyId: 'missing' });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.details.field, 'historyId');
+        });
+
+        it('paginates and filters runs', async () => {
+            const runs = ['first', 'second', 'third'].map((scenario, i) => {
+                const run = server.history.create({ scenario, status: i === 1 ? 'failed' : 'completed' });
+                run.createdAt = `2026-01-0${i + 1}T00:00:00.000Z`;
+                return run;
+            });
+
+            const page = await request(server.app).get('/api/history?limit=2');
+            assert.deepEqual(page.body.items.map(run => run.scenario), ['third', 'second']);
+            assert.equal(page.body.total, 3);
+
+            const next = await request(server.app).get('/api/history?limit=2&offset=2');
+            assert.deepEqual(next.body.items.map(run => run.id), [runs[0].id]);
+
+            const failed = await request(server.app).get('/api/history?status=failed');
+            assert.deepEqual(failed.body.items.map(run => run.scenario), ['second']);
+
+            const search = await request(server.app).get('/api/history?q=THIRD');
+            assert.deepEqual(search.body.items.map(run => run.scenario), ['third']);
+
+            const range = await request(server.app).get('/api/history?since=2026-01-02&until=2026-01-03');
+            assert.deepEqual(range.body.items.map(run => run.scenario), ['second']);
+
+            const invalid = await request(server.app).get('/api/history?since=yesterday');
+            assert.equal(invalid.status, 400);
+            assert.equal(invalid.body.details.field, 'since');
+        });
+
+        it('deletes a run', async () => {
+            const run = server.history.create({ scenario: 'Office' });
+
+            const res = await request(server.app).delete(`/api/history/${run.id}`);
+            assert.equal(res.status, 204);
+            assert.equal((await request(server.app).get(`/api/history/${run.id}`)).status, 404);
+            assert.equal((await request(server.app).delete(`/api/history/${run.id}`)).status, 404);
+        });
+
+        it('re-runs the video step of a past run as a new run', async () => {
+            const original = server.history.create({
+                scenario: 'Office',
+                sceneImageUrl: 'https://cdn.example/scene.png',
+                videoPrompt: 'Talk',
+                duration: 6,
+                videoModel: 'veo-3.1-i2v',
+                status: 'failed',
+            });
+
+            const res = await request(server.app).post(`/api/history/${original.id}/rerun`);
+            assert.equal(res.status, 202);
+            assert.notEqual(res.body.historyId, original.id);
+
+            const job = await waitForJob(server.jobs, res.body.jobId);
+            assert.equal(job.status, 'completed');
+            assert.deepEqual(
+                { sceneImageUrl: job.input.sceneImageUrl, videoPrompt: job.input.videoPrompt, duration: job.input.duration },
+                { sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk', duration: 6 }
+            );
+
+            const rerun = server.history.get(res.body.historyId);
+            assert.equal(rerun.status, 'completed');
+            assert.equal(rerun.rerunOf, original.id);
+            assert.equal(server.history.get(original.id).status, 'failed');
+        });
+
+        it('keeps the cast of a multi-person run', async () => {
+            const cast = [
+                { name: 'Alice', position: 'left', depth: 'front' },
+                { name: 'Bob', position: 'center', depth: 'back' },
+                { name: 'Cleo', position: 'right', depth: 'front' },
+            ];
+            const original = server.history.create({
+                cast,
+                sceneImageUrl: 'https://cdn.example/scene.png',
+                videoPrompt: 'Talk',
+                duration: 4,
+                videoModel: 'veo-3.1-i2v',
+                status: 'completed',
+            });
+
+            const res = await request(server.app).post(`/api/history/${original.id}/rerun`);
+            const job = await waitForJob(server.jobs, res.body.jobId);
+            assert.deepEqual(job.input.cast, cast);
+            assert.deepEqual(server.history.get(res.body.historyId).cast, cast);
+        });
+
+        it('refuses to re-run a run without a scene', async () => {
+            const run = server.history.create({ scenario: 'Office', status: 'failed' });
+
+            const res = await request(server.app).post(`/api/history/${run.id}/rerun`);
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, 'VALIDATION_ERROR');
+            assert.match(res.body.message, /Only the video step/);
+            assert.equal(res.body.details.step, 'scene');
+        });
+    });
+
+    describe('assets', () => {
+        const VIDEO_FIXTURE = path.resolve(__dirname, '..', 'mock', 'fixtures', 'video.mp4');
+
+        async function archivedVideo() {
+            const res = await request(server.app)
+                .post('/api/generate-video')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk' });
+            const job = await waitForJob(server.jobs, res.body.jobId);
+            return job.result.videoUrl;
+        }
+
+        it('serves an archived video with its content type and a download filename', async () => {
+            const videoUrl = await archivedVideo();
+            const fixture = fs.readFileSync(VIDEO_FIXTURE);
+
+            const res = await request(server.app).get(videoUrl).buffer(true).parse(binaryParser);
+            assert.equal(res.status, 200);
+            assert.equal(res.headers['content-type'], 'video/mp4');
+            assert.equal(res.headers['accept-ranges'], 'bytes');
+            assert.match(res.headers['content-disposition'], /^inline; filename="duocast-video-[0-9a-f]{12}\.mp4"$/);
+            assert.equal(Buffer.compare(res.body, fixture), 0);
+
+            const download = await request(server.app).get(`${videoUrl}?download=1`);
+            assert.match(download.headers['content-disposition'], /^attachment; filename="duocast-video-/);
+        });
+
+        it('answers Range requests with partial content', async () => {
+            const videoUrl = await archivedVideo();
+            const fixture = fs.readFileSync(VIDEO_FIXTURE);
+
+            const res = await request(server.app).get(videoUrl).set('Range', 'bytes=10-19').buffer(true).parse(binaryParser);
+            assert.equal(res.status, 206);
+            assert.equal(res.headers['content-range'], `bytes 10-19/${fixture.length}`);
+            assert.equal(Buffer.compare(res.body, fixture.subarray(10, 20)), 0);
+        });
+
+        it('returns 404 for an unknown asset', async () => {
+            const res = await request(server.app).get('/api/assets/missing');
+            assert.equal(res.status, 404);
+            assert.equal(res.body.code, 'NOT_FOUND');
+        });
+
+        it('keeps the upstream URL when the download fails', async () => {
+            const original = server.assets.archive;
+            server.assets.archive = async () => { throw new Error('disk full'); };
+
+            const res = await request(server.app)
+                .post('/api/generate-video')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk' });
+            const job = await waitForJob(server.jobs, res.body.jobId);
+            server.assets.archive = original;
+
+            assert.equal(job.status, 'completed');
+            assert.match(job.result.videoUrl, /\/mock-assets\/video\.mp4$/);
+        });
+
+        it('rejects a local scene that is no longer archived', async () => {
+            const res = await request(server.app)
+                .post('/api/generate-video')
+                .send({ sceneImageUrl: `/api/assets/${'0'.repeat(64)}`, videoPrompt: 'Talk' });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.details.field, 'sceneImageUrl');
+        });
+    });
+
+    describe('templates', () => {
+        it('saves, lists, renders, updates and deletes a template', async () => {
+            const created = await request(server.app).post('/api/templates').send({
+                name: 'Brand studio',
+                kind: 'scene',
+                body: '{{personA.name}} and {{personB.name}} in the {{setting}}, {{mood}} lighting.',
+                defaults: { mood: 'soft' },
+            });
+            assert.equal(created.status, 201);
+            assert.deepEqual(created.body.variables, [
+                { name: 'personA.name', default: null, fromCast: true },
+                { name: 'personB.name', default: null, fromCast: true },
+                { name: 'setting', default: null, fromCast: false },
+                { name: 'mood', default: 'soft', fromCast: false },
+            ]);
+
+            const list = await request(server.app).get('/api/templates?kind=scene');
+            assert.ok(list.body.items.some(template => template.preset));
+            assert.equal(list.body.items.at(-1).id, created.body.id);
+
+            const rendered = await request(server.app)
+                .post(`/api/templates/${created.body.id}/render`)
+                .send({ variables: { setting: 'studio' }, cast: [{ name: 'Maya' }, { name: 'Leo' }] });
+            assert.equal(rendered.body.prompt, 'Maya and Leo in the studio, soft lighting.');
+
+            const missing = await request(server.app).post(`/api/templates/${created.body.id}/render`).send({});
+            assert.equal(missing.status, 400);
+            assert.equal(missing.body.details.field, 'variables.setting');
+
+            const updated = await request(server.app)
+                .put(`/api/templates/${created.body.id}`)
+                .send({ ...created.body, name: 'Brand studio v2' });
+            assert.equal(updated.body.name, 'Brand studio v2');
+            assert.equal(server.templates.get(created.body.id).name, 'Brand studio v2');
+
+            assert.equal((await request(server.app).delete(`/api/templates/${created.body.id}`)).status, 204);
+            assert.equal((await request(server.app).get(`/api/templates/${created.body.id}`)).status, 404);
+        });
+
+        it('keeps presets read-only', async () => {
+            const res = await request(server.app).put('/api/templates/coffee-shop').send({ name: 'Mine', kind: 'scene', body: 'Mine' });
+
+            assert.equal(res.status, 400);
+            assert.equal(server.templates.get('coffee-shop').name, 'Coffee shop');
+        });
+
+        it('fills the video prompt from a template and the scene run', async () => {
+            const run = server.history.create({ scenario: 'On a rooftop at dusk.', sceneImageUrl: 'https://cdn.example/scene.png' });
+
+            const res = await request(server.app)
+                .post('/api/generate-video')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', templateId: 'natural-conversation', historyId: run.id });
+
+            assert.equal(res.status, 202);
+            const job = await waitForJob(server.jobs, res.body.jobId);
+            assert.match(job.input.videoPrompt, /^Two people having a natural conversation/);
+            assert.match(job.input.videoPrompt, /natural dialogue\. On a rooftop at dusk\.$/);
+        });
+
+        it('rejects a template of the wrong kind', async () => {
+            const res = await request(server.app)
+                .post('/api/generate-video')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', templateId: 'coffee-shop' });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.details.field, 'templateId');
+        });
+    });
+
+    describe('characters', () => {
+        const createAlice = () => request(server.app)
+            .post('/api/characters')
+            .attach('portrait', PORTRAIT_A)
+            .field('name', 'Alice')
+            .field('description', 'Warm alto voice, navy blazer')
+            .field('tags', 'host, podcast');
+
+        it('saves, lists, updates and deletes a character with its portrait', async () => {
+            const created = await createAlice();
+            assert.equal(created.status, 201);
+            assert.deepEqual(created.body.tags, ['host', 'podcast']);
+            assert.equal(created.body.portraitHash, undefined);
+
+            const portrait = await request(server.app).get(created.body.portraitUrl).buffer(true).parse(binaryParser);
+            assert.equal(portrait.status, 200);
+            assert.equal(portrait.headers['content-type'], 'image/jpeg');
+
+            const list = await request(server.app).get('/api/characters?tag=podcast');
+            assert.deepEqual(list.body.items.map(character => character.id), [created.body.id]);
+
+            const updated = await request(server.app)
+                .put(`/api/characters/${created.body.id}`)
+                .send({ name: 'Alice', description: 'Green scarf', tags: ['host'] });
+            assert.equal(updated.body.description, 'Green scarf');
+            assert.equal(updated.body.portraitUrl, created.body.portraitUrl, 'the portrait is kept');
+
+            assert.equal((await request(server.app).delete(`/api/characters/${created.body.id}`)).status, 204);
+            assert.equal((await request(server.app).get(`/api/characters/${created.body.id}`)).status, 404);
+        });
+
+        it('rejects a portrait without a face', async () => {
+            installFakeFaceDetector({ count: 0 });
+            const res = await createAlice();
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.details.reason, 'NO_FACE');
+            assert.equal(server.characters.list().length, 0);
+        });
+
+        it('composes a scene with a library character and describes it in the prompts', async () => {
+            const alice = (await createAlice()).body;
+            const prompts = [];
+            const realFetch = transport.fetch;
+            transport.fetch = (url, options) => {
+                if (options?.body && typeof options.body === 'string') prompts.push(JSON.parse(options.body).prompt);
+                return realFetch(url, options);
+            };
+
+            const res = await request(server.app)
+                .post('/api/generate-scene')
+                .attach('portraits', PORTRAIT_B)
+                .field('people', JSON.stringify([{ characterId: alice.id }, { name: 'Bob' }]))
+                .field('scenario', 'A podcast studio');
+
+            assert.equal(res.status, 202);
+            const job = await waitForJob(server.jobs, res.body.jobId);
+            assert.equal(job.status, 'completed');
+            const run = server.history.get(res.body.historyId);
+            assert.deepEqual(run.cast[0], { name: 'Alice', position: 'left', depth: 'foreground', description: 'Warm alto voice, navy blazer', characterId: alice.id });
+            assert.equal(run.portraitHashes.length, 2);
+            assert.match(prompts[0], /- Alice: Warm alto voice, navy blazer/);
+
+            const video = await request(server.app)
+                .post('/api/generate-video')
+                .send({ sceneImageUrl: run.sceneImageUrl, historyId: run.id, videoPrompt: 'They laugh about the weather' });
+            assert.equal(video.status, 202);
+            assert.equal(server.jobs.get(video.body.jobId).input.videoPrompt, 'They laugh about the weather\nAbout the people:\n- Alice: Warm alto voice, navy blazer');
+            await waitForJob(server.jobs, video.body.jobId);
+        });
+
+        it('rejects an unknown character', async () => {
+            const res = await request(server.app)
+                .post('/api/generate-scene')
+                .attach('portraits', PORTRAIT_B)
+                .field('people', JSON.stringify([{ characterId: 'missing' }, { name: 'Bob' }]))
+                .field('scenario', 'Office');
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.details.field, 'people[0].characterId');
+        });
+    });
+
+    describe('accounts', () => {
+        let secured;
+        let adminToken;
+
+        beforeEach(() => {
+            secured = createApp({
+                apiKey: 'test-key',
+                ledgerFile: path.join(tmpDir, 'ledger.jsonl'),
+                creditsFile: path.join(tmpDir, 'credits.json'),
+                jobsFile: path.join(tmpDir, 'jobs.json'),
+                historyFile: path.join(tmpDir, 'history.jsonl'),
+                assetsDir: path.join(tmpDir, 'assets'),
+                templatesFile: path.join(tmpDir, 'templates.json'),
+                batchesFile: path.join(tmpDir, 'batches.json'),
+                charactersDir: path.join(tmpDir, 'characters'),
+                webhooksFile: path.join(tmpDir, 'webhooks.json'),
+                accountsFile: path.join(tmpDir, 'accounts.json'),
+                startingCredits: 1_000_000,
+            });
+            const admin = secured.accounts.createUser({ name: 'Admin', email: 'admin@example.com', password: 'correct horse', role: 'admin' });
+            adminToken = secured.accounts.createToken(admin.id).token;
+        });
+
+        const asAdmin = (req) => req.set('Authorization', `Bearer ${adminToken}`);
+
+        it('requires a token or a session outside the public routes', async () => {
+            assert.equal((await request(secured.app).get('/api/health')).status, 200);
+            assert.deepEqual((await request(secured.app).get('/api/auth/me')).body, { authEnabled: true, user: null });
+
+            const res = await request(secured.app).get('/api/history');
+            assert.equal(res.status, 401);
+            assert.equal(res.body.code, 'UNAUTHORIZED');
+            assert.equal((await request(secured.app).get('/api/history').set('Authorization', 'Bearer dc_nope')).status, 401);
+            assert.equal((await asAdmin(request(secured.app).get('/api/history'))).status, 200);
+        });
+
+        it('ignores malformed cookies set by other apps on the host', async () => {
+            assert.equal((await request(secured.app).get('/api/health').set('Cookie', 'other=%E0%A4%A')).status, 200);
+
+            const login = await request(secured.app).post('/api/auth/login').send({ email: 'admin@example.com', password: 'correct horse' });
+            const session = login.headers['set-cookie'][0].split(';')[0];
+            const me = await request(secured.app).get('/api/auth/me').set('Cookie', `other=%E0%A4%A; ${session}`);
+            assert.equal(me.status, 200);
+            assert.equal(me.body.user.email, 'admin@example.com');
+        });
+
+        it('signs the UI in with a session cookie', async () => {
+            const wrong = await request(secured.app).post('/api/auth/login').send({ email: 'admin@example.com', password: 'wrong password' });
+            assert.equal(wrong.status, 401);
+
+            const agent = request.agent(secured.app);
+            const login = await agent.post('/api/auth/login').send({ email: 'Admin@Example.com', password: 'correct horse' });
+            assert.equal(login.status, 200);
+            assert.match(login.headers['set-cookie'][0], /^duocast_session=dc_.+HttpOnly/);
+            assert.equal(login.body.user.passwordHash, undefined);
+            assert.equal((await agent.get('/api/auth/me')).body.user.email, 'admin@example.com');
+
+            assert.equal((await agent.post('/api/auth/logout')).status, 204);
+            assert.equal((await agent.get('/api/history')).status, 401);
+        });
+
+        it('enforces and attributes per-user and per-team budgets', async () => {
+            const team = await asAdmin(request(secured.app).post('/api/admin/teams')).send({ name: 'Marketing', creditLimit: 1_000_000 });
+            const member = await asAdmin(request(secured.app).post('/api/admin/users'))
+                .send({ name: 'Maya', email: 'maya@example.com', teamId: team.body.id, creditLimit: 180000 });
+            assert.equal(member.status, 201);
+            const { token } = (await asAdmin(request(secured.app).post(`/api/admin/users/${member.body.id}/tokens`)).send({ name: 'ci' })).body;
+            const asMember = (req) => req.set('Authorization', `Bearer ${token}`);
+            // Forced, or the repeats would be answered with the first video
+            const video = { sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk', duration: 4, force: true };
+
+            const first = await asMember(request(secured.app).post('/api/generate-video')).send(video);
+            assert.equal(first.status, 202);
+            assert.equal((await waitForJob(secured.jobs, first.body.jobId)).status, 'completed');
+            assert.equal(secured.history.get(first.body.historyId).userId, member.body.id);
+            assert.equal(secured.accounts.getUser(member.body.id).creditsUsed, 180000);
+            assert.equal(secured.accounts.getTeam(team.body.id).creditsUsed, 180000);
+            assert.equal((await asMember(request(secured.app).get('/api/credits'))).body.creditsRemaining, 0);
+
+            const blocked = await asMember(request(secured.app).post('/api/generate-video')).send(video);
+            assert.equal(blocked.status, 402);
+            assert.equal(blocked.body.details.scope, 'user');
+
+            assert.equal((await asMember(request(secured.app).post(`/api/admin/users/${member.body.id}/top-up`)).send({ credits: 1 })).status, 403);
+            const topped = await asAdmin(request(secured.app).post(`/api/admin/users/${member.body.id}/top-up`)).send({ credits: 1_000_000 });
+            assert.equal(topped.body.budget.user.creditsRemaining, 1_000_000);
+            const second = await asMember(request(secured.app).post('/api/generate-video')).send(video);
+            assert.equal(second.status, 202);
+            await waitForJob(secured.jobs, second.body.jobId);
+
+            await asAdmin(request(secured.app).patch(`/api/admin/teams/${team.body.id}`)).send({ creditLimit: 360000 });
+            const teamBlocked = await asMember(request(secured.app).post('/api/generate-video')).send(video);
+            assert.equal(teamBlocked.status, 402);
+            assert.equal(teamBlocked.body.details.scope, 'team');
+        });
+
+        it('charges the member who started a video even if its run is deleted meanwhile', async () => {
+            mockApi.mock.state.settings.latencyMs = 20;
+            const member = secured.accounts.createUser({ name: 'Maya', email: 'maya@example.com', creditLimit: 200000 });
+            const token = secured.accounts.createToken(member.id).token;
+            const asMember = (req) => req.set('Authorization', `Bearer ${token}`);
+
+            const res = await asMember(request(secured.app).post('/api/generate-video'))
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk', duration: 8 });
+            assert.equal(res.status, 202);
+            assert.equal((await asMember(request(secured.app).delete(`/api/history/${res.body.historyId}`))).status, 204);
+
+            assert.equal((await waitForJob(secured.jobs, res.body.jobId)).status, 'completed');
+            assert.equal(secured.accounts.getUser(member.id).creditsUsed, 180000);
+            assert.equal(secured.credits.list({ userId: member.id }).total, 1);
+        });
+
+        it('lets only the creator or an admin change a template', async () => {
+            const [maya, leo] = ['maya', 'leo'].map(name => secured.accounts.createUser({ name, email: `${name}@example.com` }));
+            const as = (user) => (req) => req.set('Authorization', `Bearer ${secured.accounts.createToken(user.id).token}`);
+            const template = { name: 'Brand studio', kind: 'video', body: 'They talk in the {{setting}}.' };
+
+            const created = await as(maya)(request(secured.app).post('/api/templates')).send(template);
+            assert.equal(created.status, 201);
+            assert.equal((await as(leo)(request(secured.app).get(`/api/templates/${created.body.id}`))).status, 200);
+
+            const denied = await as(leo)(request(secured.app).put(`/api/templates/${created.body.id}`)).send({ ...template, name: 'Mine now' });
+            assert.equal(denied.status, 403);
+            assert.equal(denied.body.code, 'FORBIDDEN');
+            assert.equal((await as(leo)(request(secured.app).delete(`/api/templates/${created.body.id}`))).status, 403);
+
+            assert.equal((await as(maya)(request(secured.app).put(`/api/templates/${created.body.id}`)).send({ ...template, name: 'Studio' })).status, 200);
+            assert.equal((await asAdmin(request(secured.app).delete(`/api/templates/${created.body.id}`))).status, 204);
+        });
+
+        it('lets only the creator or an admin change a character', async () => {
+            const [maya, leo] = ['maya', 'leo'].map(name => secured.accounts.createUser({ name, email: `${name}@example.com` }));
+            const as = (user) => (req) => req.set('Authorization', `Bearer ${secured.accounts.createToken(user.id).token}`);
+
+            const created = await as(maya)(request(secured.app).post('/api/characters')).attach('portrait', PORTRAIT_A).field('name', 'Alice');
+            assert.equal(created.status, 201);
+            assert.equal(secured.characters.get(created.body.id).userId, maya.id);
+
+            const denied = await as(leo)(request(secured.app).put(`/api/characters/${created.body.id}`)).field('name', 'Not Alice');
+            assert.equal(denied.status, 403);
+            assert.equal((await as(leo)(request(secured.app).delete(`/api/characters/${created.body.id}`))).status, 403);
+
+            assert.equal((await as(maya)(request(secured.app).put(`/api/characters/${created.body.id}`)).field('name', 'Alice B.')).status, 200);
+            assert.equal((await asAdmin(request(secured.app).delete(`/api/characters/${created.body.id}`))).status, 204);
+        });
+
+        it('shows members only their own runs and jobs', async () => {
+            const adminRun = await asAdmin(request(secured.app).post('/api/generate-video'))
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk', duration: 4 });
+            await waitForJob(secured.jobs, adminRun.body.jobId);
+            const member = secured.accounts.createUser({ name: 'Leo', email: 'leo@example.com' });
+            const asMember = (req) => req.set('Authorization', `Bearer ${secured.accounts.createToken(member.id).token}`);
+
+            assert.equal((await asMember(request(secured.app).get('/api/history'))).body.total, 0);
+            assert.equal((await asMember(request(secured.app).get(`/api/history/${adminRun.body.historyId}`))).status, 404);
+            assert.equal((await asMember(request(secured.app).get(`/api/jobs/${adminRun.body.jobId}`))).status, 404);
+            assert.equal((await asAdmin(request(secured.app).get('/api/history'))).body.total, 1);
+        });
+    });
+
+    describe('POST /api/jobs/:id/cancel', () => {
+        it('stops a running video job without charging it', async () => {
+            mockApi.mock.state.settings.latencyMs = 20;
+            mockApi.mock.state.settings.pollsUntilComplete = 25;
+
+            const res = await request(server.app)
+                .post('/api/generate-video')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk', duration: 4 });
+            const cancelled = await request(server.app).post(`/api/jobs/${res.body.jobId}/cancel`);
+
+            assert.equal(cancelled.status, 200);
+            assert.equal(cancelled.body.status, 'cancelled');
+            assert.equal(cancelled.body.error.code, 'JOB_CANCELLED');
+            assert.equal(server.history.get(res.body.historyId).status, 'cancelled');
+
+            // Let the aborted polling loop wind down; the job stays cancelled
+            await new Promise(resolve => setTimeout(resolve, 100));
+            assert.equal(server.jobs.get(res.body.jobId).status, 'cancelled');
+            assert.equal(server.credits.used, 0);
+
+            const again = await request(server.app).post(`/api/jobs/${res.body.jobId}/cancel`);
+            assert.equal(again.status, 400);
+        });
+    });
+
+    describe('identical requests', () => {
+        const generateScene = (fields = {}) => request(server.app)
+            .post('/api/generate-scene')
+            .attach('portraits', PORTRAIT_A)
+            .attach('portraits', PORTRAIT_B)
+            .field({ scenario: 'Office', ...fields });
+
+        it('joins a scene in flight, reuses it once completed, and generates anew when forced', async () => {
+            const [first, second] = await Promise.all([generateScene(), generateScene()]);
+            assert.equal(first.body.jobId, second.body.jobId);
+            assert.deepEqual([first.body.reused, second.body.reused].sort(), ['in-flight', undefined]);
+            await waitForJob(server.jobs, first.body.jobId);
+
+            const cached = await generateScene();
+            assert.equal(cached.status, 200);
+            assert.equal(cached.body.jobId, first.body.jobId);
+            assert.equal(cached.body.historyId, first.body.historyId);
+            assert.equal(cached.body.reused, 'cached');
+            assert.equal(cached.body.estimatedCredits, 0);
+            const other = await generateScene({ scenario: 'Park' });
+            assert.equal(other.body.reused, undefined, 'another prompt is another scene');
+            await waitForJob(server.jobs, other.body.jobId);
+
+            const forced = await generateScene({ force: 'true' });
+            assert.equal(forced.status, 202);
+            assert.notEqual(forced.body.jobId, first.body.jobId);
+            await waitForJob(server.jobs, forced.body.jobId);
+            assert.equal(server.history.list({ limit: 10 }).total, 3);
+        });
+
+        it('joins a video in flight and replays an Idempotency-Key', async () => {
+            mockApi.mock.state.settings.latencyMs = 20;
+            const video = { sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk', duration: 4 };
+
+            const first = await request(server.app).post('/api/generate-video').send(video);
+            const joined = await request(server.app).post('/api/generate-video').send(video);
+            assert.equal(joined.status, 202);
+            assert.equal(joined.body.jobId, first.body.jobId);
+            assert.equal(joined.body.reused, 'in-flight');
+
+            const keyed = await request(server.app).post('/api/generate-video').set('Idempotency-Key', 'take-2').send({ ...video, force: true });
+            assert.notEqual(keyed.body.jobId, first.body.jobId);
+            const replayed = await request(server.app).post('/api/generate-video').set('Idempotency-Key', 'take-2').send({ ...video, force: true });
+            assert.equal(replayed.body.jobId, keyed.body.jobId);
+            assert.equal(replayed.body.reused, 'idempotency-key');
+            assert.equal(replayed.headers['idempotent-replayed'], 'true');
+
+            const conflict = await request(server.app).post('/api/generate-video').set('Idempotency-Key', 'take-2').send({ ...video, videoPrompt: 'Laugh' });
+            assert.equal(conflict.status, 422);
+            assert.equal(conflict.body.code, 'IDEMPOTENCY_CONFLICT');
+
+            await waitForJob(server.jobs, first.body.jobId);
+            await waitForJob(server.jobs, keyed.body.jobId);
+            assert.equal(server.credits.used, 2 * 180000);
+        });
+    });
+
+    describe('webhooks', () => {
+        let receiver;
+        let received;
+        let answers;
+
+        beforeEach(async () => {
+            // A local receiver answering each delivery with the next scripted status (the last one repeats)
+            received = [];
+            answers = [200];
+            receiver = http.createServer((req, res) => {
+                const chunks = [];
+                req.on('data', chunk => chunks.push(chunk));
+                req.on('end', () => {
+                    received.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf-8') });
+                    res.writeHead(answers[Math.min(received.length - 1, answers.length - 1)]).end();
+                });
+            });
+            await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+        });
+
+        afterEach(() => {
+            receiver.close();
+        });
+
+        const receiverUrl = path => `http://127.0.0.1:${receiver.address().port}${path}`;
+
+        async function waitForDeliveries(count) {
+            for (let i = 0; i < 200 && received.length < count; i++) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+            // Let the last attempt be recorded
+            await new Promise(resolve => setTimeout(resolve, 20));
+            return received;
+        }
+
+        it('notifies the request and account URLs with a signed payload once a video completes', async () => {
+            const settings = await request(server.app).put('/api/webhooks').send({ url: receiverUrl('/account') });
+            assert.equal(settings.body.url, receiverUrl('/account'));
+            assert.match(settings.body.secret, /^whsec_/);
+
+            const res = await request(server.app)
+                .post('/api/generate-video')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk', duration: 4, webhookUrl: receiverUrl('/request') });
+            const job = await waitForJob(server.jobs, res.body.jobId);
+            assert.equal(job.status, 'completed');
+
+            const deliveries = await waitForDeliveries(2);
+            assert.equal(deliveries.length, 2);
+            for (const { headers, body } of deliveries) {
+                assert.equal(headers['x-duocast-event'], 'generation.completed');
+                assert.ok(verifyWebhook(settings.body.secret, { signature: headers['x-duocast-signature'], timestamp: headers['x-duocast-timestamp'], body }));
+            }
+            const payload = JSON.parse(deliveries[0].body);
+            assert.equal(payload.event, 'generation.completed');
+            assert.equal(payload.data.jobId, job.id);
+            assert.equal(payload.data.historyId, res.body.historyId);
+            assert.equal(payload.data.creditsUsed, 180000);
+            assert.match(payload.data.videoUrl, /^\/api\/assets\/[0-9a-f]{64}$/);
+
+            const log = await request(server.app).get('/api/webhooks/deliveries').query({ jobId: job.id });
+            assert.equal(log.body.items.length, 2);
+            assert.deepEqual(log.body.items.map(delivery => delivery.status), ['delivered', 'delivered']);
+            assert.deepEqual(new Set(log.body.items.map(delivery => delivery.url)), new Set([receiverUrl('/account'), receiverUrl('/request')]));
+        });
+
+        it('retries a failed generation event until the receiver accepts it', async () => {
+            answers = [500, 200];
+            mockApi.mock.injectFaults('video-poll', ['failed']);
+
+            const res = await request(server.app)
+                .post('/api/generate-video')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk', webhookUrl: receiverUrl('/hooks') });
+            await waitForJob(server.jobs, res.body.jobId);
+
+            const deliveries = await waitForDeliveries(2);
+            assert.equal(deliveries.length, 2);
+            assert.equal(deliveries[0].headers['x-duocast-delivery'], deliveries[1].headers['x-duocast-delivery']);
+            const payload = JSON.parse(deliveries[1].body);
+            assert.equal(payload.event, 'generation.failed');
+            assert.equal(payload.data.error.code, 'GENERATION_FAILED');
+
+            const [delivery] = server.webhooks.listDeliveries({ jobId: res.body.jobId });
+            assert.equal(delivery.status, 'delivered');
+            assert.deepEqual(delivery.attempts.map(attempt => attempt.statusCode), [500, 200]);
+        });
+
+        it('sends a single test ping and reports how the receiver answered', async () => {
+            answers = [500];
+
+            const noUrl = await request(server.app).post('/api/webhooks/test').send({});
+            assert.equal(noUrl.status, 400);
+
+            const res = await request(server.app).post('/api/webhooks/test').send({ url: receiverUrl('/hooks') });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.delivered, false);
+            assert.equal(res.body.delivery.status, 'failed');
+            assert.equal(res.body.delivery.attempts.length, 1);
+            assert.equal(res.body.delivery.attempts[0].statusCode, 500);
+            assert.equal(res.body.delivery.payload.event, 'ping');
+            assert.equal(received.length, 1);
+
+            const invalid = await request(server.app).put('/api/webhooks').send({ url: 'ftp://example.com' });
+            assert.equal(invalid.status, 400);
+        });
+
+        it('refuses webhook URLs on private or loopback hosts that are not allowed', async () => {
+            const metadata = await request(server.app).put('/api/webhooks').send({ url: 'http://169.254.169.254/latest/meta-data' });
+            assert.equal(metadata.status, 400);
+            assert.deepEqual(metadata.body.details, { url: 'http://169.254.169.254/latest/meta-data', field: 'url' });
+            assert.equal(server.webhooks.endpointFor(null).url, null);
+
+            // Only the allowed host name counts, not every name resolving to it
+            const ping = await request(server.app).post('/api/webhooks/test').send({ url: `http://[::1]:${receiver.address().port}/hooks` });
+            assert.equal(ping.status, 400);
+
+            const res = await request(server.app)
+                .post('/api/generate-video')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk', webhookUrl: 'http://10.0.0.1/hooks' });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.details.field, 'webhookUrl');
+            assert.equal(server.jobs.list().length, 0);
+            assert.equal(received.length, 0);
+        });
+    });
+
+    describe('batches', () => {
+        it('runs every manifest row through scene and video, and summarizes the results', async () => {
+            const manifest = [
+                'portraits,names,scenario,video prompt,duration',
+                'alice.jpg|bob.jpg,Alice|Bob,"Two friends at a café, chatting",Talk about coffee,4',
+                'bob.jpg|alice.jpg,,A park bench,Talk about the weather,',
+            ].join('\n');
+
+            const res = await request(server.app)
+                .post('/api/batches')
+                .field('manifest', manifest)
+                .field('concurrency', '1')
+                .attach('portraits', PORTRAIT_A)
+                .attach('portraits', PORTRAIT_B);
+
+            assert.equal(res.status, 202);
+            assert.equal(res.body.rowCount, 2);
+            assert.equal(res.body.estimatedCredits, 2 * 30000 + 12 * 22500);
+
+            let batch;
+            for (let i = 0; i < 200 && batch?.status !== 'completed'; i++) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+                batch = (await request(server.app).get(`/api/batches/${res.body.batchId}`)).body;
+            }
+            assert.equal(batch.status, 'completed');
+            assert.deepEqual(batch.counts, { pending: 0, running: 0, completed: 2, failed: 0, cancelled: 0 });
+            assert.deepEqual(batch.rows[0].cast.map(person => person.name), ['Alice', 'Bob']);
+            assert.equal(batch.rows[1].duration, 8);
+
+            const run = server.history.get(batch.rows[0].historyId);
+            assert.equal(run.batchId, batch.id);
+            assert.equal(run.status, 'completed');
+            assert.equal(batch.rows[0].creditsUsed, run.creditsUsed);
+            assert.equal(server.credits.used, batch.rows[0].creditsUsed + batch.rows[1].creditsUsed);
+
+            const csv = await request(server.app).get(`/api/batches/${batch.id}/summary`);
+            assert.match(csv.headers['content-disposition'], /^attachment; filename="duocast-batch-/);
+            const lines = csv.text.trim().split('\r\n');
+            assert.equal(lines[0], 'row,status,scenario,sceneImageUrl,videoUrl,creditsUsed,historyId,error');
+            assert.match(lines[1], /^1,completed,"Two friends at a café, chatting",http:\/\/127\.0\.0\.1:\d+\/api\/assets\//);
+
+            const json = await request(server.app).get(`/api/batches/${batch.id}/summary?format=json`);
+            assert.equal(json.body.rows[1].status, 'completed');
+            assert.match(json.body.rows[1].videoUrl, /^http:\/\/.+\/api\/assets\//);
+        });
+
+        it('rejects a manifest naming a portrait that was not uploaded', async () => {
+            const res = await request(server.app)
+                .post('/api/batches')
+                .field('manifest', JSON.stringify([{ portraits: ['alice.jpg', 'carol.jpg'], scenario: 'Office', videoPrompt: 'Talk' }]))
+                .attach('portraits', PORTRAIT_A);
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.details.row, 1);
+            assert.match(res.body.message, /carol\.jpg/);
+            assert.equal(server.batches.list().length, 0);
+        });
+
+        it('does not download portraits from private or loopback addresses', async () => {
+            const local = `${process.env.AIML_API_BASE}/portrait.jpg`;
+            const res = await request(server.app)
+                .post('/api/batches')
+                .send({ rows: [{ portraits: [local, 'http://169.254.169.254/latest/meta-data'], scenario: 'Office', videoPrompt: 'Talk' }] });
+            assert.equal(res.status, 202);
+
+            let batch;
+            for (let i = 0; i < 200 && batch?.status !== 'completed'; i++) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+                batch = (await request(server.app).get(`/api/batches/${res.body.batchId}`)).body;
+            }
+            assert.equal(batch.rows[0].status, 'failed');
+            assert.match(batch.rows[0].error.message, /^Could not download portrait http:\/\/(127\.0\.0\.1|169\.254\.169\.254)[^ ]*$/);
+            assert.equal(server.credits.used, 0);
+        });
+
+        it('stops downloading a portrait once it is over the size limit', async () => {
+            let streamed = 0;
+            async function* endless() {
+                for (;;) {
+                    streamed += 1024 * 1024;
+                    yield Buffer.alloc(1024 * 1024);
+                }
+            }
+            const realFetch = transport.fetch;
+            transport.fetch = (url, options) => {
+                if (url === 'http://203.0.113.7/declared.jpg') {
+                    return { ok: true, status: 200, headers: new Headers({ 'content-type': 'image/jpeg', 'content-length': String(50 * 1024 * 1024) }), body: Readable.from(endless()) };
+                }
+                if (url === 'http://203.0.113.7/endless.jpg') {
+                    return { ok: true, status: 200, headers: new Headers({ 'content-type': 'image/jpeg' }), body: Readable.from(endless()) };
+                }
+                return realFetch(url, options);
+            };
+
+            const res = await request(server.app)
+                .post('/api/batches')
+                .send({ rows: [
+                    { portraits: ['http://203.0.113.7/declared.jpg', 'http://203.0.113.7/declared.jpg'], scenario: 'Office', videoPrompt: 'Talk' },
+                    { portraits: ['http://203.0.113.7/endless.jpg', 'http://203.0.113.7/endless.jpg'], scenario: 'Office', videoPrompt: 'Talk' },
+                ] });
+            assert.equal(res.status, 202);
+
+            let batch;
+            for (let i = 0; i < 200 && batch?.status !== 'completed'; i++) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+                batch = (await request(server.app).get(`/api/batches/${res.body.batchId}`)).body;
+            }
+            assert.deepEqual(batch.rows.map(row => row.status), ['failed', 'failed']);
+            assert.ok(batch.rows.every(row => /is larger than 10MB$/.test(row.error.message)));
+            assert.ok(streamed <= 12 * 1024 * 1024, `read ${streamed} bytes`);
+        });
+    });
+
+    describe('scheduling', () => {
+        it('queues generations beyond the concurrency limit and rate limits each client', async () => {
+            const limited = createApp({
+                apiKey: 'test-key',
+                ledgerFile: path.join(tmpDir, 'ledger.jsonl'),
+                jobsFile: path.join(tmpDir, 'jobs.json'),
+                historyFile: path.join(tmpDir, 'history.jsonl'),
+                assetsDir: path.join(tmpDir, 'assets'),
+                templatesFile: path.join(tmpDir, 'templates.json'),
+                batchesFile: path.join(tmpDir, 'batches.json'),
+                charactersDir: path.join(tmpDir, 'characters'),
+                webhooksFile: path.join(tmpDir, 'webhooks.json'),
+                startingCredits: 1_000_000,
+                concurrency: { scene: 1, video: 1 },
+                rateLimit: { limit: 2, windowMs: 60_000 },
+            });
+            mockApi.mock.state.settings.latencyMs = 50;
+            const body = { sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk', duration: 4, force: true };
+
+            const first = await request(limited.app).post('/api/generate-video').send(body);
+            const second = await request(limited.app).post('/api/generate-video').send(body);
+            assert.equal(second.headers['x-ratelimit-remaining'], '0');
+            const refused = await request(limited.app).post('/api/generate-video').send(body);
+            assert.equal(refused.status, 429);
+            assert.equal(refused.body.code, 'RATE_LIMITED');
+            assert.match(refused.headers['retry-after'], /^\d+$/);
+
+            const waiting = await request(limited.app).get(`/api/jobs/${second.body.jobId}`);
+            assert.deepEqual(waiting.body.queue, { kind: 'video', position: 1, queued: 1 });
+            assert.deepEqual((await request(limited.app).get('/api/queue')).body.video, { limit: 1, running: 1, queued: 1 });
+
+            await waitForJob(limited.jobs, first.body.jobId);
+            const job = await waitForJob(limited.jobs, second.body.jobId);
+            assert.equal(job.status, 'completed');
+            assert.equal(job.events.find(event => event.type === 'queue').position, 1);
+        });
+
+        it('rate limits re-runs and retries like new generations', async () => {
+            const limited = createApp({
+                apiKey: 'test-key',
+                ledgerFile: path.join(tmpDir, 'ledger.jsonl'),
+                jobsFile: path.join(tmpDir, 'jobs.json'),
+                historyFile: path.join(tmpDir, 'history.jsonl'),
+                assetsDir: path.join(tmpDir, 'assets'),
+                templatesFile: path.join(tmpDir, 'templates.json'),
+                batchesFile: path.join(tmpDir, 'batches.json'),
+                charactersDir: path.join(tmpDir, 'characters'),
+                webhooksFile: path.join(tmpDir, 'webhooks.json'),
+                startingCredits: 1_000_000,
+                // Long enough for the fake clock, which jumps ahead while jobs poll
+                rateLimit: { limit: 2, windowMs: 24 * 60 * 60_000 },
+            });
+
+            const first = await request(limited.app)
+                .post('/api/generate-video')
+                .send({ sceneImageUrl: 'https://cdn.example/scene.png', videoPrompt: 'Talk', duration: 4 });
+            await waitForJob(limited.jobs, first.body.jobId);
+            const rerun = await request(limited.app).post(`/api/history/${first.body.historyId}/rerun`);
+            assert.equal(rerun.status, 202);
+            assert.equal(rerun.headers['x-ratelimit-remaining'], '0');
+            await waitForJob(limited.jobs, rerun.body.jobId);
+
+            for (const route of [`/api/history/${first.body.historyId}/rerun`, `/api/jobs/${first.body.jobId}/retry`]) {
+                const refused = await request(limited.app).post(route);
+                assert.equal(refused.status, 429, route);
+                assert.equal(refused.body.code, 'RATE_LIMITED');
+            }
+        });
+    });
+
+    describe('misc', () => {
+        it('GET /api/providers lists the registered models', async () => {
+            const res = await request(server.app).get('/api/providers?kind=video');
+            assert.deepEqual(res.body.providers.map(provider => provider.id), ['veo-3.1-i2v']);
+        });
+
+        it('GET /api/health reports ok', async () => {
+            const res = await request(server.app).get('/api/health');
+            assert.equal(res.body.status, 'ok');
+        });
+    });
+});
@@ -0,0 +1,106 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { JobScheduler } from '../services/scheduler.js';
+import { RateLimiter } from '../services/rateLimiter.js';
+import { transport } from '../services/http.js';
+import { installFakeClock, restoreTransport } from './helpers.js';
+
+function deferred() {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+}
+
+describe('JobScheduler', () => {
+    it('runs at most the limit per kind and starts waiting work in FIFO order', async () => {
+        const scheduler = new JobScheduler({ scene: 1, video: 2 });
+        const positions = [];
+        scheduler.on('position', (jobId, position) => positions.push([jobId, position]));
+
+        const started = [];
+        const gates = { a: deferred(), b: deferred(), c: deferred(), d: deferred() };
+        const done = ['a', 'b', 'c', 'd'].map(id => scheduler.run('video', id, () => {
+            started.push(id);
+            return gates[id].promise.then(() => id);
+        }));
+        const scene = scheduler.run('scene', 's', async () => 'scene');
+
+        await Promise.resolve();
+        assert.deepEqual(started, ['a', 'b']);
+        assert.deepEqual(scheduler.positionOf('d'), { kind: 'video', position: 2, queued: 2 });
+        assert.deepEqual(scheduler.stats().video, { limit: 2, running: 2, queued: 2 });
+        assert.equal(await scene, 'scene', 'other kinds have their own slots');
+
+        gates.b.resolve();
+        assert.equal(await done[1], 'b');
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(started, ['a', 'b', 'c']);
+        assert.deepEqual(scheduler.positionOf('d'), { kind: 'video', position: 1, queued: 1 });
+        assert.deepEqual(positions.filter(([id]) => id === 'd'), [['d', 2], ['d', 1]]);
+
+        gates.a.resolve();
+        gates.c.resolve();
+        gates.d.resolve();
+        assert.deepEqual(await Promise.all(done), ['a', 'b', 'c', 'd']);
+        assert.equal(scheduler.positionOf('d'), null);
+    });
+
+    it('frees the slot when a task fails', async () => {
+        const scheduler = new JobScheduler({ scene: 1, video: 1 });
+        const failed = scheduler.run('video', 'a', async () => { throw new Error('boom'); });
+        const next = scheduler.run('video', 'b', async () => 'ok');
+
+        await assert.rejects(failed, /boom/);
+        assert.equal(await next, 'ok');
+    });
+
+    it('drops cancelled work from the queue without touching running work', async () => {
+        const scheduler = new JobScheduler({ scene: 1, video: 1 });
+        const gate = deferred();
+        const running = scheduler.run('video', 'a', () => gate.promise.then(() => 'a'));
+        const waiting = scheduler.run('video', 'b', async () => 'b');
+        const after = scheduler.run('video', 'c', async () => 'c');
+
+        scheduler.cancel('b', new Error('cancelled'));
+        scheduler.cancel('a', new Error('cancelled'));
+        await assert.rejects(waiting, /cancelled/);
+        assert.deepEqual(scheduler.positionOf('c'), { kind: 'video', position: 1, queued: 1 });
+
+        gate.resolve();
+        assert.equal(await running, 'a');
+        assert.equal(await after, 'c');
+    });
+});
+
+describe('RateLimiter', () => {
+    afterEach(() => {
+        restoreTransport();
+    });
+
+    it('allows `limit` requests per sliding window, per key', async () => {
+        installFakeClock();
+        const limiter = new RateLimiter({ limit: 2, windowMs: 60_000 });
+
+        assert.equal(limiter.take('user-1').remaining, 1);
+        assert.equal(limiter.take('user-1').remaining, 0);
+        assert.deepEqual(limiter.take('user-1'), { allowed: false, remaining: 0, retryAfterMs: 60_000 });
+        assert.equal(limiter.take('user-2').allowed, true, 'each client has its own window');
+
+        await transport.sleep(60_000);
+        assert.equal(limiter.take('user-1').allowed, true);
+    });
+
+    it('forgets clients whose window has emptied', async () => {
+        installFakeClock();
+        const limiter = new RateLimiter({ limit: 2, windowMs: 60_000 });
+
+        limiter.take('user-1');
+        limiter.take('user-2');
+        await transport.sleep(30_000);
+        limiter.take('user-2');
+        await transport.sleep(30_000);
+        limiter.take('user-3');
+
+        assert.deepEqual([...limiter.hits.keys()], ['user-2', 'user-3']);
+    });
+});
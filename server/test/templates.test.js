@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderTemplate, normalizeTemplate, PRESET_TEMPLATES } from '../services/templates.js';
+import { normalizeCast } from '../services/cast.js';
+import { ValidationError } from '../services/errors.js';
+
+describe('templates', () => {
+    it('fills cast variables, user values and defaults', () => {
+        const template = normalizeTemplate({
+            name: 'Panel',
+            kind: 'video',
+            body: '{{peopleCount}}: {{people}}. {{ personC.name }} stands {{personC.position}}, {{mood}}.',
+            defaults: { mood: 'calm' },
+        });
+        const cast = normalizeCast([{ name: 'Maya' }, { name: 'Leo' }, { name: 'Sam', depth: 'background' }], 3);
+
+        assert.equal(
+            renderTemplate({ id: 'panel', ...template }, { cast }),
+            'Three people: Maya, Leo and Sam. Sam stands on the right, in the background, calm.',
+        );
+        assert.match(renderTemplate({ id: 'panel', ...template }, { cast, variables: { mood: 'tense' } }), /, tense\.$/);
+    });
+
+    it('lists every variable without a value', () => {
+        const template = PRESET_TEMPLATES.find(preset => preset.id === 'interview');
+
+        assert.throws(() => renderTemplate({ ...template, defaults: {} }), (err) => {
+            assert.ok(err instanceof ValidationError);
+            assert.deepEqual(err.details.missing, ['topic', 'mood']);
+            return true;
+        });
+    });
+
+    it('rejects incomplete templates', () => {
+        assert.throws(() => normalizeTemplate({ name: 'X', kind: 'audio', body: 'Hi' }), { details: { field: 'kind' } });
+        assert.throws(() => normalizeTemplate({ name: 'X', kind: 'scene', body: 'Hi', defaults: { mood: 3 } }), { details: { field: 'defaults.mood' } });
+    });
+});
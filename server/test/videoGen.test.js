@@ -0,0 +1,238 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateVideo, createVideoTask, pollVideoGeneration, cancelVideoTask } from '../services/videoGen.js';
+import { UpstreamClientError, UpstreamUnavailable, GenerationTimeout, GenerationFailed, JobCancelled } from '../services/errors.js';
+import { registerProvider } from '../services/providers/index.js';
+import veo31I2v from '../services/providers/veo31I2v.js';
+import { installFakeFetch, installFakeClock, restoreTransport, recordEvents, muteConsole } from './helpers.js';
+
+let unmuteConsole;
+before(() => {
+    unmuteConsole = muteConsole();
+});
+after(() => {
+    unmuteConsole();
+});
+
+const CREATED = { status: 201, json: { id: 'gen-1', status: 'queued' } };
+const QUEUED = { status: 200, json: { id: 'gen-1', status: 'queued' } };
+const GENERATING = { status: 200, json: { id: 'gen-1', status: 'generating' } };
+const COMPLETED = {
+    status: 200,
+    json: { id: 'gen-1', status: 'completed', video: { url: 'https://cdn.example/video.mp4' }, meta: { usage: { credits_used: 180000 } } },
+};
+const POLL_500 = { status: 500, text: 'Internal error' };
+
+describe('createVideoTask', () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = installFakeClock();
+    });
+
+    afterEach(() => {
+        restoreTransport();
+    });
+
+    it('submits the Veo request and returns the generation ID', async () => {
+        const { calls } = installFakeFetch([CREATED]);
+
+        const generationId = await createVideoTask('https://cdn.example/scene.png', 'They talk', 6, 'key');
+
+        assert.equal(generationId, 'gen-1');
+        assert.match(calls[0].url, /\/v2\/video\/generations$/);
+        const body = JSON.parse(calls[0].options.body);
+        assert.equal(body.image_url, 'https://cdn.example/scene.png');
+        assert.equal(body.duration, '6');
+    });
+
+    it('retries 5xx and HTML error pages', async () => {
+        const { calls } = installFakeFetch([{ status: 524, text: '<html><body>524</body></html>' }, POLL_500, CREATED]);
+        const { events, onStatus } = recordEvents();
+
+        const generationId = await createVideoTask('https://cdn.example/scene.png', 'They talk', 8, 'key', onStatus);
+
+        assert.equal(generationId, 'gen-1');
+        assert.equal(calls.length, 3);
+        assert.deepEqual(clock.sleeps, [5000, 15000]);
+        assert.deepEqual(events.map(event => event.type), ['retry', 'retry']);
+    });
+
+    it('does not retry 4xx responses', async () => {
+        const { calls } = installFakeFetch([{ status: 422, text: 'Invalid duration' }, CREATED]);
+
+        await assert.rejects(createVideoTask('https://cdn.example/scene.png', 'They talk', 9, 'key'), UpstreamClientError);
+        assert.equal(calls.length, 1);
+    });
+
+    it('gives up after the maximum number of retries', async () => {
+        const { calls } = installFakeFetch([POLL_500]);
+
+        await assert.rejects(createVideoTask('https://cdn.example/scene.png', 'They talk', 8, 'key'), UpstreamUnavailable);
+        assert.equal(calls.length, 4);
+    });
+});
+
+describe('pollVideoGeneration', () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = installFakeClock();
+    });
+
+    afterEach(() => {
+        restoreTransport();
+    });
+
+    it('polls until completed and reports each status', async () => {
+        const { calls } = installFakeFetch([QUEUED, GENERATING, COMPLETED]);
+        const { events, onStatus } = recordEvents();
+
+        const result = await pollVideoGeneration('gen-1', 'key', onStatus);
+
+        assert.deepEqual(result, { videoUrl: 'https://cdn.example/video.mp4', generationId: 'gen-1', creditsUsed: 180000, model: 'veo-3.1-i2v' });
+        assert.match(calls[0].url, /generation_id=gen-1$/);
+        assert.deepEqual(events.map(event => event.status), ['queued', 'generating', 'completed']);
+        assert.deepEqual(events.map(event => event.elapsedMs), [10000, 20000, 30000]);
+    });
+
+    it('tolerates up to four consecutive poll failures', async () => {
+        const { calls } = installFakeFetch([POLL_500, POLL_500, new Error('socket hang up'), POLL_500, GENERATING, POLL_500, COMPLETED]);
+        const { events, onStatus } = recordEvents();
+
+        const result = await pollVideoGeneration('gen-1', 'key', onStatus);
+
+        assert.equal(result.videoUrl, 'https://cdn.example/video.mp4');
+        assert.equal(calls.length, 7);
+        const pollErrors = events.filter(event => event.type === 'poll-error').map(event => event.count);
+        assert.deepEqual(pollErrors, [1, 2, 3, 4, 1]);
+    });
+
+    it('fails after five consecutive poll failures', async () => {
+        const { calls } = installFakeFetch([POLL_500]);
+
+        await assert.rejects(pollVideoGeneration('gen-1', 'key'), (err) => {
+            assert.ok(err instanceof UpstreamUnavailable);
+            assert.match(err.message, /polling failed after 5 consecutive server errors/);
+            return true;
+        });
+        assert.equal(calls.length, 5);
+    });
+
+    it('tolerates network errors whose message mentions "failed"', async () => {
+        const { calls } = installFakeFetch([new Error('request to https://api.aimlapi.com failed, reason: ETIMEDOUT'), COMPLETED]);
+
+        const result = await pollVideoGeneration('gen-1', 'key');
+
+        assert.equal(result.videoUrl, 'https://cdn.example/video.mp4');
+        assert.equal(calls.length, 2);
+    });
+
+    it('fails immediately on a 4xx poll response', async () => {
+        const { calls } = installFakeFetch([{ status: 404, text: 'Generation not found' }, COMPLETED]);
+
+        await assert.rejects(pollVideoGeneration('gen-1', 'key'), UpstreamClientError);
+        assert.equal(calls.length, 1);
+    });
+
+    it('fails immediately when the generation reports failure', async () => {
+        const { calls } = installFakeFetch([{ status: 200, json: { status: 'failed', error: { message: 'Content policy violation' } } }, COMPLETED]);
+
+        await assert.rejects(pollVideoGeneration('gen-1', 'key'), (err) => {
+            assert.ok(err instanceof GenerationFailed);
+            assert.match(err.message, /Video generation failed: Content policy violation/);
+            assert.equal(err.details.generationId, 'gen-1');
+            return true;
+        });
+        assert.equal(calls.length, 1);
+    });
+
+    it('fails when a completed generation has no video URL', async () => {
+        installFakeFetch([{ status: 200, json: { status: 'completed' } }, COMPLETED]);
+
+        await assert.rejects(pollVideoGeneration('gen-1', 'key'), GenerationFailed);
+    });
+
+    it('times out after five minutes', async () => {
+        const { calls } = installFakeFetch([GENERATING]);
+
+        await assert.rejects(pollVideoGeneration('gen-1', 'key'), (err) => {
+            assert.ok(err instanceof GenerationTimeout);
+            assert.match(err.message, /timed out after 300s/);
+            return true;
+        });
+        assert.equal(calls.length, 30);
+        assert.equal(clock.elapsed(), 300000);
+    });
+
+    it('stops polling once the signal is aborted', async () => {
+        const { calls } = installFakeFetch([GENERATING]);
+        const controller = new AbortController();
+        const onStatus = () => {
+            if (calls.length === 2) controller.abort(new JobCancelled('Cancelled by the user'));
+        };
+
+        await assert.rejects(pollVideoGeneration('gen-1', 'key', onStatus, undefined, controller.signal), JobCancelled);
+        assert.equal(calls.length, 2);
+        assert.equal(calls[0].options.signal, controller.signal, 'in-flight requests are aborted too');
+    });
+});
+
+describe('createVideoTask cancellation', () => {
+    afterEach(() => {
+        restoreTransport();
+    });
+
+    it('aborts a pending retry delay', async () => {
+        installFakeFetch([POLL_500]);
+        const controller = new AbortController();
+        const created = createVideoTask('https://cdn.example/scene.png', 'They talk', 8, 'key', null, undefined, controller.signal);
+        setTimeout(() => controller.abort(new JobCancelled('Cancelled by the user')), 10);
+
+        // The real sleep would wait 5s before the first retry
+        await assert.rejects(created, JobCancelled);
+    });
+});
+
+describe('cancelVideoTask', () => {
+    afterEach(() => {
+        restoreTransport();
+    });
+
+    it('is a no-op for providers without a cancel endpoint', async () => {
+        const { calls } = installFakeFetch([{ status: 200, json: {} }]);
+
+        assert.equal(await cancelVideoTask('gen-1', 'key'), false);
+        assert.equal(calls.length, 0);
+    });
+
+    it('calls the cancel endpoint of providers that have one', async () => {
+        registerProvider({ ...veo31I2v, id: 'cancellable-video', buildCancelRequest: (id) => ({ method: 'DELETE', path: `/v2/video/generations/${id}` }) });
+        const { calls } = installFakeFetch([{ status: 200, json: {} }]);
+
+        assert.equal(await cancelVideoTask('gen-1', 'key', 'cancellable-video'), true);
+        assert.equal(calls[0].options.method, 'DELETE');
+        assert.ok(calls[0].options.signal instanceof AbortSignal, 'the request has a timeout');
+        assert.match(calls[0].url, /\/v2\/video\/generations\/gen-1$/);
+    });
+});
+
+describe('generateVideo', () => {
+    beforeEach(() => {
+        installFakeClock();
+    });
+
+    afterEach(() => {
+        restoreTransport();
+    });
+
+    it('creates the task, then polls it to completion', async () => {
+        installFakeFetch([CREATED, GENERATING, COMPLETED]);
+        const { events, onStatus } = recordEvents();
+
+        const result = await generateVideo('https://cdn.example/scene.png', 'They talk', 8, 'key', onStatus);
+
+        assert.equal(result.videoUrl, 'https://cdn.example/video.mp4');
+        assert.deepEqual(events.map(event => event.status), ['queued', 'generating', 'completed']);
+    });
+});
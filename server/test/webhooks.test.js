@@ -0,0 +1,147 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { WebhookStore, toPublicDelivery } from '../services/webhookStore.js';
+import { signWebhook, verifyWebhook, jobEventData, deliverWebhook, normalizeWebhookUrl, DELIVERY_RETRY_DELAYS_MS } from '../services/webhooks.js';
+import { ValidationError } from '../services/errors.js';
+import { installFakeFetch, installFakeClock, restoreTransport } from './helpers.js';
+
+describe('webhooks', () => {
+    afterEach(() => {
+        restoreTransport();
+    });
+
+    it('signs the timestamp and body, and verifies only the exact delivery', () => {
+        const body = JSON.stringify({ event: 'ping' });
+        const signature = signWebhook('whsec_test', 1700000000, body);
+
+        assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+        assert.equal(verifyWebhook('whsec_test', { signature, timestamp: '1700000000', body }), true);
+        assert.equal(verifyWebhook('whsec_test', { signature, timestamp: 1700000001, body }), false);
+        assert.equal(verifyWebhook('whsec_other', { signature, timestamp: 1700000000, body }), false);
+        assert.equal(verifyWebhook('whsec_test', { signature: undefined, timestamp: 1700000000, body }), false);
+    });
+
+    it('describes a finished job with absolute asset URLs', () => {
+        const job = {
+            id: 'job-1',
+            type: 'video',
+            status: 'completed',
+            input: { historyId: 'run-1' },
+            generationId: 'gen-1',
+            result: { videoUrl: '/api/assets/abc', creditsUsed: 180000 },
+            error: null,
+        };
+
+        assert.deepEqual(jobEventData(job, url => `https://duocast.example${url}`), {
+            jobId: 'job-1',
+            type: 'video',
+            status: 'completed',
+            historyId: 'run-1',
+            generationId: 'gen-1',
+            imageUrls: [],
+            videoUrl: 'https://duocast.example/api/assets/abc',
+            creditsUsed: 180000,
+            error: null,
+        });
+
+        const failed = jobEventData({ ...job, type: 'conversation', status: 'failed', result: null, segments: [{ duration: 8, status: 'completed', generationId: 'g1', videoUrl: '/api/assets/s1', creditsUsed: 360000 }, { duration: 4, status: 'failed', generationId: null, videoUrl: null, creditsUsed: 0 }], error: { code: 'GENERATION_FAILED' } });
+        assert.equal(failed.creditsUsed, 360000, 'clips already paid for are reported');
+        assert.equal(failed.segments[0].videoUrl, '/api/assets/s1');
+    });
+
+    it('only accepts http(s) URLs', () => {
+        assert.equal(normalizeWebhookUrl(' http://localhost:4000/hooks '), 'http://localhost:4000/hooks');
+        for (const url of ['ftp://example.com', 'not a url', 42]) {
+            assert.throws(() => normalizeWebhookUrl(url), ValidationError);
+        }
+    });
+
+    it('retries a failing receiver with backoff until it accepts', async () => {
+        const clock = installFakeClock();
+        const { calls } = installFakeFetch([new Error('ECONNREFUSED'), { status: 503, text: 'busy' }, { status: 204, text: '' }]);
+        const attempts = [];
+
+        const delivered = await deliverWebhook({ id: 'd1', event: 'ping', url: 'http://localhost:4000/hooks', body: '{}' }, 'whsec_test', { allowedHosts: ['localhost'], onAttempt: attempt => attempts.push(attempt) });
+
+        assert.equal(delivered, true);
+        assert.deepEqual(clock.sleeps, DELIVERY_RETRY_DELAYS_MS.slice(0, 2));
+        assert.deepEqual(attempts.map(attempt => [attempt.statusCode, attempt.error]), [[null, 'ECONNREFUSED'], [503, 'HTTP 503: busy'], [204, null]]);
+        const { headers } = calls[2].options;
+        assert.equal(headers['X-DuoCast-Event'], 'ping');
+        assert.equal(headers['X-DuoCast-Delivery'], 'd1');
+        assert.equal(verifyWebhook('whsec_test', { signature: headers['X-DuoCast-Signature'], timestamp: headers['X-DuoCast-Timestamp'], body: '{}' }), true);
+    });
+
+    it('gives up after the last retry', async () => {
+        const clock = installFakeClock();
+        const { calls } = installFakeFetch([{ status: 500, text: '' }]);
+
+        assert.equal(await deliverWebhook({ id: 'd1', event: 'ping', url: 'http://localhost:4000', body: '{}' }, 'whsec_test', { allowedHosts: ['localhost'] }), false);
+        assert.equal(calls.length, DELIVERY_RETRY_DELAYS_MS.length + 1);
+        assert.deepEqual(clock.sleeps, DELIVERY_RETRY_DELAYS_MS);
+
+        // Resumed with two attempts left, it waits out only the last delays
+        const resumed = installFakeClock();
+        await deliverWebhook({ id: 'd1', event: 'ping', url: 'http://localhost:4000', body: '{}' }, 'whsec_test', { maxAttempts: 2, allowedHosts: ['localhost'] });
+        assert.deepEqual(resumed.sleeps, DELIVERY_RETRY_DELAYS_MS.slice(-1));
+    });
+
+    it('does not deliver to private addresses, nor follow redirects', async () => {
+        const clock = installFakeClock();
+        const { calls } = installFakeFetch([{ status: 302, text: '' }]);
+        const attempts = [];
+
+        assert.equal(await deliverWebhook({ id: 'd1', event: 'ping', url: 'http://127.0.0.1:4000/hooks', body: '{}' }, 'whsec_test', { onAttempt: attempt => attempts.push(attempt) }), false);
+        assert.equal(calls.length, 0);
+        assert.equal(clock.sleeps.length, 0, 'a refused URL is not retried');
+        assert.match(attempts[0].error, /private or local address/);
+
+        await deliverWebhook({ id: 'd2', event: 'ping', url: 'http://127.0.0.1:4000/hooks', body: '{}' }, 'whsec_test', { maxAttempts: 1, allowedHosts: ['127.0.0.1'] });
+        assert.equal(calls[0].options.redirect, 'manual');
+    });
+});
+
+describe('WebhookStore', () => {
+    let tmpDir;
+    let store;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'duocast-webhooks-'));
+        store = new WebhookStore(path.join(tmpDir, 'webhooks.json'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('keeps one URL and secret per owner', () => {
+        const { secret } = store.endpointFor('user-1');
+        assert.match(secret, /^whsec_/);
+        store.setUrl('user-1', 'http://localhost:4000/hooks');
+        assert.notEqual(store.endpointFor(null).secret, secret);
+
+        const reloaded = new WebhookStore(path.join(tmpDir, 'webhooks.json'));
+        assert.equal(reloaded.endpointFor('user-1').url, 'http://localhost:4000/hooks');
+        assert.equal(reloaded.endpointFor('user-1').secret, secret);
+        assert.notEqual(reloaded.rotateSecret('user-1').secret, secret);
+    });
+
+    it('logs deliveries and their attempts per owner', () => {
+        const first = store.createDelivery({ ownerId: 'user-1', url: 'http://localhost:4000', event: 'generation.completed', jobId: 'job-1', data: { jobId: 'job-1' } });
+        const second = store.createDelivery({ ownerId: 'user-2', url: 'http://localhost:4000', event: 'ping', data: {} });
+        store.recordAttempt(first.id, { at: new Date().toISOString(), statusCode: 500, error: 'HTTP 500', durationMs: 3 });
+        store.recordAttempt(first.id, { at: new Date().toISOString(), statusCode: 200, error: null, durationMs: 2 });
+        store.fail(second.id);
+
+        const reloaded = new WebhookStore(path.join(tmpDir, 'webhooks.json'));
+        const [delivery] = reloaded.listDeliveries({ ownerId: 'user-1' });
+        assert.equal(delivery.status, 'delivered');
+        assert.equal(delivery.attempts.length, 2);
+        assert.deepEqual(toPublicDelivery(delivery).payload, { id: first.id, event: 'generation.completed', createdAt: first.createdAt, data: { jobId: 'job-1' } });
+        assert.deepEqual(reloaded.listDeliveries({ status: 'failed' }).map(d => d.id), [second.id]);
+        assert.deepEqual(reloaded.listDeliveries({ jobId: 'job-1' }).map(d => d.id), [first.id]);
+    });
+});